@@ -0,0 +1,33 @@
+/**
+ * DEAL ROUTING RULES
+ * Pipeline, stage, owner and priority of each new deal, based on the match quality of the profile.
+ * Se aplica la primera regla cuyas condiciones se cumplen todas; sin regla, el deal va al pipeline
+ * y etapa por defecto (HUBSPOT_PIPELINE_ID / HUBSPOT_DEAL_STAGE_ID o la primera etapa).
+ *
+ * Condiciones (when):
+ *   seniority     Lista de niveles de config/titleTaxonomy.js (president, c_level, vp, director...)
+ *   minSeniority  Nivel mínimo (p. ej. "director" incluye vp, c_level y president)
+ *   companyMatch  "exact" (nombre, alias, URN o página de LinkedIn) o "fuzzy" (coincidencia parcial)
+ *   tier1         true: la empresa es una cuenta objetivo de tier 1 (HUBSPOT_COMPANY_TIER_PROPERTY)
+ *
+ * Ruta (route), todos opcionales:
+ *   pipeline  ID o nombre del pipeline de deals
+ *   stage     ID o nombre de la etapa (en el pipeline de la ruta o en el de por defecto)
+ *   owner     "company_owner" (propietario de la empresa en HubSpot) o ID de propietario
+ *   priority  low, medium o high (hs_priority)
+ */
+
+module.exports = {
+  rules: [
+    {
+      name: 'hot_c_level',
+      when: { seniority: ['president', 'c_level'], companyMatch: 'exact' },
+      route: { stage: 'Hot', owner: 'company_owner', priority: 'high' }
+    },
+    {
+      name: 'tier1_senior',
+      when: { tier1: true, minSeniority: 'director' },
+      route: { owner: 'company_owner', priority: 'medium' }
+    }
+  ]
+};
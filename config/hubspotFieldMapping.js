@@ -0,0 +1,68 @@
+/**
+ * HUBSPOT FIELD MAPPING
+ * Which person, post and search fields go into which HubSpot deal, contact and company properties.
+ * Cada valor es un texto fijo o una plantilla: {{person.name}}, con alternativas separadas por ||
+ * y textos entre comillas: {{person.name || "LinkedIn Member"}}. Un valor vacío no se escribe.
+ * Se valida al arrancar el servidor contra /crm/v3/properties; se puede sustituir por otro archivo
+ * con HUBSPOT_FIELD_MAPPING_FILE (JSON o JS con la misma estructura).
+ *
+ * Variables:
+ *   person.*  name, firstName, lastName, title, company, location, city, state, country, countryCode,
+ *             profileUrl, jobTitle (posición actual o titular), currentCompany, tenure, about,
+ *             enrichment (bloque "Perfil completo" seguido de una línea en blanco, o vacío)
+ *   post.*    url, text, textPreview (1000 caracteres), author, profileUrl, createdAt
+ *   search.*  company, companyId, jobTitle, keyword
+ *   pipeline.id, now (ISO), today (YYYY-MM-DD)
+ */
+
+module.exports = {
+  // Deal de un perfil encontrado por búsqueda de empresa y cargo
+  deal: {
+    dealname: '{{person.name || "LinkedIn Member"}} - {{search.jobTitle}} ({{search.company}})',
+    description: 'Perfil de LinkedIn encontrado por búsqueda\n\n' +
+      'Cargo buscado: {{search.jobTitle}}\n' +
+      'Empresa buscada: {{search.company}}\n\n' +
+      'Información del perfil:\n' +
+      '- Nombre: {{person.name || "N/A"}}\n' +
+      '- Cargo: {{person.title || "N/A"}}\n' +
+      '- Empresa actual: {{person.company || "N/A"}}\n' +
+      '- Ubicación: {{person.location || "N/A"}}\n' +
+      '- URL del perfil: {{person.profileUrl}}\n\n' +
+      '{{person.enrichment}}' +
+      'Fecha de extracción: {{now}}\n',
+    amount: '0',
+    deal_currency_code: 'MXN'
+  },
+
+  // Deal de un post encontrado por keyword
+  postDeal: {
+    dealname: '{{post.author || "LinkedIn User"}} - Post LinkedIn ({{search.keyword}})',
+    description: 'Post de LinkedIn encontrado por keyword: {{search.keyword}}\n\n' +
+      'Autor/Perfil: {{post.author || "N/A"}}\n' +
+      'URL del perfil: {{post.profileUrl || "N/A"}}\n' +
+      'URL del post: {{post.url}}\n\n' +
+      'Contenido:\n{{post.textPreview || "N/A"}}\n\n' +
+      'Fecha del post: {{post.createdAt || now}}\n',
+    amount: '0',
+    deal_currency_code: 'MXN'
+  },
+
+  // Contacto de cada perfil (la URL canónica del perfil se escribe siempre: identifica al contacto)
+  contact: {
+    firstname: '{{person.firstName}}',
+    lastname: '{{person.lastName}}',
+    jobtitle: '{{person.jobTitle}}',
+    company: '{{person.currentCompany || search.company}}',
+    city: '{{person.city}}',
+    state: '{{person.state}}',
+    country: '{{person.country}}',
+    linkedin_location: '{{person.location}}'
+  },
+
+  // Propiedades de la empresa buscada que se actualizan al guardar un perfil (ninguna por defecto)
+  company: {},
+
+  // Cambios por pipeline de deals (p. ej. otra moneda en el pipeline de Colombia):
+  //   pipelines: { '811215668': { deal: { deal_currency_code: 'COP' } } }
+  pipelines: {}
+};
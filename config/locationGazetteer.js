@@ -0,0 +1,377 @@
+/**
+ * LOCATION GAZETTEER
+ * Built-in countries, states and major cities used by the location filter.
+ * Las ciudades pueden ser un nombre o { name, aliases }.
+ * geoUrn: ID de geo de LinkedIn del país para la búsqueda facetada (solo los verificados).
+ * Los alias se comparan sin acentos ni mayúsculas y como palabras completas.
+ */
+
+module.exports = {
+  countries: [
+    {
+      code: 'MX',
+      name: 'México',
+      geoUrn: '103323778',
+      aliases: ['mex', 'estados unidos mexicanos'],
+      states: [
+        { name: 'Aguascalientes', cities: ['Aguascalientes'] },
+        { name: 'Baja California', cities: ['Tijuana', 'Mexicali', 'Ensenada', 'Rosarito'] },
+        { name: 'Baja California Sur', aliases: ['bcs'], cities: ['La Paz', 'Los Cabos', 'Cabo San Lucas', 'San José del Cabo'] },
+        { name: 'Campeche', cities: ['Ciudad del Carmen'] },
+        { name: 'Chiapas', cities: ['Tuxtla Gutiérrez', 'Tapachula', 'San Cristóbal de las Casas'] },
+        { name: 'Chihuahua', cities: [{ name: 'Ciudad Juárez', aliases: ['cd juarez', 'juarez'] }] },
+        {
+          name: 'Ciudad de México',
+          aliases: ['cdmx', 'df', 'distrito federal', 'mexico df', 'mexico city', 'greater mexico city'],
+          cities: ['Polanco', 'Santa Fe']
+        },
+        { name: 'Coahuila', aliases: ['coahuila de zaragoza'], cities: ['Saltillo', 'Torreón', 'Monclova', 'Piedras Negras'] },
+        { name: 'Colima', cities: ['Manzanillo'] },
+        { name: 'Durango', cities: ['Gómez Palacio'] },
+        {
+          name: 'Estado de México',
+          aliases: ['edomex', 'edo mex', 'edo de mexico', 'state of mexico', 'mexico state'],
+          cities: ['Toluca', 'Naucalpan', 'Tlalnepantla', 'Ecatepec', 'Nezahualcóyotl', 'Huixquilucan', 'Metepec', 'Cuautitlán Izcalli', 'Atizapán']
+        },
+        { name: 'Guanajuato', cities: ['León', 'Irapuato', 'Celaya', 'Silao', 'San Miguel de Allende'] },
+        { name: 'Guerrero', cities: ['Acapulco', 'Chilpancingo', 'Zihuatanejo'] },
+        { name: 'Hidalgo', cities: ['Pachuca', 'Tulancingo'] },
+        { name: 'Jalisco', cities: ['Guadalajara', 'Zapopan', 'Tlaquepaque', 'Tlajomulco', 'Puerto Vallarta', 'Tonalá'] },
+        { name: 'Michoacán', aliases: ['michoacan de ocampo'], cities: ['Morelia', 'Uruapan', 'Zamora', 'Lázaro Cárdenas'] },
+        { name: 'Morelos', cities: ['Cuernavaca', 'Jiutepec', 'Cuautla'] },
+        { name: 'Nayarit', cities: ['Tepic', 'Nuevo Vallarta', 'Bahía de Banderas'] },
+        {
+          name: 'Nuevo León',
+          cities: [
+            'Monterrey',
+            { name: 'San Pedro Garza García', aliases: ['san pedro garza garcia'] },
+            'Apodaca',
+            'San Nicolás de los Garza',
+            'Santa Catarina',
+            'Escobedo'
+          ]
+        },
+        { name: 'Oaxaca', cities: ['Salina Cruz', 'Juchitán'] },
+        { name: 'Puebla', cities: ['Tehuacán', 'Cholula', 'San Andrés Cholula'] },
+        { name: 'Querétaro', cities: ['Santiago de Querétaro', 'San Juan del Río', 'Corregidora', 'El Marqués'] },
+        { name: 'Quintana Roo', cities: ['Cancún', 'Playa del Carmen', 'Chetumal', 'Tulum', 'Cozumel'] },
+        { name: 'San Luis Potosí', aliases: ['slp'], cities: ['Ciudad Valles'] },
+        { name: 'Sinaloa', cities: ['Culiacán', 'Mazatlán', 'Los Mochis'] },
+        { name: 'Sonora', cities: ['Hermosillo', 'Ciudad Obregón', 'Nogales', 'Guaymas'] },
+        { name: 'Tabasco', cities: ['Villahermosa'] },
+        { name: 'Tamaulipas', cities: ['Reynosa', 'Matamoros', 'Nuevo Laredo', 'Tampico', 'Ciudad Victoria', 'Altamira'] },
+        { name: 'Tlaxcala', cities: ['Apizaco'] },
+        {
+          name: 'Veracruz',
+          aliases: ['veracruz de ignacio de la llave'],
+          cities: ['Xalapa', 'Coatzacoalcos', 'Orizaba', 'Poza Rica', 'Boca del Río']
+        },
+        { name: 'Yucatán', cities: ['Mérida'] },
+        { name: 'Zacatecas', cities: ['Fresnillo'] }
+      ]
+    },
+    {
+      code: 'CO',
+      name: 'Colombia',
+      geoUrn: '100876405',
+      aliases: [],
+      states: [
+        { name: 'Amazonas', cities: ['Leticia'] },
+        { name: 'Antioquia', cities: ['Medellín', 'Envigado', 'Itagüí', 'Bello', 'Rionegro', 'Sabaneta'] },
+        { name: 'Arauca', cities: [] },
+        { name: 'Atlántico', cities: ['Barranquilla', 'Soledad', 'Malambo'] },
+        {
+          name: 'Bogotá D.C.',
+          aliases: ['bogota', 'bogota dc', 'bogota d c', 'santa fe de bogota'],
+          cities: []
+        },
+        { name: 'Bolívar', cities: ['Cartagena', 'Cartagena de Indias'] },
+        { name: 'Boyacá', cities: ['Tunja', 'Duitama', 'Sogamoso'] },
+        { name: 'Caldas', cities: ['Manizales'] },
+        { name: 'Caquetá', cities: ['Florencia'] },
+        { name: 'Casanare', cities: ['Yopal'] },
+        { name: 'Cauca', cities: ['Popayán'] },
+        { name: 'Cesar', cities: ['Valledupar'] },
+        { name: 'Chocó', cities: ['Quibdó'] },
+        { name: 'Córdoba', cities: ['Montería'] },
+        { name: 'Cundinamarca', cities: ['Soacha', 'Chía', 'Zipaquirá', 'Funza', 'Mosquera', 'Cota'] },
+        { name: 'Guainía', cities: [] },
+        { name: 'Guaviare', cities: [] },
+        { name: 'Huila', cities: ['Neiva'] },
+        { name: 'La Guajira', cities: ['Riohacha'] },
+        { name: 'Magdalena', cities: ['Santa Marta'] },
+        { name: 'Meta', cities: ['Villavicencio'] },
+        { name: 'Nariño', cities: ['Pasto'] },
+        { name: 'Norte de Santander', cities: ['Cúcuta'] },
+        { name: 'Putumayo', cities: [] },
+        { name: 'Quindío', cities: ['Armenia'] },
+        { name: 'Risaralda', cities: ['Pereira', 'Dosquebradas'] },
+        { name: 'San Andrés y Providencia', cities: [] },
+        { name: 'Santander', cities: ['Bucaramanga', 'Floridablanca', 'Girón', 'Barrancabermeja'] },
+        { name: 'Sucre', cities: ['Sincelejo'] },
+        { name: 'Tolima', cities: ['Ibagué'] },
+        { name: 'Valle del Cauca', aliases: ['valle'], cities: ['Cali', 'Santiago de Cali', 'Palmira', 'Buenaventura', 'Tuluá', 'Yumbo'] },
+        { name: 'Vaupés', cities: [] },
+        { name: 'Vichada', cities: [] }
+      ]
+    },
+    {
+      code: 'US',
+      name: 'United States',
+      geoUrn: '103644278',
+      aliases: ['estados unidos', 'usa', 'eeuu', 'ee uu', 'united states of america'],
+      states: [
+        { name: 'Alabama', cities: [] },
+        { name: 'Alaska', cities: [] },
+        { name: 'Arizona', cities: ['Phoenix', 'Tucson', 'Mesa', 'Scottsdale'] },
+        { name: 'Arkansas', cities: [] },
+        {
+          name: 'California',
+          cities: [
+            { name: 'Los Angeles', aliases: ['greater los angeles'] },
+            'San Diego',
+            { name: 'San Francisco', aliases: ['san francisco bay', 'bay area'] },
+            'San Jose',
+            'Fresno',
+            'Sacramento',
+            'Riverside',
+            'Irvine'
+          ]
+        },
+        { name: 'Colorado', cities: ['Denver'] },
+        { name: 'Connecticut', cities: [] },
+        { name: 'Delaware', cities: [] },
+        { name: 'District of Columbia', aliases: ['washington dc', 'washington d c'], cities: [] },
+        { name: 'Florida', cities: ['Miami', 'Fort Lauderdale', 'Orlando', 'Tampa', 'Jacksonville', 'Doral', 'Hialeah', 'Coral Gables'] },
+        { name: 'Georgia', cities: ['Atlanta'] },
+        { name: 'Hawaii', cities: [] },
+        { name: 'Idaho', cities: [] },
+        { name: 'Illinois', cities: ['Chicago'] },
+        { name: 'Indiana', cities: [] },
+        { name: 'Iowa', cities: [] },
+        { name: 'Kansas', cities: [] },
+        { name: 'Kentucky', cities: [] },
+        { name: 'Louisiana', cities: ['New Orleans'] },
+        { name: 'Maine', cities: [] },
+        { name: 'Maryland', cities: [] },
+        { name: 'Massachusetts', cities: ['Boston'] },
+        { name: 'Michigan', cities: ['Detroit'] },
+        { name: 'Minnesota', cities: [] },
+        { name: 'Mississippi', cities: [] },
+        { name: 'Missouri', cities: [] },
+        { name: 'Montana', cities: [] },
+        { name: 'Nebraska', cities: [] },
+        { name: 'Nevada', cities: ['Las Vegas', 'Reno'] },
+        { name: 'New Hampshire', cities: [] },
+        { name: 'New Jersey', cities: ['Newark', 'Jersey City'] },
+        { name: 'New Mexico', aliases: ['nuevo mexico'], cities: ['Albuquerque', 'Las Cruces'] },
+        { name: 'New York', cities: [{ name: 'New York City', aliases: ['nyc', 'nueva york'] }] },
+        { name: 'North Carolina', cities: ['Charlotte'] },
+        { name: 'North Dakota', cities: [] },
+        { name: 'Ohio', cities: [] },
+        { name: 'Oklahoma', cities: [] },
+        { name: 'Oregon', cities: [] },
+        { name: 'Pennsylvania', cities: ['Philadelphia'] },
+        { name: 'Rhode Island', cities: [] },
+        { name: 'South Carolina', cities: [] },
+        { name: 'South Dakota', cities: [] },
+        { name: 'Tennessee', cities: [] },
+        {
+          name: 'Texas',
+          cities: ['Houston', 'San Antonio', 'Dallas', 'Austin', 'El Paso', 'Fort Worth', 'McAllen', 'Laredo', 'Brownsville']
+        },
+        { name: 'Utah', cities: [] },
+        { name: 'Vermont', cities: [] },
+        { name: 'Virginia', cities: [] },
+        { name: 'Washington', cities: ['Seattle'] },
+        { name: 'West Virginia', cities: [] },
+        { name: 'Wisconsin', cities: [] },
+        { name: 'Wyoming', cities: [] }
+      ]
+    },
+    {
+      code: 'AR',
+      name: 'Argentina',
+      geoUrn: '100446943',
+      aliases: [],
+      states: [
+        { name: 'Buenos Aires', aliases: ['caba', 'ciudad autonoma de buenos aires', 'gran buenos aires'], cities: ['La Plata', 'Mar del Plata'] },
+        { name: 'Córdoba', cities: [] },
+        { name: 'Santa Fe', cities: ['Rosario'] },
+        { name: 'Mendoza', cities: [] },
+        { name: 'Tucumán', cities: ['San Miguel de Tucumán'] }
+      ]
+    },
+    {
+      code: 'CL',
+      name: 'Chile',
+      geoUrn: '104621616',
+      aliases: [],
+      states: [
+        { name: 'Región Metropolitana', aliases: ['region metropolitana de santiago'], cities: ['Santiago', 'Las Condes', 'Providencia', 'Vitacura'] },
+        { name: 'Valparaíso', cities: ['Viña del Mar'] },
+        { name: 'Biobío', cities: ['Concepción'] },
+        { name: 'Antofagasta', cities: [] }
+      ]
+    },
+    {
+      code: 'PE',
+      name: 'Perú',
+      geoUrn: '102927786',
+      aliases: [],
+      states: [
+        { name: 'Lima', cities: ['Miraflores', 'San Isidro'] },
+        { name: 'Arequipa', cities: [] },
+        { name: 'La Libertad', cities: ['Trujillo'] },
+        { name: 'Piura', cities: [] },
+        { name: 'Cusco', cities: [] }
+      ]
+    },
+    {
+      code: 'EC',
+      name: 'Ecuador',
+      aliases: [],
+      states: [
+        { name: 'Pichincha', cities: ['Quito'] },
+        { name: 'Guayas', cities: ['Guayaquil', 'Samborondón'] },
+        { name: 'Azuay', cities: ['Cuenca'] }
+      ]
+    },
+    {
+      code: 'VE',
+      name: 'Venezuela',
+      aliases: [],
+      states: [
+        { name: 'Distrito Capital', cities: ['Caracas'] },
+        { name: 'Zulia', cities: ['Maracaibo'] },
+        { name: 'Carabobo', cities: ['Valencia'] },
+        { name: 'Lara', cities: ['Barquisimeto'] }
+      ]
+    },
+    {
+      code: 'GT',
+      name: 'Guatemala',
+      aliases: [],
+      states: [
+        { name: 'Departamento de Guatemala', cities: [{ name: 'Ciudad de Guatemala', aliases: ['guatemala city'] }] }
+      ]
+    },
+    {
+      code: 'CR',
+      name: 'Costa Rica',
+      aliases: [],
+      states: [
+        { name: 'Provincia de San José', cities: ['San José', 'Escazú'] },
+        { name: 'Heredia', cities: [] },
+        { name: 'Alajuela', cities: [] }
+      ]
+    },
+    {
+      code: 'PA',
+      name: 'Panamá',
+      aliases: [],
+      states: [
+        { name: 'Provincia de Panamá', cities: [{ name: 'Ciudad de Panamá', aliases: ['panama city'] }] }
+      ]
+    },
+    {
+      code: 'DO',
+      name: 'República Dominicana',
+      aliases: ['dominican republic', 'rep dominicana'],
+      states: [
+        { name: 'Distrito Nacional', cities: ['Santo Domingo', 'Santiago de los Caballeros'] }
+      ]
+    },
+    {
+      code: 'PR',
+      name: 'Puerto Rico',
+      aliases: [],
+      states: [
+        { name: 'Puerto Rico', cities: ['San Juan', 'Bayamón', 'Carolina', 'Ponce'] }
+      ]
+    },
+    {
+      code: 'SV',
+      name: 'El Salvador',
+      aliases: [],
+      states: [
+        { name: 'Departamento de San Salvador', cities: ['San Salvador'] }
+      ]
+    },
+    {
+      code: 'HN',
+      name: 'Honduras',
+      aliases: [],
+      states: [
+        { name: 'Francisco Morazán', cities: ['Tegucigalpa'] },
+        { name: 'Cortés', cities: ['San Pedro Sula'] }
+      ]
+    },
+    {
+      code: 'NI',
+      name: 'Nicaragua',
+      aliases: [],
+      states: [
+        { name: 'Managua', cities: [] }
+      ]
+    },
+    {
+      code: 'BO',
+      name: 'Bolivia',
+      aliases: [],
+      states: [
+        { name: 'La Paz', cities: ['El Alto'] },
+        { name: 'Santa Cruz', cities: ['Santa Cruz de la Sierra'] },
+        { name: 'Cochabamba', cities: [] }
+      ]
+    },
+    {
+      code: 'PY',
+      name: 'Paraguay',
+      aliases: [],
+      states: [
+        { name: 'Departamento Central', cities: ['Asunción'] }
+      ]
+    },
+    {
+      code: 'UY',
+      name: 'Uruguay',
+      aliases: [],
+      states: [
+        { name: 'Montevideo', cities: [] }
+      ]
+    },
+    // Países que no suelen ser objetivo: sin ellos "Guadalajara, España" o "Toluca, Spain"
+    // se resolverían por el nombre de la ciudad mexicana
+    {
+      code: 'ES',
+      name: 'España',
+      aliases: ['spain'],
+      states: [
+        { name: 'Andalucía', aliases: ['andalusia'], cities: ['Sevilla', 'Málaga'] },
+        { name: 'Aragón', cities: ['Zaragoza'] },
+        { name: 'Principado de Asturias', aliases: ['asturias'], cities: ['Oviedo', 'Gijón'] },
+        { name: 'Islas Baleares', aliases: ['baleares', 'balearic islands'], cities: ['Palma'] },
+        { name: 'Canarias', aliases: ['islas canarias', 'canary islands'], cities: [] },
+        { name: 'Cantabria', cities: [] },
+        { name: 'Castilla y León', aliases: ['castile and leon'], cities: ['Valladolid', 'Salamanca', 'Burgos'] },
+        { name: 'Castilla-La Mancha', aliases: ['castilla la mancha', 'castile la mancha'], cities: [] },
+        { name: 'Cataluña', aliases: ['catalunya', 'catalonia'], cities: ['Barcelona'] },
+        { name: 'Comunidad de Madrid', aliases: ['community of madrid'], cities: ['Madrid'] },
+        { name: 'Comunidad Valenciana', aliases: ['comunitat valenciana', 'valencian community'], cities: ['Alicante'] },
+        { name: 'Extremadura', cities: [] },
+        { name: 'Galicia', cities: ['Vigo', 'A Coruña'] },
+        { name: 'Región de Murcia', aliases: ['murcia'], cities: [] },
+        { name: 'Navarra', aliases: ['navarre'], cities: ['Pamplona'] },
+        { name: 'País Vasco', aliases: ['euskadi', 'basque country'], cities: ['Bilbao', 'San Sebastián'] }
+      ]
+    },
+    { code: 'BR', name: 'Brasil', aliases: ['brazil'], states: [] },
+    { code: 'CA', name: 'Canada', aliases: ['canadá'], states: [] },
+    { code: 'GB', name: 'United Kingdom', aliases: ['reino unido', 'england', 'inglaterra'], states: [] },
+    { code: 'DE', name: 'Alemania', aliases: ['germany', 'deutschland'], states: [] },
+    { code: 'FR', name: 'Francia', aliases: ['france'], states: [] },
+    { code: 'IT', name: 'Italia', aliases: ['italy'], states: [] },
+    { code: 'PT', name: 'Portugal', aliases: [], states: [] }
+  ]
+};
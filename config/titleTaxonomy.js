@@ -0,0 +1,142 @@
+/**
+ * JOB TITLE TAXONOMY
+ * Bilingual (es/en) seniority levels, business functions, abbreviations, role synonyms
+ * and exclusions used to match a searched job title against a LinkedIn headline.
+ * Todos los términos se comparan sin acentos ni mayúsculas y como palabras completas.
+ */
+
+module.exports = {
+  // Niveles de seniority (rank mayor = más senior)
+  seniorities: [
+    { id: 'president', rank: 8, terms: ['president', 'presidente', 'presidenta', 'chairman', 'chairwoman'] },
+    { id: 'c_level', rank: 7, terms: ['chief', 'c level', 'c suite'] },
+    { id: 'vp', rank: 6, terms: ['vice president', 'vicepresident', 'vicepresidente', 'vicepresidenta', 'vp', 'svp', 'evp', 'avp'] },
+    { id: 'director', rank: 5, terms: ['director', 'directora', 'head of', 'head', 'dir'] },
+    { id: 'deputy_director', rank: 4, terms: ['subdirector', 'subdirectora', 'sub director', 'deputy director', 'associate director'] },
+    { id: 'manager', rank: 3, terms: ['gerente', 'manager', 'mgr', 'gte'] },
+    { id: 'lead', rank: 2, terms: ['jefe', 'jefa', 'lead', 'lider', 'team lead', 'supervisor', 'supervisora'] },
+    { id: 'coordinator', rank: 1, terms: ['coordinador', 'coordinadora', 'coordinator'] },
+    { id: 'specialist', rank: 0, terms: ['analista', 'analyst', 'especialista', 'specialist'] }
+  ],
+
+  // Áreas de negocio
+  functions: [
+    { id: 'finance', terms: ['finanzas', 'finance', 'financiero', 'financiera', 'financial', 'fp a', 'fpa'] },
+    { id: 'accounting', terms: ['contabilidad', 'contable', 'accounting', 'accountant', 'contador', 'contadora', 'controller', 'contralor', 'contraloria'] },
+    { id: 'treasury', terms: ['tesoreria', 'tesorero', 'tesorera', 'treasury', 'treasurer'] },
+    { id: 'tax', terms: ['fiscal', 'impuestos', 'tax'] },
+    { id: 'sales', terms: ['ventas', 'sales', 'comercial', 'commercial', 'business development', 'desarrollo de negocios'] },
+    { id: 'marketing', terms: ['marketing', 'mercadotecnia', 'mercadeo', 'brand', 'marca'] },
+    { id: 'hr', terms: ['recursos humanos', 'human resources', 'capital humano', 'talento', 'talent', 'people', 'rrhh', 'rh', 'hr'] },
+    { id: 'operations', terms: ['operaciones', 'operations', 'ops'] },
+    { id: 'technology', terms: ['tecnologia', 'tecnologias de la informacion', 'technology', 'information technology', 'sistemas', 'systems', 'it', 'ti'] },
+    { id: 'engineering', terms: ['ingenieria', 'engineering'] },
+    { id: 'procurement', terms: ['compras', 'procurement', 'purchasing', 'abastecimiento', 'sourcing', 'adquisiciones'] },
+    { id: 'supply_chain', terms: ['cadena de suministro', 'supply chain', 'logistica', 'logistics'] },
+    { id: 'legal', terms: ['legal', 'juridico', 'juridica', 'abogado', 'abogada', 'counsel'] },
+    { id: 'administration', terms: ['administracion', 'administration', 'administrativo', 'administrativa'] },
+    { id: 'general_management', terms: ['general', 'country manager'] },
+    { id: 'product', terms: ['producto', 'product'] },
+    { id: 'customer_service', terms: ['atencion a clientes', 'servicio al cliente', 'customer service', 'customer success'] },
+    { id: 'events', terms: ['eventos', 'events', 'event', 'reuniones', 'meetings'] }
+  ],
+
+  // Abreviaturas: seniority y área que implican
+  abbreviations: {
+    ceo: { seniority: 'c_level', functions: ['general_management'] },
+    cfo: { seniority: 'c_level', functions: ['finance'] },
+    coo: { seniority: 'c_level', functions: ['operations'] },
+    cto: { seniority: 'c_level', functions: ['technology'] },
+    cio: { seniority: 'c_level', functions: ['technology'] },
+    cmo: { seniority: 'c_level', functions: ['marketing'] },
+    chro: { seniority: 'c_level', functions: ['hr'] },
+    cco: { seniority: 'c_level', functions: ['sales'] },
+    cpo: { seniority: 'c_level', functions: ['procurement'] },
+    clo: { seniority: 'c_level', functions: ['legal'] },
+    gm: { seniority: 'manager', functions: ['general_management'] }
+  },
+
+  // Calificadores que no cambian el cargo ("Senior Finance Manager" = "Finance Manager")
+  qualifiers: ['senior', 'sr', 'junior', 'jr', 'corporativo', 'corporativa', 'corporate', 'regional', 'global', 'nacional', 'national', 'adjunto', 'adjunta'],
+
+  // Sinónimos de un mismo puesto aunque cambie el nivel ("CFO" = "Director de Finanzas")
+  roles: [
+    {
+      id: 'finance_head',
+      titles: [
+        'cfo', 'chief financial officer', 'chief finance officer',
+        'director de finanzas', 'directora de finanzas', 'director financiero', 'directora financiera',
+        'director de administracion y finanzas', 'directora de administracion y finanzas',
+        'director de finanzas y administracion', 'finance director', 'director of finance', 'financial director',
+        'head of finance', 'vp finance', 'vp of finance', 'vice president finance', 'vice president of finance',
+        'vicepresidente de finanzas', 'vicepresidenta de finanzas', 'vicepresidente financiero'
+      ]
+    },
+    {
+      id: 'finance_manager',
+      titles: ['gerente de finanzas', 'gerente financiero', 'gerente financiera', 'finance manager', 'financial manager', 'manager of finance']
+    },
+    {
+      id: 'general_management',
+      titles: [
+        'ceo', 'chief executive officer', 'director general', 'directora general', 'general manager',
+        'gerente general', 'managing director', 'country manager', 'presidente ejecutivo', 'presidenta ejecutiva'
+      ]
+    },
+    {
+      id: 'hr_head',
+      titles: [
+        'chro', 'chief human resources officer', 'chief people officer',
+        'director de recursos humanos', 'directora de recursos humanos', 'director de rrhh', 'directora de rrhh',
+        'director de capital humano', 'directora de capital humano', 'hr director', 'human resources director',
+        'head of hr', 'head of people', 'head of human resources', 'vp hr', 'vp of human resources'
+      ]
+    },
+    {
+      id: 'sales_head',
+      titles: [
+        'cco', 'chief commercial officer', 'chief sales officer', 'director comercial', 'directora comercial',
+        'director de ventas', 'directora de ventas', 'sales director', 'commercial director',
+        'head of sales', 'vp sales', 'vp of sales', 'vicepresidente comercial', 'vicepresidente de ventas'
+      ]
+    },
+    {
+      id: 'marketing_head',
+      titles: [
+        'cmo', 'chief marketing officer', 'director de marketing', 'directora de marketing',
+        'director de mercadotecnia', 'directora de mercadotecnia', 'marketing director',
+        'head of marketing', 'vp marketing', 'vp of marketing'
+      ]
+    },
+    {
+      id: 'operations_head',
+      titles: [
+        'coo', 'chief operating officer', 'chief operations officer', 'director de operaciones',
+        'directora de operaciones', 'operations director', 'head of operations', 'vp operations', 'vp of operations'
+      ]
+    },
+    {
+      id: 'technology_head',
+      titles: [
+        'cto', 'cio', 'chief technology officer', 'chief information officer',
+        'director de tecnologia', 'directora de tecnologia', 'director de ti', 'directora de ti',
+        'director de sistemas', 'directora de sistemas', 'it director', 'technology director',
+        'head of it', 'head of technology', 'vp technology', 'vp of technology'
+      ]
+    },
+    {
+      id: 'procurement_head',
+      titles: [
+        'cpo', 'chief procurement officer', 'director de compras', 'directora de compras',
+        'director de abastecimiento', 'procurement director', 'purchasing director', 'head of procurement'
+      ]
+    }
+  ],
+
+  // Palabras que descartan el titular aunque el resto coincida ("Assistant to the Finance Director")
+  exclusions: [
+    'assistant', 'asistente', 'auxiliar', 'intern', 'internship', 'becario', 'becaria', 'practicante',
+    'trainee', 'student', 'estudiante', 'former', 'ex', 'past', 'retired', 'jubilado', 'jubilada',
+    'aspiring', 'en busca de', 'looking for'
+  ]
+};
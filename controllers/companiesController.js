@@ -1,4 +1,6 @@
 const hubspotService = require('../services/hubspotService');
+const companyResolverService = require('../services/companyResolverService');
+const scrapeService = require('../services/scrapeService');
 
 const getCompanies = async (req, res) => {
   try {
@@ -30,9 +32,33 @@ const updateLastScrape = async (req, res) => {
   }
 };
 
+/**
+ * Vincula la empresa con su página de LinkedIn (body: { writeBack } - por defecto true)
+ * Usa la misma página de LinkedIn que el scraping: no se ejecuta durante un run
+ */
+const resolveLinkedinPage = async (req, res) => {
+  if (!scrapeService.claimRunLock()) {
+    return res.status(409).json({ error: 'Scraping is running, try again when the run finishes' });
+  }
+  
+  try {
+    const { id } = req.params;
+    const company = await hubspotService.getCompanyById(id);
+    const result = await companyResolverService.resolveCompany(company, {
+      writeBack: req.body?.writeBack !== false
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    scrapeService.releaseRunLock();
+  }
+};
+
 module.exports = {
   getCompanies,
   getCompanyById,
-  updateLastScrape
+  updateLastScrape,
+  resolveLinkedinPage
 };
 
@@ -0,0 +1,25 @@
+const clickupFeedbackService = require('../services/clickupFeedbackService');
+
+const getFeedback = async (req, res) => {
+  try {
+    const feedback = await clickupFeedbackService.getFeedbackByJobTitle();
+    res.json(feedback);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const syncFeedback = async (req, res) => {
+  try {
+    const result = await clickupFeedbackService.syncFeedback();
+    const feedback = await clickupFeedbackService.getFeedbackByJobTitle();
+    res.json({ ...result, ...feedback });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getFeedback,
+  syncFeedback
+};
@@ -0,0 +1,69 @@
+const leadExportService = require('../services/leadExportService');
+const leadStoreService = require('../services/leadStoreService');
+const sinkService = require('../services/sinkService');
+const scrapeService = require('../services/scrapeService');
+
+const getLeads = async (req, res) => {
+  try {
+    const { syncStatus, sink, accepted } = req.query;
+    const limit = parseInt(req.query.limit || '100', 10);
+    const leads = await leadStoreService.listLeads({
+      syncStatus,
+      sink,
+      accepted: accepted === undefined ? undefined : accepted === 'true'
+    });
+    
+    res.json({ count: leads.length, leads: leads.slice(0, Number.isNaN(limit) ? 100 : limit) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const retryLeads = async (req, res) => {
+  // El run activo reintenta al empezar; a la vez se podrían guardar perfiles dos veces
+  if (!scrapeService.claimRunLock()) {
+    return res.status(400).json({ error: 'Scraping is running, failed leads are retried when the next run starts' });
+  }
+  
+  try {
+    const summary = await sinkService.retryFailedLeads();
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    scrapeService.releaseRunLock();
+  }
+};
+
+const exportLeads = async (req, res) => {
+  try {
+    const { format, company, jobTitle, from, to, accepted } = req.query;
+    const result = await leadExportService.exportLeads(format, {
+      company,
+      jobTitle,
+      from,
+      to,
+      accepted: accepted === undefined ? undefined : accepted === 'true'
+    });
+    const filename = `leads-${new Date().toISOString().split('T')[0]}.${result.extension}`;
+    
+    res.set({
+      'Content-Type': result.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Lead-Count': String(result.count)
+    });
+    res.send(result.content);
+  } catch (error) {
+    if (error.message && (error.message.startsWith('Invalid export format') ||
+        error.message.startsWith('Invalid date'))) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getLeads,
+  retryLeads,
+  exportLeads
+};
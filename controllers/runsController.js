@@ -0,0 +1,53 @@
+const runRegistryService = require('../services/runRegistryService');
+
+const getRuns = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50', 10);
+    const runs = await runRegistryService.listRuns(Number.isNaN(limit) ? 50 : limit);
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getRunById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const report = await runRegistryService.getRunReport(id);
+    
+    if (!report) {
+      return res.status(404).json({ error: `Run not found: ${id}` });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getRunVerdicts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { accepted, rule, reason, jobId } = req.query;
+    const verdicts = await runRegistryService.getRunVerdicts(id, {
+      accepted: accepted === undefined ? undefined : accepted === 'true',
+      rule,
+      reason,
+      jobId
+    });
+    
+    if (!verdicts) {
+      return res.status(404).json({ error: `Run not found: ${id}` });
+    }
+    
+    res.json({ runId: id, count: verdicts.length, verdicts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getRuns,
+  getRunById,
+  getRunVerdicts
+};
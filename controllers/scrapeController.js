@@ -1,49 +1,120 @@
 const scrapeService = require('../services/scrapeService');
+const jobQueueService = require('../services/jobQueueService');
+const scrapeEventsService = require('../services/scrapeEventsService');
 
+// isRunning no se guarda aquí: sale del lock del run (currentStatus), también para el run que lanza el servidor al arrancar
 let scrapingStatus = {
-  isRunning: false,
+  isPaused: false,
+  requiresVerification: false,
+  verificationType: null,
+  verificationMessage: null,
   currentCompany: null,
+  currentJobTitle: null,
   progress: 0,
-  total: 0
+  total: 0,
+  searches: null,
+  profiles: null,
+  etaMs: null,
+  eta: null
 };
 
+// Mantener el estado al día con los eventos de progreso del servicio
+// (incluye runs lanzados al arrancar el servidor, no solo los de /start)
+scrapeEventsService.on(scrapeEventsService.EVENT_TYPES.PROGRESS, (event) => {
+  scrapingStatus.runId = event.runId;
+  scrapingStatus.currentCompany = event.currentCompany;
+  scrapingStatus.currentJobTitle = event.currentJobTitle;
+  scrapingStatus.progress = event.searches.done;
+  scrapingStatus.total = event.searches.total;
+  scrapingStatus.searches = event.searches;
+  scrapingStatus.profiles = event.profiles;
+  scrapingStatus.etaMs = event.etaMs;
+  scrapingStatus.eta = event.eta;
+  scrapingStatus.updatedAt = event.timestamp;
+});
+
+scrapeEventsService.on(scrapeEventsService.EVENT_TYPES.RUN_STARTED, () => {
+  scrapingStatus.requiresVerification = false;
+  scrapingStatus.verificationType = null;
+  scrapingStatus.verificationMessage = null;
+  scrapingStatus.error = null;
+});
+
+// LinkedIn pidió un código o un CAPTCHA: el run se detiene hasta resolverlo
+scrapeEventsService.on(scrapeEventsService.EVENT_TYPES.VERIFICATION_REQUIRED, (event) => {
+  scrapingStatus.requiresVerification = true;
+  scrapingStatus.verificationType = event.verificationType;
+  scrapingStatus.verificationMessage = event.message || null;
+});
+
+scrapeEventsService.on(scrapeEventsService.EVENT_TYPES.RUN_PAUSED, () => {
+  scrapingStatus.isPaused = true;
+});
+
+scrapeEventsService.on(scrapeEventsService.EVENT_TYPES.RUN_RESUMED, () => {
+  scrapingStatus.isPaused = false;
+});
+
+scrapeEventsService.on(scrapeEventsService.EVENT_TYPES.RUN_FINISHED, (event) => {
+  scrapingStatus.isPaused = false;
+  scrapingStatus.lastStopReason = event.reason;
+  scrapingStatus.error = event.error || null;
+  // Tras una verificación se conserva la búsqueda en la que se detuvo
+  if (!scrapingStatus.requiresVerification) {
+    scrapingStatus.currentCompany = null;
+    scrapingStatus.currentJobTitle = null;
+  }
+});
+
+const currentStatus = () => ({ ...scrapingStatus, isRunning: scrapeService.isRunLocked() });
+
 const startScraping = async (req, res) => {
+  // El run se reserva antes de prepararlo; scrapeService.startScraping lo libera al terminar
+  if (!scrapeService.claimRunLock()) {
+    return res.status(400).json({ error: 'Scraping is already running' });
+  }
+  let started = false;
+  
   try {
-    if (scrapingStatus.isRunning) {
-      return res.status(400).json({ error: 'Scraping is already running' });
+    // Filtros opcionales para un run bajo demanda (p. ej. una empresa y dos cargos)
+    const { companyIds, companyNames, jobTitles, force, locations, enrich, sinks } = req.body || {};
+    const preparedRun = await scrapeService.prepareRun({ companyIds, companyNames, jobTitles, force, locations, enrich, sinks });
+    
+    if (!preparedRun) {
+      scrapeService.releaseRunLock();
+      return res.json({ message: 'Nothing to scrape', runId: null });
     }
-
-    scrapingStatus.isRunning = true;
     
-    // Iniciar scraping en background
-    scrapeService.startScraping()
+    // Iniciar scraping en background (el estado se actualiza con los eventos del run)
+    started = true;
+    scrapeService.startScraping({ preparedRun, trigger: 'api', lockClaimed: true })
       .then((result) => {
-        // Verificar si el resultado indica que se requiere verificación
-        if (result && result.requiresVerification) {
-          scrapingStatus.isRunning = false;
-          scrapingStatus.requiresVerification = true;
-          scrapingStatus.verificationType = result.verificationType;
-          scrapingStatus.verificationMessage = result.verificationMessage;
+        if (result && (result.requiresVerification || result.requiresCaptcha)) {
           console.log('⚠️  Scraping paused - verification required');
-          return;
         }
-        
-        scrapingStatus.isRunning = false;
-        scrapingStatus.currentCompany = null;
-        scrapingStatus.progress = 0;
-        scrapingStatus.total = 0;
-        scrapingStatus.requiresVerification = false;
       })
       .catch((error) => {
-        scrapingStatus.isRunning = false;
         console.error('Scraping error:', error);
-        scrapingStatus.error = error.message;
       });
     
-    // Responder inmediatamente
-    res.json({ message: 'Scraping started' });
+    // Responder inmediatamente con el ID del run para poder seguirlo
+    res.json({
+      message: preparedRun.resumed ? 'Scraping resumed' : 'Scraping started',
+      runId: preparedRun.run.id,
+      resumed: preparedRun.resumed,
+      totalJobs: preparedRun.run.totalJobs
+    });
   } catch (error) {
-    scrapingStatus.isRunning = false;
+    if (!started) {
+      scrapeService.releaseRunLock();
+    }
+    
+    if (error.message && (error.message.startsWith('Company not found') ||
+        error.message.startsWith('Invalid location rules') ||
+        error.message.startsWith('Unknown sink') ||
+        error.message.startsWith('Sinks not ready'))) {
+      return res.status(400).json({ error: error.message });
+    }
     
     // Si requiere verificación, retornar información específica
     if (error.message && error.message.includes('Verification required')) {
@@ -58,12 +129,88 @@ const startScraping = async (req, res) => {
   }
 };
 
-const getStatus = (req, res) => {
-  res.json(scrapingStatus);
+const pauseScraping = (req, res) => {
+  const result = scrapeService.pauseScraping();
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ message: 'Scraping will pause before the next search', runId: result.runId });
+};
+
+const resumeScraping = (req, res) => {
+  const result = scrapeService.resumeScraping();
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ message: 'Scraping resumed', runId: result.runId });
+};
+
+const cancelScraping = (req, res) => {
+  const result = scrapeService.cancelScraping();
+  if (!result.success) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ message: 'Scraping will stop before the next search', runId: result.runId });
+};
+
+const getStatus = async (req, res) => {
+  try {
+    // El estado del run se lee de la cola persistente (sobrevive a reinicios)
+    const latestRun = await jobQueueService.getLatestRun();
+    const run = latestRun ? await jobQueueService.getRunSummary(latestRun.id) : null;
+    
+    res.json({ ...currentStatus(), run });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Intervalo de keep-alive para que proxies (Railway) no cierren la conexión SSE
+const SSE_HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Stream de eventos del scraping en vivo (Server-Sent Events)
+ * Soporta reconexión con Last-Event-ID para no perder eventos recientes
+ */
+const streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  // Estado actual al conectar para que el cliente no espere al siguiente evento
+  res.write(`event: status\ndata: ${JSON.stringify(currentStatus())}\n\n`);
+  
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (!Number.isNaN(lastEventId)) {
+    scrapeEventsService.getEventsSince(lastEventId).forEach(sendEvent);
+  }
+  
+  scrapeEventsService.on('*', sendEvent);
+  
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, SSE_HEARTBEAT_INTERVAL);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    scrapeEventsService.off('*', sendEvent);
+  });
 };
 
 module.exports = {
   startScraping,
-  getStatus
+  pauseScraping,
+  resumeScraping,
+  cancelScraping,
+  getStatus,
+  streamEvents
 };
 
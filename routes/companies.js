@@ -5,6 +5,7 @@ const companiesController = require('../controllers/companiesController');
 router.get('/', companiesController.getCompanies);
 router.get('/:id', companiesController.getCompanyById);
 router.put('/:id/last-scrape', companiesController.updateLastScrape);
+router.post('/:id/linkedin-page', companiesController.resolveLinkedinPage);
 
 module.exports = router;
 
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const feedbackController = require('../controllers/feedbackController');
+
+router.get('/', feedbackController.getFeedback);
+router.post('/sync', feedbackController.syncFeedback);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const leadsController = require('../controllers/leadsController');
+
+router.get('/', leadsController.getLeads);
+router.get('/export', leadsController.exportLeads);
+router.post('/retry', leadsController.retryLeads);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const runsController = require('../controllers/runsController');
+
+router.get('/', runsController.getRuns);
+router.get('/:id', runsController.getRunById);
+router.get('/:id/verdicts', runsController.getRunVerdicts);
+
+module.exports = router;
@@ -3,7 +3,11 @@ const router = express.Router();
 const scrapeController = require('../controllers/scrapeController');
 
 router.post('/start', scrapeController.startScraping);
+router.post('/pause', scrapeController.pauseScraping);
+router.post('/resume', scrapeController.resumeScraping);
+router.post('/cancel', scrapeController.cancelScraping);
 router.get('/status', scrapeController.getStatus);
+router.get('/events', scrapeController.streamEvents);
 
 module.exports = router;
 
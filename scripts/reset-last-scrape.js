@@ -6,11 +6,7 @@
  */
 
 require('dotenv').config();
-const hubspotService = require('../services/hubspotService');
-const axios = require('axios');
-
-const HUBSPOT_API_KEY = process.env.HUBSPOT_API_KEY;
-const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
+const hubspotClientService = require('../services/hubspotClientService');
 
 /**
  * Resetear last_linkedin_scrape para una empresa
@@ -19,53 +15,42 @@ const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
  * @returns {Promise<boolean>} True si se actualizó correctamente
  */
 const resetCompanyScrape = async (companyId, companyName) => {
-  try {
-    // Establecer la fecha a null o a una fecha muy antigua (1970-01-01)
+  const results = await resetCompaniesScrape([{ id: companyId, name: companyName }]);
+  return results.successCount === 1;
+};
+
+/**
+ * Resetear last_linkedin_scrape de varias empresas (actualización batch de 100 en 100)
+ * @param {Array} companies - [{ id, name }]
+ * @returns {Promise<Object>} { successCount, errorCount }
+ */
+const resetCompaniesScrape = async (companies) => {
+  let successCount = 0;
+  let errorCount = 0;
+
+  for (let i = 0; i < companies.length; i += hubspotClientService.BATCH_SIZE) {
+    const batch = companies.slice(i, i + hubspotClientService.BATCH_SIZE);
     // Usamos null para que shouldScrapeCompany retorne true
-    const response = await axios.patch(
-      `${HUBSPOT_BASE_URL}/crm/v3/objects/companies/${companyId}`,
-      {
-        properties: {
-          last_linkedin_scrape: null // o '1970-01-01' si HubSpot no acepta null
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const toInputs = (value) => batch.map(company => ({ id: company.id, properties: { last_linkedin_scrape: value } }));
 
-    return true;
-  } catch (error) {
-    // Si HubSpot no acepta null, intentar con fecha antigua
-    if (error.response?.status === 400) {
+    try {
       try {
-        await axios.patch(
-          `${HUBSPOT_BASE_URL}/crm/v3/objects/companies/${companyId}`,
-          {
-            properties: {
-              last_linkedin_scrape: '1970-01-01' // Fecha muy antigua
-            }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        return true;
-      } catch (retryError) {
-        console.error(`  ❌ Error actualizando ${companyName} (${companyId}):`, retryError.response?.data?.message || retryError.message);
-        return false;
+        await hubspotClientService.batchUpdate('companies', toInputs(null));
+      } catch (error) {
+        // Si HubSpot no acepta null, intentar con fecha antigua
+        if (error.response?.status !== 400) throw error;
+        await hubspotClientService.batchUpdate('companies', toInputs('1970-01-01'));
       }
+
+      successCount += batch.length;
+      batch.forEach(company => console.log(`  ✓ ${company.name} (${company.id})`));
+    } catch (error) {
+      errorCount += batch.length;
+      console.error(`  ❌ Error actualizando ${batch.length} empresas (${batch[0].name} - ${batch[batch.length - 1].name}):`, error.response?.data?.message || error.message);
     }
-    
-    console.error(`  ❌ Error actualizando ${companyName} (${companyId}):`, error.response?.data?.message || error.message);
-    return false;
   }
+
+  return { successCount, errorCount };
 };
 
 /**
@@ -74,52 +59,24 @@ const resetCompanyScrape = async (companyId, companyName) => {
  */
 const getAllCompanies = async () => {
   try {
-    let allCompanies = [];
-    let after = null;
-    let hasMore = true;
-    
     console.log('📊 Obteniendo todas las empresas del segmento...\n');
     
-    while (hasMore) {
-      const requestBody = {
-        filterGroups: [
-          {
-            filters: [
-              {
-                propertyName: 'hs_is_target_account',
-                operator: 'EQ',
-                value: 'true'
-              }
-            ]
-          }
-        ],
-        properties: ['name', 'last_linkedin_scrape'],
-        limit: 100
-      };
-      
-      if (after) {
-        requestBody.after = after;
-      }
-      
-      const response = await axios.post(
-        `${HUBSPOT_BASE_URL}/crm/v3/objects/companies/search`,
-        requestBody,
+    const allCompanies = await hubspotClientService.searchAll('companies', {
+      filterGroups: [
         {
-          headers: {
-            'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
+          filters: [
+            {
+              propertyName: 'hs_is_target_account',
+              operator: 'EQ',
+              value: 'true'
+            }
+          ]
         }
-      );
-
-      const companies = response.data.results || [];
-      allCompanies = allCompanies.concat(companies);
-      
-      after = response.data.paging?.next?.after;
-      hasMore = !!after && companies.length > 0;
-      
-      console.log(`  ✓ Obtenidas ${allCompanies.length} empresas...`);
-    }
+      ],
+      properties: ['name', 'last_linkedin_scrape']
+    });
+    
+    console.log(`  ✓ Obtenidas ${allCompanies.length} empresas...`);
     
     return allCompanies.map(company => ({
       id: company.id,
@@ -138,8 +95,8 @@ const getAllCompanies = async () => {
 const main = async () => {
   try {
     // Verificar configuración
-    if (!HUBSPOT_API_KEY) {
-      console.error('❌ Error: HUBSPOT_API_KEY no está configurado en .env');
+    if (!hubspotClientService.isConfigured()) {
+      console.error('❌ Error: HUBSPOT_TOKEN (o HUBSPOT_API_KEY) no está configurado en .env');
       process.exit(1);
     }
 
@@ -157,32 +114,8 @@ const main = async () => {
     console.log(`\n📋 Total de empresas encontradas: ${companies.length}\n`);
     console.log('🔄 Iniciando actualización...\n');
 
-    // Resetear cada empresa
-    let successCount = 0;
-    let errorCount = 0;
-    const batchSize = 10; // Procesar en lotes para no sobrecargar la API
-
-    for (let i = 0; i < companies.length; i += batchSize) {
-      const batch = companies.slice(i, i + batchSize);
-      
-      const promises = batch.map(async (company) => {
-        const success = await resetCompanyScrape(company.id, company.name);
-        if (success) {
-          successCount++;
-          console.log(`  ✓ ${company.name} (${company.id})`);
-        } else {
-          errorCount++;
-        }
-        return success;
-      });
-
-      await Promise.all(promises);
-
-      // Pequeño delay entre lotes para no sobrecargar la API
-      if (i + batchSize < companies.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
+    // Resetear todas las empresas en lotes (el cliente respeta los límites de HubSpot)
+    const { successCount, errorCount } = await resetCompaniesScrape(companies);
 
     // Resumen
     console.log('\n' + '='.repeat(50));
@@ -209,5 +142,5 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main, resetCompanyScrape, getAllCompanies };
+module.exports = { main, resetCompanyScrape, resetCompaniesScrape, getAllCompanies };
 
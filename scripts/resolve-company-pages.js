@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Script para vincular las empresas del segmento de HubSpot con su página de empresa en LinkedIn
+ * Uso: node scripts/resolve-company-pages.js [--force] [--limit=N] [--dry-run]
+ *   --force    Volver a resolver empresas ya vinculadas o marcadas para revisión
+ *   --limit=N  Resolver como máximo N empresas (cada empresa consume vistas del límite diario)
+ *   --dry-run  No escribir los resultados en HubSpot
+ */
+
+require('dotenv').config();
+const companyResolverService = require('../services/companyResolverService');
+const linkedinService = require('../services/linkedinService');
+
+const parseArgs = (args) => {
+  const limitArg = args.find(arg => arg.startsWith('--limit='));
+  return {
+    force: args.includes('--force'),
+    limit: limitArg ? parseInt(limitArg.split('=')[1], 10) : null,
+    writeBack: !args.includes('--dry-run')
+  };
+};
+
+/**
+ * Función principal
+ */
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    const summary = await companyResolverService.resolveSegmentCompanies(options);
+
+    // Resumen
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 RESUMEN');
+    console.log('='.repeat(50));
+    console.log(`Total de empresas: ${summary.total}`);
+    console.log(`✅ Vinculadas: ${summary.matched}`);
+    console.log(`⚠️  Ambiguas (revisar en HubSpot): ${summary.ambiguous}`);
+    console.log(`❌ Sin página: ${summary.notFound}`);
+    console.log(`✗ Errores: ${summary.failed}`);
+    console.log('='.repeat(50));
+    if (!options.writeBack) {
+      console.log('ℹ️  --dry-run: no se escribió nada en HubSpot');
+    }
+  } catch (error) {
+    console.error('\n❌ Error fatal:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await linkedinService.closeSharedBrowser();
+  }
+};
+
+// Ejecutar si se llama directamente
+if (require.main === module) {
+  main().then(() => process.exit());
+}
+
+module.exports = { main };
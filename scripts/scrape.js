@@ -2,9 +2,9 @@ require('dotenv').config();
 const scrapeService = require('../services/scrapeService');
 const cron = require('node-cron');
 
-const runScraping = async () => {
+const runScraping = async (trigger = 'script') => {
   try {
-    const result = await scrapeService.startScraping();
+    const result = await scrapeService.startScraping({ trigger });
     
     // Verificar si el resultado indica que se requiere verificación
     if (result && result.requiresVerification) {
@@ -29,12 +29,12 @@ const scheduleScraping = () => {
   
   cron.schedule('0 9 * * *', async () => {
     console.log('Running daily scraping check...');
-    await runScraping();
+    await runScraping('cron');
   });
   
   console.log('Scheduler started. Scraping check will run daily at 9:00 AM.');
   console.log('Running initial scraping...');
-  runScraping();
+  runScraping('cron');
 };
 
 const mode = process.argv[2];
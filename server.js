@@ -30,7 +30,10 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       scrape: '/api/scrape',
-      companies: '/api/companies'
+      companies: '/api/companies',
+      runs: '/api/runs',
+      feedback: '/api/feedback',
+      leads: '/api/leads'
     }
   });
 });
@@ -38,18 +41,73 @@ app.get('/', (req, res) => {
 const authRoutes = require('./routes/auth');
 const scrapeRoutes = require('./routes/scrape');
 const companiesRoutes = require('./routes/companies');
+const runsRoutes = require('./routes/runs');
+const feedbackRoutes = require('./routes/feedback');
+const leadsRoutes = require('./routes/leads');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/scrape', scrapeRoutes);
 app.use('/api/companies', companiesRoutes);
+app.use('/api/runs', runsRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/leads', leadsRoutes);
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, '0.0.0.0', () => {
+app.listen(PORT, '0.0.0.0', async () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log('');
   
+  // Validar el mapeo de campos y el enrutado de HubSpot solo si algún destino escribe en HubSpot
+  // (un despliegue solo con ClickUp o exportación arranca aunque HubSpot no responda)
+  const sinkService = require('./services/sinkService');
+  let sinkNames = [];
+  try {
+    sinkNames = sinkService.resolveSinkNames();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (sinkNames.some(name => name.startsWith('hubspot_'))) {
+    const hubspotService = require('./services/hubspotService');
+    
+    try {
+      // Mapeo de campos (config/hubspotFieldMapping.js)
+      const mappingCheck = await hubspotService.validateFieldMapping();
+      
+      if (!mappingCheck.valid) {
+        console.error('❌ Invalid HubSpot field mapping:');
+        mappingCheck.errors.forEach(error => console.error(`   - ${error}`));
+        process.exit(1);
+      }
+      
+      if (mappingCheck.verified) {
+        console.log('✅ HubSpot field mapping validated');
+      } else {
+        console.log(`⚠️  HubSpot field mapping not verified: ${mappingCheck.warning}`);
+      }
+      
+      // Reglas de enrutado de deals (config/dealRoutingRules.js)
+      const routingCheck = await hubspotService.validateDealRouting();
+      
+      if (!routingCheck.valid) {
+        console.error('❌ Invalid deal routing rules:');
+        routingCheck.errors.forEach(error => console.error(`   - ${error}`));
+        process.exit(1);
+      }
+      
+      routingCheck.warnings.forEach(warning => console.log(`⚠️  Deal routing: ${warning}`));
+      if (routingCheck.verified && routingCheck.warnings.length === 0) {
+        console.log('✅ Deal routing rules validated');
+      }
+    } catch (error) {
+      console.log(`⚠️  HubSpot configuration not verified: ${error.message}`);
+    }
+    console.log('');
+  }
+  
   // Verificar cookie
   const LINKEDIN_LI_AT = process.env.LINKEDIN_LI_AT;
   
@@ -74,7 +132,7 @@ app.listen(PORT, '0.0.0.0', () => {
   // Iniciar scraping automáticamente
   const scrapeService = require('./services/scrapeService');
   
-  scrapeService.startScraping()
+  scrapeService.startScraping({ trigger: 'server' })
     .then((result) => {
       if (result && result.requiresVerification) {
         console.log('⚠️  Verification required!');
@@ -0,0 +1,191 @@
+/**
+ * CLICKUP FEEDBACK LAYER
+ * Lee el estado y los campos personalizados de cada tarea de la lista de resultados de ClickUp,
+ * suprime los perfiles que un SDR rechazó ("not relevant", "wrong person") y cuenta el feedback por cargo
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+const clickupService = require('./clickupService');
+const profileUrlService = require('./profileUrlService');
+
+// Otro fichero con CLICKUP_FEEDBACK_FILE (p. ej. en los tests)
+const FEEDBACK_FILE = process.env.CLICKUP_FEEDBACK_FILE || path.join(__dirname, '../data/clickup-feedback.json');
+
+// Estados (o valores del campo de feedback) que descartan un perfil para siempre
+const REJECTED_STATUSES = (process.env.CLICKUP_REJECTED_STATUSES || 'not relevant,wrong person')
+  .split(',')
+  .map(status => status.trim().toLowerCase())
+  .filter(Boolean);
+// Campo desplegable opcional con el feedback del SDR (alternativa al estado de la tarea)
+const FEEDBACK_FIELD = (process.env.CLICKUP_FEEDBACK_FIELD || 'Feedback').toLowerCase();
+// Sin CLICKUP_FEEDBACK_SYNC=false los runs sincronizan antes de empezar (si hay lista de resultados)
+const FEEDBACK_SYNC_ENABLED = process.env.CLICKUP_FEEDBACK_SYNC !== 'false' && !!process.env.CLICKUP_RESULTS_ID;
+
+// { syncedAt, profiles: { [canonicalProfileUrl]: { taskId, status, feedback, rejected, jobTitle, company, updatedAt } } }
+let feedbackState = null;
+
+const loadFeedback = async () => {
+  if (feedbackState) return feedbackState;
+
+  try {
+    feedbackState = JSON.parse(await fs.readFile(FEEDBACK_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading ClickUp feedback:', error.message);
+    }
+    feedbackState = { syncedAt: null, profiles: {} };
+  }
+  return feedbackState;
+};
+
+const saveFeedback = async () => {
+  try {
+    await fs.mkdir(path.dirname(FEEDBACK_FILE), { recursive: true });
+    await fs.writeFile(FEEDBACK_FILE, JSON.stringify(feedbackState, null, 2));
+  } catch (error) {
+    console.error('Error saving ClickUp feedback:', error.message);
+  }
+};
+
+const normalizeText = (text) => String(text || '').trim().toLowerCase();
+
+// Valor legible de un campo personalizado (los desplegables guardan el índice o el ID de la opción)
+const fieldValue = (field) => {
+  if (field.value === undefined || field.value === null || field.value === '') return null;
+  if (field.type === 'drop_down') {
+    const options = field.type_config?.options || [];
+    const option = options.find(candidate => candidate.id === field.value || candidate.orderindex === Number(field.value));
+    return option ? option.name : null;
+  }
+  return typeof field.value === 'object' ? JSON.stringify(field.value) : String(field.value);
+};
+
+// "Cargo buscado: CFO" / "Empresa buscada: Bimbo" en la descripción de createPersonResult
+const descriptionValue = (description, label) => {
+  const match = String(description || '').match(new RegExp(`${label}:\\*{0,2}\\s*(.+)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Feedback de una tarea de resultados
+ * @returns {Object|null} { profileUrl, entry } o null si la tarea no enlaza un perfil
+ */
+const parseTask = (task) => {
+  const fields = {};
+  (task.custom_fields || []).forEach(field => {
+    fields[normalizeText(field.name)] = { type: field.type, value: fieldValue(field) };
+  });
+
+  // URL del perfil: campo LinkedIn URL o, en tareas anteriores a los campos, el enlace de la descripción
+  const personFields = clickupService.readPersonFields(task);
+  const profileUrl = profileUrlService.canonicalProfileUrl(personFields.linkedinUrl) ||
+    profileUrlService.findProfileUrls(task.description || task.text_content)[0];
+  if (!profileUrl) return null;
+
+  const status = normalizeText(task.status?.status);
+  const feedback = fields[FEEDBACK_FIELD] ? normalizeText(fields[FEEDBACK_FIELD].value) || null : null;
+
+  return {
+    profileUrl,
+    entry: {
+      taskId: task.id,
+      status,
+      feedback,
+      rejected: REJECTED_STATUSES.includes(status) || REJECTED_STATUSES.includes(feedback),
+      jobTitle: personFields.jobTitle || descriptionValue(task.description, 'Cargo buscado'),
+      company: descriptionValue(task.description, 'Empresa buscada') || personFields.company,
+      updatedAt: task.date_updated ? new Date(Number(task.date_updated)).toISOString() : null
+    }
+  };
+};
+
+/**
+ * Lee la lista de resultados de ClickUp y guarda el feedback de cada perfil
+ * Un perfil rechazado sigue suprimido aunque su tarea se borre de ClickUp
+ * @returns {Promise<Object>} { syncedAt, tasks, profiles, rejected }
+ */
+const syncFeedback = async () => {
+  const tasks = await clickupService.getResultTasks();
+  const previous = await loadFeedback();
+
+  const profiles = {};
+  tasks.map(parseTask).filter(Boolean).forEach(({ profileUrl, entry }) => {
+    // Varias tareas del mismo perfil: basta con que una lo rechace
+    const existing = profiles[profileUrl];
+    profiles[profileUrl] = existing && existing.rejected ? existing : entry;
+  });
+  Object.entries(previous.profiles)
+    .filter(([profileUrl, entry]) => entry.rejected && !profiles[profileUrl])
+    .forEach(([profileUrl, entry]) => { profiles[profileUrl] = entry; });
+
+  feedbackState = { syncedAt: new Date().toISOString(), profiles };
+  await saveFeedback();
+
+  const rejected = Object.values(profiles).filter(entry => entry.rejected).length;
+  console.log(`🔄 ClickUp feedback synced: ${tasks.length} tasks, ${rejected} rejected profiles suppressed`);
+  return { syncedAt: feedbackState.syncedAt, tasks: tasks.length, profiles: Object.keys(profiles).length, rejected };
+};
+
+/**
+ * Sincroniza antes de un run si la lista de resultados está configurada; si ClickUp falla se usa la última sincronización
+ */
+const syncBeforeRun = async () => {
+  if (!FEEDBACK_SYNC_ENABLED) return null;
+
+  try {
+    return await syncFeedback();
+  } catch (error) {
+    console.warn(`⚠️  ClickUp feedback not synced, using last sync: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * URLs canónicas de los perfiles rechazados en ClickUp
+ * @returns {Promise<Set<string>>}
+ */
+const getSuppressedProfiles = async () => {
+  const state = await loadFeedback();
+  return new Set(Object.keys(state.profiles).filter(profileUrl => state.profiles[profileUrl].rejected));
+};
+
+/**
+ * Conteo del feedback por cargo buscado, primero los de mayor tasa de rechazo
+ * @returns {Promise<Object>} { syncedAt, totals, jobTitles: [{ jobTitle, total, rejected, rejectionRate, byStatus }] }
+ */
+const getFeedbackByJobTitle = async () => {
+  const state = await loadFeedback();
+  const byTitle = new Map();
+  const totals = { total: 0, rejected: 0 };
+
+  for (const entry of Object.values(state.profiles)) {
+    const key = normalizeText(entry.jobTitle) || '(unknown)';
+    if (!byTitle.has(key)) {
+      byTitle.set(key, { jobTitle: entry.jobTitle || '(unknown)', total: 0, rejected: 0, rejectionRate: 0, byStatus: {} });
+    }
+    const counts = byTitle.get(key);
+    counts.total++;
+    counts.byStatus[entry.status || 'unknown'] = (counts.byStatus[entry.status || 'unknown'] || 0) + 1;
+    totals.total++;
+    if (entry.rejected) {
+      counts.rejected++;
+      totals.rejected++;
+    }
+  }
+
+  const jobTitles = [...byTitle.values()]
+    .map(counts => ({ ...counts, rejectionRate: Math.round((counts.rejected / counts.total) * 100) / 100 }))
+    .sort((a, b) => b.rejectionRate - a.rejectionRate || b.total - a.total);
+
+  return { syncedAt: state.syncedAt, totals, jobTitles };
+};
+
+module.exports = {
+  syncFeedback,
+  syncBeforeRun,
+  getSuppressedProfiles,
+  getFeedbackByJobTitle
+};
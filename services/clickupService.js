@@ -1,10 +1,33 @@
 const axios = require('axios');
+const profileUrlService = require('./profileUrlService');
 
 const CLICKUP_API_TOKEN = process.env.CLICKUP_API_TOKEN;
 const CLICKUP_LIST_ID = process.env.CLICKUP_LIST_ID || '901708880354';
 const CLICKUP_RESULTS_ID = process.env.CLICKUP_RESULTS_ID;
 const CLICKUP_BASE_URL = 'https://api.clickup.com/api/v2';
 
+// Campos personalizados de las listas de resultados (nombre en ClickUp y tipos aceptados)
+// Los obligatorios deben existir en cada lista donde se guardan perfiles; sin ellos el setup falla
+const PERSON_FIELDS = {
+  linkedinUrl: { name: process.env.CLICKUP_FIELD_LINKEDIN_URL || 'LinkedIn URL', types: ['url', 'short_text', 'text'], required: true },
+  company: { name: process.env.CLICKUP_FIELD_COMPANY || 'Company', types: ['short_text', 'text'], required: true },
+  location: { name: process.env.CLICKUP_FIELD_LOCATION || 'Location', types: ['short_text', 'text'], required: true },
+  matchScore: { name: process.env.CLICKUP_FIELD_MATCH_SCORE || 'Match Score', types: ['number', 'short_text', 'text'], required: false },
+  hubspotDealId: { name: process.env.CLICKUP_FIELD_HUBSPOT_DEAL_ID || 'HubSpot Deal ID', types: ['short_text', 'text', 'number'], required: false },
+  jobTitle: { name: process.env.CLICKUP_FIELD_JOB_TITLE || 'Job Title', types: ['short_text', 'text'], required: false }
+};
+
+const headers = () => ({
+  'Authorization': CLICKUP_API_TOKEN,
+  'Content-Type': 'application/json'
+});
+
+// listId -> Promise<{ [key]: field }> (se consulta una vez por proceso)
+const listFields = new Map();
+
+// listId -> Promise<Map<URL canónica, tareas>> de las tareas con la URL del perfil solo en la descripción
+const legacyTasks = new Map();
+
 const getJobTitles = async () => {
   try {
     const response = await axios.get(
@@ -32,28 +55,119 @@ const getJobTitles = async () => {
   }
 };
 
-const createPersonTask = async (person, jobTitleId, companyName, jobTitle) => {
+/**
+ * Discover the custom fields of a list and map them to PERSON_FIELDS
+ * @param {string} listId - ID de la lista de ClickUp
+ * @returns {Promise<Object>} { linkedinUrl: { id, name, type }, ... } solo los campos encontrados
+ * @throws Si falta un campo obligatorio o tiene un tipo no soportado
+ */
+const getListFields = async (listId) => {
+  if (!listFields.has(listId)) {
+    const loading = (async () => {
+      let fields;
+      try {
+        const response = await axios.get(`${CLICKUP_BASE_URL}/list/${listId}/field`, { headers: headers() });
+        fields = response.data.fields || [];
+      } catch (error) {
+        throw new Error(`Failed to fetch custom fields of ClickUp list ${listId}: ${error.message}`);
+      }
+
+      const mapped = {};
+      const errors = [];
+      for (const [key, definition] of Object.entries(PERSON_FIELDS)) {
+        const field = fields.find(candidate => candidate.name.trim().toLowerCase() === definition.name.toLowerCase());
+        if (!field) {
+          if (definition.required) errors.push(`missing field "${definition.name}"`);
+          continue;
+        }
+        if (!definition.types.includes(field.type)) {
+          errors.push(`field "${definition.name}" is ${field.type} (expected ${definition.types.join(' or ')})`);
+          continue;
+        }
+        mapped[key] = { id: field.id, name: field.name, type: field.type };
+      }
+
+      if (errors.length > 0) {
+        throw new Error(`ClickUp list ${listId} is not set up: ${errors.join('; ')}`);
+      }
+      return mapped;
+    })();
+    // Un error no se guarda: el siguiente intento vuelve a consultar la lista
+    loading.catch(() => listFields.delete(listId));
+    listFields.set(listId, loading);
+  }
+  return listFields.get(listId);
+};
+
+/**
+ * Check the custom fields of the job titles list and, if configured, the results list
+ * @returns {Promise<Object>} { [listId]: { fields, missingOptional } }
+ * @throws Si falta algún campo obligatorio
+ */
+const setupCustomFields = async () => {
+  const lists = [CLICKUP_LIST_ID, CLICKUP_RESULTS_ID].filter(Boolean);
+  const setup = {};
+
+  for (const listId of lists) {
+    const fields = await getListFields(listId);
+    const missingOptional = Object.keys(PERSON_FIELDS)
+      .filter(key => !PERSON_FIELDS[key].required && !fields[key])
+      .map(key => PERSON_FIELDS[key].name);
+    if (missingOptional.length > 0) {
+      console.warn(`⚠️  ClickUp list ${listId} has no ${missingOptional.join(', ')} field (not written)`);
+    }
+    setup[listId] = { fields: Object.keys(fields), missingOptional };
+  }
+
+  return setup;
+};
+
+const toFieldValue = (field, value) => {
+  return field.type === 'number' ? Number(value) : String(value);
+};
+
+/**
+ * Custom field values of a person ([{ id, value }] for the task body)
+ * @param {Object} fields - Campos de la lista (getListFields)
+ * @param {Object} values - { linkedinUrl, company, location, matchScore, hubspotDealId, jobTitle }
+ */
+const buildCustomFields = (fields, values) => {
+  return Object.entries(values)
+    .filter(([key, value]) => fields[key] && value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ({ id: fields[key].id, value: toFieldValue(fields[key], value) }));
+};
+
+/**
+ * Values of the person custom fields of a task (por nombre, sin consultar la lista)
+ * @returns {Object} { linkedinUrl, company, location, matchScore, hubspotDealId, jobTitle } (null si no está)
+ */
+const readPersonFields = (task) => {
+  const values = {};
+  for (const [key, definition] of Object.entries(PERSON_FIELDS)) {
+    const field = (task.custom_fields || []).find(candidate => candidate.name.trim().toLowerCase() === definition.name.toLowerCase());
+    values[key] = field && field.value !== undefined && field.value !== null && field.value !== '' ? String(field.value) : null;
+  }
+  return values;
+};
+
+// Solo el contexto de la búsqueda: los datos del perfil van en los campos personalizados
+const searchDescription = (companyName, jobTitle) => `Cargo buscado: ${jobTitle}\nEmpresa buscada: ${companyName}`;
+
+/**
+ * Create a person task as a subtask of its job title
+ * @param {Object} person - {name, title, company, location, profileUrl}
+ * @param {Object} details - { matchScore, hubspotDealId } (opcionales)
+ */
+const createPersonTask = async (person, jobTitleId, companyName, jobTitle, details = {}) => {
   try {
+    const fields = await getListFields(CLICKUP_LIST_ID);
     const taskName = `${person.name} - ${jobTitle}`;
-    
-    const description = `
-**Perfil de LinkedIn**
-- **Nombre:** ${person.name}
-- **Cargo:** ${person.title || 'N/A'}
-- **Empresa:** ${companyName}
-- **Ubicación:** ${person.location || 'N/A'}
-- **Link:** ${person.profileUrl}
-
-**Información de búsqueda:**
-- Cargo buscado: ${jobTitle}
-- Empresa buscada: ${companyName}
-    `.trim();
 
     const response = await axios.post(
       `${CLICKUP_BASE_URL}/list/${CLICKUP_LIST_ID}/task`,
       {
         name: taskName,
-        description: description,
+        description: searchDescription(companyName, jobTitle),
         status: 'to do',
         priority: null,
         due_date: null,
@@ -63,14 +177,17 @@ const createPersonTask = async (person, jobTitleId, companyName, jobTitle) => {
         start_date: null,
         start_date_time: false,
         notify_all: false,
-        check_required_custom_fields: false
+        check_required_custom_fields: false,
+        custom_fields: buildCustomFields(fields, {
+          linkedinUrl: profileUrlService.canonicalProfileUrl(person.profileUrl) || person.profileUrl,
+          company: person.company || companyName,
+          location: person.location,
+          matchScore: details.matchScore,
+          hubspotDealId: details.hubspotDealId,
+          jobTitle
+        })
       },
-      {
-        headers: {
-          'Authorization': CLICKUP_API_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
+      { headers: headers() }
     );
 
     return response.data;
@@ -86,33 +203,22 @@ const createPersonTask = async (person, jobTitleId, companyName, jobTitle) => {
 
 /**
  * Create a person task in the results list (no parent, no organization by job title)
+ * @param {Object} details - { matchScore, hubspotDealId } (opcionales)
  */
-const createPersonResult = async (person, companyName, jobTitle) => {
+const createPersonResult = async (person, companyName, jobTitle, details = {}) => {
   try {
     if (!CLICKUP_RESULTS_ID) {
       throw new Error('CLICKUP_RESULTS_ID not configured in .env');
     }
 
+    const fields = await getListFields(CLICKUP_RESULTS_ID);
     const taskName = `${person.name}${person.title ? ` - ${person.title}` : ''}`;
-    
-    const description = `
-**Perfil de LinkedIn**
-- **Nombre:** ${person.name}
-- **Cargo:** ${person.title || 'N/A'}
-- **Empresa actual:** ${person.company || companyName}
-- **Ubicación:** ${person.location || 'N/A'}
-- **Link:** ${person.profileUrl}
-
-**Información de búsqueda:**
-- Cargo buscado: ${jobTitle}
-- Empresa buscada: ${companyName}
-    `.trim();
 
     const response = await axios.post(
       `${CLICKUP_BASE_URL}/list/${CLICKUP_RESULTS_ID}/task`,
       {
         name: taskName,
-        description: description,
+        description: searchDescription(companyName, jobTitle),
         status: 'to do',
         priority: null,
         due_date: null,
@@ -122,14 +228,17 @@ const createPersonResult = async (person, companyName, jobTitle) => {
         start_date: null,
         start_date_time: false,
         notify_all: false,
-        check_required_custom_fields: false
+        check_required_custom_fields: false,
+        custom_fields: buildCustomFields(fields, {
+          linkedinUrl: profileUrlService.canonicalProfileUrl(person.profileUrl) || person.profileUrl,
+          company: person.company || companyName,
+          location: person.location,
+          matchScore: details.matchScore,
+          hubspotDealId: details.hubspotDealId,
+          jobTitle
+        })
       },
-      {
-        headers: {
-          'Authorization': CLICKUP_API_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
+      { headers: headers() }
     );
 
     return response.data;
@@ -144,98 +253,160 @@ const createPersonResult = async (person, companyName, jobTitle) => {
 };
 
 /**
- * Check if a person already exists in the results list
+ * Tasks created before the LinkedIn URL field, indexed by the profile URLs of their description
+ * Ya no se crean tareas así: se leen una vez por proceso (páginas de 100 tareas)
  */
-const checkPersonExistsInResults = async (personUrl) => {
-  try {
-    if (!CLICKUP_RESULTS_ID) {
-      // If results list not configured, skip check
-      return false;
-    }
+const getLegacyTasks = async (listId) => {
+  if (!legacyTasks.has(listId)) {
+    const loading = (async () => {
+      const index = new Map();
+      let page = 0;
+      let lastPage = false;
 
+      while (!lastPage) {
+        const response = await axios.get(
+          `${CLICKUP_BASE_URL}/list/${listId}/task`,
+          {
+            headers: headers(),
+            params: {
+              archived: false,
+              include_closed: true,
+              subtasks: true,
+              include_markdown_description: true,
+              page
+            }
+          }
+        );
+
+        const pageTasks = response.data.tasks || [];
+        for (const task of pageTasks) {
+          if (readPersonFields(task).linkedinUrl) continue;
+          for (const profileUrl of profileUrlService.findProfileUrls(task.description || task.text_content)) {
+            index.set(profileUrl, [...(index.get(profileUrl) || []), { id: task.id, parent: task.parent || null }]);
+          }
+        }
+        lastPage = response.data.last_page !== false || pageTasks.length === 0;
+        page++;
+      }
+
+      return index;
+    })();
+    // Un error no se guarda: el siguiente intento vuelve a leer la lista
+    loading.catch(() => legacyTasks.delete(listId));
+    legacyTasks.set(listId, loading);
+  }
+  return legacyTasks.get(listId);
+};
+
+/**
+ * Tasks of a list whose LinkedIn URL field is the given profile
+ * Las tareas anteriores al campo se buscan por la URL de su descripción
+ * @param {Object} params - Parámetros adicionales de la consulta (p. ej. subtasks)
+ * @throws Si ClickUp no responde (sin saber si ya existe no se debe crear la tarea)
+ */
+const findTasksByProfileUrl = async (listId, personUrl, params = {}) => {
+  const profileUrl = profileUrlService.canonicalProfileUrl(personUrl) || personUrl;
+
+  try {
+    const fields = await getListFields(listId);
     const response = await axios.get(
-      `${CLICKUP_BASE_URL}/list/${CLICKUP_RESULTS_ID}/task`,
+      `${CLICKUP_BASE_URL}/list/${listId}/task`,
       {
-        headers: {
-          'Authorization': CLICKUP_API_TOKEN,
-          'Content-Type': 'application/json'
-        },
+        headers: headers(),
         params: {
           archived: false,
-          include_markdown_description: true
+          include_closed: true,
+          custom_fields: JSON.stringify([{ field_id: fields.linkedinUrl.id, operator: '=', value: profileUrl }]),
+          ...params
         }
       }
     );
 
     const tasks = response.data.tasks || [];
-    
-    // Buscar en todas las tareas de la lista de resultados
-    for (const task of tasks) {
-      const description = task.description || '';
-      if (description.includes(personUrl)) {
-        return true;
-      }
+    if (tasks.length > 0) {
+      return tasks;
     }
-    
-    return false;
+    return (await getLegacyTasks(listId)).get(profileUrl) || [];
   } catch (error) {
-    console.error('Error checking if person exists in results:', error.message);
+    throw new Error(`ClickUp duplicate check failed, retry later: ${error.message}`);
+  }
+};
+
+/**
+ * Check if a person already exists in the results list (campo LinkedIn URL o descripción)
+ * @throws Si ClickUp no responde
+ */
+const checkPersonExistsInResults = async (personUrl) => {
+  if (!CLICKUP_RESULTS_ID) {
+    // If results list not configured, skip check
     return false;
   }
+
+  const tasks = await findTasksByProfileUrl(CLICKUP_RESULTS_ID, personUrl);
+  return tasks.length > 0;
 };
 
+/**
+ * Check if a person already exists in the results list or under the job title
+ * @throws Si ClickUp no responde
+ */
 const checkPersonExists = async (personUrl, jobTitleId) => {
-  try {
-    // Primero verificar en la lista de resultados
-    const existsInResults = await checkPersonExistsInResults(personUrl);
-    if (existsInResults) {
-      return true;
-    }
+  // Primero verificar en la lista de resultados
+  const existsInResults = await checkPersonExistsInResults(personUrl);
+  if (existsInResults) {
+    return true;
+  }
 
-    // También verificar en la lista original (por si acaso)
-    const response = await axios.get(
-      `${CLICKUP_BASE_URL}/list/${CLICKUP_LIST_ID}/task`,
-      {
-        headers: {
-          'Authorization': CLICKUP_API_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          archived: false,
-          subtasks: true,
-          include_markdown_description: true
-        }
-      }
-    );
+  // También verificar en la lista original: el cargo buscado o sus subtareas
+  const tasks = await findTasksByProfileUrl(CLICKUP_LIST_ID, personUrl, { subtasks: true });
+  return tasks.some(task => task.id === jobTitleId || task.parent === jobTitleId || task.parent?.id === jobTitleId);
+};
 
-    const tasks = response.data.tasks || [];
-    
-    // Buscar en todas las tareas y sus subtareas
-    for (const task of tasks) {
-      // Verificar si es subtarea del cargo buscado
-      if (task.parent?.id === jobTitleId || task.id === jobTitleId) {
-        // Verificar en la descripción de esta tarea
-        const description = task.description || '';
-        if (description.includes(personUrl)) {
-          return true;
-        }
-        
-        // Si esta tarea tiene subtareas, verificar también
-        if (task.subtasks && task.subtasks.length > 0) {
-          for (const subtask of task.subtasks) {
-            const subtaskDesc = subtask.description || '';
-            if (subtaskDesc.includes(personUrl)) {
-              return true;
-            }
+/**
+ * Every task of the results list, including closed ones (páginas de 100 tareas)
+ * @returns {Promise<Array>} Tareas con estado, campos personalizados y descripción
+ */
+const getResultTasks = async () => {
+  if (!CLICKUP_RESULTS_ID) {
+    throw new Error('CLICKUP_RESULTS_ID not configured in .env');
+  }
+
+  try {
+    const tasks = [];
+    let page = 0;
+    let lastPage = false;
+
+    while (!lastPage) {
+      const response = await axios.get(
+        `${CLICKUP_BASE_URL}/list/${CLICKUP_RESULTS_ID}/task`,
+        {
+          headers: {
+            'Authorization': CLICKUP_API_TOKEN,
+            'Content-Type': 'application/json'
+          },
+          params: {
+            archived: false,
+            include_closed: true,
+            include_markdown_description: true,
+            page
           }
         }
-      }
+      );
+
+      const pageTasks = response.data.tasks || [];
+      tasks.push(...pageTasks);
+      lastPage = response.data.last_page !== false || pageTasks.length === 0;
+      page++;
     }
-    
-    return false;
+
+    return tasks;
   } catch (error) {
-    console.error('Error checking if person exists:', error.message);
-    return false;
+    console.error('=== ClickUp Get Results Error ===');
+    console.error('Status:', error.response?.status);
+    console.error('Response Data:', JSON.stringify(error.response?.data, null, 2));
+    console.error('Error Message:', error.message);
+    console.error('=================================');
+    throw new Error(`Failed to fetch results from ClickUp: ${error.message}`);
   }
 };
 
@@ -244,6 +415,9 @@ module.exports = {
   createPersonTask,
   createPersonResult, // Nueva función para guardar en lista de resultados
   checkPersonExists,
-  checkPersonExistsInResults
+  checkPersonExistsInResults,
+  getResultTasks,
+  setupCustomFields,
+  readPersonFields
 };
 
@@ -0,0 +1,228 @@
+/**
+ * COMPANY IDENTITY LAYER
+ * Normaliza nombres de empresa (sufijos societarios, alias, página de empresa de LinkedIn) y
+ * calcula la confianza de que la empresa de un perfil sea la empresa buscada
+ */
+
+// Confianza mínima para aceptar que el perfil trabaja en la empresa buscada
+const MIN_CONFIDENCE = parseFloat(process.env.COMPANY_MATCH_MIN_CONFIDENCE || '0.6');
+
+// Sufijos societarios, ya normalizados ("S.A.P.I. de C.V." -> "sapi de cv")
+const LEGAL_SUFFIXES = [
+  'sab de cv', 'sapi de cv', 'sa de cv', 's de rl de cv', 's en c de cv', 'sc de rl de cv', 'de cv',
+  's de rl', 'sa de capital variable', 'sociedad anonima', 'sab', 'sapi', 'sa', 'sas', 'sc', 'srl', 'spa',
+  'ltda', 'ltd', 'limited', 'inc', 'incorporated', 'llc', 'llp', 'lp', 'plc', 'gmbh', 'ag', 'bv', 'nv', 'cv'
+].map(suffix => suffix.split(' ')).sort((a, b) => b.length - a.length);
+
+// Palabras que no identifican a una empresa por sí solas ("Banco", "Grupo", "Servicios")
+const GENERIC_WORDS = [
+  'grupo', 'group', 'corporativo', 'corporacion', 'corporation', 'corp', 'compania', 'company', 'cia', 'co',
+  'holding', 'holdings', 'international', 'internacional', 'industrias', 'industries', 'servicios', 'services',
+  'banco', 'bank', 'seguros', 'insurance', 'financiero', 'financiera', 'financial', 'consultores', 'consulting',
+  'soluciones', 'solutions', 'mexico', 'mexicana', 'mexicano', 'latam', 'latinoamerica', 'global',
+  'de', 'del', 'la', 'el', 'los', 'las', 'y', 'e', 'and', 'the', 'of'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// "Grupo Bimbo, S.A.B. de C.V." -> "grupo bimbo sab de cv"
+const normalizeText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' y ')
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normaliza el nombre de una empresa y quita los sufijos societarios finales
+ * @param {string} name - "Grupo Bimbo, S.A.B. de C.V."
+ * @returns {string} "grupo bimbo"
+ */
+const normalizeCompanyName = (name) => {
+  const words = normalizeText(name).split(' ').filter(Boolean);
+
+  let stripped = true;
+  while (stripped && words.length > 1) {
+    stripped = false;
+    for (const suffix of LEGAL_SUFFIXES) {
+      if (suffix.length >= words.length) continue;
+      const tail = words.slice(words.length - suffix.length);
+      if (tail.every((word, index) => word === suffix[index])) {
+        words.splice(words.length - suffix.length);
+        stripped = true;
+        break;
+      }
+    }
+  }
+
+  return words.join(' ');
+};
+
+// Palabras que distinguen a la empresa; si todas son genéricas se usan todas
+const coreWords = (normalized) => {
+  const words = normalized.split(' ').filter(Boolean);
+  const distinctive = words.filter(word => !GENERIC_WORDS.includes(word));
+  return distinctive.length > 0 ? distinctive : words;
+};
+
+// "https://www.linkedin.com/company/grupo-bimbo/about/" -> "grupo-bimbo"
+const companySlugFromUrl = (url) => {
+  const match = String(url || '').match(/linkedin\.com\/company\/([^/?#]+)/i) ||
+    String(url || '').match(/^\/company\/([^/?#]+)/i);
+  if (!match) return null;
+  return decodeURIComponent(match[1]).toLowerCase();
+};
+
+// "urn:li:fsd_company:12345" o "12345" -> "12345"
+const companyIdFromUrn = (urn) => {
+  const match = String(urn || '').match(/(?:^|:)(\d+)$/);
+  return match ? match[1] : null;
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value).split(/[;,\n]/).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Arma la identidad de una empresa buscada a partir de su registro de HubSpot
+ * @param {Object} company - { name, aliases, linkedinCompanyPage, linkedinCompanyId }
+ *   aliases puede ser una lista o el texto de HubSpot separado por comas / punto y coma
+ * @returns {Object} { name, names, slug, companyId }
+ */
+const buildIdentity = (company = {}) => {
+  const names = [company.name, ...toList(company.aliases)]
+    .map(name => ({ raw: name, normalized: normalizeCompanyName(name) }))
+    .filter((entry, index, all) => entry.normalized && all.findIndex(e => e.normalized === entry.normalized) === index);
+
+  const slug = companySlugFromUrl(company.linkedinCompanyPage);
+
+  return {
+    name: company.name || '',
+    names,
+    // Una página /company/12345 identifica por ID, no por slug
+    slug: slug && !/^\d+$/.test(slug) ? slug : null,
+    companyId: companyIdFromUrn(company.linkedinCompanyId) || (slug && /^\d+$/.test(slug) ? slug : null)
+  };
+};
+
+/**
+ * Puntúa la coincidencia de dos nombres de empresa
+ * @returns {Object} { score, method, matchedKeywords }
+ */
+const compareNames = (searched, found) => {
+  if (!searched || !found) return { score: 0, method: 'no_overlap', matchedKeywords: [] };
+  if (searched === found) return { score: 1, method: 'exact', matchedKeywords: [searched] };
+
+  const searchedWords = coreWords(searched);
+  const foundWords = coreWords(found);
+  const shared = searchedWords.filter(word => foundWords.includes(word));
+
+  if (shared.length === 0) {
+    return { score: 0, method: 'no_overlap', matchedKeywords: [] };
+  }
+  // Mismo nombre salvo palabras genéricas ("Grupo Bimbo" = "Bimbo México")
+  if (shared.length === searchedWords.length && shared.length === foundWords.length) {
+    return { score: 0.95, method: 'core_name', matchedKeywords: shared };
+  }
+  // Un nombre contiene al otro ("Bimbo" ~ "Bimbo Bakeries USA")
+  if (shared.length === Math.min(searchedWords.length, foundWords.length)) {
+    return { score: 0.8, method: 'contains', matchedKeywords: shared };
+  }
+
+  const union = new Set([...searchedWords, ...foundWords]).size;
+  return { score: round(shared.length / union), method: 'partial', matchedKeywords: shared };
+};
+
+/**
+ * Mejor puntuación contra el nombre de la empresa y sus alias
+ */
+const scoreName = (identity, companyText) => {
+  const found = normalizeCompanyName(companyText);
+  let best = { score: 0, method: 'no_overlap', matchedKeywords: [], matchedName: null };
+
+  identity.names.forEach((entry, index) => {
+    const result = compareNames(entry.normalized, found);
+    if (result.score > best.score) {
+      best = {
+        ...result,
+        // Las coincidencias exactas con un alias se reportan aparte del nombre principal
+        method: index > 0 && result.method === 'exact' ? 'alias' : result.method,
+        matchedName: entry.raw
+      };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Confianza de que un perfil trabaja en la empresa buscada
+ * @param {Object} person - Perfil extraído ({ company, companySlug, companyUrn })
+ * @param {Object} identity - Resultado de buildIdentity
+ * @returns {Object} { passed, method, matchedKeywords, expectedKeywords, score, threshold }
+ */
+const matchCompany = (person, identity) => {
+  const threshold = MIN_CONFIDENCE;
+  const personCompanyId = companyIdFromUrn(person.companyUrn);
+  const personSlug = person.companySlug ? String(person.companySlug).toLowerCase() : null;
+
+  // 1. Página de empresa de LinkedIn: el identificador más fiable
+  if (personCompanyId && identity.companyId) {
+    const passed = personCompanyId === identity.companyId;
+    return {
+      passed,
+      method: passed ? 'urn' : 'urn_mismatch',
+      matchedKeywords: passed ? [personCompanyId] : [],
+      expectedKeywords: [identity.companyId],
+      score: passed ? 1 : 0,
+      threshold
+    };
+  }
+  if (personSlug && identity.slug && personSlug === identity.slug) {
+    return { passed: true, method: 'slug', matchedKeywords: [personSlug], expectedKeywords: [identity.slug], score: 1, threshold };
+  }
+
+  if (!person.company) {
+    // Si no tenemos empresa extraída, confiar en que LinkedIn filtró correctamente
+    return { passed: true, method: 'assumed', matchedKeywords: [], score: 0.5, threshold };
+  }
+
+  // 2. Nombre y alias sin sufijos societarios
+  const nameResult = scoreName(identity, person.company);
+  // Un slug distinto resta confianza pero no descarta (filiales, páginas regionales)
+  const slugMismatch = !!(personSlug && identity.slug);
+  const score = slugMismatch ? round(nameResult.score * 0.5) : nameResult.score;
+
+  return {
+    passed: score >= threshold,
+    method: slugMismatch ? `${nameResult.method}_slug_mismatch` : nameResult.method,
+    matchedKeywords: nameResult.matchedKeywords,
+    expectedKeywords: identity.names.length > 0 ? coreWords(identity.names[0].normalized) : [],
+    matchedName: nameResult.matchedName,
+    score,
+    threshold
+  };
+};
+
+/**
+ * Puntúa un nombre de empresa pedido contra una empresa de HubSpot (resolución de empresas por nombre)
+ * @returns {number} Confianza entre 0 y 1
+ */
+const scoreCompanyName = (requestedName, company) => {
+  return scoreName(buildIdentity(company), requestedName).score;
+};
+
+module.exports = {
+  MIN_CONFIDENCE,
+  normalizeCompanyName,
+  companySlugFromUrl,
+  buildIdentity,
+  matchCompany,
+  scoreCompanyName
+};
@@ -0,0 +1,188 @@
+/**
+ * COMPANY RESOLVER LAYER
+ * Vincula una empresa de HubSpot (nombre + dominio) con su página de empresa de LinkedIn, extrae
+ * el ID de empresa, número de empleados, industria y sede, y los guarda en HubSpot.
+ * Las coincidencias dudosas se marcan como "ambiguous" para revisión manual.
+ */
+
+require('dotenv').config();
+
+const hubspotService = require('./hubspotService');
+const linkedinService = require('./linkedinService');
+const companyIdentityService = require('./companyIdentityService');
+
+// Páginas de empresa a revisar por búsqueda (cada una cuenta como una vista)
+const MAX_CANDIDATES = parseInt(process.env.COMPANY_RESOLVER_MAX_CANDIDATES || '3');
+// Dos candidatos a menos de este margen de confianza, sin dominio que los distinga, son ambiguos
+const AMBIGUITY_MARGIN = parseFloat(process.env.COMPANY_RESOLVER_AMBIGUITY_MARGIN || '0.1');
+
+const MATCH_STATUS = {
+  MATCHED: 'matched',
+  AMBIGUOUS: 'ambiguous',
+  NOT_FOUND: 'not_found'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// "https://www.GrupoBimbo.com/es/" -> "grupobimbo.com"
+const normalizeDomain = (value) => {
+  if (!value) return null;
+  const domain = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+  return domain || null;
+};
+
+// "mx.grupobimbo.com" coincide con "grupobimbo.com"
+const domainsMatch = (a, b) => {
+  if (!a || !b) return false;
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+};
+
+/**
+ * Puntúa una página de empresa ya cargada contra la empresa de HubSpot
+ * El dominio decide; sin dominio en alguna de las dos partes, decide el nombre
+ */
+const scoreCandidate = (company, domain, details, nameScore) => {
+  const website = normalizeDomain(details.website);
+  const byName = Math.max(nameScore || 0, companyIdentityService.scoreCompanyName(details.name, company));
+
+  let confidence = byName;
+  let domainMatch = null;
+  if (domain && website) {
+    domainMatch = domainsMatch(domain, website);
+    // Mismo nombre pero otro sitio web: probablemente otra empresa o una filial
+    confidence = domainMatch ? 1 : round(byName * 0.5);
+  }
+
+  return { ...details, website, domainMatch, nameScore: round(byName), confidence };
+};
+
+/**
+ * Páginas candidatas: la guardada en HubSpot o, si no hay, la búsqueda de empresas de LinkedIn
+ */
+const findCandidates = async (company, identity) => {
+  if (identity.slug) {
+    return [{ slug: identity.slug, name: identity.name, nameScore: 1, source: 'hubspot_page' }];
+  }
+
+  const searchName = companyIdentityService.normalizeCompanyName(identity.name);
+  const results = await linkedinService.searchCompanies(searchName);
+
+  return results
+    .filter(result => result.slug || result.companyId)
+    .map(result => ({
+      ...result,
+      nameScore: companyIdentityService.scoreCompanyName(result.name, company),
+      source: 'company_search'
+    }))
+    // Con dominio se revisan también nombres parciales; sin dominio solo los que superan el umbral
+    .filter(result => result.nameScore >= (identity.domain ? 0.3 : companyIdentityService.MIN_CONFIDENCE))
+    .sort((a, b) => b.nameScore - a.nameScore)
+    .slice(0, MAX_CANDIDATES);
+};
+
+/**
+ * Resuelve la página de empresa de LinkedIn de una empresa de HubSpot
+ * @param {Object} company - { id, name, domain, aliases, linkedinCompanyPage, linkedinCompanyId }
+ * @param {Object} options - { writeBack } (por defecto se escribe el resultado en HubSpot)
+ * @returns {Object} { companyId, status, confidence, match, candidates, hubspotUpdated, hubspotError? }
+ */
+const resolveCompany = async (company, options = {}) => {
+  const identity = { ...companyIdentityService.buildIdentity(company), domain: normalizeDomain(company.domain) };
+  console.log(`🏢 Resolving LinkedIn page for "${identity.name}"${identity.domain ? ` (${identity.domain})` : ''}`);
+
+  const candidates = [];
+  for (const candidate of await findCandidates(company, identity)) {
+    const details = await linkedinService.getCompanyPage(candidate.slug || candidate.companyId);
+    if (!details || !details.companyId) continue;
+
+    const scored = scoreCandidate(company, identity.domain, { ...details, source: candidate.source }, candidate.nameScore);
+    candidates.push(scored);
+    console.log(`  • ${scored.name || scored.slug} (${scored.slug}): confidence ${scored.confidence}${scored.domainMatch ? ', domain match' : ''}`);
+
+    // El dominio confirma la empresa: no hace falta cargar más páginas
+    if (scored.domainMatch) break;
+  }
+
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  const [best, second] = candidates;
+
+  let status = MATCH_STATUS.NOT_FOUND;
+  if (best && best.confidence >= companyIdentityService.MIN_CONFIDENCE) {
+    const closeSecond = second && best.confidence - second.confidence < AMBIGUITY_MARGIN;
+    status = !best.domainMatch && closeSecond ? MATCH_STATUS.AMBIGUOUS : MATCH_STATUS.MATCHED;
+  } else if (best && best.domainMatch === false && best.nameScore >= companyIdentityService.MIN_CONFIDENCE) {
+    // Nombre correcto pero dominio distinto: que lo revise una persona
+    status = MATCH_STATUS.AMBIGUOUS;
+  }
+
+  const resolution = {
+    companyId: company.id,
+    status,
+    confidence: best ? best.confidence : 0,
+    match: status === MATCH_STATUS.MATCHED ? best : null,
+    candidates,
+    hubspotUpdated: false
+  };
+
+  const icon = { matched: '✅', ambiguous: '⚠️ ', not_found: '❌' }[status];
+  console.log(`  ${icon} ${status}${resolution.match ? `: ${resolution.match.name} (${resolution.match.companyId})` : ''}`);
+
+  if (options.writeBack !== false && company.id) {
+    try {
+      await hubspotService.updateCompanyLinkedinData(company.id, resolution);
+      resolution.hubspotUpdated = true;
+    } catch (error) {
+      // El resultado sigue siendo válido aunque no se haya podido guardar en HubSpot
+      console.warn(`  ⚠️  Could not write LinkedIn data to HubSpot: ${error.message}`);
+      resolution.hubspotError = error.message;
+    }
+  }
+
+  return resolution;
+};
+
+/**
+ * Resuelve todas las empresas del segmento de HubSpot que aún no tienen ID de empresa de LinkedIn
+ * @param {Object} options - { force, limit, writeBack }
+ * @returns {Object} { total, matched, ambiguous, notFound, failed, results }
+ */
+const resolveSegmentCompanies = async (options = {}) => {
+  const companies = await hubspotService.getCompaniesFromSegment();
+  const pending = companies
+    .filter(company => options.force || (!company.linkedinCompanyId && !company.linkedinMatchStatus))
+    .slice(0, options.limit || undefined);
+
+  console.log(`🏢 Resolving LinkedIn pages for ${pending.length}/${companies.length} companies`);
+
+  const summary = { total: pending.length, matched: 0, ambiguous: 0, notFound: 0, failed: 0, results: [] };
+  for (const company of pending) {
+    try {
+      const resolution = await resolveCompany(company, options);
+      if (resolution.status === MATCH_STATUS.MATCHED) summary.matched++;
+      if (resolution.status === MATCH_STATUS.AMBIGUOUS) summary.ambiguous++;
+      if (resolution.status === MATCH_STATUS.NOT_FOUND) summary.notFound++;
+      summary.results.push(resolution);
+    } catch (error) {
+      console.error(`  ✗ Could not resolve "${company.name}": ${error.message}`);
+      summary.failed++;
+      summary.results.push({ companyId: company.id, status: 'error', error: error.message });
+
+      // Límite diario o bloqueo de LinkedIn: no tiene sentido seguir con las demás empresas
+      if (/daily view limit|rate limit|403|forbidden|captcha|verification/i.test(error.message)) break;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MATCH_STATUS,
+  normalizeDomain,
+  resolveCompany,
+  resolveSegmentCompanies
+};
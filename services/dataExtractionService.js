@@ -4,6 +4,7 @@
  */
 
 const cheerio = require('cheerio');
+const locationService = require('./locationService');
 
 /**
  * Extract data from JSON-LD script tags
@@ -35,6 +36,8 @@ const extractJSONLD = (pageContent) => {
               url: jsonData.url,
               image: jsonData.image,
               sameAs: jsonData.sameAs,
+              alumniOf: jsonData.alumniOf,
+              description: jsonData.description,
             });
           }
           
@@ -44,6 +47,9 @@ const extractJSONLD = (pageContent) => {
               type: 'Organization',
               name: jsonData.name,
               url: jsonData.url,
+              sameAs: jsonData.sameAs,
+              numberOfEmployees: jsonData.numberOfEmployees,
+              address: jsonData.address,
             });
           }
         }
@@ -168,39 +174,187 @@ const extractWithSelectors = async (page) => {
   }
 };
 
+// Fechas de un puesto: "Jan 2020 - Present · 4 yrs 10 mos" / "ene. 2020 - actualidad · 4 años 10 meses"
+const DATE_RANGE_PATTERN = /\b(19|20)\d{2}\b|present|actualidad|presente/i;
+const CURRENT_POSITION_PATTERN = /present|actualidad|presente/i;
+
+// "4 yrs 10 mos" / "4 años 10 meses" / "1 yr" -> meses
+const parseTenureMonths = (text) => {
+  if (!text) return null;
+  const years = String(text).match(/(\d+)\s*(?:yrs?|years?|años?|anos?)\b/i);
+  const months = String(text).match(/(\d+)\s*(?:mos?|months?|mes|meses)\b/i);
+  if (!years && !months) return null;
+  return (years ? parseInt(years[1], 10) * 12 : 0) + (months ? parseInt(months[1], 10) : 0);
+};
+
+// Textos visibles de un elemento de lista, sin los de sus sub-listas (puestos agrupados por empresa)
+const ownTexts = ($, item) => {
+  return $(item).find('span[aria-hidden="true"]')
+    .filter((i, span) => $(span).closest('li')[0] === item)
+    .map((i, span) => $(span).text().replace(/\s+/g, ' ').trim())
+    .get()
+    .filter(Boolean);
+};
+
+// "Grupo Bimbo · Full-time" -> "Grupo Bimbo"
+const stripEmploymentType = (text) => (text ? text.split(' · ')[0].trim() : null);
+
+const parseDates = (texts) => {
+  const dates = texts.find(text => DATE_RANGE_PATTERN.test(text));
+  if (!dates) return { dates: null, dateRange: null, duration: null };
+  const [dateRange, duration] = dates.split(' · ').map(part => part.trim());
+  return { dates, dateRange: dateRange || null, duration: duration || null };
+};
+
+// Sección del perfil por su ancla ("experience", "education", "about")
+const profileSection = ($, anchor) => $(`#${anchor}`).first().closest('section');
+
+/**
+ * Extract experience, education and About sections from a profile page (Cheerio)
+ * Los puestos agrupados por empresa ("Grupo Bimbo · 6 yrs" con varios cargos) se aplanan
+ * @returns {Object} { about, experience: [{ title, company, dateRange, duration, location, current }], education }
+ */
+const extractProfileSections = (pageContent) => {
+  const $ = cheerio.load(pageContent);
+  const experience = [];
+  const education = [];
+  
+  profileSection($, 'experience').find('li.artdeco-list__item').each((i, item) => {
+    // Los cargos de un grupo se leen desde el elemento del grupo
+    if ($(item).parents('li.artdeco-list__item').length > 0) return;
+    
+    const texts = ownTexts($, item);
+    const nested = $(item).find('li').filter((j, child) => ownTexts($, child).length > 0);
+    
+    if (nested.length > 0) {
+      const company = stripEmploymentType(texts[0]);
+      nested.each((j, child) => {
+        const childTexts = ownTexts($, child);
+        const { dates, dateRange, duration } = parseDates(childTexts);
+        experience.push({
+          title: childTexts[0] || null,
+          company,
+          dateRange,
+          duration,
+          location: childTexts[childTexts.indexOf(dates) + 1] || null,
+          current: CURRENT_POSITION_PATTERN.test(dateRange || ''),
+        });
+      });
+      return;
+    }
+    
+    if (texts.length === 0) return;
+    const { dates, dateRange, duration } = parseDates(texts);
+    const location = dates ? texts[texts.indexOf(dates) + 1] : null;
+    experience.push({
+      title: texts[0],
+      company: texts[1] && texts[1] !== dates ? stripEmploymentType(texts[1]) : null,
+      dateRange,
+      duration,
+      // La descripción del puesto también viene en un span; una ubicación es corta
+      location: location && location.length <= 80 ? location : null,
+      current: CURRENT_POSITION_PATTERN.test(dateRange || ''),
+    });
+  });
+  
+  profileSection($, 'education').find('li.artdeco-list__item').each((i, item) => {
+    if ($(item).parents('li.artdeco-list__item').length > 0) return;
+    const texts = ownTexts($, item);
+    if (texts.length === 0) return;
+    const { dates } = parseDates(texts);
+    education.push({
+      school: texts[0],
+      degree: texts[1] && texts[1] !== dates ? texts[1] : null,
+      dates: dates || null,
+    });
+  });
+  
+  // El texto más largo de la sección es el "About" (el resto son títulos y botones)
+  const about = profileSection($, 'about').find('span[aria-hidden="true"]')
+    .map((i, span) => $(span).text().trim())
+    .get()
+    .sort((a, b) => b.length - a.length)[0] || null;
+  
+  return { about, experience, education };
+};
+
+/**
+ * Current position, company and tenure from the experience list
+ * @returns {Object} { currentPosition, currentCompany, tenure, tenureMonths }
+ */
+const summarizeCurrentPosition = (experience, fallback = {}) => {
+  const current = experience.find(entry => entry.current) || experience[0];
+  if (!current) {
+    return { currentPosition: fallback.title || null, currentCompany: fallback.company || null, tenure: null, tenureMonths: null };
+  }
+  
+  return {
+    currentPosition: current.title || fallback.title || null,
+    currentCompany: current.company || fallback.company || null,
+    tenure: current.duration || null,
+    tenureMonths: parseTenureMonths(current.duration),
+  };
+};
+
+// alumniOf de JSON-LD: objeto, lista de objetos o texto
+const educationFromJSONLD = (alumniOf) => {
+  if (!alumniOf) return [];
+  return [].concat(alumniOf)
+    .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+    .filter(Boolean)
+    .map(school => ({ school, degree: null, dates: null }));
+};
+
 /**
  * Extract profile data from LinkedIn profile page
+ * @returns {Object|null} { name, title, company, location, profileUrl, about, experience, education,
+ *   currentPosition, currentCompany, tenure, tenureMonths, source }
  */
 const extractProfileData = async (page, profileUrl) => {
   try {
     // Wait for page to load
     await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
     
-    // Try JSON-LD first
     const pageContent = await page.content();
+    const sections = extractProfileSections(pageContent);
+    
+    const withSections = (data) => {
+      const experience = sections.experience.length > 0 ? sections.experience : (data.experience || []);
+      return {
+        ...data,
+        about: sections.about || data.about || null,
+        experience,
+        education: sections.education.length > 0 ? sections.education : (data.education || []),
+        ...summarizeCurrentPosition(experience, data),
+      };
+    };
+    
+    // Try JSON-LD first
     const jsonLdData = extractJSONLD(pageContent);
     
     if (jsonLdData && jsonLdData.length > 0) {
       const personData = jsonLdData.find(d => d.type === 'Person');
       if (personData) {
-        return {
+        return withSections({
           name: personData.name,
           title: personData.jobTitle,
           company: personData.worksFor?.name || personData.worksFor,
           location: personData.address?.addressLocality || personData.address,
           profileUrl: personData.url || profileUrl,
+          about: personData.description,
+          education: educationFromJSONLD(personData.alumniOf),
           source: 'json-ld',
-        };
+        });
       }
     }
     
     // Fallback to CSS selectors
     const selectorData = await extractWithSelectors(page);
     if (selectorData) {
-      return {
+      return withSections({
         ...selectorData,
         source: 'css-selectors',
-      };
+      });
     }
     
     return null;
@@ -210,6 +364,112 @@ const extractProfileData = async (page, profileUrl) => {
   }
 };
 
+// "urn:li:fsd_company:1035" / "urn:li:company:1035" -> "1035"
+const COMPANY_URN_PATTERN = /urn:li:(?:fsd_|fs_normalized_|fs_mini)?company:(\d+)/;
+
+// "/company/grupo-bimbo/about/" -> "grupo-bimbo"
+const companySlugFromHref = (href) => {
+  const match = String(href || '').match(/\/company\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+};
+
+// Etiquetas de la sección "About" / "Acerca de" de una página de empresa
+const COMPANY_DETAIL_LABELS = {
+  website: ['website', 'sitio web'],
+  industry: ['industry', 'industria', 'sector'],
+  companySize: ['company size', 'tamano de la empresa', 'tamaño de la empresa'],
+  headquarters: ['headquarters', 'sede'],
+};
+
+// "1,001-5,000 employees" -> 1001 ; "3.456 miembros asociados" -> 3456
+const parseEmployeeCount = (text) => {
+  const match = String(text || '').match(/(\d[\d,.]*)/);
+  return match ? parseInt(match[1].replace(/[,.]/g, ''), 10) : null;
+};
+
+/**
+ * Extract the company id, slug, name and "About" details from a LinkedIn company page
+ * @returns {Object|null} { companyId, slug, name, website, industry, companySize, employeeCount, headquarters }
+ */
+const extractCompanyPage = async (page) => {
+  try {
+    const pageContent = await page.content();
+    const $ = cheerio.load(pageContent);
+    
+    // La primera URN de empresa de la página es la de la propia empresa
+    const urnMatch = pageContent.match(COMPANY_URN_PATTERN);
+    const slug = companySlugFromHref($('link[rel="canonical"]').attr('href')) || companySlugFromHref(page.url());
+    const name = $('h1').first().text().replace(/\s+/g, ' ').trim() ||
+      ($('meta[property="og:title"]').attr('content') || '').trim();
+    
+    // Detalles en pares dt/dd ("Company size" tiene un segundo dd con los miembros en LinkedIn)
+    const details = {};
+    $('dt').each((i, el) => {
+      const label = $(el).text().replace(/\s+/g, ' ').trim().toLowerCase();
+      const values = $(el).nextUntil('dt', 'dd').map((j, dd) => $(dd).text().replace(/\s+/g, ' ').trim()).get();
+      const field = Object.keys(COMPANY_DETAIL_LABELS)
+        .find(key => COMPANY_DETAIL_LABELS[key].some(prefix => label.startsWith(prefix)));
+      if (field && values.length > 0 && !details[field]) details[field] = values;
+    });
+    
+    // JSON-LD de la página pública como respaldo
+    const organization = (extractJSONLD(pageContent) || []).find(d => d.type === 'Organization') || {};
+    const address = organization.address || {};
+    
+    const sizeValues = details.companySize || [];
+    const linkedinMembers = sizeValues.find(value => /associated|asociados|on linkedin|en linkedin/i.test(value));
+    
+    return {
+      companyId: urnMatch ? urnMatch[1] : (slug && /^\d+$/.test(slug) ? slug : null),
+      slug: slug && !/^\d+$/.test(slug) ? slug : null,
+      name: name || organization.name || '',
+      website: (details.website || [])[0] || organization.sameAs || null,
+      industry: (details.industry || [])[0] || null,
+      companySize: sizeValues[0] || null,
+      employeeCount: parseEmployeeCount(linkedinMembers) ||
+        parseEmployeeCount(organization.numberOfEmployees?.value) ||
+        parseEmployeeCount(sizeValues[0]),
+      headquarters: (details.headquarters || [])[0] ||
+        [address.addressLocality, address.addressRegion, address.addressCountry].filter(Boolean).join(', ') || null,
+    };
+  } catch (error) {
+    console.error('Error extracting company page:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Extract company results from LinkedIn company search using Cheerio
+ */
+const extractCompanySearchResults = async (page) => {
+  const pageContent = await page.content();
+  const $ = cheerio.load(pageContent);
+  const companies = [];
+  const seenSlugs = new Set();
+  
+  $('a[href*="/company/"]').each((i, linkEl) => {
+    const $link = $(linkEl);
+    const slug = companySlugFromHref($link.attr('href'));
+    const name = $link.text().replace(/\s+/g, ' ').trim();
+    
+    // Los enlaces del logo no tienen texto; el nombre viene en el enlace siguiente
+    if (!slug || !name || seenSlugs.has(slug)) return;
+    seenSlugs.add(slug);
+    
+    const $container = $link.closest('[role="listitem"], li, div[class*="entity-result"]');
+    const urnMatch = ($.html($container) || '').match(COMPANY_URN_PATTERN);
+    
+    companies.push({
+      companyId: urnMatch ? urnMatch[1] : (/^\d+$/.test(slug) ? slug : null),
+      slug: /^\d+$/.test(slug) ? null : slug,
+      name,
+    });
+  });
+  
+  console.log(`Found ${companies.length} company results`);
+  return companies;
+};
+
 /**
  * Extract search results from LinkedIn search page using Cheerio
  */
@@ -284,48 +544,15 @@ const extractSearchResultsWithCheerio = async (page) => {
                 const beforePosition = afterSeparator.split(/(?:Current|Actual|Past|Pasado):/i)[0].trim();
                 
                 if (beforePosition) {
-                  // Buscar keywords de México de forma simple
-                  const mexicoKeywords = ['méxico', 'mexico', 'mex', 'cdmx', 'ciudad de méxico', 'ciudad de mexico'];
-                  const beforePositionLower = beforePosition.toLowerCase();
-                  
-                  let foundMexico = false;
-                  for (const keyword of mexicoKeywords) {
-                    if (beforePositionLower.includes(keyword)) {
-                      // Encontrar la posición de la keyword
-                      const keywordIndex = beforePositionLower.indexOf(keyword);
-                      
-                      // Buscar hacia atrás para encontrar el inicio de la ubicación (buscar coma o inicio)
-                      let locationStart = keywordIndex;
-                      while (locationStart > 0 && beforePosition[locationStart - 1] !== ',') {
-                        locationStart--;
-                      }
-                      if (locationStart > 0 && beforePosition[locationStart - 1] === ',') {
-                        locationStart--; // Incluir la coma
-                      }
-                      
-                      // Buscar hacia adelante para encontrar el final (antes de "Message", "followers", etc.)
-                      let locationEnd = keywordIndex + keyword.length;
-                      const endMatch = beforePosition.substring(locationEnd).match(/^([^message]*?)(?:\s*message|\s*\d+\s*(?:followers?|conexiones?|seguidores?)|$)/i);
-                      if (endMatch) {
-                        locationEnd = locationEnd + endMatch[1].length;
-                      }
-                      
-                      const titlePart = beforePosition.substring(0, locationStart).trim();
-                      const locationPart = beforePosition.substring(locationStart, locationEnd).trim()
-                        .replace(/\s*message\s*$/i, '')
-                        .replace(/\s*\d+\s*(followers?|conexiones?|seguidores?)\s*$/i, '')
-                        .trim();
-                      
-                      if (titlePart) parts.push(titlePart);
-                      if (locationPart) parts.push(locationPart);
-                      
-                      foundMexico = true;
-                      break;
-                    }
-                  }
+                  // Separar título y ubicación (país, estado o ciudad del gazetteer)
+                  const mention = locationService.findLocationMention(beforePosition);
                   
-                  if (!foundMexico) {
-                    // No se encontró México, todo es título
+                  if (mention) {
+                    const titlePart = beforePosition.substring(0, mention.index).trim().replace(/,\s*$/, '');
+                    if (titlePart) parts.push(titlePart);
+                    parts.push(mention.keyword);
+                  } else {
+                    // No se encontró ubicación, todo es título
                     parts.push(beforePosition);
                   }
                 }
@@ -334,47 +561,15 @@ const extractSearchResultsWithCheerio = async (page) => {
                 if (currentMatch) parts.push(currentMatch[0].trim());
                 if (pastMatch && !currentMatch) parts.push(pastMatch[0].trim());
               } else {
-                // No hay Current/Past, intentar dividir por ubicación (búsqueda simple de México)
-                const mexicoKeywords = ['méxico', 'mexico', 'mex', 'cdmx', 'ciudad de méxico', 'ciudad de mexico'];
-                const afterSeparatorLower = afterSeparator.toLowerCase();
+                // No hay Current/Past, intentar dividir por ubicación
+                const mention = locationService.findLocationMention(afterSeparator);
                 
-                let foundMexico = false;
-                for (const keyword of mexicoKeywords) {
-                  if (afterSeparatorLower.includes(keyword)) {
-                    const keywordIndex = afterSeparatorLower.indexOf(keyword);
-                    
-                    // Buscar inicio de ubicación
-                    let locationStart = keywordIndex;
-                    while (locationStart > 0 && afterSeparator[locationStart - 1] !== ',') {
-                      locationStart--;
-                    }
-                    if (locationStart > 0 && afterSeparator[locationStart - 1] === ',') {
-                      locationStart--;
-                    }
-                    
-                    // Buscar final de ubicación
-                    let locationEnd = keywordIndex + keyword.length;
-                    const endMatch = afterSeparator.substring(locationEnd).match(/^([^message]*?)(?:\s*message|\s*\d+\s*(?:followers?|conexiones?|seguidores?)|$)/i);
-                    if (endMatch) {
-                      locationEnd = locationEnd + endMatch[1].length;
-                    }
-                    
-                    const titlePart = afterSeparator.substring(0, locationStart).trim();
-                    const locationPart = afterSeparator.substring(locationStart, locationEnd).trim()
-                      .replace(/\s*message\s*$/i, '')
-                      .replace(/\s*\d+\s*(followers?|conexiones?|seguidores?)\s*$/i, '')
-                      .trim();
-                    
-                    if (titlePart) parts.push(titlePart);
-                    if (locationPart) parts.push(locationPart);
-                    
-                    foundMexico = true;
-                    break;
-                  }
-                }
-                
-                if (!foundMexico && afterSeparator) {
-                  // No se encontró México, todo es título
+                if (mention) {
+                  const titlePart = afterSeparator.substring(0, mention.index).trim().replace(/,\s*$/, '');
+                  if (titlePart) parts.push(titlePart);
+                  parts.push(mention.keyword);
+                } else if (afterSeparator) {
+                  // No se encontró ubicación, todo es título
                   parts.push(afterSeparator);
                 }
               }
@@ -480,87 +675,11 @@ const extractSearchResultsWithCheerio = async (page) => {
           }
         }
         
-        // Buscar ubicación: SIMPLIFICADO - solo buscar keywords de México
-        // Keywords que indican México (case-insensitive)
-        const mexicoKeywords = [
-          'méxico', 'mexico', 'mex', 
-          'cdmx', 'ciudad de méxico', 'ciudad de mexico',
-          'mexico city', 'méxico df', 'mexico df', 'df'
-        ];
-        
-        // Buscar en todas las líneas y en el texto completo
-        const allText = lines.join(' ').toLowerCase();
-        
-        // Buscar cualquier keyword de México
-        for (const keyword of mexicoKeywords) {
-          const keywordIndex = allText.indexOf(keyword);
-          if (keywordIndex !== -1) {
-            // Encontrar el contexto alrededor de la keyword para extraer la ubicación completa
-            // Buscar hacia atrás hasta encontrar el inicio de una palabra (mayúscula o número)
-            let start = keywordIndex;
-            while (start > 0) {
-              const char = allText[start - 1];
-              // Si encontramos una coma o espacio, podría ser el inicio de la ubicación
-              if (char === ',' || char === ' ') {
-                // Verificar si hay una ciudad antes (palabra con mayúscula)
-                const beforeComma = allText.substring(Math.max(0, start - 50), start).trim();
-                if (beforeComma.length > 0) {
-                  // Buscar el inicio real de la ubicación (buscar hacia atrás desde la coma)
-                  let locationStart = start;
-                  while (locationStart > 0 && allText[locationStart - 1] !== ' ' && 
-                         !/[A-Z]/.test(allText[locationStart - 1])) {
-                    locationStart--;
-                  }
-                  start = Math.max(0, locationStart - 50); // Incluir hasta 50 chars antes
-                  break;
-                }
-              }
-              start--;
-              if (start < keywordIndex - 100) break; // Limitar búsqueda hacia atrás
-            }
-            
-            // Buscar hacia adelante hasta encontrar "Message", "followers", números, o fin
-            let end = keywordIndex + keyword.length;
-            const endMatch = allText.substring(end).match(/^([^message]*?)(?:\s*message|\s*\d+\s*(?:followers?|conexiones?|seguidores?)|$)/i);
-            if (endMatch) {
-              end = end + endMatch[1].length;
-            } else {
-              // Si no hay match, incluir hasta 30 caracteres después
-              end = Math.min(end + 30, allText.length);
-            }
-            
-            // Extraer la ubicación del texto original (no lowercase)
-            const originalText = lines.join(' ');
-            const extracted = originalText.substring(
-              Math.max(0, start),
-              Math.min(originalText.length, end)
-            ).trim();
-            
-            // Limpiar: remover palabras que no son parte de la ubicación
-            let cleanLocation = extracted
-              .replace(/\s*message\s*$/i, '')
-              .replace(/\s*\d+\s*(followers?|conexiones?|seguidores?)\s*$/i, '')
-              .replace(/\s*visit\s+my\s+website\s*$/i, '')
-              .replace(/^[^a-záéíóúñ]*/i, '') // Remover caracteres no alfabéticos al inicio
-              .trim();
-            
-            // Si la ubicación es muy larga, intentar extraer solo la parte relevante
-            if (cleanLocation.length > 150) {
-              // Buscar el patrón "City, State, Mexico" o "City, Mexico"
-              const locationMatch = cleanLocation.match(/([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\s*,\s*(?:[A-Z][a-z]+\s*,\s*)?(?:México|Mexico|CDMX|Ciudad de México))/i);
-              if (locationMatch) {
-                cleanLocation = locationMatch[0].trim();
-              } else {
-                // Extraer solo los últimos 80 caracteres (donde suele estar la ubicación)
-                cleanLocation = cleanLocation.substring(cleanLocation.length - 80).trim();
-              }
-            }
-            
-            if (cleanLocation.length > 3 && cleanLocation.length < 150) {
-              location = cleanLocation;
-              break;
-            }
-          }
+        // Buscar ubicación: primera frase con un país, estado o ciudad del gazetteer
+        // ("Monterrey, Nuevo León, México", "Área metropolitana de Bogotá")
+        const mention = locationService.findLocationMention(lines.join('\n'));
+        if (mention && mention.keyword.length > 3 && mention.keyword.length < 150) {
+          location = mention.keyword;
         }
         
         // Si encontramos un perfil válido
@@ -581,12 +700,18 @@ const extractSearchResultsWithCheerio = async (page) => {
                          profileUrl : 
                          `https://www.linkedin.com${profileUrl}`;
           
+          // Página de empresa enlazada en el resultado: identifica la empresa mejor que el nombre
+          const companySlug = companySlugFromHref($container.find('a[href*="/company/"]').first().attr('href'));
+          const companyUrnMatch = ($.html($container) || '').match(COMPANY_URN_PATTERN);
+          
           people.push({
             name: name || 'LinkedIn Member',
             profileUrl: fullUrl,
             title: title || '',
             location: location || '',
             company: company || '', // Empresa extraída de "Current: X at Y"
+            companySlug: companySlug && !/^\d+$/.test(companySlug) ? companySlug : null,
+            companyUrn: companyUrnMatch ? companyUrnMatch[1] : (companySlug && /^\d+$/.test(companySlug) ? companySlug : null),
             rawText: containerText.substring(0, 300), // Para debugging
           });
           
@@ -921,6 +1046,9 @@ module.exports = {
   extractJSONLD,
   extractWithSelectors,
   extractProfileData,
+  extractProfileSections,
+  extractCompanyPage,
+  extractCompanySearchResults,
   extractSearchResults: extractSearchResultsWithCheerio, // Usar Cheerio como método principal
   extractSearchResultsFallback: extractSearchResults, // Mantener el método anterior como fallback
 };
@@ -0,0 +1,92 @@
+/**
+ * DEAL INDEX LAYER
+ * Índice local de los perfiles ya guardados en HubSpot (URL canónica del perfil -> deal);
+ * se consulta antes de buscar en HubSpot para que un perfil conocido nunca cree un segundo deal
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Otro fichero con DEAL_INDEX_FILE (p. ej. en los tests)
+const DEAL_INDEX_FILE = process.env.DEAL_INDEX_FILE || path.join(__dirname, '../data/deal-index.json');
+
+// { [canonicalProfileUrl]: { dealId, contactId, source, indexedAt } }
+let dealIndex = null;
+// Un índice que no se pudo leer no se sobrescribe: se conserva para revisarlo a mano
+let loadFailed = false;
+// Guardados en serie (todos usan el mismo fichero temporal)
+let saveChain = Promise.resolve();
+
+const readDealIndex = async () => {
+  try {
+    dealIndex = JSON.parse(await fs.readFile(DEAL_INDEX_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error loading deal index, it will not be saved over: ${error.message}`);
+      loadFailed = true;
+    }
+    dealIndex = {};
+  }
+  return dealIndex;
+};
+
+// Se lee una sola vez por proceso (dos lecturas en paralelo perderían lo guardado en la primera)
+let loadPromise = null;
+
+const loadDealIndex = () => {
+  if (!loadPromise) {
+    loadPromise = readDealIndex();
+  }
+  return loadPromise;
+};
+
+// Fichero temporal + rename: un crash a mitad de escritura no deja el índice a medias
+const writeDealIndex = async () => {
+  try {
+    const tmpFile = `${DEAL_INDEX_FILE}.tmp`;
+    await fs.mkdir(path.dirname(DEAL_INDEX_FILE), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(dealIndex, null, 2));
+    await fs.rename(tmpFile, DEAL_INDEX_FILE);
+  } catch (error) {
+    console.error('Error saving deal index:', error.message);
+  }
+};
+
+const saveDealIndex = () => {
+  if (loadFailed) return Promise.resolve();
+  saveChain = saveChain.then(writeDealIndex);
+  return saveChain;
+};
+
+/**
+ * Obtiene el deal ya guardado de un perfil
+ * @param {string} canonicalUrl - URL canónica del perfil (profileUrlService)
+ * @returns {Promise<Object|null>} { dealId, contactId, source, indexedAt } o null
+ */
+const findDeal = async (canonicalUrl) => {
+  if (!canonicalUrl) return null;
+  const index = await loadDealIndex();
+  return index[canonicalUrl] || null;
+};
+
+/**
+ * Registra el deal de un perfil
+ * @param {string} canonicalUrl - URL canónica del perfil
+ * @param {Object} entry - { dealId, contactId, source } (source: created, hubspot, legacy)
+ */
+const recordDeal = async (canonicalUrl, entry) => {
+  if (!canonicalUrl) return;
+  const index = await loadDealIndex();
+  index[canonicalUrl] = {
+    dealId: entry.dealId || null,
+    contactId: entry.contactId || null,
+    source: entry.source,
+    indexedAt: new Date().toISOString()
+  };
+  await saveDealIndex();
+};
+
+module.exports = {
+  findDeal,
+  recordDeal
+};
@@ -0,0 +1,148 @@
+/**
+ * DEAL ROUTING LAYER
+ * Elige el pipeline, la etapa, el propietario y la prioridad de un deal nuevo según el perfil:
+ * nivel del cargo, coincidencia exacta o parcial de la empresa y cuentas objetivo de tier 1 (config/dealRoutingRules.js)
+ */
+
+const path = require('path');
+require('dotenv').config();
+
+const taxonomy = require('../config/titleTaxonomy');
+const titleService = require('./titleService');
+
+const SENIORITY_RANKS = new Map(taxonomy.seniorities.map(seniority => [seniority.id, seniority.rank]));
+// Métodos del filtro de empresa que identifican la empresa sin ambigüedad
+const EXACT_COMPANY_METHODS = ['exact', 'alias', 'urn', 'slug'];
+// Valor de la propiedad de tier de la empresa que marca una cuenta de tier 1
+const TIER_1_VALUE = process.env.HUBSPOT_COMPANY_TIER_1_VALUE || 'tier_1';
+const PRIORITIES = ['low', 'medium', 'high'];
+const CONDITIONS = ['seniority', 'minSeniority', 'companyMatch', 'tier1'];
+const ROUTE_FIELDS = ['pipeline', 'stage', 'owner', 'priority'];
+const COMPANY_OWNER = 'company_owner';
+
+const loadRules = () => {
+  const customFile = process.env.DEAL_ROUTING_RULES_FILE;
+  return customFile
+    ? require(path.resolve(process.cwd(), customFile))
+    : require('../config/dealRoutingRules');
+};
+
+const routingRules = loadRules();
+
+/**
+ * Calidad de la coincidencia de un perfil aceptado
+ * @param {Object} person - Perfil ({ title, enrichment? })
+ * @param {Object} verdict - Veredicto de filterService.evaluateCandidate
+ * @param {Object} company - Empresa buscada ({ ownerId, tier })
+ * @returns {Object} { seniority, companyMatch, companyMatchMethod, tier1, ownerId }
+ */
+const buildFacts = (person, verdict, company = {}) => {
+  // La posición actual de la visita al perfil es más fiable que el titular
+  const title = (person.enrichment && person.enrichment.currentPosition) || person.title || '';
+  const companyCheck = (verdict && verdict.checks && verdict.checks.company) || {};
+
+  return {
+    seniority: titleService.parseTitle(title).seniority,
+    companyMatch: EXACT_COMPANY_METHODS.includes(companyCheck.method) ? 'exact' : 'fuzzy',
+    companyMatchMethod: companyCheck.method || null,
+    tier1: company.tier === TIER_1_VALUE,
+    ownerId: company.ownerId || null
+  };
+};
+
+const matchesRule = (when = {}, facts) => {
+  if (when.seniority && !when.seniority.includes(facts.seniority)) return false;
+  if (when.minSeniority &&
+    (SENIORITY_RANKS.get(facts.seniority) ?? -1) < SENIORITY_RANKS.get(when.minSeniority)) return false;
+  if (when.companyMatch && when.companyMatch !== facts.companyMatch) return false;
+  if (when.tier1 !== undefined && when.tier1 !== facts.tier1) return false;
+  return true;
+};
+
+/**
+ * Obtiene la ruta de un deal nuevo (primera regla que coincide)
+ * @param {Object} facts - Resultado de buildFacts
+ * @returns {Object} { rule, pipeline, stage, ownerId, priority } - rule null si ninguna coincide
+ */
+const routeDeal = (facts) => {
+  const rule = (routingRules.rules || []).find(candidate => matchesRule(candidate.when, facts));
+  if (!rule) {
+    return { rule: null, pipeline: null, stage: null, ownerId: null, priority: null };
+  }
+
+  const route = rule.route || {};
+  return {
+    rule: rule.name,
+    pipeline: route.pipeline ? String(route.pipeline) : null,
+    stage: route.stage ? String(route.stage) : null,
+    // Sin propietario en la empresa el deal queda sin asignar
+    ownerId: route.owner === COMPANY_OWNER ? facts.ownerId : (route.owner ? String(route.owner) : null),
+    priority: route.priority || null
+  };
+};
+
+/**
+ * Obtiene los pipelines y etapas de las reglas ({ rule, pipeline, stage })
+ */
+const listRoutes = () => {
+  return (routingRules.rules || [])
+    .filter(rule => rule.route && (rule.route.pipeline || rule.route.stage))
+    .map(rule => ({
+      rule: rule.name,
+      pipeline: rule.route.pipeline ? String(rule.route.pipeline) : null,
+      stage: rule.route.stage ? String(rule.route.stage) : null
+    }));
+};
+
+/**
+ * Verifica la estructura de las reglas (sin consultar HubSpot)
+ * @returns {Array<string>} Errores encontrados
+ */
+const checkRules = () => {
+  const errors = [];
+  if (!Array.isArray(routingRules.rules)) {
+    return ['Deal routing rules must export a "rules" array'];
+  }
+
+  routingRules.rules.forEach((rule, index) => {
+    const where = `rules[${index}]${rule.name ? ` (${rule.name})` : ''}`;
+    const when = rule.when || {};
+    const route = rule.route || {};
+
+    if (!rule.name) errors.push(`${where}: missing name`);
+    Object.keys(when)
+      .filter(key => !CONDITIONS.includes(key))
+      .forEach(key => errors.push(`${where}: unknown condition "${key}" (allowed: ${CONDITIONS.join(', ')})`));
+    Object.keys(route)
+      .filter(key => !ROUTE_FIELDS.includes(key))
+      .forEach(key => errors.push(`${where}: unknown route field "${key}" (allowed: ${ROUTE_FIELDS.join(', ')})`));
+
+    if (when.seniority !== undefined && !Array.isArray(when.seniority)) {
+      errors.push(`${where}: seniority must be a list of seniority levels`);
+    }
+    [...(Array.isArray(when.seniority) ? when.seniority : []), ...(when.minSeniority ? [when.minSeniority] : [])]
+      .filter(level => !SENIORITY_RANKS.has(level))
+      .forEach(level => errors.push(`${where}: unknown seniority "${level}"`));
+    if (when.companyMatch !== undefined && !['exact', 'fuzzy'].includes(when.companyMatch)) {
+      errors.push(`${where}: companyMatch must be "exact" or "fuzzy"`);
+    }
+    if (when.tier1 !== undefined && typeof when.tier1 !== 'boolean') {
+      errors.push(`${where}: tier1 must be true or false`);
+    }
+    if (route.priority !== undefined && !PRIORITIES.includes(route.priority)) {
+      errors.push(`${where}: priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (route.owner !== undefined && route.owner !== COMPANY_OWNER && !/^\d+$/.test(String(route.owner))) {
+      errors.push(`${where}: owner must be "${COMPANY_OWNER}" or a HubSpot owner ID`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  buildFacts,
+  routeDeal,
+  listRoutes,
+  checkRules
+};
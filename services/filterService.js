@@ -0,0 +1,202 @@
+/**
+ * FILTER LAYER
+ * Compara los resultados de búsqueda de LinkedIn con la empresa y el cargo buscados
+ * y devuelve un veredicto estructurado de cada candidato
+ */
+
+const locationService = require('./locationService');
+const profileUrlService = require('./profileUrlService');
+const companyIdentityService = require('./companyIdentityService');
+const titleService = require('./titleService');
+
+// Reglas que pueden decidir un veredicto, en el orden en que se evalúan
+const RULES = {
+  PROFILE_URL: 'profile_url',
+  SUPPRESSED: 'suppressed',
+  LOCATION: 'location',
+  COMPANY: 'company',
+  TITLE: 'title'
+};
+
+// Motivo de rechazo asociado a cada regla
+const REJECTION_REASONS = {
+  [RULES.PROFILE_URL]: 'no_url',
+  [RULES.SUPPRESSED]: 'rejected_in_clickup',
+  [RULES.LOCATION]: 'location_mismatch',
+  [RULES.COMPANY]: 'company_mismatch',
+  [RULES.TITLE]: 'title_mismatch'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 🔒 The profile location must match the targeted countries, states or cities
+ */
+const checkLocation = (person, locationRules) => {
+  return {
+    ...locationService.matchLocation(person.location, locationRules),
+    rules: locationRules.label
+  };
+};
+
+/**
+ * La empresa del perfil debe coincidir con la empresa buscada (puntuación de confianza)
+ */
+const checkCompany = (person, companyName, companyIdentity) => {
+  return companyIdentityService.matchCompany(
+    person,
+    companyIdentity || companyIdentityService.buildIdentity({ name: companyName })
+  );
+};
+
+/**
+ * El titular del perfil debe coincidir con el cargo buscado (sinónimos, nivel y área)
+ */
+const checkTitle = (person, jobTitle) => {
+  if (!person.title) {
+    // Sin título: se acepta si empresa y ubicación coinciden
+    return { passed: true, method: 'missing', matchedKeywords: [], score: 0.5 };
+  }
+
+  return titleService.matchTitle(jobTitle, person.title);
+};
+
+/**
+ * Evalúa un resultado de búsqueda
+ * @param {Object} person - Perfil extraído ({ name, profileUrl, title, location, company })
+ * @param {string} companyName - Empresa buscada
+ * @param {string} jobTitle - Cargo buscado
+ * @param {Object} options - { locationRules, companyIdentity, suppressedProfiles } (por defecto las reglas
+ *   de ubicación del entorno y la identidad construida solo con el nombre de la empresa; suppressedProfiles:
+ *   URLs canónicas rechazadas en ClickUp)
+ * @returns {Object} Veredicto { accepted, rule, reason, matchedKeywords, score, checks }
+ */
+const evaluateCandidate = (person, companyName, jobTitle, options = {}) => {
+  if (!person.profileUrl) {
+    return {
+      accepted: false,
+      rule: RULES.PROFILE_URL,
+      reason: REJECTION_REASONS[RULES.PROFILE_URL],
+      matchedKeywords: [],
+      score: 0,
+      checks: {}
+    };
+  }
+
+  // Perfil descartado por un SDR en ClickUp: no vuelve a aparecer
+  if (options.suppressedProfiles && options.suppressedProfiles.has(profileUrlService.canonicalProfileUrl(person.profileUrl))) {
+    return {
+      accepted: false,
+      rule: RULES.SUPPRESSED,
+      reason: REJECTION_REASONS[RULES.SUPPRESSED],
+      matchedKeywords: [],
+      score: 0,
+      checks: {}
+    };
+  }
+
+  // Se evalúan todas las reglas para poder ajustarlas con datos reales,
+  // pero decide la primera que falla
+  const checks = {
+    [RULES.LOCATION]: checkLocation(person, options.locationRules || locationService.getLocationRules()),
+    [RULES.COMPANY]: checkCompany(person, companyName, options.companyIdentity),
+    [RULES.TITLE]: checkTitle(person, jobTitle)
+  };
+
+  const failedRule = Object.keys(checks).find(rule => !checks[rule].passed);
+  const decidingRule = failedRule || RULES.TITLE;
+  const scores = Object.values(checks).map(check => check.score);
+
+  return {
+    accepted: !failedRule,
+    rule: decidingRule,
+    reason: failedRule
+      ? (checks[failedRule].reason || REJECTION_REASONS[failedRule])
+      : `${decidingRule}_${checks[decidingRule].method}`,
+    matchedKeywords: checks[decidingRule].matchedKeywords,
+    score: round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    checks
+  };
+};
+
+const logVerdict = (person, companyName, verdict) => {
+  const title = verdict.checks[RULES.TITLE];
+
+  if (verdict.accepted) {
+    const detail = title.method === 'keywords'
+      ? `${title.matchedKeywords.length}/${title.expectedKeywords.length} keywords match`
+      : title.method.replace('_', ' ');
+    console.log(`    ✅ Match (${detail}, score ${verdict.score}): ${person.name} - "${person.title || 'N/A'}" at ${person.company || 'N/A'} [${person.location || 'N/A'}]`);
+    return;
+  }
+
+  switch (verdict.rule) {
+    case RULES.PROFILE_URL:
+      console.log(`    ❌ Skipped (no URL): ${person.name}`);
+      break;
+    case RULES.SUPPRESSED:
+      console.log(`    ❌ Skipped (rejected in ClickUp): ${person.name}`);
+      break;
+    case RULES.LOCATION:
+      console.log(`    ❌ Location not targeted: ${person.name} - Location: "${person.location || 'N/A'}" (${verdict.checks[RULES.LOCATION].method})`);
+      break;
+    case RULES.COMPANY: {
+      const company = verdict.checks[RULES.COMPANY];
+      console.log(`    ❌ Company mismatch: ${person.name} - works at "${person.company}" (searching for "${companyName}", ${company.method}, confidence ${company.score})`);
+      break;
+    }
+    default: {
+      const detail = title.method === 'excluded'
+        ? `excluded: ${title.excludedTerms.join(', ')}`
+        : `keywords: ${title.matchedKeywords.join(', ')} vs ${(title.expectedKeywords || []).join(', ')}`;
+      console.log(`    ❌ No title match: ${person.name} - "${person.title}" (${detail})`);
+    }
+  }
+};
+
+/**
+ * Evalúa todos los resultados de una búsqueda
+ * @param {Array} results - Perfiles extraídos de la búsqueda
+ * @param {string} companyName - Empresa buscada
+ * @param {string} jobTitle - Cargo buscado
+ * @param {Object} options - { locationRules, companyIdentity, suppressedProfiles }
+ * @returns {Array} [{ person, verdict }] en el mismo orden que los resultados
+ */
+const evaluateResults = (results, companyName, jobTitle, options = {}) => {
+  const locationRules = options.locationRules || locationService.getLocationRules();
+  const companyIdentity = options.companyIdentity || companyIdentityService.buildIdentity({ name: companyName });
+  console.log(`\n  🔍 Filtering ${results.length} results for: "${jobTitle}" at "${companyName}"`);
+  console.log(`  📍 Location filter: ${locationRules.label}`);
+
+  const evaluations = results.map(person => {
+    const verdict = evaluateCandidate(person, companyName, jobTitle, { ...options, locationRules, companyIdentity });
+    logVerdict(person, companyName, verdict);
+    return { person, verdict };
+  });
+
+  const acceptedCount = evaluations.filter(({ verdict }) => verdict.accepted).length;
+  console.log(`  📊 Filtered: ${acceptedCount}/${results.length} results match\n`);
+
+  return evaluations;
+};
+
+/**
+ * Filtra los resultados de búsqueda por ubicación, empresa y cargo
+ * @param {Array} results - Perfiles extraídos de la búsqueda
+ * @param {string} companyName - Empresa buscada
+ * @param {string} jobTitle - Cargo buscado
+ * @param {Object} options - { locationRules, companyIdentity, suppressedProfiles }
+ * @returns {Array} Perfiles aceptados
+ */
+const filterResults = (results, companyName, jobTitle, options = {}) => {
+  return evaluateResults(results, companyName, jobTitle, options)
+    .filter(({ verdict }) => verdict.accepted)
+    .map(({ person }) => person);
+};
+
+module.exports = {
+  RULES,
+  evaluateCandidate,
+  evaluateResults,
+  filterResults
+};
@@ -0,0 +1,245 @@
+/**
+ * HUBSPOT CLIENT LAYER
+ * Cliente compartido de la API de HubSpot: token, presupuesto de peticiones bajo los límites por 10 s
+ * y de búsqueda, reintentos con backoff ante 429/5xx (respeta Retry-After) y helpers de búsqueda y
+ * batch (create/read/update/upsert)
+ */
+
+const axios = require('axios');
+require('dotenv').config();
+
+const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
+// Token de la app privada; HUBSPOT_API_KEY se mantiene por compatibilidad
+const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN || process.env.HUBSPOT_API_KEY;
+
+// Límite de HubSpot: 100 peticiones / 10 s (apps privadas en Free/Starter); se deja margen
+const REQUESTS_PER_WINDOW = parseInt(process.env.HUBSPOT_REQUESTS_PER_10S || '90');
+const WINDOW_MS = 10000;
+// Las búsquedas (/search) tienen su propio límite: 5 peticiones por segundo
+const SEARCH_REQUESTS_PER_SECOND = parseInt(process.env.HUBSPOT_SEARCH_REQUESTS_PER_SECOND || '4');
+const MAX_RETRIES = parseInt(process.env.HUBSPOT_MAX_RETRIES || '4');
+const RETRY_BASE_DELAY = parseInt(process.env.HUBSPOT_RETRY_BASE_DELAY || '1000'); // 1 second
+const REQUEST_TIMEOUT = parseInt(process.env.HUBSPOT_REQUEST_TIMEOUT || '30000'); // 30 seconds
+// Máximo de registros por petición de los endpoints batch y de búsqueda
+const BATCH_SIZE = 100;
+
+// Errores de red que se reintentan (sin respuesta de HubSpot)
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Marcas de tiempo de las peticiones dentro de cada ventana
+const requestLog = [];
+const searchLog = [];
+// Tras un 429 ninguna petición sale hasta esta hora
+let blockedUntil = 0;
+// Las peticiones esperan su turno en orden de llegada
+let slotQueue = Promise.resolve();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const chunk = (items, size = BATCH_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const isConfigured = () => !!HUBSPOT_TOKEN;
+
+/**
+ * Espera a que la petición quepa en la ventana de 10 s (y en la de búsquedas)
+ */
+const waitForSlot = (isSearch) => {
+  const turn = slotQueue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      while (requestLog.length > 0 && requestLog[0] <= now - WINDOW_MS) requestLog.shift();
+      while (searchLog.length > 0 && searchLog[0] <= now - 1000) searchLog.shift();
+
+      const waits = [blockedUntil - now];
+      if (requestLog.length >= REQUESTS_PER_WINDOW) waits.push(requestLog[0] + WINDOW_MS - now);
+      if (isSearch && searchLog.length >= SEARCH_REQUESTS_PER_SECOND) waits.push(searchLog[0] + 1000 - now);
+
+      const wait = Math.max(...waits);
+      if (wait <= 0) break;
+      await sleep(wait);
+    }
+
+    const sentAt = Date.now();
+    requestLog.push(sentAt);
+    if (isSearch) searchLog.push(sentAt);
+  });
+  slotQueue = turn.catch(() => {});
+  return turn;
+};
+
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_NETWORK_ERRORS.includes(error.code);
+};
+
+// Retry-After (segundos) o backoff exponencial con algo de jitter
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  if (!isNaN(retryAfter) && retryAfter >= 0) {
+    return Math.ceil(retryAfter * 1000);
+  }
+  const backoff = RETRY_BASE_DELAY * Math.pow(2, attempt);
+  return backoff + Math.floor(Math.random() * RETRY_BASE_DELAY);
+};
+
+/**
+ * Envía una petición a la API de HubSpot
+ * Un POST que falla con 5xx también se reintenta: los deals y contactos tienen una propiedad única
+ * que impide duplicarlos si HubSpot llegó a crearlos
+ * @param {string} method - get, post, patch, put o delete
+ * @param {string} path - Ruta de la API ("/crm/v3/objects/deals")
+ * @param {Object} options - { data, params }
+ * @returns {Promise<*>} Cuerpo de la respuesta
+ * @throws El error de axios (con error.response) si no es reintentable o se agotan los reintentos
+ */
+const request = async (method, path, options = {}) => {
+  const url = `${HUBSPOT_BASE_URL}${path}`;
+  const config = {
+    headers: {
+      'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    params: options.params,
+    timeout: REQUEST_TIMEOUT
+  };
+  const isSearch = /\/search$/.test(path);
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot(isSearch);
+    try {
+      const response = method === 'get' || method === 'delete'
+        ? await axios[method](url, config)
+        : await axios[method](url, options.data || {}, config);
+      return response.data;
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+
+      const status = error.response?.status;
+      const delay = getRetryDelay(error, attempt);
+      if (status === 429) {
+        blockedUntil = Math.max(blockedUntil, Date.now() + delay);
+      }
+      console.warn(`⏳ HubSpot ${status || error.code} on ${method.toUpperCase()} ${path}, retrying in ${delay}ms (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+};
+
+const get = (path, params) => request('get', path, { params });
+const post = (path, data) => request('post', path, { data });
+const patch = (path, data) => request('patch', path, { data });
+const put = (path, data) => request('put', path, { data });
+
+/**
+ * Obtiene todas las páginas de una búsqueda del CRM
+ * @param {string} objectType - companies, contacts o deals
+ * @param {Object} body - { filterGroups, properties, sorts }
+ * @param {Object} options - { maxResults }
+ * @returns {Promise<Array>} Registros encontrados
+ */
+const searchAll = async (objectType, body, options = {}) => {
+  const results = [];
+  let after = null;
+
+  do {
+    const data = await post(`/crm/v3/objects/${objectType}/search`, {
+      ...body,
+      limit: BATCH_SIZE,
+      ...(after ? { after } : {})
+    });
+    const page = data.results || [];
+    results.push(...page);
+    after = page.length > 0 ? data.paging?.next?.after : null;
+  } while (after && (!options.maxResults || results.length < options.maxResults));
+
+  return options.maxResults ? results.slice(0, options.maxResults) : results;
+};
+
+/**
+ * Lee registros por ID o por una propiedad única (en lotes de 100)
+ * @param {string} objectType - companies, contacts o deals
+ * @param {Array<string>} ids - IDs o valores de la propiedad única
+ * @param {Object} options - { properties, idProperty }
+ * @returns {Promise<Array>} Registros encontrados (los que no existen no se devuelven)
+ */
+const batchRead = async (objectType, ids, options = {}) => {
+  const results = [];
+  for (const batch of chunk([...new Set(ids)])) {
+    const data = await post(`/crm/v3/objects/${objectType}/batch/read`, {
+      inputs: batch.map(id => ({ id: String(id) })),
+      properties: options.properties || [],
+      ...(options.idProperty ? { idProperty: options.idProperty } : {})
+    });
+    results.push(...(data.results || []));
+  }
+  return results;
+};
+
+/**
+ * Crea registros (en lotes de 100)
+ * @param {string} objectType - companies, contacts o deals
+ * @param {Array<Object>} inputs - [{ properties, associations? }]
+ * @returns {Promise<Array>} Registros creados (en cualquier orden)
+ */
+const batchCreate = async (objectType, inputs) => {
+  const results = [];
+  for (const batch of chunk(inputs)) {
+    const data = await post(`/crm/v3/objects/${objectType}/batch/create`, { inputs: batch });
+    results.push(...(data.results || []));
+  }
+  return results;
+};
+
+/**
+ * Actualiza registros por ID (en lotes de 100)
+ * @param {string} objectType - companies, contacts o deals
+ * @param {Array<Object>} inputs - [{ id, properties }]
+ * @returns {Promise<Array>} Registros actualizados
+ */
+const batchUpdate = async (objectType, inputs) => {
+  const results = [];
+  for (const batch of chunk(inputs)) {
+    const data = await post(`/crm/v3/objects/${objectType}/batch/update`, { inputs: batch });
+    results.push(...(data.results || []));
+  }
+  return results;
+};
+
+/**
+ * Crea o actualiza registros por una propiedad única (en lotes de 100)
+ * @param {string} objectType - companies, contacts o deals
+ * @param {Array<Object>} inputs - [{ id, idProperty, properties }]
+ * @returns {Promise<Array>} Registros guardados ({ id, new, properties })
+ */
+const batchUpsert = async (objectType, inputs) => {
+  const results = [];
+  for (const batch of chunk(inputs)) {
+    const data = await post(`/crm/v3/objects/${objectType}/batch/upsert`, { inputs: batch });
+    results.push(...(data.results || []));
+  }
+  return results;
+};
+
+module.exports = {
+  BATCH_SIZE,
+  isConfigured,
+  request,
+  get,
+  post,
+  patch,
+  put,
+  searchAll,
+  batchRead,
+  batchCreate,
+  batchUpdate,
+  batchUpsert
+};
@@ -0,0 +1,294 @@
+/**
+ * HUBSPOT MAPPING LAYER
+ * Carga el mapeo de campos de deals, contactos y empresas (config/hubspotFieldMapping.js), arma las
+ * variables de plantilla de un perfil o post y renderiza las propiedades de HubSpot a escribir
+ */
+
+const path = require('path');
+require('dotenv').config();
+
+const locationService = require('./locationService');
+
+// Sección del mapeo -> objeto de HubSpot
+const SECTIONS = {
+  deal: 'deals',
+  postDeal: 'deals',
+  contact: 'contacts',
+  company: 'companies'
+};
+
+// Variables disponibles en las plantillas (null = variable sin campos)
+const VARIABLES = {
+  person: [
+    'name', 'firstName', 'lastName', 'title', 'company', 'location', 'city', 'state', 'country', 'countryCode',
+    'profileUrl', 'jobTitle', 'currentCompany', 'tenure', 'about', 'enrichment'
+  ],
+  post: ['url', 'text', 'textPreview', 'author', 'profileUrl', 'createdAt'],
+  search: ['company', 'companyId', 'jobTitle', 'keyword'],
+  pipeline: ['id'],
+  now: null,
+  today: null
+};
+
+// {{ person.name || "LinkedIn Member" }}
+const TEMPLATE_PATTERN = /\{\{([^}]*)\}\}/g;
+
+const loadMapping = () => {
+  const customFile = process.env.HUBSPOT_FIELD_MAPPING_FILE;
+  return customFile
+    ? require(path.resolve(process.cwd(), customFile))
+    : require('../config/hubspotFieldMapping');
+};
+
+const mapping = loadMapping();
+
+// 'person.name || "N/A"' -> [{ path: 'person.name' }, { literal: 'N/A' }]
+const parseExpression = (expression) => {
+  return expression.split('||').map(part => {
+    const term = part.trim();
+    const quoted = term.match(/^"(.*)"$|^'(.*)'$/);
+    if (quoted) return { literal: quoted[1] ?? quoted[2] };
+    return { path: term };
+  });
+};
+
+const isKnownVariable = (variablePath) => {
+  const [root, field, ...rest] = variablePath.split('.');
+  if (!(root in VARIABLES) || rest.length > 0) return false;
+  return VARIABLES[root] === null ? field === undefined : VARIABLES[root].includes(field);
+};
+
+const getPath = (context, variablePath) => {
+  return variablePath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+};
+
+/**
+ * Renderiza el valor de una plantilla con las variables dadas
+ * @param {*} template - Plantilla ("{{person.name}}") o valor fijo
+ * @param {Object} context - Variables (buildPersonContext / buildPostContext)
+ * @returns {*} Texto renderizado (los valores que no son texto se devuelven tal cual)
+ */
+const renderTemplate = (template, context) => {
+  if (typeof template !== 'string') return template;
+
+  return template.replace(TEMPLATE_PATTERN, (match, expression) => {
+    for (const term of parseExpression(expression)) {
+      if (term.literal !== undefined) return term.literal;
+      const value = getPath(context, term.path);
+      if (value !== undefined && value !== null && value !== '') return String(value);
+    }
+    return '';
+  });
+};
+
+// Mapeo de una sección con los cambios del pipeline
+const getSection = (section, pipelineId) => {
+  const overrides = (pipelineId && mapping.pipelines && mapping.pipelines[pipelineId]) || {};
+  return { ...(mapping[section] || {}), ...(overrides[section] || {}) };
+};
+
+/**
+ * Obtiene las propiedades de HubSpot de una sección del mapeo
+ * @param {string} section - deal, postDeal, contact o company
+ * @param {Object} context - Variables de las plantillas
+ * @returns {Object} { propiedad: valor } sin los valores vacíos
+ */
+const renderProperties = (section, context) => {
+  const properties = {};
+  const sectionMapping = getSection(section, context.pipeline && context.pipeline.id);
+
+  for (const [property, template] of Object.entries(sectionMapping)) {
+    const value = renderTemplate(template, context);
+    if (value !== undefined && value !== null && value !== '') {
+      properties[property] = value;
+    }
+  }
+  return properties;
+};
+
+/**
+ * Obtiene todas las propiedades mapeadas, incluidos los cambios por pipeline
+ * @returns {Array} [{ section, objectType, property, template, pipelineId }]
+ */
+const listMappedProperties = () => {
+  const entries = [];
+  const addSection = (section, sectionMapping, pipelineId) => {
+    for (const [property, template] of Object.entries(sectionMapping || {})) {
+      entries.push({ section, objectType: SECTIONS[section], property, template, pipelineId });
+    }
+  };
+
+  Object.keys(SECTIONS).forEach(section => addSection(section, mapping[section], null));
+  for (const [pipelineId, overrides] of Object.entries(mapping.pipelines || {})) {
+    Object.keys(SECTIONS).forEach(section => addSection(section, overrides[section], pipelineId));
+  }
+  return entries;
+};
+
+/**
+ * Verifica la estructura del mapeo y las variables de las plantillas (sin consultar HubSpot)
+ * @returns {Array<string>} Errores encontrados
+ */
+const checkMapping = () => {
+  const errors = [];
+  const allowedKeys = [...Object.keys(SECTIONS), 'pipelines'];
+
+  Object.keys(mapping)
+    .filter(key => !allowedKeys.includes(key))
+    .forEach(key => errors.push(`Unknown mapping section "${key}" (allowed: ${allowedKeys.join(', ')})`));
+
+  for (const [pipelineId, overrides] of Object.entries(mapping.pipelines || {})) {
+    Object.keys(overrides || {})
+      .filter(key => !SECTIONS[key])
+      .forEach(key => errors.push(`Unknown section "${key}" in pipeline ${pipelineId}`));
+  }
+
+  for (const entry of listMappedProperties()) {
+    const where = `${entry.pipelineId ? `pipelines.${entry.pipelineId}.` : ''}${entry.section}.${entry.property}`;
+    if (typeof entry.template !== 'string' && typeof entry.template !== 'number' && typeof entry.template !== 'boolean') {
+      errors.push(`${where}: value must be a text template, a number or a boolean`);
+      continue;
+    }
+    if (typeof entry.template !== 'string') continue;
+
+    for (const [, expression] of entry.template.matchAll(TEMPLATE_PATTERN)) {
+      parseExpression(expression)
+        .filter(term => term.path !== undefined && !isKnownVariable(term.path))
+        .forEach(term => errors.push(`${where}: unknown variable "${term.path || expression}"`));
+    }
+  }
+
+  return errors;
+};
+
+// "Ana López García, CFA 📊" -> { firstName: "Ana", lastName: "López García" }
+const splitPersonName = (name) => {
+  const clean = String(name || '')
+    .split(',')[0]
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^\p{L}\p{M}'.\- ]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Perfiles fuera de la red: LinkedIn oculta el nombre
+  if (!clean || /^(linkedin member|miembro de linkedin)$/i.test(clean)) {
+    return { firstName: null, lastName: null };
+  }
+
+  const [firstName, ...rest] = clean.split(' ');
+  return { firstName, lastName: rest.join(' ') || null };
+};
+
+/**
+ * Bloque de texto con los datos de la visita al perfil (profileEnrichmentService)
+ * @returns {string} Texto vacío si el perfil no se enriqueció
+ */
+const formatProfileEnrichment = (enrichment) => {
+  if (!enrichment) return '';
+
+  const lines = ['Perfil completo (visita al perfil):'];
+  if (enrichment.currentPosition) lines.push(`- Posición actual: ${enrichment.currentPosition}`);
+  if (enrichment.currentCompany) lines.push(`- Empresa actual: ${enrichment.currentCompany}`);
+  if (enrichment.tenure) lines.push(`- Antigüedad: ${enrichment.tenure}`);
+
+  if (enrichment.experience.length > 0) {
+    lines.push('', 'Experiencia:');
+    enrichment.experience.forEach(entry => {
+      const details = [entry.company, entry.dateRange, entry.duration].filter(Boolean).join(' · ');
+      lines.push(`- ${entry.title || 'N/A'}${details ? ` (${details})` : ''}`);
+    });
+  }
+
+  if (enrichment.education.length > 0) {
+    lines.push('', 'Educación:');
+    enrichment.education.forEach(entry => {
+      const details = [entry.degree, entry.dates].filter(Boolean).join(' · ');
+      lines.push(`- ${entry.school}${details ? ` (${details})` : ''}`);
+    });
+  }
+
+  if (enrichment.about) {
+    lines.push('', 'Acerca de:', enrichment.about);
+  }
+
+  return lines.join('\n');
+};
+
+const baseContext = (pipelineId) => {
+  const now = new Date().toISOString();
+  return { pipeline: { id: pipelineId || null }, now, today: now.split('T')[0] };
+};
+
+/**
+ * Variables de plantilla de un perfil encontrado en una búsqueda
+ * @param {Object} personData - {name, title, company, location, profileUrl, enrichment?}
+ * @param {Object} search - { company, companyId, jobTitle }
+ * @param {string} pipelineId - Pipeline del deal (cambios por pipeline)
+ */
+const buildPersonContext = (personData, search = {}, pipelineId = null) => {
+  const enrichment = personData.enrichment || null;
+  const place = locationService.describeLocation(personData.location) || {};
+
+  return {
+    ...baseContext(pipelineId),
+    person: {
+      name: personData.name || null,
+      ...splitPersonName(personData.name),
+      title: personData.title || null,
+      company: personData.company || null,
+      location: personData.location || null,
+      city: place.city || null,
+      state: place.state || null,
+      country: place.country || null,
+      countryCode: place.countryCode || null,
+      profileUrl: personData.profileUrl || null,
+      jobTitle: (enrichment && enrichment.currentPosition) || personData.title || null,
+      currentCompany: (enrichment && enrichment.currentCompany) || personData.company || null,
+      tenure: enrichment ? enrichment.tenure : null,
+      about: enrichment ? enrichment.about : null,
+      enrichment: enrichment ? `${formatProfileEnrichment(enrichment)}\n\n` : ''
+    },
+    search: {
+      company: search.company || null,
+      companyId: search.companyId || null,
+      jobTitle: search.jobTitle || null,
+      keyword: null
+    }
+  };
+};
+
+/**
+ * Variables de plantilla de un post encontrado por keyword
+ * @param {Object} postData - {url, text, author, profileUrl, createdAt}
+ * @param {string} keyword - Keyword usado para encontrar el post
+ * @param {string} pipelineId - Pipeline del deal
+ */
+const buildPostContext = (postData, keyword, pipelineId = null) => {
+  // Limitar texto a 1000 caracteres
+  const textPreview = postData.text && postData.text.length > 1000
+    ? postData.text.substring(0, 1000) + '...'
+    : (postData.text || null);
+
+  return {
+    ...baseContext(pipelineId),
+    post: {
+      url: postData.url || null,
+      text: postData.text || null,
+      textPreview,
+      author: postData.author || null,
+      profileUrl: postData.profileUrl || null,
+      createdAt: postData.createdAt || null
+    },
+    search: { company: null, companyId: null, jobTitle: null, keyword: keyword || null }
+  };
+};
+
+module.exports = {
+  SECTIONS,
+  renderTemplate,
+  renderProperties,
+  listMappedProperties,
+  checkMapping,
+  buildPersonContext,
+  buildPostContext
+};
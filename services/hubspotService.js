@@ -1,63 +1,109 @@
-const axios = require('axios');
+const hubspotClientService = require('./hubspotClientService');
+const hubspotMappingService = require('./hubspotMappingService');
+const profileUrlService = require('./profileUrlService');
+const dealIndexService = require('./dealIndexService');
+const dealRoutingService = require('./dealRoutingService');
 
-const HUBSPOT_API_KEY = process.env.HUBSPOT_API_KEY;
-const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN || process.env.HUBSPOT_API_KEY; // Compatibilidad
 const HUBSPOT_SEGMENT_ID = process.env.HUBSPOT_SEGMENT_ID || 2825;
-const HUBSPOT_BASE_URL = 'https://api.hubapi.com';
 const HUBSPOT_PIPELINE_ID = process.env.HUBSPOT_PIPELINE_ID || '811215668';
 const HUBSPOT_DEAL_STAGE_ID = process.env.HUBSPOT_DEAL_STAGE_ID || null;
+// Propiedad de empresa con las reglas de ubicación propias (p. ej. "MX, CO, Florida")
+const TARGET_LOCATIONS_PROPERTY = process.env.HUBSPOT_TARGET_LOCATIONS_PROPERTY || 'linkedin_target_locations';
+// Propiedades de identidad de la empresa: alias ("Bimbo; Bimbo Bakeries"), página e ID de LinkedIn
+const COMPANY_ALIASES_PROPERTY = process.env.HUBSPOT_COMPANY_ALIASES_PROPERTY || 'linkedin_company_aliases';
+const LINKEDIN_COMPANY_PAGE_PROPERTY = 'linkedin_company_page';
+const LINKEDIN_COMPANY_ID_PROPERTY = process.env.HUBSPOT_LINKEDIN_COMPANY_ID_PROPERTY || 'linkedin_company_id';
+// Tier de la cuenta objetivo (tier_1, tier_2, tier_3) para el enrutado de deals
+const COMPANY_TIER_PROPERTY = process.env.HUBSPOT_COMPANY_TIER_PROPERTY || 'hs_ideal_customer_profile';
+// Propiedades que escribe el resolver de páginas de empresa de LinkedIn
+const LINKEDIN_COMPANY_PROPERTY_DEFINITIONS = [
+  { name: LINKEDIN_COMPANY_ID_PROPERTY, label: 'LinkedIn Company ID', type: 'string', fieldType: 'text' },
+  { name: 'linkedin_industry', label: 'LinkedIn Industry', type: 'string', fieldType: 'text' },
+  { name: 'linkedin_employee_count', label: 'LinkedIn Employee Count', type: 'number', fieldType: 'number' },
+  { name: 'linkedin_company_size', label: 'LinkedIn Company Size', type: 'string', fieldType: 'text' },
+  { name: 'linkedin_headquarters', label: 'LinkedIn Headquarters', type: 'string', fieldType: 'text' },
+  {
+    name: 'linkedin_match_status',
+    label: 'LinkedIn Match Status',
+    type: 'enumeration',
+    fieldType: 'select',
+    options: [
+      { label: 'Matched', value: 'matched', displayOrder: 0 },
+      { label: 'Ambiguous (review)', value: 'ambiguous', displayOrder: 1 },
+      { label: 'Not found', value: 'not_found', displayOrder: 2 }
+    ]
+  },
+  { name: 'linkedin_match_confidence', label: 'LinkedIn Match Confidence', type: 'number', fieldType: 'number' },
+  { name: 'linkedin_match_candidates', label: 'LinkedIn Match Candidates', type: 'string', fieldType: 'textarea' }
+];
+// Propiedad de contacto con la URL canónica del perfil de LinkedIn (identifica al contacto al hacer upsert)
+const CONTACT_LINKEDIN_URL_PROPERTY = process.env.HUBSPOT_CONTACT_LINKEDIN_PROPERTY || 'linkedin_profile_url';
+const CONTACT_PROPERTY_DEFINITIONS = [
+  { name: CONTACT_LINKEDIN_URL_PROPERTY, label: 'LinkedIn Profile URL', type: 'string', fieldType: 'text', hasUniqueValue: true },
+  // Ubicación tal como aparece en LinkedIn (city/state/country solo si el gazetteer la reconoce)
+  { name: 'linkedin_location', label: 'LinkedIn Location', type: 'string', fieldType: 'text' }
+];
+// Propiedad de deal con la URL canónica del perfil: única, para deduplicar por coincidencia exacta
+const DEAL_LINKEDIN_URL_PROPERTY = process.env.HUBSPOT_DEAL_LINKEDIN_PROPERTY || 'linkedin_profile_url';
+const DEAL_PROPERTY_DEFINITIONS = [
+  { name: DEAL_LINKEDIN_URL_PROPERTY, label: 'LinkedIn Profile URL', type: 'string', fieldType: 'text', hasUniqueValue: true }
+];
+// Grupo de propiedades por defecto de cada objeto
+const PROPERTY_GROUPS = {
+  companies: 'companyinformation',
+  contacts: 'contactinformation',
+  deals: 'dealinformation'
+};
+const COMPANY_PROPERTIES = [
+  'name',
+  'company',
+  'domain',
+  'last_linkedin_scrape',
+  'linkedin_match_status',
+  TARGET_LOCATIONS_PROPERTY,
+  COMPANY_ALIASES_PROPERTY,
+  LINKEDIN_COMPANY_PAGE_PROPERTY,
+  LINKEDIN_COMPANY_ID_PROPERTY,
+  COMPANY_TIER_PROPERTY,
+  'hubspot_owner_id'
+];
+
+const toCompany = (record) => {
+  const properties = record.properties || {};
+  return {
+    id: record.id,
+    name: properties.name || properties.company || '',
+    company: properties.name || properties.company || '',
+    domain: properties.domain || null,
+    lastLinkedinScrape: properties.last_linkedin_scrape || null,
+    targetLocations: properties[TARGET_LOCATIONS_PROPERTY] || null,
+    aliases: properties[COMPANY_ALIASES_PROPERTY] || null,
+    linkedinCompanyPage: properties[LINKEDIN_COMPANY_PAGE_PROPERTY] || null,
+    linkedinCompanyId: properties[LINKEDIN_COMPANY_ID_PROPERTY] || null,
+    linkedinMatchStatus: properties.linkedin_match_status || null,
+    tier: properties[COMPANY_TIER_PROPERTY] || null,
+    ownerId: properties.hubspot_owner_id || null
+  };
+};
 
 const getCompaniesFromSegment = async () => {
   try {
-    let allCompanies = [];
-    let after = null;
-    let hasMore = true;
-    
-    while (hasMore) {
-      const requestBody = {
-        filterGroups: [
-          {
-            filters: [
-              {
-                propertyName: 'hs_is_target_account',
-                operator: 'EQ',
-                value: 'true'
-              }
-            ]
-          }
-        ],
-        properties: ['name', 'last_linkedin_scrape'],
-        limit: 100
-      };
-      
-      if (after) {
-        requestBody.after = after;
-      }
-      
-      const response = await axios.post(
-        `${HUBSPOT_BASE_URL}/crm/v3/objects/companies/search`,
-        requestBody,
+    const companies = await hubspotClientService.searchAll('companies', {
+      filterGroups: [
         {
-          headers: {
-            'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
+          filters: [
+            {
+              propertyName: 'hs_is_target_account',
+              operator: 'EQ',
+              value: 'true'
+            }
+          ]
         }
-      );
-
-      const companies = response.data.results || [];
-      allCompanies = allCompanies.concat(companies);
-      
-      after = response.data.paging?.next?.after;
-      hasMore = !!after && companies.length > 0;
-    }
+      ],
+      properties: COMPANY_PROPERTIES
+    });
     
-    return allCompanies.map(company => ({
-      id: company.id,
-      name: company.properties?.name || '',
-      company: company.properties?.name || '',
-      lastLinkedinScrape: company.properties?.last_linkedin_scrape || null
-    }));
+    return companies.map(toCompany);
   } catch (error) {
     console.error('=== HubSpot Get Companies Error ===');
     console.error('Status:', error.response?.status);
@@ -70,25 +116,11 @@ const getCompaniesFromSegment = async () => {
 
 const getCompanyById = async (companyId) => {
   try {
-    const response = await axios.get(
-      `${HUBSPOT_BASE_URL}/crm/v3/objects/companies/${companyId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          properties: 'name,company,last_linkedin_scrape'
-        }
-      }
-    );
+    const company = await hubspotClientService.get(`/crm/v3/objects/companies/${companyId}`, {
+      properties: COMPANY_PROPERTIES.join(',')
+    });
 
-    return {
-      id: response.data.id,
-      name: response.data.properties.name || response.data.properties.company || '',
-      company: response.data.properties.name || response.data.properties.company || '',
-      lastLinkedinScrape: response.data.properties.last_linkedin_scrape || null
-    };
+    return toCompany(company);
   } catch (error) {
     console.error('=== HubSpot Get Company Error ===');
     console.error('Status:', error.response?.status);
@@ -99,38 +131,50 @@ const getCompanyById = async (companyId) => {
   }
 };
 
-const createPropertyIfNotExists = async () => {
+/**
+ * Obtiene varias empresas por ID en peticiones batch
+ * @param {Array<string>} companyIds - IDs de HubSpot
+ * @returns {Promise<Array>} Empresas en el mismo orden que los IDs
+ * @throws Si alguna empresa no existe
+ */
+const getCompaniesByIds = async (companyIds) => {
+  let records;
   try {
-    const response = await axios.get(
-      `${HUBSPOT_BASE_URL}/crm/v3/properties/companies/last_linkedin_scrape`,
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    records = await hubspotClientService.batchRead('companies', companyIds, { properties: COMPANY_PROPERTIES });
+  } catch (error) {
+    console.error('=== HubSpot Batch Read Companies Error ===');
+    console.error('Status:', error.response?.status);
+    console.error('Response Data:', JSON.stringify(error.response?.data, null, 2));
+    console.error('Error Message:', error.message);
+    console.error('==========================================');
+    throw new Error(`Failed to fetch companies: ${error.message}`);
+  }
+
+  const companies = new Map(records.map(record => [String(record.id), toCompany(record)]));
+  const missing = companyIds.filter(companyId => !companies.has(String(companyId)));
+  if (missing.length > 0) {
+    throw new Error(`Failed to fetch company: not found ${missing.join(', ')}`);
+  }
+  return companyIds.map(companyId => companies.get(String(companyId)));
+};
+
+/**
+ * Crea una propiedad en HubSpot si aún no existe
+ * @param {string} objectType - "companies", "contacts" o "deals"
+ * @param {Object} definition - { name, label, type, fieldType, options? }
+ */
+const ensureProperty = async (objectType, definition) => {
+  try {
+    await hubspotClientService.get(`/crm/v3/properties/${objectType}/${definition.name}`);
     return true;
   } catch (error) {
     if (error.response?.status === 404) {
       try {
-        await axios.post(
-          `${HUBSPOT_BASE_URL}/crm/v3/properties/companies`,
-          {
-            name: 'last_linkedin_scrape',
-            label: 'Last LinkedIn Scrape',
-            type: 'date',
-            fieldType: 'date',
-            groupName: 'companyinformation'
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        console.log('Created property last_linkedin_scrape in HubSpot');
+        await hubspotClientService.post(`/crm/v3/properties/${objectType}`, {
+          groupName: PROPERTY_GROUPS[objectType],
+          ...definition
+        });
+        console.log(`Created ${objectType} property ${definition.name} in HubSpot`);
         return true;
       } catch (createError) {
         console.error('Failed to create property:', createError.response?.data || createError.message);
@@ -141,6 +185,17 @@ const createPropertyIfNotExists = async () => {
   }
 };
 
+const ensureCompanyProperty = (definition) => ensureProperty('companies', definition);
+
+const createPropertyIfNotExists = async () => {
+  return ensureCompanyProperty({
+    name: 'last_linkedin_scrape',
+    label: 'Last LinkedIn Scrape',
+    type: 'date',
+    fieldType: 'date'
+  });
+};
+
 const updateLastScrape = async (companyId, date) => {
   try {
     await createPropertyIfNotExists();
@@ -149,22 +204,11 @@ const updateLastScrape = async (companyId, date) => {
     const now = date ? new Date(date) : new Date();
     const dateValue = now.toISOString().split('T')[0]; // Solo la fecha: YYYY-MM-DD
     
-    const response = await axios.patch(
-      `${HUBSPOT_BASE_URL}/crm/v3/objects/companies/${companyId}`,
-      {
-        properties: {
-          last_linkedin_scrape: dateValue
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
+    return await hubspotClientService.patch(`/crm/v3/objects/companies/${companyId}`, {
+      properties: {
+        last_linkedin_scrape: dateValue
       }
-    );
-
-    return response.data;
+    });
   } catch (error) {
     if (error.response?.data?.errors?.some(e => e.code === 'PROPERTY_DOESNT_EXIST')) {
       console.warn(`Property last_linkedin_scrape does not exist for company ${companyId}. Skipping update.`);
@@ -180,6 +224,55 @@ const updateLastScrape = async (companyId, date) => {
   }
 };
 
+// Las propiedades del resolver se crean una sola vez por proceso
+let linkedinPropertiesReady = null;
+
+/**
+ * Guarda en la empresa de HubSpot la página de empresa de LinkedIn resuelta
+ * @param {string} companyId - ID de la empresa en HubSpot
+ * @param {Object} resolution - Resultado de companyResolverService.resolveCompany
+ */
+const updateCompanyLinkedinData = async (companyId, resolution) => {
+  try {
+    if (!linkedinPropertiesReady) {
+      linkedinPropertiesReady = Promise.all(LINKEDIN_COMPANY_PROPERTY_DEFINITIONS.map(ensureCompanyProperty));
+    }
+    await linkedinPropertiesReady;
+    
+    const match = resolution.match || {};
+    const properties = {
+      linkedin_match_status: resolution.status,
+      linkedin_match_confidence: resolution.confidence,
+      // Candidatos para revisión manual: "Grupo Bimbo (grupo-bimbo, 0.95); ..."
+      linkedin_match_candidates: resolution.candidates
+        .map(candidate => `${candidate.name || candidate.slug} (${candidate.slug || candidate.companyId}, ${candidate.confidence})`)
+        .join('; ')
+    };
+    
+    // Solo se escriben los datos de la página cuando la coincidencia es clara
+    if (resolution.status === 'matched') {
+      Object.assign(properties, {
+        [LINKEDIN_COMPANY_PAGE_PROPERTY]: match.slug ? `https://www.linkedin.com/company/${match.slug}/` : undefined,
+        [LINKEDIN_COMPANY_ID_PROPERTY]: match.companyId || undefined,
+        linkedin_industry: match.industry || undefined,
+        linkedin_employee_count: match.employeeCount || undefined,
+        linkedin_company_size: match.companySize || undefined,
+        linkedin_headquarters: match.headquarters || undefined
+      });
+    }
+    Object.keys(properties).forEach(key => properties[key] === undefined && delete properties[key]);
+    
+    return await hubspotClientService.patch(`/crm/v3/objects/companies/${companyId}`, { properties });
+  } catch (error) {
+    console.error('=== HubSpot Update Company LinkedIn Data Error ===');
+    console.error('Status:', error.response?.status);
+    console.error('Response Data:', JSON.stringify(error.response?.data, null, 2));
+    console.error('Error Message:', error.message);
+    console.error('==================================================');
+    throw new Error(`Failed to update company LinkedIn data: ${error.message}`);
+  }
+};
+
 const shouldScrapeCompany = (lastScrapeDate) => {
   if (!lastScrapeDate) {
     return true;
@@ -198,17 +291,9 @@ const shouldScrapeCompany = (lastScrapeDate) => {
  */
 const getPipelinesAndStages = async () => {
   try {
-    const response = await axios.get(
-      `${HUBSPOT_BASE_URL}/crm/v3/pipelines/deals`,
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const data = await hubspotClientService.get('/crm/v3/pipelines/deals');
 
-    return response.data.results || [];
+    return data.results || [];
   } catch (error) {
     console.error('=== HubSpot Get Pipelines Error ===');
     console.error('Status:', error.response?.status);
@@ -263,126 +348,537 @@ const getValidStageId = async (pipelineId = null) => {
   }
 };
 
+// Pipeline o etapa por ID o por nombre ("Hot" = "hot")
+const findByReference = (items, reference) => {
+  const wanted = String(reference).trim().toLowerCase();
+  return items.find(item => item.id === String(reference) || String(item.label || '').trim().toLowerCase() === wanted) || null;
+};
+
 /**
- * Verifica si ya existe un deal con ese link del perfil/post
- * @param {string} profileUrl - URL del perfil o post de LinkedIn
- * @returns {Promise<boolean>} true si existe un deal duplicado
+ * Obtiene los IDs de pipeline y etapa de un deal nuevo
+ * Una ruta con pipeline o etapa desconocidos usa los configurados (HUBSPOT_PIPELINE_ID / HUBSPOT_DEAL_STAGE_ID)
+ * @param {Object} route - { pipeline, stage } de dealRoutingService.routeDeal (ID o nombre)
+ * @returns {Promise<Object|null>} { pipelineId, dealStageId } o null si no hay etapa válida
  */
-const checkDuplicateDeal = async (profileUrl) => {
+const resolveDealTarget = async (route = {}) => {
+  // Validar pipeline ID
+  const defaultPipelineId = /^\d+$/.test(HUBSPOT_PIPELINE_ID) ? HUBSPOT_PIPELINE_ID : '811215668';
+
+  if (route.pipeline || route.stage) {
+    const pipelines = await getPipelinesAndStages();
+    const pipeline = findByReference(pipelines, route.pipeline || defaultPipelineId);
+    const stages = (pipeline && pipeline.stages) || [];
+    const stage = route.stage ? findByReference(stages, route.stage) : stages[0];
+
+    if (stage) {
+      return { pipelineId: pipeline.id, dealStageId: stage.id };
+    }
+    console.warn(`⚠️  Route "${route.rule}": ${pipeline ? `stage "${route.stage}"` : `pipeline "${route.pipeline || defaultPipelineId}"`} not found, using default stage`);
+  }
+
+  // Obtener stage ID
+  let dealStageId = HUBSPOT_DEAL_STAGE_ID;
+  
+  // Validar que el stage ID sea numérico si está configurado
+  if (dealStageId && !/^\d+$/.test(dealStageId)) {
+    console.warn(`Invalid HUBSPOT_DEAL_STAGE_ID format: ${dealStageId}, using first stage of pipeline`);
+    dealStageId = null;
+  }
+
+  // Si no hay stage configurado, obtener el primero del pipeline
+  if (!dealStageId) {
+    dealStageId = await getValidStageId(HUBSPOT_PIPELINE_ID);
+    if (!dealStageId) {
+      return null;
+    }
+  }
+
+  return { pipelineId: defaultPipelineId, dealStageId };
+};
+
+/**
+ * Valida las reglas de enrutamiento de deals (config/dealRoutingRules.js)
+ * Una etapa o pipeline que no existe en HubSpot es un aviso: esos deals van a la etapa por defecto
+ * @returns {Promise<Object>} { valid, verified, errors, warnings }
+ */
+const validateDealRouting = async () => {
+  const errors = dealRoutingService.checkRules();
+  const warnings = [];
+  const routes = dealRoutingService.listRoutes();
+  if (routes.length === 0) {
+    return { valid: errors.length === 0, verified: true, errors, warnings };
+  }
+
+  const pipelines = await getPipelinesAndStages();
+  if (pipelines.length === 0) {
+    return { valid: errors.length === 0, verified: false, errors, warnings: ['Could not load HubSpot deal pipelines'] };
+  }
+
+  const defaultPipelineId = /^\d+$/.test(HUBSPOT_PIPELINE_ID) ? HUBSPOT_PIPELINE_ID : '811215668';
+  for (const route of routes) {
+    const pipeline = findByReference(pipelines, route.pipeline || defaultPipelineId);
+    if (!pipeline) {
+      warnings.push(`Rule "${route.rule}": pipeline "${route.pipeline || defaultPipelineId}" not found`);
+    } else if (route.stage && !findByReference(pipeline.stages || [], route.stage)) {
+      warnings.push(`Rule "${route.rule}": stage "${route.stage}" not found in pipeline "${pipeline.label}"`);
+    }
+  }
+
+  return { valid: errors.length === 0, verified: true, errors, warnings };
+};
+
+// La propiedad de deal se crea una sola vez por proceso; sin ella no se buscan ni se crean deals de perfiles
+// Si falla (p. ej. un 429 o 5xx al arrancar) se vuelve a intentar en la siguiente llamada
+let dealPropertiesReady = null;
+
+const ensureDealProperties = async () => {
+  if (!dealPropertiesReady) {
+    dealPropertiesReady = Promise.all(DEAL_PROPERTY_DEFINITIONS.map(definition => ensureProperty('deals', definition)))
+      .then(results => results.every(Boolean));
+    dealPropertiesReady
+      .then(ready => { if (!ready) dealPropertiesReady = null; })
+      .catch(() => { dealPropertiesReady = null; });
+  }
+  return dealPropertiesReady;
+};
+
+// Máximo de filterGroups por búsqueda de HubSpot: URLs por búsqueda en la descripción
+const LEGACY_URLS_PER_SEARCH = 5;
+
+/**
+ * Busca los deals de varios perfiles en lote: índice local, lectura batch por la propiedad única
+ * (coincidencia exacta) y, para los deals creados antes de la propiedad, la URL en la descripción
+ * Un error de HubSpot se propaga: sin una respuesta fiable no se crea el deal, se reintenta después
+ * @param {Array<string>} profileUrls - Cualquier variante de las URLs de los perfiles
+ * @returns {Promise<Map>} URL canónica -> { dealId, source } (index, hubspot, legacy), solo perfiles con deal
+ */
+const findDealsByProfileUrls = async (profileUrls) => {
+  const found = new Map();
+  // URL canónica -> variantes a buscar en la descripción (canónica y original)
+  const pending = new Map();
+
+  for (const profileUrl of profileUrls) {
+    const canonicalUrl = profileUrlService.canonicalProfileUrl(profileUrl);
+    if (!canonicalUrl || found.has(canonicalUrl)) continue;
+
+    const indexed = await dealIndexService.findDeal(canonicalUrl);
+    if (indexed) {
+      found.set(canonicalUrl, { dealId: indexed.dealId, source: 'index' });
+      continue;
+    }
+    if (!pending.has(canonicalUrl)) pending.set(canonicalUrl, new Set([canonicalUrl]));
+    pending.get(canonicalUrl).add(String(profileUrl).trim());
+  }
+  if (pending.size === 0) {
+    return found;
+  }
+
+  const recordFound = async (canonicalUrl, dealId, source) => {
+    found.set(canonicalUrl, { dealId, source });
+    pending.delete(canonicalUrl);
+    await dealIndexService.recordDeal(canonicalUrl, { dealId, source });
+  };
+
   try {
-    if (!profileUrl || profileUrl.trim().length === 0) {
-      return false;
+    // Sin la propiedad no hay coincidencia exacta: seguir solo con la descripción podría duplicar el deal
+    if (!(await ensureDealProperties())) {
+      throw new Error(`Could not verify the ${DEAL_LINKEDIN_URL_PROPERTY} deal property`);
+    }
+    const deals = await hubspotClientService.batchRead('deals', [...pending.keys()], {
+      properties: [DEAL_LINKEDIN_URL_PROPERTY],
+      idProperty: DEAL_LINKEDIN_URL_PROPERTY
+    });
+    for (const deal of deals) {
+      const canonicalUrl = deal.properties?.[DEAL_LINKEDIN_URL_PROPERTY];
+      if (pending.has(canonicalUrl)) await recordFound(canonicalUrl, deal.id, 'hubspot');
     }
 
-    const response = await axios.post(
-      `${HUBSPOT_BASE_URL}/crm/v3/objects/deals/search`,
-      {
-        filterGroups: [
-          {
-            filters: [
-              {
-                propertyName: 'description',
-                operator: 'CONTAINS_TOKEN',
-                value: profileUrl
-              }
-            ]
-          }
-        ],
-        limit: 1
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
+    const legacyUrls = [...pending].flatMap(([canonicalUrl, urls]) => [...urls].map(url => ({ canonicalUrl, url })));
+    for (let i = 0; i < legacyUrls.length; i += LEGACY_URLS_PER_SEARCH) {
+      const group = legacyUrls.slice(i, i + LEGACY_URLS_PER_SEARCH).filter(({ canonicalUrl }) => pending.has(canonicalUrl));
+      if (group.length === 0) continue;
+
+      const deals = await hubspotClientService.searchAll('deals', {
+        filterGroups: group.map(({ url }) => ({ filters: [{ propertyName: 'description', operator: 'CONTAINS_TOKEN', value: url }] })),
+        properties: ['description']
+      });
+      const groupUrls = [...new Set(group.map(({ canonicalUrl }) => canonicalUrl))];
+      for (const deal of deals) {
+        // Cada deal se atribuye al perfil enlazado en su descripción
+        const linked = groupUrls.length === 1
+          ? groupUrls
+          : profileUrlService.findProfileUrls(deal.properties?.description).filter(url => groupUrls.includes(url));
+        for (const canonicalUrl of linked) {
+          if (pending.has(canonicalUrl)) await recordFound(canonicalUrl, deal.id, 'legacy');
         }
       }
-    );
+    }
 
-    const results = response.data.results || [];
-    return results.length > 0;
+    return found;
   } catch (error) {
-    // Si hay error, asumir que no es duplicado para no bloquear la creación
-    console.warn('Error checking duplicate deal:', error.message);
+    console.error('=== HubSpot Duplicate Check Error ===');
+    console.error('Status:', error.response?.status);
+    console.error('Response Data:', JSON.stringify(error.response?.data, null, 2));
+    console.error('Error Message:', error.message);
+    console.error('=====================================');
+    throw new Error(`HubSpot duplicate check failed, retry later: ${error.message}`);
+  }
+};
+
+/**
+ * Busca el deal de un perfil (findDealsByProfileUrls con una sola URL)
+ * @param {string} profileUrl - Cualquier variante de la URL del perfil
+ * @returns {Promise<Object|null>} { dealId, source } (index, hubspot, legacy) o null si no tiene deal
+ */
+const findDealByProfileUrl = async (profileUrl) => {
+  const canonicalUrl = profileUrlService.canonicalProfileUrl(profileUrl);
+  if (!canonicalUrl) {
+    return null;
+  }
+
+  const deals = await findDealsByProfileUrls([profileUrl]);
+  return deals.get(canonicalUrl) || null;
+};
+
+/**
+ * Verifica si ya existe un deal con ese link del perfil/post
+ * Los perfiles se buscan por URL canónica (findDealByProfileUrl); los posts, en la descripción
+ * @param {string} url - URL del perfil o post de LinkedIn
+ * @returns {Promise<boolean>} true si existe un deal duplicado
+ * @throws Si HubSpot no responde: no se debe crear el deal sin saber si es duplicado
+ */
+const checkDuplicateDeal = async (url) => {
+  if (!url || url.trim().length === 0) {
     return false;
   }
+  if (profileUrlService.canonicalProfileUrl(url)) {
+    return !!(await findDealByProfileUrl(url));
+  }
+
+  try {
+    const data = await hubspotClientService.post('/crm/v3/objects/deals/search', {
+      filterGroups: [
+        {
+          filters: [
+            {
+              propertyName: 'description',
+              operator: 'CONTAINS_TOKEN',
+              value: url
+            }
+          ]
+        }
+      ],
+      limit: 1
+    });
+
+    const results = data.results || [];
+    return results.length > 0;
+  } catch (error) {
+    throw new Error(`HubSpot duplicate check failed, retry later: ${error.message}`);
+  }
+};
+
+// Las propiedades de contacto se crean una sola vez por proceso (se reintenta si falló)
+let contactPropertiesReady = null;
+
+const ensureContactProperties = async () => {
+  if (!contactPropertiesReady) {
+    contactPropertiesReady = Promise.all(CONTACT_PROPERTY_DEFINITIONS.map(definition => ensureProperty('contacts', definition)))
+      .then(results => results.every(Boolean));
+    contactPropertiesReady
+      .then(ready => { if (!ready) contactPropertiesReady = null; })
+      .catch(() => { contactPropertiesReady = null; });
+  }
+  return contactPropertiesReady;
 };
 
 /**
- * Crea un deal en HubSpot para un perfil encontrado
- * @param {Object} personData - Datos del perfil {name, title, company, location, profileUrl}
- * @param {string} searchCompany - Nombre de la empresa buscada
- * @param {string} searchJobTitle - Cargo buscado
- * @returns {Promise<Object|null>} Deal creado o null si hay error, o {duplicate: true} si es duplicado
+ * Crea o actualiza el contacto de HubSpot de un perfil de LinkedIn (upsert por URL del perfil)
+ * Las propiedades salen de la sección "contact" del mapeo de campos
+ * @param {Object} personData - {name, title, company, location, profileUrl, enrichment?}
+ * @param {Object} context - Variables del mapeo (hubspotMappingService.buildPersonContext)
+ * @returns {Promise<Object>} { id, created }
  */
-const createDealForPerson = async (personData, searchCompany, searchJobTitle) => {
+const upsertContactForPerson = async (personData, context) => {
   try {
-    // Verificar duplicados primero
-    const isDuplicate = await checkDuplicateDeal(personData.profileUrl);
-    if (isDuplicate) {
-      console.log(`⚠️  Duplicate deal found for profile: ${personData.profileUrl}`);
-      return { duplicate: true };
+    await ensureContactProperties();
+    
+    const properties = {
+      // Sin valor no se escribe: no se sobrescribe lo que ya tenga el contacto en HubSpot
+      ...hubspotMappingService.renderProperties('contact', context),
+      [CONTACT_LINKEDIN_URL_PROPERTY]: profileUrlService.canonicalProfileUrl(personData.profileUrl) || personData.profileUrl
+    };
+    
+    // Una sola petición: HubSpot crea el contacto o actualiza el que tiene esa URL (propiedad única)
+    const [contact] = await hubspotClientService.batchUpsert('contacts', [{
+      id: properties[CONTACT_LINKEDIN_URL_PROPERTY],
+      idProperty: CONTACT_LINKEDIN_URL_PROPERTY,
+      properties
+    }]);
+    return { id: contact.id, created: !!contact.new };
+  } catch (error) {
+    console.error('=== HubSpot Upsert Contact Error ===');
+    console.error('Status:', error.response?.status);
+    console.error('Response Data:', JSON.stringify(error.response?.data, null, 2));
+    console.error('Error Message:', error.message);
+    console.error('====================================');
+    throw new Error(`Failed to upsert contact: ${error.message}`);
+  }
+};
+
+/**
+ * Asocia dos registros con la asociación por defecto de HubSpot (v4)
+ * @param {string} fromType - "contact", "company", "deal"
+ * @param {string} fromId - ID del registro origen
+ * @param {string} toType - Tipo del registro destino
+ * @param {string} toId - ID del registro destino
+ */
+const associateRecords = async (fromType, fromId, toType, toId) => {
+  try {
+    await hubspotClientService.put(`/crm/v4/objects/${fromType}/${fromId}/associations/default/${toType}/${toId}`);
+  } catch (error) {
+    console.error('=== HubSpot Association Error ===');
+    console.error('Status:', error.response?.status);
+    console.error('Response Data:', JSON.stringify(error.response?.data, null, 2));
+    console.error('Error Message:', error.message);
+    console.error('=================================');
+    throw new Error(`Failed to associate ${fromType} ${fromId} with ${toType} ${toId}: ${error.message}`);
+  }
+};
+
+/**
+ * Contacto del perfil asociado a la empresa buscada y al deal
+ * Los errores se registran pero no invalidan el deal ya creado
+ * @returns {Promise<Object|null>} { id, created, associationErrors } o null si no se pudo guardar
+ */
+const saveContactForDeal = async (personData, dealId, companyId, context) => {
+  let contact;
+  try {
+    contact = await upsertContactForPerson(personData, context);
+  } catch (error) {
+    console.warn(`⚠️  Deal ${dealId} saved without contact: ${error.message}`);
+    return null;
+  }
+  
+  // Cada asociación por separado: si falla la de la empresa, la del deal se intenta igual
+  const associations = [['deal', dealId]];
+  if (companyId) associations.unshift(['company', companyId]);
+  
+  const associationErrors = [];
+  for (const [toType, toId] of associations) {
+    try {
+      await associateRecords('contact', contact.id, toType, toId);
+    } catch (error) {
+      associationErrors.push(error.message);
+      console.warn(`⚠️  Contact ${contact.id} not associated with ${toType} ${toId}: ${error.message}`);
+    }
+  }
+  
+  console.log(`✅ Contact ${contact.created ? 'created' : 'updated'} in HubSpot: ${personData.name} (${contact.id})`);
+  return { ...contact, associationErrors };
+};
+
+/**
+ * Contacto de un perfil sin deal, asociado a la empresa buscada (destino hubspot_contact)
+ * @param {Object} personData - {name, title, company, location, profileUrl, enrichment?}
+ * @param {Object} options - { companyId }
+ * @returns {Promise<Object>} { id, created }
+ * @throws Si HubSpot no guarda el contacto
+ */
+const createContactForPerson = async (personData, searchCompany, searchJobTitle, options = {}) => {
+  const canonicalUrl = profileUrlService.canonicalProfileUrl(personData.profileUrl);
+  const person = { ...personData, profileUrl: canonicalUrl || personData.profileUrl };
+  const context = hubspotMappingService.buildPersonContext(person, {
+    company: searchCompany,
+    companyId: options.companyId,
+    jobTitle: searchJobTitle
+  });
+
+  const contact = await upsertContactForPerson(person, context);
+  if (options.companyId) {
+    try {
+      await associateRecords('contact', contact.id, 'company', options.companyId);
+    } catch (error) {
+      console.warn(`⚠️  Contact ${contact.id} not associated with company ${options.companyId}: ${error.message}`);
     }
+  }
 
-    // Obtener stage ID
-    let dealStageId = HUBSPOT_DEAL_STAGE_ID;
+  console.log(`✅ Contact ${contact.created ? 'created' : 'updated'} in HubSpot: ${personData.name} (${contact.id})`);
+  return contact;
+};
+
+/**
+ * Escribe en la empresa buscada la sección "company" del mapeo de campos
+ * Los errores se registran pero no invalidan el deal ya creado
+ */
+const updateSearchedCompany = async (companyId, context) => {
+  const properties = hubspotMappingService.renderProperties('company', context);
+  if (Object.keys(properties).length === 0) {
+    return;
+  }
+  
+  try {
+    await hubspotClientService.patch(`/crm/v3/objects/companies/${companyId}`, { properties });
+  } catch (error) {
+    console.warn(`⚠️  Could not update mapped properties of company ${companyId}: ${error.response?.data?.message || error.message}`);
+  }
+};
+
+/**
+ * Valida el mapeo de campos contra las propiedades de HubSpot (/crm/v3/properties)
+ * Las propiedades que gestiona el propio scraper se crean antes de comprobar
+ * @returns {Promise<Object>} { valid, verified, errors, warning? } - verified false si HubSpot no respondió
+ */
+const validateFieldMapping = async () => {
+  const errors = hubspotMappingService.checkMapping();
+  const entries = hubspotMappingService.listMappedProperties();
+  const objectTypes = [...new Set(entries.map(entry => entry.objectType))];
+  
+  const definitions = {};
+  try {
+    await Promise.all([ensureDealProperties(), ensureContactProperties()]);
     
-    // Validar que el stage ID sea numérico si está configurado
-    if (dealStageId && !/^\d+$/.test(dealStageId)) {
-      console.warn(`Invalid HUBSPOT_DEAL_STAGE_ID format: ${dealStageId}, using first stage of pipeline`);
-      dealStageId = null;
+    for (const objectType of objectTypes) {
+      const data = await hubspotClientService.get(`/crm/v3/properties/${objectType}`);
+      definitions[objectType] = new Map((data.results || []).map(property => [property.name, property]));
     }
-
-    // Si no hay stage configurado, obtener el primero del pipeline
-    if (!dealStageId) {
-      dealStageId = await getValidStageId(HUBSPOT_PIPELINE_ID);
-      if (!dealStageId) {
-        console.error('Could not get valid stage ID');
-        return null;
-      }
+  } catch (error) {
+    return {
+      valid: errors.length === 0,
+      verified: false,
+      errors,
+      warning: `Could not load HubSpot properties: ${[error.response?.status, error.message].filter(Boolean).join(' ')}`
+    };
+  }
+  
+  for (const entry of entries) {
+    const where = `${entry.pipelineId ? `pipelines.${entry.pipelineId}.` : ''}${entry.section}.${entry.property}`;
+    const property = definitions[entry.objectType].get(entry.property);
+    if (!property) {
+      errors.push(`${where}: property "${entry.property}" does not exist on HubSpot ${entry.objectType}`);
+    } else if (property.modificationMetadata?.readOnlyValue || property.calculated) {
+      errors.push(`${where}: property "${entry.property}" is read-only in HubSpot`);
     }
+  }
+  
+  return { valid: errors.length === 0, verified: true, errors };
+};
 
-    // Validar pipeline ID
-    const pipelineId = /^\d+$/.test(HUBSPOT_PIPELINE_ID) ? HUBSPOT_PIPELINE_ID : '811215668';
+/**
+ * Propiedades de un deal nuevo de un perfil: pipeline y etapa de la ruta y el mapeo de campos
+ * @returns {Promise<Object|null>} { properties, context, dealName } o null si no hay etapa válida
+ */
+const buildPersonDealProperties = async (person, searchCompany, searchJobTitle, options = {}) => {
+  // Pipeline y etapa de la regla de enrutado o, sin regla, los configurados
+  const route = options.route || {};
+  const target = await resolveDealTarget(route);
+  if (!target) {
+    console.error('Could not get valid stage ID');
+    return null;
+  }
+  const { pipelineId, dealStageId } = target;
+
+  // Nombre, descripción, monto, moneda... según el mapeo de campos (config/hubspotFieldMapping.js)
+  const context = hubspotMappingService.buildPersonContext(person, {
+    company: searchCompany,
+    companyId: options.companyId,
+    jobTitle: searchJobTitle
+  }, pipelineId);
+  const properties = {
+    ...hubspotMappingService.renderProperties('deal', context),
+    pipeline: pipelineId,
+    dealstage: dealStageId
+  };
+  if (route.ownerId) properties.hubspot_owner_id = route.ownerId;
+  if (route.priority) properties.hs_priority = route.priority;
+  const canonicalUrl = profileUrlService.canonicalProfileUrl(person.profileUrl);
+  if (canonicalUrl) {
+    properties[DEAL_LINKEDIN_URL_PROPERTY] = canonicalUrl;
+  }
 
-    // Construir descripción
-    const description = `Perfil de LinkedIn encontrado por búsqueda\n\n` +
-      `Cargo buscado: ${searchJobTitle}\n` +
-      `Empresa buscada: ${searchCompany}\n\n` +
-      `Información del perfil:\n` +
-      `- Nombre: ${personData.name || 'N/A'}\n` +
-      `- Cargo: ${personData.title || 'N/A'}\n` +
-      `- Empresa actual: ${personData.company || 'N/A'}\n` +
-      `- Ubicación: ${personData.location || 'N/A'}\n` +
-      `- URL del perfil: ${personData.profileUrl}\n\n` +
-      `Fecha de extracción: ${new Date().toISOString()}\n`;
-
-    // Construir nombre del deal
-    const dealName = `${personData.name || 'LinkedIn Member'} - ${searchJobTitle} (${searchCompany})`;
+  return { properties, context, dealName: properties.dealname };
+};
 
-    // Crear el deal
-    const response = await axios.post(
-      `${HUBSPOT_BASE_URL}/crm/v3/objects/deals`,
-      {
-        properties: {
-          dealname: dealName,
-          description: description,
-          amount: '0',
-          deal_currency_code: 'MXN',
-          pipeline: pipelineId,
-          dealstage: dealStageId
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+/**
+ * Contacto, empresa buscada e índice local de un deal recién creado
+ * @returns {Promise<Object>} Deal con { contactId, route }
+ */
+const completePersonDeal = async (person, deal, built, options = {}) => {
+  const route = options.route || {};
+  const canonicalUrl = profileUrlService.canonicalProfileUrl(person.profileUrl);
+  console.log(`✅ Deal created in HubSpot: ${built.dealName}${route.rule ? ` (route: ${route.rule})` : ''}`);
+
+  // Contacto con nombre, cargo, URL y ubicación, asociado a la empresa y al deal
+  const contact = await saveContactForDeal(person, deal.id, options.companyId, built.context);
+  if (options.companyId) {
+    await updateSearchedCompany(options.companyId, built.context);
+  }
+  await dealIndexService.recordDeal(canonicalUrl, {
+    dealId: deal.id,
+    contactId: contact ? contact.id : null,
+    source: 'created'
+  });
+  // El mismo perfil repetido en la búsqueda ya no se vuelve a crear
+  if (options.existingDeals && canonicalUrl) {
+    options.existingDeals.set(canonicalUrl, { dealId: deal.id, source: 'created' });
+  }
+  return { ...deal, contactId: contact ? contact.id : null, route: route.rule || null };
+};
 
-    console.log(`✅ Deal created in HubSpot: ${dealName}`);
-    return response.data;
+/**
+ * Crea un deal en HubSpot para un perfil encontrado
+ * @param {Object} personData - Datos del perfil {name, title, company, location, profileUrl, enrichment?}
+ * @param {string} searchCompany - Nombre de la empresa buscada
+ * @param {string} searchJobTitle - Cargo buscado
+ * @param {Object} options - { companyId, route, existingDeals } ID de la empresa buscada en HubSpot (asociación
+ *   del contacto), ruta de dealRoutingService.routeDeal (pipeline, etapa, propietario y prioridad) y
+ *   resultado de findDealsByProfileUrls si los duplicados ya se comprobaron en lote
+ * @returns {Promise<Object|null>} Deal creado ({ id, ..., contactId }) o null si hay error,
+ *   {duplicate: true, dealId} si es duplicado o {retryLater: true, error} si HubSpot no pudo confirmar que no lo es
+ */
+const createDealForPerson = async (personData, searchCompany, searchJobTitle, options = {}) => {
+  // Todas las variantes de la URL del perfil se guardan y deduplican como la misma
+  const canonicalUrl = profileUrlService.canonicalProfileUrl(personData.profileUrl);
+  const person = { ...personData, profileUrl: canonicalUrl || personData.profileUrl };
+
+  // Verificar duplicados primero; si HubSpot falla no se crea nada
+  let existingDeal;
+  try {
+    // Comprobación en lote ya hecha por el llamador (findDealsByProfileUrls) o, si no, la de este perfil;
+    // URL original: los deals anteriores a la propiedad la tienen tal cual en la descripción
+    existingDeal = options.existingDeals
+      ? options.existingDeals.get(canonicalUrl) || null
+      : await findDealByProfileUrl(personData.profileUrl);
+  } catch (error) {
+    console.warn(`⚠️  Could not check duplicates for ${person.profileUrl}, will retry later`);
+    return { retryLater: true, error: error.message };
+  }
+  if (existingDeal) {
+    console.log(`⚠️  Duplicate deal found for profile: ${person.profileUrl} (deal ${existingDeal.dealId}, ${existingDeal.source})`);
+    return { duplicate: true, dealId: existingDeal.dealId };
+  }
+  // Sin la propiedad única HubSpot no rechazaría un segundo deal del mismo perfil: no se crea sin ella
+  if (canonicalUrl && !(await ensureDealProperties().catch(() => false))) {
+    console.warn(`⚠️  Could not verify the ${DEAL_LINKEDIN_URL_PROPERTY} deal property, will retry ${person.profileUrl} later`);
+    return { retryLater: true, error: `Could not verify the ${DEAL_LINKEDIN_URL_PROPERTY} deal property` };
+  }
+
+  try {
+    const built = await buildPersonDealProperties(person, searchCompany, searchJobTitle, options);
+    if (!built) {
+      return null;
+    }
+
+    // Crear el deal
+    const deal = await hubspotClientService.post('/crm/v3/objects/deals', { properties: built.properties });
+    return await completePersonDeal(person, deal, built, options);
   } catch (error) {
+    // Otro proceso ya guardó este perfil: la propiedad única rechaza el segundo deal
+    if (canonicalUrl && /unique|already has that value/i.test(JSON.stringify(error.response?.data || ''))) {
+      console.log(`⚠️  Duplicate deal found for profile: ${canonicalUrl} (unique property)`);
+      return { duplicate: true };
+    }
+    
     console.error('=== HubSpot Create Deal Error ===');
     console.error('Status:', error.response?.status);
     console.error('Response Data:', JSON.stringify(error.response?.data, null, 2));
@@ -392,6 +888,53 @@ const createDealForPerson = async (personData, searchCompany, searchJobTitle) =>
   }
 };
 
+/**
+ * Crea en lote (hasta 100 deals por petición) los deals de los perfiles de una búsqueda que aún no tienen
+ * Solo con los duplicados ya comprobados en lote; un lote que falla (p. ej. otro proceso creó uno de los
+ * deals y la propiedad única lo rechaza) no devuelve nada y sus perfiles se guardan con createDealForPerson
+ * @param {Array} entries - [{ person, route }] con la ruta de dealRoutingService.routeDeal
+ * @param {string} searchCompany - Nombre de la empresa buscada
+ * @param {string} searchJobTitle - Cargo buscado
+ * @param {Object} options - { companyId, existingDeals } existingDeals: resultado de findDealsByProfileUrls
+ * @returns {Promise<Map>} URL canónica -> deal creado ({ id, ..., contactId, route })
+ */
+const createDealsForPeople = async (entries, searchCompany, searchJobTitle, options = {}) => {
+  const created = new Map();
+  if (!options.existingDeals || !(await ensureDealProperties().catch(() => false))) {
+    return created;
+  }
+
+  const pending = [];
+  for (const { person: personData, route } of entries) {
+    const canonicalUrl = profileUrlService.canonicalProfileUrl(personData.profileUrl);
+    if (!canonicalUrl || options.existingDeals.has(canonicalUrl) || pending.some(item => item.canonicalUrl === canonicalUrl)) continue;
+
+    const person = { ...personData, profileUrl: canonicalUrl };
+    const built = await buildPersonDealProperties(person, searchCompany, searchJobTitle, { ...options, route });
+    if (built) pending.push({ canonicalUrl, person, route, built });
+  }
+
+  for (let i = 0; i < pending.length; i += hubspotClientService.BATCH_SIZE) {
+    const batch = pending.slice(i, i + hubspotClientService.BATCH_SIZE);
+    let deals;
+    try {
+      deals = await hubspotClientService.batchCreate('deals', batch.map(item => ({ properties: item.built.properties })));
+    } catch (error) {
+      console.warn(`⚠️  Batch deal creation failed, saving ${batch.length} profile(s) one by one: ${error.response?.data?.message || error.message}`);
+      continue;
+    }
+
+    // HubSpot no garantiza el orden de la respuesta: cada deal se asigna por su URL de perfil
+    for (const deal of deals) {
+      const item = batch.find(entry => entry.canonicalUrl === deal.properties?.[DEAL_LINKEDIN_URL_PROPERTY]);
+      if (!item) continue;
+      created.set(item.canonicalUrl, await completePersonDeal(item.person, deal, item.built, { ...options, route: item.route }));
+    }
+  }
+
+  return created;
+};
+
 /**
  * Crea un deal en HubSpot para un post de LinkedIn
  * @param {Object} postData - Datos del post {url, text, author, profileUrl, createdAt}
@@ -428,45 +971,20 @@ const createDealForPost = async (postData, keyword) => {
     // Validar pipeline ID
     const pipelineId = /^\d+$/.test(HUBSPOT_PIPELINE_ID) ? HUBSPOT_PIPELINE_ID : '811215668';
 
-    // Limitar texto a 1000 caracteres
-    const textPreview = postData.text && postData.text.length > 1000 
-      ? postData.text.substring(0, 1000) + '...' 
-      : (postData.text || 'N/A');
-
-    // Construir descripción
-    const description = `Post de LinkedIn encontrado por keyword: ${keyword}\n\n` +
-      `Autor/Perfil: ${postData.author || 'N/A'}\n` +
-      `URL del perfil: ${postData.profileUrl || 'N/A'}\n` +
-      `URL del post: ${postData.url}\n\n` +
-      `Contenido:\n${textPreview}\n\n` +
-      `Fecha del post: ${postData.createdAt || new Date().toISOString()}\n`;
-
-    // Construir nombre del deal
-    const dealName = `${postData.author || 'LinkedIn User'} - Post LinkedIn (${keyword})`;
+    // Propiedades según la sección "postDeal" del mapeo de campos
+    const context = hubspotMappingService.buildPostContext(postData, keyword, pipelineId);
+    const properties = {
+      ...hubspotMappingService.renderProperties('postDeal', context),
+      pipeline: pipelineId,
+      dealstage: dealStageId
+    };
+    const dealName = properties.dealname;
 
     // Crear el deal
-    const response = await axios.post(
-      `${HUBSPOT_BASE_URL}/crm/v3/objects/deals`,
-      {
-        properties: {
-          dealname: dealName,
-          description: description,
-          amount: '0',
-          deal_currency_code: 'MXN',
-          pipeline: pipelineId,
-          dealstage: dealStageId
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const deal = await hubspotClientService.post('/crm/v3/objects/deals', { properties });
 
     console.log(`✅ Deal created in HubSpot: ${dealName}`);
-    return response.data;
+    return deal;
   } catch (error) {
     console.error('=== HubSpot Create Deal Error ===');
     console.error('Status:', error.response?.status);
@@ -480,12 +998,22 @@ const createDealForPost = async (postData, keyword) => {
 module.exports = {
   getCompaniesFromSegment,
   getCompanyById,
+  getCompaniesByIds,
   updateLastScrape,
+  updateCompanyLinkedinData,
   shouldScrapeCompany,
   getPipelinesAndStages,
   getValidStageId,
   checkDuplicateDeal,
+  findDealsByProfileUrls,
+  findDealByProfileUrl,
+  upsertContactForPerson,
+  createContactForPerson,
+  associateRecords,
+  validateFieldMapping,
+  validateDealRouting,
   createDealForPerson,
+  createDealsForPeople,
   createDealForPost
 };
 
@@ -0,0 +1,546 @@
+/**
+ * JOB QUEUE LAYER
+ * Búsquedas (empresa, cargo) persistentes en un journal JSONL
+ *
+ * El servidor y scripts/scheduler.js escriben en el mismo journal: cada proceso lee lo que añadió
+ * el otro antes de cada lectura o cambio, y solo compacta si nadie escribió desde su última lectura
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Otro fichero con SCRAPE_JOBS_FILE (p. ej. en los tests)
+const JOURNAL_FILE = process.env.SCRAPE_JOBS_FILE || path.join(__dirname, '../data/scrape-jobs.jsonl');
+
+// Compactar el journal cuando tenga demasiadas líneas obsoletas
+const COMPACT_THRESHOLD = 5000;
+
+const JOB_STATES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  DEFERRED: 'deferred'
+};
+
+const RUN_STATES = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Estado en memoria reconstruido a partir del journal (última entrada gana)
+const runs = new Map();
+const jobs = new Map();
+// Parte del journal ya aplicada en memoria (inode y bytes leídos)
+const journal = { ino: null, offset: 0, lines: 0, corruptLines: 0 };
+let syncPromise = null;
+let compactPromise = null;
+let recoverPromise = null;
+
+/**
+ * Añade una entrada al journal
+ */
+const appendEntry = async (type, record) => {
+  await fs.mkdir(path.dirname(JOURNAL_FILE), { recursive: true });
+  const entry = { ts: new Date().toISOString(), type, record };
+  await fs.appendFile(JOURNAL_FILE, JSON.stringify(entry) + '\n');
+};
+
+/**
+ * Aplica las líneas del journal añadidas desde la última lectura (de este u otro proceso)
+ * Un error de lectura se propaga: la cola nunca se reinicia a vacía
+ */
+const readJournal = async () => {
+  let handle;
+  try {
+    handle = await fs.open(JOURNAL_FILE, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw new Error(`Job journal unreadable: ${error.message}`);
+  }
+
+  try {
+    const stats = await handle.stat();
+    // Otro proceso compactó el journal: volver a leerlo entero
+    if (journal.ino !== stats.ino || stats.size < journal.offset) {
+      runs.clear();
+      jobs.clear();
+      Object.assign(journal, { ino: stats.ino, offset: 0, lines: 0, corruptLines: 0 });
+    }
+    if (stats.size === journal.offset) return;
+
+    const buffer = Buffer.alloc(stats.size - journal.offset);
+    await handle.read(buffer, 0, buffer.length, journal.offset);
+    // Solo líneas completas: la última puede estar a medio escribir por el otro proceso
+    const end = buffer.lastIndexOf(0x0a);
+    if (end < 0) return;
+
+    for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+      if (line.trim().length === 0) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type === 'run') {
+          runs.set(entry.record.id, entry.record);
+        } else if (entry.type === 'job') {
+          jobs.set(entry.record.id, entry.record);
+        }
+      } catch (parseError) {
+        // Línea incompleta (p. ej. crash a mitad de escritura), ignorarla
+        journal.corruptLines++;
+        console.warn('Skipping corrupt job journal line');
+      }
+      journal.lines++;
+    }
+    journal.offset += end + 1;
+  } finally {
+    await handle.close();
+  }
+
+  if (journal.lines - runs.size - jobs.size > COMPACT_THRESHOLD && !compactPromise) {
+    compactPromise = compactJournal().finally(() => { compactPromise = null; });
+  }
+};
+
+// Una sola lectura a la vez: dos lecturas en paralelo aplicarían las mismas líneas dos veces
+const syncJournal = () => {
+  if (!syncPromise) {
+    syncPromise = readJournal().finally(() => { syncPromise = null; });
+  }
+  return syncPromise;
+};
+
+/**
+ * Reescribe el journal con una entrada por run/job (fichero temporal + rename)
+ * No compacta si hubo líneas corruptas (se conservan para revisarlas) o si otro proceso escribió entretanto
+ */
+const compactJournal = async () => {
+  if (journal.corruptLines > 0) {
+    console.error(`Job journal has ${journal.corruptLines} corrupt line(s), not compacting ${JOURNAL_FILE}`);
+    return;
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const lines = [];
+    for (const run of runs.values()) {
+      lines.push(JSON.stringify({ ts: now, type: 'run', record: run }));
+    }
+    for (const job of jobs.values()) {
+      lines.push(JSON.stringify({ ts: now, type: 'job', record: job }));
+    }
+
+    const tmpFile = `${JOURNAL_FILE}.tmp`;
+    await fs.writeFile(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+
+    const stats = await fs.stat(JOURNAL_FILE);
+    if (stats.ino !== journal.ino || stats.size !== journal.offset) {
+      await fs.unlink(tmpFile);
+      return;
+    }
+    await fs.rename(tmpFile, JOURNAL_FILE);
+    await syncJournal();
+  } catch (error) {
+    console.error('Error compacting job journal:', error.message);
+  }
+};
+
+/**
+ * Devuelve a pendientes los jobs que quedaron "running" al cargar la cola por primera vez
+ * (fueron interrumpidos por un crash o reinicio)
+ */
+const recoverInterruptedJobs = async () => {
+  const interrupted = Array.from(jobs.values()).filter(job => job.state === JOB_STATES.RUNNING);
+  for (const job of interrupted) {
+    await updateJob(job.id, { state: JOB_STATES.PENDING });
+  }
+  if (interrupted.length > 0) {
+    console.log(`♻️  Recovered ${interrupted.length} interrupted job(s) from previous process`);
+  }
+};
+
+/**
+ * Pone al día la cola con el journal (lo que escribió el otro proceso, p. ej. scripts/scheduler.js)
+ */
+const syncQueue = async () => {
+  await syncJournal();
+  if (!recoverPromise) {
+    recoverPromise = recoverInterruptedJobs();
+  }
+  await recoverPromise;
+};
+
+/**
+ * Actualiza un job y guarda la nueva versión
+ */
+const updateJob = async (jobId, changes) => {
+  await syncJournal();
+  const job = jobs.get(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+  jobs.set(jobId, updated);
+  await appendEntry('job', updated);
+  return updated;
+};
+
+/**
+ * Actualiza un run y guarda la nueva versión
+ */
+const updateRun = async (runId, changes) => {
+  await syncJournal();
+  const run = runs.get(runId);
+  if (!run) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+
+  const updated = { ...run, ...changes, updatedAt: new Date().toISOString() };
+  runs.set(runId, updated);
+  await appendEntry('run', updated);
+  return updated;
+};
+
+/**
+ * Crea un run con un job pendiente por (empresa, cargo)
+ * @param {Array} companies - Empresas de HubSpot {id, company, domain, lastLinkedinScrape, targetLocations, aliases, linkedinCompanyPage, linkedinCompanyId}
+ * @param {Array} jobTitles - Cargos de ClickUp {id, title}
+ * @param {Object} options - Opciones del run
+ * @param {Object|null} options.filters - Filtros de un run bajo demanda
+ * @param {boolean} options.force - Si se ignoró shouldScrapeCompany
+ * @param {boolean} options.updatesLastScrape - Si el run debe actualizar last_linkedin_scrape
+ * @param {Object|string|null} options.locations - Reglas de ubicación del run (tienen prioridad sobre las de cada empresa)
+ * @param {boolean|null} options.enrich - Visitar los perfiles aceptados (null = ENRICH_PROFILES)
+ * @param {Array<string>} options.sinks - Destinos de los perfiles (sinkService)
+ * @returns {Promise<Object>} Run creado
+ */
+const createRun = async (companies, jobTitles, options = {}) => {
+  await syncQueue();
+
+  const now = new Date().toISOString();
+  const run = {
+    id: `run-${Date.now()}`,
+    status: RUN_STATES.ACTIVE,
+    createdAt: now,
+    updatedAt: now,
+    filters: options.filters || null,
+    force: !!options.force,
+    updatesLastScrape: options.updatesLastScrape !== false,
+    locations: options.locations || null,
+    enrich: options.enrich ?? null,
+    sinks: options.sinks || null,
+    totalJobs: companies.length * jobTitles.length
+  };
+  runs.set(run.id, run);
+  await appendEntry('run', run);
+
+  let position = 0;
+  for (const company of companies) {
+    for (const jobTitle of jobTitles) {
+      const job = {
+        id: `${run.id}:${company.id}:${jobTitle.id}`,
+        runId: run.id,
+        position: position++,
+        companyId: company.id,
+        companyName: company.company,
+        // Reglas de ubicación de la empresa en HubSpot al crear el run
+        targetLocations: company.targetLocations || null,
+        // Identidad de la empresa (alias y página de LinkedIn) para el filtro de empresa
+        companyDomain: company.domain || null,
+        companyAliases: company.aliases || null,
+        companyLinkedinPage: company.linkedinCompanyPage || null,
+        companyLinkedinId: company.linkedinCompanyId || null,
+        // Tier y propietario de la empresa para el enrutado de deals
+        companyTier: company.tier || null,
+        companyOwnerId: company.ownerId || null,
+        jobTitleId: jobTitle.id,
+        jobTitle: jobTitle.title,
+        state: JOB_STATES.PENDING,
+        attempts: 0,
+        error: null,
+        resultsCount: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      jobs.set(job.id, job);
+      await appendEntry('job', job);
+    }
+  }
+
+  return run;
+};
+
+/**
+ * Obtiene el run más reciente que aún no ha terminado
+ * @param {Object|null} filters - Filtros con los que se creó el run (null = run sin filtros)
+ */
+const getResumableRun = async (filters = null) => {
+  await syncQueue();
+
+  // Un run bajo demanda (empresas o cargos concretos) solo lo reanuda un run con los mismos filtros
+  const wanted = JSON.stringify(filters || null);
+  const activeRuns = Array.from(runs.values())
+    .filter(run => run.status === RUN_STATES.ACTIVE && JSON.stringify(run.filters || null) === wanted)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return activeRuns[0] || null;
+};
+
+/**
+ * Obtiene el run más reciente sea cual sea su estado
+ */
+const getLatestRun = async () => {
+  await syncQueue();
+
+  const allRuns = Array.from(runs.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return allRuns[0] || null;
+};
+
+const getRun = async (runId) => {
+  await syncQueue();
+  return runs.get(runId) || null;
+};
+
+/**
+ * Obtiene los jobs de un run en su orden original
+ */
+const getJobs = async (runId) => {
+  await syncQueue();
+
+  return Array.from(jobs.values())
+    .filter(job => job.runId === runId)
+    .sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Obtiene el siguiente job pendiente de un run (respetando el orden original)
+ */
+const getNextJob = async (runId) => {
+  const runJobs = await getJobs(runId);
+  return runJobs.find(job => job.state === JOB_STATES.PENDING) || null;
+};
+
+/**
+ * Obtiene el siguiente job pendiente a partir del cursor (ID de empresa + ID de cargo)
+ */
+const getJobAtCursor = async (runId, cursor) => {
+  if (!cursor) {
+    return getNextJob(runId);
+  }
+
+  const runJobs = await getJobs(runId);
+  const cursorIndex = runJobs.findIndex(job => 
+    job.companyId === cursor.companyId && job.jobTitleId === cursor.jobTitleId
+  );
+  const fromCursor = cursorIndex >= 0 ? runJobs.slice(cursorIndex) : runJobs;
+
+  return fromCursor.find(job => job.state === JOB_STATES.PENDING) || getNextJob(runId);
+};
+
+const startJob = async (jobId) => {
+  await syncQueue();
+  const job = jobs.get(jobId);
+  return updateJob(jobId, {
+    state: JOB_STATES.RUNNING,
+    attempts: (job?.attempts || 0) + 1,
+    startedAt: new Date().toISOString()
+  });
+};
+
+const completeJob = async (jobId, details = {}) => {
+  return updateJob(jobId, {
+    ...details,
+    state: JOB_STATES.DONE,
+    error: null,
+    finishedAt: new Date().toISOString()
+  });
+};
+
+const failJob = async (jobId, errorMessage) => {
+  return updateJob(jobId, {
+    state: JOB_STATES.FAILED,
+    error: errorMessage,
+    finishedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Aplaza un job y guarda el cursor del run para que el siguiente run continúe desde ahí
+ * @param {string} jobId - ID del job interrumpido
+ * @param {string} reason - Motivo (daily_limit, verification_required, captcha_required, hubspot_unavailable, clickup_unavailable)
+ */
+const deferJob = async (jobId, reason) => {
+  const job = await updateJob(jobId, {
+    state: JOB_STATES.DEFERRED,
+    error: reason
+  });
+
+  await updateRun(job.runId, {
+    cursor: {
+      jobId: job.id,
+      companyId: job.companyId,
+      jobTitleId: job.jobTitleId,
+      reason,
+      savedAt: new Date().toISOString()
+    }
+  });
+
+  return job;
+};
+
+/**
+ * Devuelve a pendientes los jobs aplazados de un run y retorna el cursor guardado
+ * @returns {Promise<Object|null>} Cursor guardado o null si no había
+ */
+const resumeDeferredJobs = async (runId) => {
+  const run = await getRun(runId);
+  const runJobs = await getJobs(runId);
+
+  for (const job of runJobs) {
+    if (job.state === JOB_STATES.DEFERRED) {
+      await updateJob(job.id, { state: JOB_STATES.PENDING, error: null });
+    }
+  }
+
+  const cursor = run?.cursor || null;
+  if (cursor) {
+    await updateRun(runId, { cursor: null, resumedFrom: cursor });
+  }
+  return cursor;
+};
+
+/**
+ * Verifica si terminaron todos los cargos de una empresa (completados o fallidos)
+ */
+const isCompanyFinished = async (runId, companyId) => {
+  const runJobs = await getJobs(runId);
+  return runJobs
+    .filter(job => job.companyId === companyId)
+    .every(job => job.state === JOB_STATES.DONE || job.state === JOB_STATES.FAILED);
+};
+
+/**
+ * Verifica si todos los cargos de una empresa terminaron sin errores
+ * (con alguna búsqueda fallida la empresa no cuenta como scrapeada y se repite en el siguiente run)
+ */
+const isCompanyDone = async (runId, companyId) => {
+  const runJobs = await getJobs(runId);
+  return runJobs
+    .filter(job => job.companyId === companyId)
+    .every(job => job.state === JOB_STATES.DONE);
+};
+
+const finishRun = async (runId, status = RUN_STATES.COMPLETED) => {
+  return updateRun(runId, { status, finishedAt: new Date().toISOString() });
+};
+
+/**
+ * Cancela un run registrando hasta dónde llegó (siguiente job sin procesar)
+ * @param {string} runId - ID del run
+ * @param {Object|null} nextJob - Primer job que quedó sin procesar
+ */
+const cancelRun = async (runId, nextJob = null) => {
+  const runJobs = await getJobs(runId);
+  const processed = runJobs.filter(job => 
+    job.state === JOB_STATES.DONE || job.state === JOB_STATES.FAILED
+  ).length;
+
+  return updateRun(runId, {
+    status: RUN_STATES.CANCELLED,
+    finishedAt: new Date().toISOString(),
+    cancelledAt: {
+      companyId: nextJob ? nextJob.companyId : null,
+      jobTitleId: nextJob ? nextJob.jobTitleId : null,
+      searchesProcessed: processed,
+      searchesTotal: runJobs.length
+    }
+  });
+};
+
+/**
+ * Cuenta los jobs de un run por estado
+ */
+const getRunSummary = async (runId) => {
+  const run = await getRun(runId);
+  if (!run) {
+    return null;
+  }
+
+  const runJobs = await getJobs(runId);
+  const counts = Object.values(JOB_STATES).reduce((acc, state) => {
+    acc[state] = 0;
+    return acc;
+  }, {});
+  const profiles = {
+    found: 0,
+    filteredOut: 0,
+    created: 0,
+    duplicates: 0,
+    failed: 0,
+    enriched: 0
+  };
+  let searchDurationTotal = 0;
+  let timedSearches = 0;
+
+  for (const job of runJobs) {
+    counts[job.state] = (counts[job.state] || 0) + 1;
+
+    if (job.state === JOB_STATES.DONE) {
+      profiles.found += job.resultsCount || 0;
+      profiles.filteredOut += (job.resultsCount || 0) - (job.matchedCount || 0);
+      profiles.created += job.createdCount || 0;
+      profiles.duplicates += job.duplicateCount || 0;
+      profiles.failed += job.failedCount || 0;
+      profiles.enriched += job.enrichedCount || 0;
+
+      if (job.startedAt && job.finishedAt) {
+        searchDurationTotal += new Date(job.finishedAt) - new Date(job.startedAt);
+        timedSearches++;
+      }
+    }
+  }
+
+  return {
+    id: run.id,
+    status: run.status,
+    createdAt: run.createdAt,
+    finishedAt: run.finishedAt || null,
+    filters: run.filters || null,
+    cursor: run.cursor || null,
+    cancelledAt: run.cancelledAt || null,
+    totalJobs: runJobs.length,
+    jobs: counts,
+    profiles,
+    avgSearchDurationMs: timedSearches > 0 ? Math.round(searchDurationTotal / timedSearches) : null,
+    pendingCompanies: new Set(
+      runJobs
+        .filter(job => job.state === JOB_STATES.PENDING || job.state === JOB_STATES.RUNNING)
+        .map(job => job.companyId)
+    ).size
+  };
+};
+
+module.exports = {
+  JOB_STATES,
+  RUN_STATES,
+  createRun,
+  getResumableRun,
+  getLatestRun,
+  getRun,
+  getJobs,
+  getNextJob,
+  getJobAtCursor,
+  startJob,
+  completeJob,
+  failJob,
+  deferJob,
+  resumeDeferredJobs,
+  isCompanyFinished,
+  isCompanyDone,
+  finishRun,
+  cancelRun,
+  getRunSummary
+};
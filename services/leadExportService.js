@@ -0,0 +1,281 @@
+/**
+ * LEAD EXPORT LAYER
+ * Exportación CSV / JSONL / XLSX de todos los perfiles encontrados (almacén de leads, sin depender de
+ * los destinos configurados) filtrada por empresa, cargo buscado y rango de fechas, y registro local de
+ * los leads guardados por el destino "export" (data/leads.jsonl)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const profileUrlService = require('./profileUrlService');
+const leadStoreService = require('./leadStoreService');
+
+// Otro fichero con LEADS_FILE (p. ej. en los tests)
+const LEADS_FILE = process.env.LEADS_FILE || path.join(__dirname, '../data/leads.jsonl');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Columnas de CSV y XLSX, en orden (JSONL exporta las mismas filas como objetos)
+const COLUMNS = [
+  { key: 'scrapedAt', header: 'Scraped At' },
+  { key: 'searchCompany', header: 'Search Company' },
+  { key: 'searchCompanyId', header: 'Search Company ID' },
+  { key: 'searchJobTitle', header: 'Searched Title' },
+  { key: 'name', header: 'Name' },
+  { key: 'title', header: 'Title' },
+  { key: 'company', header: 'Company' },
+  { key: 'location', header: 'Location' },
+  { key: 'profileUrl', header: 'LinkedIn URL' },
+  { key: 'accepted', header: 'Accepted' },
+  { key: 'filterRule', header: 'Filter Rule' },
+  { key: 'matchScore', header: 'Match Score' },
+  { key: 'currentPosition', header: 'Current Position' },
+  { key: 'currentCompany', header: 'Current Company' },
+  { key: 'tenure', header: 'Tenure' },
+  { key: 'hubspotDealId', header: 'HubSpot Deal ID' },
+  { key: 'hubspotContactId', header: 'HubSpot Contact ID' },
+  { key: 'clickupTaskId', header: 'ClickUp Task ID' },
+  { key: 'clickupResultId', header: 'ClickUp Result ID' },
+  { key: 'runId', header: 'Run ID' }
+];
+
+// URLs canónicas ya registradas (se leen una vez por proceso)
+let recordedUrls = null;
+
+/**
+ * Lee todas las líneas de leads del fichero (las líneas corruptas se ignoran)
+ */
+const loadLeads = async () => {
+  let data;
+  try {
+    data = await fs.readFile(LEADS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading leads file:', error.message);
+    }
+    return [];
+  }
+
+  const leads = [];
+  for (const line of data.split('\n').filter(line => line.trim().length > 0)) {
+    try {
+      leads.push(JSON.parse(line));
+    } catch (parseError) {
+      // Línea incompleta (p. ej. crash a mitad de escritura), ignorarla
+      console.warn('Skipping corrupt leads file line');
+    }
+  }
+  return leads;
+};
+
+const loadRecordedUrls = async () => {
+  if (!recordedUrls) {
+    recordedUrls = new Set((await loadLeads()).map(lead => lead.profileUrl));
+  }
+  return recordedUrls;
+};
+
+/**
+ * Verifica si un perfil ya fue registrado
+ * @param {string} profileUrl - Cualquier variante de la URL del perfil
+ */
+const hasLead = async (profileUrl) => {
+  const urls = await loadRecordedUrls();
+  return urls.has(profileUrlService.canonicalProfileUrl(profileUrl) || profileUrl);
+};
+
+/**
+ * Añade un lead al fichero
+ * @param {Object} person - {name, title, company, location, profileUrl, enrichment?}
+ * @param {Object} search - { runId, companyId, companyName, jobTitleId, jobTitle }
+ * @param {Object} details - { matchScore, ids: { [sinkName]: id }, contactId }
+ * @returns {Promise<Object>} Registro guardado
+ */
+const recordLead = async (person, search, details = {}) => {
+  const enrichment = person.enrichment || null;
+  const ids = details.ids || {};
+  const lead = {
+    scrapedAt: new Date().toISOString(),
+    runId: search.runId || null,
+    searchCompanyId: search.companyId || null,
+    searchCompany: search.companyName || null,
+    jobTitleId: search.jobTitleId || null,
+    searchJobTitle: search.jobTitle || null,
+    name: person.name || null,
+    title: person.title || null,
+    company: person.company || null,
+    location: person.location || null,
+    profileUrl: profileUrlService.canonicalProfileUrl(person.profileUrl) || person.profileUrl,
+    matchScore: details.matchScore ?? null,
+    currentPosition: enrichment ? enrichment.currentPosition || null : null,
+    currentCompany: enrichment ? enrichment.currentCompany || null : null,
+    tenure: enrichment ? enrichment.tenure || null : null,
+    hubspotDealId: ids.hubspot_deal || null,
+    hubspotContactId: ids.hubspot_contact || details.contactId || null,
+    clickupTaskId: ids.clickup_task || null,
+    clickupResultId: ids.clickup_result || null
+  };
+
+  const urls = await loadRecordedUrls();
+  await fs.mkdir(path.dirname(LEADS_FILE), { recursive: true });
+  await fs.appendFile(LEADS_FILE, JSON.stringify(lead) + '\n');
+  urls.add(lead.profileUrl);
+  return lead;
+};
+
+// "2026-03-01" o fecha ISO; un día sin hora en "to" incluye el día completo
+const parseDate = (value, name, endOfDay = false) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
+  }
+  return date.toISOString();
+};
+
+const normalizeText = (text) => String(text || '').trim().toLowerCase();
+
+// Cargo, empresa y ubicación del perfil cuando lo encontró esa búsqueda
+const observedAt = (lead, at) => {
+  const observed = lead.observations.filter(observation => observation.at <= at).pop();
+  return observed || lead.current;
+};
+
+const syncedId = (lead, sinkName) => (lead.sinks[sinkName] && lead.sinks[sinkName].id) || null;
+
+// Una fila por perfil y búsqueda: la última vez que esa búsqueda lo encontró
+const toRow = (lead, verdict) => {
+  const observed = observedAt(lead, verdict.at);
+  const enrichment = lead.accepted && lead.accepted.person ? lead.accepted.person.enrichment : null;
+  const deal = lead.sinks.hubspot_deal;
+
+  return {
+    scrapedAt: verdict.at,
+    runId: verdict.runId || null,
+    searchCompanyId: verdict.searchCompanyId || null,
+    searchCompany: verdict.searchCompany || null,
+    searchJobTitle: verdict.searchJobTitle || null,
+    name: lead.name,
+    title: observed.title,
+    company: observed.company,
+    location: observed.location,
+    profileUrl: lead.profileUrl,
+    accepted: !!verdict.accepted,
+    filterRule: verdict.rule || null,
+    matchScore: verdict.score ?? null,
+    currentPosition: enrichment ? enrichment.currentPosition || null : null,
+    currentCompany: enrichment ? enrichment.currentCompany || null : null,
+    tenure: enrichment ? enrichment.tenure || null : null,
+    hubspotDealId: syncedId(lead, 'hubspot_deal'),
+    hubspotContactId: syncedId(lead, 'hubspot_contact') || (deal && deal.details ? deal.details.contactId || null : null),
+    clickupTaskId: syncedId(lead, 'clickup_task'),
+    clickupResultId: syncedId(lead, 'clickup_result')
+  };
+};
+
+/**
+ * Obtiene los perfiles encontrados que cumplen los filtros, los más antiguos primero (aceptados o no)
+ * @param {Object} filters - { company (nombre o ID de HubSpot), jobTitle, from, to, accepted }
+ * @returns {Promise<Array>} Filas de la exportación
+ * @throws Si una fecha no es válida
+ */
+const getLeads = async (filters = {}) => {
+  const from = parseDate(filters.from, 'from');
+  const to = parseDate(filters.to, 'to', true);
+  const company = normalizeText(filters.company);
+  const jobTitle = normalizeText(filters.jobTitle);
+
+  const rows = [];
+  for (const lead of await leadStoreService.listLeads()) {
+    const latest = new Map();
+    lead.verdicts
+      .filter(verdict => !company || normalizeText(verdict.searchCompany) === company || String(verdict.searchCompanyId) === company)
+      .filter(verdict => !jobTitle || normalizeText(verdict.searchJobTitle) === jobTitle)
+      .filter(verdict => !from || verdict.at >= from)
+      .filter(verdict => !to || verdict.at <= to)
+      .filter(verdict => filters.accepted === undefined || !!verdict.accepted === filters.accepted)
+      .forEach(verdict => latest.set(`${verdict.searchCompanyId || verdict.searchCompany}|${verdict.searchJobTitle}`, verdict));
+
+    for (const verdict of latest.values()) {
+      rows.push(toRow(lead, verdict));
+    }
+  }
+
+  return rows.sort((a, b) => a.scrapedAt.localeCompare(b.scrapedAt));
+};
+
+// Un texto de LinkedIn que empieza por =, +, - o @ sería una fórmula en Excel: se escribe como texto con '
+const toSafeText = (value) => {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+};
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(toSafeText(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (leads) => {
+  const lines = [
+    COLUMNS.map(column => toCsvValue(column.header)).join(','),
+    ...leads.map(lead => COLUMNS.map(column => toCsvValue(lead[column.key])).join(','))
+  ];
+  // BOM para que Excel abra los acentos en UTF-8
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+};
+
+const toXlsx = async (leads) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Leads');
+  sheet.columns = COLUMNS.map(column => ({ header: column.header, key: column.key, width: 20 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  leads.forEach(lead => {
+    const row = {};
+    COLUMNS.forEach(column => { row[column.key] = toSafeText(lead[column.key] ?? null); });
+    sheet.addRow(row);
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Exporta los perfiles encontrados que cumplen los filtros
+ * @param {string} format - csv, jsonl o xlsx
+ * @param {Object} filters - Filtros de getLeads
+ * @returns {Promise<Object>} { content (string o Buffer), contentType, extension, count }
+ * @throws Si el formato o una fecha no son válidos
+ */
+const exportLeads = async (format, filters = {}) => {
+  const exportFormat = FORMATS[normalizeText(format || 'csv')];
+  if (!exportFormat) {
+    throw new Error(`Invalid export format: ${format} (allowed: ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const leads = await getLeads(filters);
+  let content;
+  if (exportFormat.extension === 'xlsx') {
+    content = await toXlsx(leads);
+  } else if (exportFormat.extension === 'jsonl') {
+    content = leads.map(lead => JSON.stringify(lead)).join('\n') + (leads.length > 0 ? '\n' : '');
+  } else {
+    content = toCsv(leads);
+  }
+
+  return { content, contentType: exportFormat.contentType, extension: exportFormat.extension, count: leads.length };
+};
+
+module.exports = {
+  FORMATS,
+  hasLead,
+  recordLead,
+  getLeads,
+  exportLeads
+};
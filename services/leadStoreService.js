@@ -0,0 +1,389 @@
+/**
+ * LEAD STORE LAYER
+ * Todos los perfiles encontrados por las búsquedas, por URL canónica del perfil: primera y última vez
+ * vistos, observaciones (cambios de cargo, empresa o ubicación), veredictos del filtro y el estado de
+ * sincronización de cada destino, para reintentar desde aquí un guardado que falló
+ *
+ * Se guarda como journal JSONL (una línea por lead modificado, la última gana), igual que la cola
+ * de búsquedas: nunca se reescribe el fichero entero, y el servidor y scripts/scheduler.js leen
+ * lo que añade el otro proceso antes de cada lectura o cambio
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+const profileUrlService = require('./profileUrlService');
+const scrapeEventsService = require('./scrapeEventsService');
+
+// Otro fichero con LEAD_STORE_FILE (p. ej. en los tests)
+const STORE_FILE = process.env.LEAD_STORE_FILE || path.join(__dirname, '../data/lead-store.jsonl');
+
+// Compactar el journal cuando tenga demasiadas líneas obsoletas
+const COMPACT_THRESHOLD = 20000;
+
+// Observaciones y veredictos que se conservan por perfil (los más recientes)
+const MAX_HISTORY = 50;
+// Intentos por destino antes de dejar de reintentar un perfil
+const MAX_SYNC_ATTEMPTS = parseInt(process.env.LEAD_SYNC_MAX_ATTEMPTS || '5');
+
+const SYNC_STATES = {
+  SYNCED: 'synced',
+  DUPLICATE: 'duplicate',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+  PENDING: 'pending'
+};
+
+// Estado de sincronización de cada resultado de sinkService
+const SYNC_STATE_BY_STATUS = {
+  created: SYNC_STATES.SYNCED,
+  duplicate: SYNC_STATES.DUPLICATE,
+  skipped: SYNC_STATES.SKIPPED,
+  failed: SYNC_STATES.FAILED,
+  retry_later: SYNC_STATES.FAILED
+};
+
+// { [canonicalProfileUrl]: lead } reconstruido a partir del journal
+const leadStore = {};
+// Parte del journal ya aplicada en memoria (inode y bytes leídos)
+const journal = { ino: null, offset: 0, lines: 0, corruptLines: 0 };
+let syncPromise = null;
+let compactPromise = null;
+// Leads cambiados en memoria que aún no llegaron al journal (se reintentan en el siguiente guardado)
+const unsavedLeads = new Map();
+let saveChain = Promise.resolve();
+
+/**
+ * Aplica las líneas del journal añadidas desde la última lectura (de este u otro proceso)
+ * Un error de lectura se propaga: el almacén nunca se reinicia a vacío
+ */
+const readJournal = async () => {
+  let handle;
+  try {
+    handle = await fs.open(STORE_FILE, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return leadStore;
+    throw new Error(`Lead store unreadable: ${error.message}`);
+  }
+
+  try {
+    const stats = await handle.stat();
+    // Otro proceso compactó el journal: volver a leerlo entero
+    if (journal.ino !== stats.ino || stats.size < journal.offset) {
+      Object.keys(leadStore)
+        .filter(profileUrl => !unsavedLeads.has(profileUrl))
+        .forEach(profileUrl => delete leadStore[profileUrl]);
+      Object.assign(journal, { ino: stats.ino, offset: 0, lines: 0, corruptLines: 0 });
+    }
+    if (stats.size === journal.offset) return leadStore;
+
+    const buffer = Buffer.alloc(stats.size - journal.offset);
+    await handle.read(buffer, 0, buffer.length, journal.offset);
+    // Solo líneas completas: la última puede estar a medio escribir por el otro proceso
+    const end = buffer.lastIndexOf(0x0a);
+    if (end < 0) return leadStore;
+
+    for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+      if (line.trim().length === 0) continue;
+      try {
+        const entry = JSON.parse(line);
+        // Un cambio propio sin guardar es más reciente que lo que haya en el journal
+        if (!unsavedLeads.has(entry.record.profileUrl)) {
+          leadStore[entry.record.profileUrl] = entry.record;
+        }
+      } catch (parseError) {
+        // Línea incompleta (p. ej. crash a mitad de escritura), ignorarla
+        journal.corruptLines++;
+        console.warn('Skipping corrupt lead store line');
+      }
+      journal.lines++;
+    }
+    journal.offset += end + 1;
+  } finally {
+    await handle.close();
+  }
+
+  if (journal.lines - Object.keys(leadStore).length > COMPACT_THRESHOLD && !compactPromise) {
+    compactPromise = compactStore().finally(() => { compactPromise = null; });
+  }
+  return leadStore;
+};
+
+// Una sola lectura a la vez: dos lecturas en paralelo aplicarían las mismas líneas dos veces
+const syncStore = () => {
+  if (!syncPromise) {
+    syncPromise = readJournal().finally(() => { syncPromise = null; });
+  }
+  return syncPromise;
+};
+
+/**
+ * Reescribe el journal con una línea por lead (fichero temporal + rename)
+ * No compacta si hubo líneas corruptas (se conservan para revisarlas) o si otro proceso escribió entretanto
+ */
+const compactStore = async () => {
+  if (journal.corruptLines > 0) {
+    console.error(`Lead store has ${journal.corruptLines} corrupt line(s), not compacting ${STORE_FILE}`);
+    return;
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const lines = Object.values(leadStore).map(lead => JSON.stringify({ ts: now, type: 'lead', record: lead }));
+    const tmpFile = `${STORE_FILE}.tmp`;
+    await fs.writeFile(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+
+    const stats = await fs.stat(STORE_FILE);
+    if (stats.ino !== journal.ino || stats.size !== journal.offset) {
+      await fs.unlink(tmpFile);
+      return;
+    }
+    await fs.rename(tmpFile, STORE_FILE);
+    await syncStore();
+  } catch (error) {
+    console.error('Error compacting lead store:', error.message);
+  }
+};
+
+const appendLeads = async (leads) => {
+  // Los que no se pudieron guardar antes van con estos
+  const pending = new Map(unsavedLeads);
+  leads.forEach(lead => pending.set(lead.profileUrl, lead));
+  if (pending.size === 0) return;
+
+  try {
+    await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+    const now = new Date().toISOString();
+    const lines = Array.from(pending.values()).map(lead => JSON.stringify({ ts: now, type: 'lead', record: lead }) + '\n');
+    await fs.appendFile(STORE_FILE, lines.join(''));
+    pending.forEach((lead, profileUrl) => unsavedLeads.delete(profileUrl));
+  } catch (error) {
+    pending.forEach((lead, profileUrl) => unsavedLeads.set(profileUrl, lead));
+    console.error(`Error saving lead store, ${unsavedLeads.size} lead(s) kept in memory until the next save:`, error.message);
+  }
+};
+
+/**
+ * Añade al journal el estado actual de los leads modificados
+ * Si la escritura falla, los leads quedan pendientes y se vuelven a escribir con el siguiente cambio
+ */
+const saveLeads = (leads) => {
+  leads.forEach(lead => unsavedLeads.set(lead.profileUrl, lead));
+  saveChain = saveChain.then(() => appendLeads(leads));
+  return saveChain;
+};
+
+const trimHistory = (items) => items.slice(-MAX_HISTORY);
+
+// Datos de la búsqueda necesarios para volver a guardar el perfil (sinkService)
+const jobSnapshot = (job) => ({
+  runId: job.runId || null,
+  id: job.id || null,
+  companyId: job.companyId || null,
+  companyName: job.companyName || null,
+  companyTier: job.companyTier || null,
+  companyOwnerId: job.companyOwnerId || null,
+  jobTitleId: job.jobTitleId || null,
+  jobTitle: job.jobTitle || null
+});
+
+const personSnapshot = (person, profileUrl) => ({
+  name: person.name || null,
+  title: person.title || null,
+  company: person.company || null,
+  location: person.location || null,
+  profileUrl,
+  enrichment: person.enrichment || null
+});
+
+const getOrCreateLead = (store, profileUrl, now) => {
+  if (!store[profileUrl]) {
+    store[profileUrl] = {
+      profileUrl,
+      name: null,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      timesSeen: 0,
+      current: { title: null, company: null, location: null },
+      observations: [],
+      verdicts: [],
+      accepted: null,
+      sinks: {}
+    };
+  }
+  return store[profileUrl];
+};
+
+/**
+ * Registra los perfiles encontrados por una búsqueda con sus veredictos del filtro
+ * @param {Array} evaluations - [{ person, verdict }] de filterService.evaluateResults
+ * @param {Object} job - Búsqueda (jobQueueService)
+ */
+const recordObservations = async (evaluations, job) => {
+  const store = await syncStore();
+  const now = new Date().toISOString();
+  const changed = new Map();
+
+  for (const { person, verdict } of evaluations) {
+    const profileUrl = profileUrlService.canonicalProfileUrl(person.profileUrl);
+    if (!profileUrl) continue;
+
+    const lead = getOrCreateLead(store, profileUrl, now);
+    const observed = { title: person.title || null, company: person.company || null, location: person.location || null };
+    lead.name = person.name || lead.name;
+    lead.lastSeenAt = now;
+    lead.timesSeen++;
+
+    // Una observación nueva solo cuando cambia el cargo, la empresa o la ubicación
+    const last = lead.observations[lead.observations.length - 1];
+    if (!last || last.title !== observed.title || last.company !== observed.company || last.location !== observed.location) {
+      lead.observations = trimHistory([...lead.observations, {
+        at: now,
+        ...observed,
+        searchCompany: job.companyName,
+        searchJobTitle: job.jobTitle
+      }]);
+    }
+    lead.current = observed;
+
+    lead.verdicts = trimHistory([...lead.verdicts, {
+      at: now,
+      runId: job.runId,
+      jobId: job.id,
+      searchCompanyId: job.companyId,
+      searchCompany: job.companyName,
+      searchJobTitle: job.jobTitle,
+      accepted: verdict.accepted,
+      rule: verdict.rule,
+      reason: verdict.reason,
+      score: verdict.score
+    }]);
+
+    // Última búsqueda que aceptó el perfil: de aquí salen los reintentos
+    if (verdict.accepted) {
+      lead.accepted = {
+        at: now,
+        person: personSnapshot(person, profileUrl),
+        job: jobSnapshot(job),
+        verdict: { accepted: verdict.accepted, rule: verdict.rule, reason: verdict.reason, score: verdict.score, checks: verdict.checks }
+      };
+    }
+    changed.set(profileUrl, lead);
+  }
+
+  await saveLeads(Array.from(changed.values()));
+};
+
+/**
+ * Registra el resultado de cada destino para un perfil
+ * @param {Object} person - Perfil guardado (con enrichment si se visitó)
+ * @param {Object} context - { job, verdict } de la búsqueda
+ * @param {Array} results - Resultados de sinkService.saveToSinks
+ * @param {Array<string>} sinkNames - Destinos que debían guardar el perfil (los no intentados quedan pendientes)
+ */
+const recordSyncResults = async (person, context, results, sinkNames) => {
+  const profileUrl = profileUrlService.canonicalProfileUrl(person.profileUrl);
+  if (!profileUrl) return;
+
+  const store = await syncStore();
+  const now = new Date().toISOString();
+  const lead = getOrCreateLead(store, profileUrl, now);
+  lead.name = person.name || lead.name;
+  if (lead.accepted) {
+    lead.accepted.person = personSnapshot(person, profileUrl);
+  } else if (context.job) {
+    lead.accepted = { at: now, person: personSnapshot(person, profileUrl), job: jobSnapshot(context.job), verdict: context.verdict || null };
+  }
+
+  for (const result of results) {
+    const previous = lead.sinks[result.sink] || {};
+    const status = SYNC_STATE_BY_STATUS[result.status] || SYNC_STATES.FAILED;
+    const attempts = (previous.attempts || 0) + 1;
+    if (status === SYNC_STATES.FAILED && attempts === MAX_SYNC_ATTEMPTS) {
+      console.error(`✗ Giving up on ${lead.name || profileUrl} in ${result.sink} after ${attempts} attempts: ${result.error || 'save failed'}`);
+      scrapeEventsService.emitEvent(scrapeEventsService.EVENT_TYPES.SINK_ABANDONED, {
+        runId: context.job ? context.job.runId || null : null,
+        name: lead.name,
+        profileUrl,
+        sink: result.sink,
+        attempts,
+        error: result.error || null
+      });
+    }
+    lead.sinks[result.sink] = {
+      status,
+      id: result.id || previous.id || null,
+      attempts,
+      lastAttemptAt: now,
+      syncedAt: status === SYNC_STATES.SYNCED || status === SYNC_STATES.DUPLICATE ? now : previous.syncedAt || null,
+      error: status === SYNC_STATES.FAILED ? result.error || 'save failed' : null,
+      // Datos extra del destino (p. ej. el contacto asociado al deal)
+      details: result.details || previous.details || null
+    };
+  }
+
+  // Un destino anterior pidió reintentar más tarde: los siguientes no se intentaron
+  const attempted = new Set(results.map(result => result.sink));
+  for (const sinkName of sinkNames.filter(name => !attempted.has(name))) {
+    const previous = lead.sinks[sinkName] || {};
+    if (previous.status === SYNC_STATES.SYNCED || previous.status === SYNC_STATES.DUPLICATE) continue;
+    lead.sinks[sinkName] = { ...previous, status: SYNC_STATES.PENDING, attempts: previous.attempts || 0, error: null };
+  }
+
+  await saveLeads([lead]);
+};
+
+/**
+ * Obtiene los leads con algún destino fallido o pendiente, por debajo del límite de intentos
+ * @returns {Promise<Array>} [{ lead, sinkNames }]
+ */
+const getLeadsToRetry = async () => {
+  const store = await syncStore();
+
+  return Object.values(store)
+    .filter(lead => lead.accepted)
+    .map(lead => ({
+      lead,
+      sinkNames: Object.keys(lead.sinks).filter(sinkName => {
+        const state = lead.sinks[sinkName];
+        return (state.status === SYNC_STATES.FAILED || state.status === SYNC_STATES.PENDING) &&
+          (state.attempts || 0) < MAX_SYNC_ATTEMPTS;
+      })
+    }))
+    .filter(({ sinkNames }) => sinkNames.length > 0);
+};
+
+/**
+ * Obtiene el lead de un perfil
+ * @param {string} profileUrl - Cualquier variante de la URL del perfil
+ */
+const getLead = async (profileUrl) => {
+  const store = await syncStore();
+  return store[profileUrlService.canonicalProfileUrl(profileUrl)] || null;
+};
+
+/**
+ * Obtiene los leads del almacén, los vistos más recientemente primero
+ * @param {Object} filters - { syncStatus (estado en algún destino), sink, accepted }
+ * @returns {Promise<Array>}
+ */
+const listLeads = async (filters = {}) => {
+  const store = await syncStore();
+
+  return Object.values(store)
+    .filter(lead => filters.accepted === undefined || !!lead.accepted === filters.accepted)
+    .filter(lead => !filters.sink || lead.sinks[filters.sink])
+    .filter(lead => !filters.syncStatus || Object.entries(lead.sinks)
+      .some(([sinkName, state]) => (!filters.sink || sinkName === filters.sink) && state.status === filters.syncStatus))
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+};
+
+module.exports = {
+  SYNC_STATES,
+  recordObservations,
+  recordSyncResults,
+  getLeadsToRetry,
+  getLead,
+  listLeads
+};
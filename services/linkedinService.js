@@ -8,6 +8,7 @@ const proxyService = require('./proxyService');
 const rateLimitService = require('./rateLimitService');
 const loggerService = require('./loggerService');
 const dataExtractionService = require('./dataExtractionService');
+const profileUrlService = require('./profileUrlService');
 
 const LINKEDIN_LI_AT = process.env.LINKEDIN_LI_AT;
 const CAPTCHA_API_KEY = process.env.CAPTCHA_API_KEY; // 2captcha API key (opcional, no recomendado)
@@ -976,24 +977,231 @@ const closeSharedBrowser = async () => {
   }
 };
 
-const searchPeople = async (companyName, jobTitle) => {
-  // Check rate limit before making request
+// Páginas de resultados por búsqueda (cada página cuenta como una vista del límite diario)
+const SEARCH_MAX_PAGES = Math.max(1, parseInt(process.env.SEARCH_MAX_PAGES || '3'));
+
+// Errores que deben detener la búsqueda completa aunque ya haya páginas extraídas
+const isBlockingError = (error) => {
+  const message = error.message || '';
+  return ['403', 'Forbidden', '429', 'Rate Limit', 'CLOUDFLARE', 'VERIFICATION', 'CAPTCHA']
+    .some(marker => message.includes(marker));
+};
+
+// "https://mx.linkedin.com/in/Ana/?miniProfileUrn=..." -> "https://www.linkedin.com/in/ana/"
+const profileKey = (profileUrl) => {
+  return profileUrlService.canonicalProfileUrl(profileUrl) ||
+    String(profileUrl || '').split(/[?#]/)[0].replace(/\/+$/, '').toLowerCase();
+};
+
+/**
+ * Navigate to one page of search results, record the view and wait for the results to render
+ */
+const loadSearchPage = async (page, pageUrl, context) => {
+  // Navigate to search URL with error handling
+  let response;
+  try {
+    response = await page.goto(pageUrl, { 
+    waitUntil: 'domcontentloaded',
+    timeout: 60000 
+  });
+  
+    // Check response status
+    const status = response?.status();
+    if (status === 403) {
+      await rateLimitService.handleForbiddenError();
+      await loggerService.logError(pageUrl, 403, 'forbidden', context);
+      throw new Error('403 Forbidden - Account may be restricted. STOP scraping and appeal to LinkedIn.');
+    }
+    if (status === 429) {
+      const backoff = await rateLimitService.handleRateLimitError('429');
+      await loggerService.logError(pageUrl, 429, 'rate_limit', { ...context, backoff });
+      throw new Error(`429 Rate Limit - Backing off for ${backoff.backoffMinutes} minutes`);
+    }
+    
+    // Check for Cloudflare/Turnstile
+    const pageContent = await page.content();
+    if (pageContent.includes('cf-browser-verification') || 
+        pageContent.includes('challenge-platform') ||
+        pageContent.includes('turnstile')) {
+      loggerService.warn('Cloudflare/Turnstile detected', { url: pageUrl });
+      throw new Error('CLOUDFLARE_DETECTED: Manual intervention required');
+    }
+    
+    await loggerService.logRequest(pageUrl, status || 200, { 
+      ...context, 
+      view: true 
+    });
+    
+    // Record view
+    await rateLimitService.recordView();
+  } catch (error) {
+    if (error.message.includes('403') || error.message.includes('Forbidden')) {
+      await rateLimitService.handleForbiddenError();
+      await loggerService.logError(pageUrl, 403, 'forbidden', context);
+      throw error;
+    }
+    if (error.message.includes('429') || error.message.includes('Rate Limit')) {
+      const backoff = await rateLimitService.handleRateLimitError('429');
+      await loggerService.logError(pageUrl, 429, 'rate_limit', { ...context, backoff });
+      throw error;
+    }
+    if (error.message.includes('CLOUDFLARE')) {
+      throw error;
+    }
+    // Network error - retry with exponential backoff
+    loggerService.error('Network error during search', { 
+      url: pageUrl, 
+      error: error.message,
+      ...context 
+    });
+    throw error;
+  }
+  
+  // ⚠️ Esperar a que la página cargue completamente
+  // Estrategia múltiple: esperar networkidle, luego selectores específicos, luego scroll
+  try {
+    // Esperar a que la red esté inactiva (página cargada)
+    await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {
+      loggerService.debug('Network idle timeout, continuing anyway');
+    });
+    
+    // Esperar un poco más para que JavaScript renderice
+    await page.waitForTimeout(2000);
+    
+    // Intentar esperar por selectores específicos de resultados
+    const resultSelectors = [
+      'a[href*="/in/"]',
+      '[role="listitem"]',
+      '.reusable-search__result-container',
+      '[class*="search-result"]',
+      'ul[class*="results"]',
+    ];
+    
+    let foundResults = false;
+    for (const selector of resultSelectors) {
+      try {
+        await page.waitForSelector(selector, { timeout: 5000 });
+        foundResults = true;
+        break;
+      } catch (e) {
+            continue;
+          }
+    }
+    
+    // Si no encontramos selectores específicos, verificar si hay contenido en la página
+    if (!foundResults) {
+      const hasContent = await page.evaluate(() => {
+        // Verificar si hay elementos que sugieren que la página cargó
+        return document.body.textContent.length > 1000 || 
+               document.querySelectorAll('a, div, p').length > 50;
+      });
+      
+      if (hasContent) {
+        loggerService.debug('Page has content, attempting extraction even without specific selectors');
+        foundResults = true;
+      }
+    }
+    
+    // Scroll para cargar más resultados (comportamiento humano)
+    await page.evaluate(() => {
+      // Scroll suave hacia abajo para cargar contenido lazy-loaded
+      window.scrollBy(0, 500);
+    });
+    await page.waitForTimeout(1500);
+    
+    // Scroll un poco más
+    await page.evaluate(() => {
+      window.scrollBy(0, 300);
+    });
+    await page.waitForTimeout(1000);
+    
+    // Scroll de vuelta arriba para tener mejor vista
+    await page.evaluate(() => {
+      window.scrollTo(0, 0);
+    });
+    await page.waitForTimeout(500);
+    
+    loggerService.debug('Page loaded and scrolled', { foundResults });
+  } catch (waitError) {
+    loggerService.warn('Error waiting for page load', { error: waitError.message });
+    // Continuar de todas formas - intentaremos extraer lo que haya
+  }
+};
+
+/**
+ * Extract the results of the loaded page (Cheerio first, then the fallback method)
+ */
+const extractPageResults = async (page) => {
+  // Use enhanced data extraction service with Cheerio
+  let results = await dataExtractionService.extractSearchResults(page);
+  
+  // Si Cheerio no encontró resultados, intentar con el método fallback
+  if (!results || results.length === 0) {
+    loggerService.warn('Cheerio extraction returned no results, trying fallback method');
+    console.log('⚠️  Cheerio no encontró resultados, intentando método alternativo...');
+    results = await dataExtractionService.extractSearchResultsFallback(page);
+  }
+  
+  return results;
+};
+
+// Check rate limit before making request
+const assertCanRequest = async () => {
   const canRequest = await rateLimitService.canMakeRequest();
   if (!canRequest.allowed) {
     loggerService.warn('Rate limit check failed', canRequest);
     throw new Error(canRequest.message || 'Rate limit exceeded');
   }
+};
+
+/**
+ * Build the people search URL
+ * Con ID de empresa: filtros de empresa actual, ubicación y cargo (búsqueda facetada).
+ * Sin ID: palabras clave con comillas como respaldo (pueden coincidir con empleos anteriores).
+ * @param {Object} facets - { companyId, geoUrns }
+ */
+const buildSearchUrl = (companyName, jobTitle, facets = {}) => {
+  const params = [];
+  
+  if (facets.companyId) {
+    params.push(`currentCompany=${encodeURIComponent(JSON.stringify([String(facets.companyId)]))}`);
+    // Filtro "Title" de LinkedIn (cargo actual)
+    params.push(`titleFreeText=${encodeURIComponent(jobTitle)}`);
+  } else {
+    // Búsqueda con comillas en empresa y cargo para ser más estricto
+    params.push(`keywords=${encodeURIComponent(`"${companyName}" "${jobTitle}"`)}`);
+  }
+  
+  if (facets.geoUrns && facets.geoUrns.length > 0) {
+    params.push(`geoUrn=${encodeURIComponent(JSON.stringify(facets.geoUrns.map(String)))}`);
+  }
+  if (facets.companyId) {
+    params.push('origin=FACETED_SEARCH');
+  }
+  
+  return `https://www.linkedin.com/search/results/people/?${params.join('&')}`;
+};
+
+/**
+ * Search people at a company with a job title
+ * @param {string} companyName - Empresa buscada
+ * @param {string} jobTitle - Cargo buscado
+ * @param {Object} options - { facets: { companyId, geoUrns } } (searchFacetService)
+ * @returns {Array} Perfiles extraídos de todas las páginas
+ */
+const searchPeople = async (companyName, jobTitle, options = {}) => {
+  await assertCanRequest();
   
   const { page } = await getSharedBrowser();
   searchCount++;
   
   try {
-    // Búsqueda con comillas en empresa y cargo para ser más estricto
-    const searchQuery = `"${companyName}" "${jobTitle}"`;
-    const searchUrl = `https://www.linkedin.com/search/results/people/?keywords=${encodeURIComponent(searchQuery)}`;
+    const facets = options.facets || {};
+    const searchMode = facets.companyId ? 'faceted' : 'keywords';
+    const searchUrl = buildSearchUrl(companyName, jobTitle, facets);
     
-    loggerService.info('Starting search', { searchCount, companyName, jobTitle, url: searchUrl });
-    console.log(`  🔍 Search #${searchCount}: "${companyName}" "${jobTitle}"`);
+    loggerService.info('Starting search', { searchCount, companyName, jobTitle, searchMode, url: searchUrl });
+    console.log(`  🔍 Search #${searchCount} (${searchMode}): "${companyName}" "${jobTitle}"`);
     
     // ⚠️ Cada 5 búsquedas, visitar el feed (comportamiento humano)
     if (searchCount % 5 === 0) {
@@ -1006,151 +1214,59 @@ const searchPeople = async (companyName, jobTitle) => {
       await page.waitForTimeout(randomDelay(3000, 6000));
     }
     
-    // Navigate to search URL with error handling
-    let response;
-    try {
-      response = await page.goto(searchUrl, { 
-      waitUntil: 'domcontentloaded',
-      timeout: 60000 
-    });
+    // Recorrer páginas hasta el máximo o hasta que una página no aporte perfiles nuevos
+    const results = [];
+    const seenProfiles = new Set();
+    let pagesLoaded = 0;
     
-      // Check response status
-      const status = response?.status();
-      if (status === 403) {
-        await rateLimitService.handleForbiddenError();
-        await loggerService.logError(searchUrl, 403, 'forbidden', { companyName, jobTitle });
-        throw new Error('403 Forbidden - Account may be restricted. STOP scraping and appeal to LinkedIn.');
-      }
-      if (status === 429) {
-        const backoff = await rateLimitService.handleRateLimitError('429');
-        await loggerService.logError(searchUrl, 429, 'rate_limit', { companyName, jobTitle, backoff });
-        throw new Error(`429 Rate Limit - Backing off for ${backoff.backoffMinutes} minutes`);
-      }
-      
-      // Check for Cloudflare/Turnstile
-      const pageContent = await page.content();
-      if (pageContent.includes('cf-browser-verification') || 
-          pageContent.includes('challenge-platform') ||
-          pageContent.includes('turnstile')) {
-        loggerService.warn('Cloudflare/Turnstile detected', { url: searchUrl });
-        throw new Error('CLOUDFLARE_DETECTED: Manual intervention required');
-      }
+    for (let pageNumber = 1; pageNumber <= SEARCH_MAX_PAGES; pageNumber++) {
+      const pageUrl = pageNumber === 1 ? searchUrl : `${searchUrl}&page=${pageNumber}`;
       
-      await loggerService.logRequest(searchUrl, status || 200, { 
-        companyName, 
-        jobTitle, 
-        view: true 
-      });
-      
-      // Record view
-      await rateLimitService.recordView();
-    } catch (error) {
-      if (error.message.includes('403') || error.message.includes('Forbidden')) {
-        await rateLimitService.handleForbiddenError();
-        await loggerService.logError(searchUrl, 403, 'forbidden', { companyName, jobTitle });
-        throw error;
-      }
-      if (error.message.includes('429') || error.message.includes('Rate Limit')) {
-        const backoff = await rateLimitService.handleRateLimitError('429');
-        await loggerService.logError(searchUrl, 429, 'rate_limit', { companyName, jobTitle, backoff });
-        throw error;
-      }
-      if (error.message.includes('CLOUDFLARE')) {
-        throw error;
-      }
-      // Network error - retry with exponential backoff
-      loggerService.error('Network error during search', { 
-        url: searchUrl, 
-        error: error.message,
-        companyName,
-        jobTitle 
-      });
-      throw error;
-    }
-    
-    // ⚠️ Esperar a que la página cargue completamente
-    // Estrategia múltiple: esperar networkidle, luego selectores específicos, luego scroll
-    try {
-      // Esperar a que la red esté inactiva (página cargada)
-      await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {
-        loggerService.debug('Network idle timeout, continuing anyway');
-      });
-      
-      // Esperar un poco más para que JavaScript renderice
-      await page.waitForTimeout(2000);
-      
-      // Intentar esperar por selectores específicos de resultados
-      const resultSelectors = [
-        'a[href*="/in/"]',
-        '[role="listitem"]',
-        '.reusable-search__result-container',
-        '[class*="search-result"]',
-        'ul[class*="results"]',
-      ];
-      
-      let foundResults = false;
-      for (const selector of resultSelectors) {
-        try {
-          await page.waitForSelector(selector, { timeout: 5000 });
-          foundResults = true;
+      if (pageNumber > 1) {
+        // Cada página es una vista más: respetar el límite diario y esperar entre páginas
+        const canContinue = await rateLimitService.canMakeRequest();
+        if (!canContinue.allowed) {
+          console.log(`  ⏸️  Pagination stopped before page ${pageNumber}: ${canContinue.message}`);
           break;
-        } catch (e) {
-              continue;
-            }
+        }
+        await page.waitForTimeout(rateLimitService.getRandomDelay());
       }
       
-      // Si no encontramos selectores específicos, verificar si hay contenido en la página
-      if (!foundResults) {
-        const hasContent = await page.evaluate(() => {
-          // Verificar si hay elementos que sugieren que la página cargó
-          return document.body.textContent.length > 1000 || 
-                 document.querySelectorAll('a, div, p').length > 50;
+      let pageResults;
+      try {
+        await loadSearchPage(page, pageUrl, { companyName, jobTitle, pageNumber });
+        pageResults = await extractPageResults(page);
+        pagesLoaded++;
+      } catch (pageError) {
+        // Un fallo en páginas siguientes no descarta lo ya extraído (salvo bloqueos de LinkedIn)
+        if (pageNumber === 1 || isBlockingError(pageError)) throw pageError;
+        loggerService.warn('Error loading search page, keeping previous pages', {
+          error: pageError.message,
+          companyName,
+          jobTitle,
+          pageNumber
         });
-        
-        if (hasContent) {
-          loggerService.debug('Page has content, attempting extraction even without specific selectors');
-          foundResults = true;
-        }
+        break;
       }
       
-      // Scroll para cargar más resultados (comportamiento humano)
-      await page.evaluate(() => {
-        // Scroll suave hacia abajo para cargar contenido lazy-loaded
-        window.scrollBy(0, 500);
-      });
-      await page.waitForTimeout(1500);
-      
-      // Scroll un poco más
-      await page.evaluate(() => {
-        window.scrollBy(0, 300);
+      // Deduplicar por URL de perfil entre páginas
+      const newResults = pageResults.filter(person => {
+        const key = profileKey(person.profileUrl);
+        if (!key || seenProfiles.has(key)) return false;
+        seenProfiles.add(key);
+        return true;
       });
-      await page.waitForTimeout(1000);
+      results.push(...newResults);
+      console.log(`  📄 Page ${pageNumber}: ${pageResults.length} results, ${newResults.length} new`);
       
-      // Scroll de vuelta arriba para tener mejor vista
-      await page.evaluate(() => {
-        window.scrollTo(0, 0);
-      });
-      await page.waitForTimeout(500);
-      
-      loggerService.debug('Page loaded and scrolled', { foundResults });
-    } catch (waitError) {
-      loggerService.warn('Error waiting for page load', { error: waitError.message });
-      // Continuar de todas formas - intentaremos extraer lo que haya
-    }
-    
-    // Use enhanced data extraction service with Cheerio
-    let results = await dataExtractionService.extractSearchResults(page);
-    
-    // Si Cheerio no encontró resultados, intentar con el método fallback
-    if (!results || results.length === 0) {
-      loggerService.warn('Cheerio extraction returned no results, trying fallback method');
-      console.log('⚠️  Cheerio no encontró resultados, intentando método alternativo...');
-      results = await dataExtractionService.extractSearchResultsFallback(page);
+      // Sin perfiles nuevos: no hay más resultados o LinkedIn repite la última página
+      if (newResults.length === 0) break;
     }
     
     loggerService.info('Search completed', { 
       companyName, 
       jobTitle, 
+      pagesLoaded,
       resultsCount: results.length,
       profileExtracted: results.length 
     });
@@ -1204,9 +1320,75 @@ const searchPeople = async (companyName, jobTitle) => {
 };
 
 
+/**
+ * Load the "About" tab of a LinkedIn company page (cuenta como una vista del límite diario)
+ * @param {string} slug - "grupo-bimbo" o ID numérico
+ * @returns {Object|null} { companyId, slug, name, website, industry, companySize, employeeCount, headquarters }
+ */
+const getCompanyPage = async (slug) => {
+  await assertCanRequest();
+  const { page } = await getSharedBrowser();
+  
+  const pageUrl = `https://www.linkedin.com/company/${encodeURIComponent(slug)}/about/`;
+  loggerService.info('Loading company page', { slug, url: pageUrl });
+  console.log(`  🏢 Company page: ${slug}`);
+  
+  await loadSearchPage(page, pageUrl, { companySlug: slug });
+  return dataExtractionService.extractCompanyPage(page);
+};
+
+/**
+ * Search LinkedIn companies by name (cuenta como una vista del límite diario)
+ * @param {string} companyName - Nombre de la empresa
+ * @returns {Array} [{ companyId, slug, name }]
+ */
+const searchCompanies = async (companyName) => {
+  await assertCanRequest();
+  const { page } = await getSharedBrowser();
+  
+  const searchUrl = `https://www.linkedin.com/search/results/companies/?keywords=${encodeURIComponent(companyName)}`;
+  loggerService.info('Starting company search', { companyName, url: searchUrl });
+  console.log(`  🏢 Company search: "${companyName}"`);
+  
+  await loadSearchPage(page, searchUrl, { companyName });
+  return dataExtractionService.extractCompanySearchResults(page);
+};
+
+/**
+ * Load a LinkedIn profile and extract its full data (cuenta como una vista del límite diario)
+ * @param {string} profileUrl - URL del perfil ("https://www.linkedin.com/in/...")
+ * @returns {Object|null} Datos de extractProfileData (posición actual, experiencia, educación, About)
+ */
+const getProfile = async (profileUrl) => {
+  await assertCanRequest();
+  const { page } = await getSharedBrowser();
+  
+  // Sin parámetros de búsqueda (miniProfileUrn, trk...) para no dejar rastro de la búsqueda
+  const pageUrl = String(profileUrl).split(/[?#]/)[0];
+  loggerService.info('Loading profile', { url: pageUrl });
+  
+  await loadSearchPage(page, pageUrl, { profileUrl: pageUrl });
+  
+  // Las secciones de experiencia y educación se cargan al hacer scroll
+  await page.evaluate(() => {
+    window.scrollBy(0, document.body.scrollHeight / 2);
+  });
+  await page.waitForTimeout(1500);
+  await page.evaluate(() => {
+    window.scrollBy(0, document.body.scrollHeight);
+  });
+  await page.waitForTimeout(1500);
+  
+  return dataExtractionService.extractProfileData(page, pageUrl);
+};
+
 module.exports = {
   ensureLoggedIn,
   searchPeople,
+  buildSearchUrl,
+  getCompanyPage,
+  searchCompanies,
+  getProfile,
   getBrowserContext,
   verifyCode,
   closeSharedBrowser,
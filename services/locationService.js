@@ -0,0 +1,505 @@
+/**
+ * LOCATION LAYER
+ * Reglas de ubicación objetivo (países, estados, ciudades, alias) resueltas contra el gazetteer incluido
+ */
+
+const gazetteer = require('../config/locationGazetteer');
+
+// Qué hacer con perfiles sin ubicación o con una ubicación que no está en el gazetteer
+const UNKNOWN_LOCATION_POLICIES = ['reject', 'accept'];
+
+// Reglas por defecto: se usan si ni el run ni la empresa de HubSpot definen las suyas
+const DEFAULT_RULES_SPEC = {
+  countries: process.env.TARGET_COUNTRIES || 'MX',
+  states: process.env.TARGET_STATES || '',
+  cities: process.env.TARGET_CITIES || '',
+  unknownLocation: process.env.UNKNOWN_LOCATION_POLICY || 'reject'
+};
+
+// Texto que acompaña a una ciudad o estado en LinkedIn ("Greater X Area", "X y alrededores")
+const CONTEXT_BEFORE = /(greater|area metropolitana de|zona metropolitana de|metropolitan area of)\s+$/;
+const CONTEXT_AFTER = /^\s+(metropolitan area|metro area|area|y alrededores|and surrounding area|region)\b/;
+
+/**
+ * Pasa a minúsculas y quita acentos sin cambiar la longitud, para que los índices sigan valiendo en el texto original
+ */
+const foldText = (text) => {
+  return Array.from(String(text || '').toLowerCase())
+    .map(char => char.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+    .join('');
+};
+
+// "Nuevo León, México" -> "nuevo leon mexico"
+const normalizePhrase = (text) => foldText(text).replace(/[^a-z0-9]+/g, ' ').trim();
+
+const stateKey = (place) => `${place.country || '*'}|${normalizePhrase(place.state)}`;
+const cityKey = (place) => `${place.country || '*'}|${normalizePhrase(place.city)}`;
+const placeKey = (place) => `${place.type}|${place.country}|${place.state}|${place.city}`;
+
+const toPlaceData = (place) => place
+  ? { country: place.country, state: place.state, city: place.city }
+  : null;
+
+/**
+ * Indexa cada nombre y alias del gazetteer: alias -> lugares que lo usan
+ */
+const buildAliasIndex = () => {
+  const index = new Map();
+  const add = (names, place) => {
+    for (const name of names) {
+      const alias = normalizePhrase(name);
+      if (!alias) continue;
+      const places = index.get(alias) || [];
+      if (!places.some(existing => placeKey(existing) === placeKey(place))) {
+        places.push(place);
+      }
+      index.set(alias, places);
+    }
+  };
+
+  for (const country of gazetteer.countries) {
+    add([country.name, ...(country.aliases || [])], {
+      type: 'country', country: country.code, state: null, city: null
+    });
+
+    for (const state of country.states || []) {
+      add([state.name, ...(state.aliases || [])], {
+        type: 'state', country: country.code, state: state.name, city: null
+      });
+
+      for (const city of state.cities || []) {
+        const cityName = typeof city === 'string' ? city : city.name;
+        const cityAliases = typeof city === 'string' ? [] : (city.aliases || []);
+        add([cityName, ...cityAliases], {
+          type: 'city', country: country.code, state: state.name, city: cityName
+        });
+      }
+    }
+  }
+
+  return index;
+};
+
+// Los alias más largos primero ("nuevo leon" antes que "leon")
+const sortByAliasLength = (entries) => entries.sort((a, b) => b[0].length - a[0].length);
+
+const aliasIndex = buildAliasIndex();
+const gazetteerEntries = sortByAliasLength(Array.from(aliasIndex.entries()));
+
+/**
+ * Resuelve el texto de ubicación de LinkedIn a lugares del gazetteer
+ * @param {string} location - p. ej. "Monterrey, Nuevo León"
+ * @param {Array} extraEntries - Alias propios de unas reglas [[alias, places]]
+ * @returns {Object|null} { place, candidates, ambiguous, matchedAliases } o null si no se reconoce
+ */
+const resolveLocation = (location, extraEntries = []) => {
+  let remaining = ` ${normalizePhrase(location)} `;
+  const entries = extraEntries.length > 0
+    ? sortByAliasLength([...extraEntries, ...gazetteerEntries])
+    : gazetteerEntries;
+
+  const matchedAliases = [];
+  const places = [];
+  let lastMention = null;
+  for (const [alias, aliasPlaces] of entries) {
+    const needle = ` ${alias} `;
+    const position = remaining.indexOf(needle);
+    if (position !== -1) {
+      matchedAliases.push(alias);
+      places.push(...aliasPlaces);
+      if (!lastMention || position > lastMention.position) {
+        lastMention = { position, places: aliasPlaces };
+      }
+      // Consumir el texto para que "leon" no vuelva a coincidir dentro de "nuevo leon"
+      remaining = remaining.split(needle).join(' '.repeat(needle.length));
+    }
+  }
+
+  // El país mencionado decide entre estados y ciudades homónimos; sin país, el último lugar
+  // (LinkedIn escribe "ciudad, estado, país": "Durango, Colorado" es de Estados Unidos)
+  const countries = places.filter(place => place.type === 'country');
+  const contextPlaces = countries.length > 0 ? countries : (lastMention ? lastMention.places : []);
+  const contextCountries = contextPlaces.map(place => place.country);
+  const inCountry = (place) => contextCountries.length === 0 || contextCountries.includes(null) ||
+    !place.country || contextCountries.includes(place.country);
+  const states = places.filter(place => place.type === 'state' && inCountry(place));
+  const cities = places.filter(place => place.type === 'city' && inCountry(place) &&
+    (states.length === 0 || !place.country || states.some(state => stateKey(state) === stateKey(place))));
+
+  const matches = cities.length > 0 ? cities : (states.length > 0 ? states : countries);
+  const candidates = matches.filter((place, index) =>
+    matches.findIndex(other => placeKey(other) === placeKey(place)) === index
+  );
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const candidateCountries = new Set(candidates.map(place => place.country));
+  return {
+    place: candidates[0],
+    candidates,
+    ambiguous: candidateCountries.size > 1,
+    matchedAliases
+  };
+};
+
+// Países objetivo por defecto (TARGET_COUNTRIES), para resolver una ciudad o estado suelto
+let defaultTargetCountries = null;
+
+const getDefaultTargetCountries = () => {
+  if (!defaultTargetCountries) {
+    defaultTargetCountries = getLocationRules().countries;
+  }
+  return defaultTargetCountries;
+};
+
+/**
+ * Indica si un estado o ciudad sin país corresponde a un solo país (directamente o entre los países objetivo)
+ */
+const isUnambiguousPlace = (places) => {
+  const countries = new Set(places.map(place => place.country));
+  if (countries.size === 1) return true;
+
+  const targets = getDefaultTargetCountries();
+  return Array.from(countries).filter(country => targets.has(country)).length === 1;
+};
+
+/**
+ * Busca la ubicación dentro de un texto libre (para separar titular y ubicación)
+ * @param {string} text - Texto de un resultado de búsqueda (las líneas separadas por \n)
+ * @returns {Object|null} { index, end, keyword } de la primera ubicación reconocida,
+ *   p. ej. keyword = "Monterrey, Nuevo León, México"
+ */
+const findLocationMention = (text) => {
+  const folded = foldText(text);
+  const isBoundary = (char) => !char || !/[a-z0-9]/.test(char);
+
+  const mentions = [];
+  for (const [alias, places] of gazetteerEntries) {
+    let from = 0;
+    let index;
+    while ((index = folded.indexOf(alias, from)) !== -1) {
+      from = index + 1;
+      const end = index + alias.length;
+      if (!isBoundary(folded[index - 1]) || !isBoundary(folded[end])) continue;
+      if (mentions.some(mention => index < mention.end && end > mention.index)) continue;
+      mentions.push({ index, end, places });
+    }
+  }
+  mentions.sort((a, b) => a.index - b.index);
+
+  const isFollowedBy = (i, separator) => {
+    const next = mentions[i + 1];
+    return !!next && separator.test(folded.slice(mentions[i].end, next.index));
+  };
+
+  // La mención ocupa toda su línea ("Monterrey", "CDMX" en la línea de ubicación del resultado)
+  const isWholeLine = (candidate) => /(^|\n)[^\S\n]*$/.test(folded.slice(0, candidate.index)) &&
+    /^[^\S\n]*(\n|$)/.test(folded.slice(candidate.end));
+
+  // Un estado o ciudad suelto puede ser un apellido o una empresa ("Hidalgo", "Meta"):
+  // solo cuenta si le sigue otra ubicación, va en una frase de ubicación o es toda la línea
+  const first = mentions.findIndex((candidate, i) => {
+    if (candidate.places.some(place => place.type === 'country')) return true;
+    if (isFollowedBy(i, /^\s*,\s*$/)) return true;
+    if (isWholeLine(candidate) && isUnambiguousPlace(candidate.places)) return true;
+    return CONTEXT_BEFORE.test(folded.slice(0, candidate.index)) || CONTEXT_AFTER.test(folded.slice(candidate.end));
+  });
+  if (first === -1) {
+    return null;
+  }
+
+  // La frase sigue mientras haya más ubicaciones seguidas ("Monterrey, Nuevo León, México")
+  let last = first;
+  while (isFollowedBy(last, /^\s*,?\s*$/)) {
+    last++;
+  }
+
+  let index = mentions[first].index;
+  let end = mentions[last].end;
+  const before = folded.slice(0, index).match(CONTEXT_BEFORE);
+  if (before) {
+    index -= before[0].length;
+  }
+  const after = folded.slice(end).match(CONTEXT_AFTER);
+  if (after) {
+    end += after[0].length;
+  }
+
+  return { index, end, keyword: String(text).substring(index, end).trim() };
+};
+
+// Convierte un valor (array o texto separado por comas) en lista
+const toList = (value) => {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(/[,;\n]/);
+  return list.map(item => String(item).trim()).filter(item => item.length > 0);
+};
+
+/**
+ * Interpreta reglas de ubicación dadas como objeto, texto JSON o lista de lugares ("MX, CO, Florida")
+ */
+const parseLocationSpec = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return { locations: value };
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  const text = String(value).trim();
+  if (!text) {
+    return null;
+  }
+  return text.startsWith('{') ? JSON.parse(text) : { locations: toList(text) };
+};
+
+/**
+ * Busca un lugar en el gazetteer, probando los tipos dados en orden
+ */
+const lookupPlaces = (name, types) => {
+  const code = String(name).trim().toUpperCase();
+  const places = aliasIndex.get(normalizePhrase(name)) || [];
+
+  for (const type of types) {
+    const found = places.filter(place => place.type === type);
+    if (type === 'country') {
+      const byCode = gazetteer.countries.find(country => country.code === code);
+      if (byCode) {
+        return [{ type: 'country', country: byCode.code, state: null, city: null }];
+      }
+    }
+    if (found.length > 0) {
+      return found;
+    }
+  }
+  return [];
+};
+
+// Ciudad que no está en el gazetteer: se reconoce por su nombre en cualquier país
+const customCity = (name) => ({ type: 'city', country: null, state: null, city: String(name).trim() });
+
+/**
+ * Compila las reglas de ubicación en conjuntos de búsqueda
+ * @param {Object} spec - { countries, states, cities, locations, aliases, unknownLocation }
+ * @param {string} source - De dónde vienen las reglas ('run', 'company' o 'default')
+ */
+const compileLocationRules = (spec, source) => {
+  const rules = {
+    source,
+    countries: new Set(),
+    states: new Set(),
+    cities: new Set(),
+    aliasEntries: [],
+    unknownLocation: spec.unknownLocation || DEFAULT_RULES_SPEC.unknownLocation,
+    targets: []
+  };
+  const errors = [];
+
+  const addPlaces = (name, places) => {
+    for (const place of places) {
+      if (place.type === 'country') rules.countries.add(place.country);
+      if (place.type === 'state') rules.states.add(stateKey(place));
+      if (place.type === 'city') rules.cities.add(cityKey(place));
+    }
+    rules.targets.push(name);
+  };
+
+  for (const name of toList(spec.countries)) {
+    const places = lookupPlaces(name, ['country']);
+    places.length > 0 ? addPlaces(name, places) : errors.push(`unknown country "${name}"`);
+  }
+  for (const name of toList(spec.states)) {
+    const places = lookupPlaces(name, ['state']);
+    places.length > 0 ? addPlaces(name, places) : errors.push(`unknown state "${name}"`);
+  }
+  for (const name of toList(spec.cities)) {
+    const places = lookupPlaces(name, ['city']);
+    addPlaces(name, places.length > 0 ? places : [customCity(name)]);
+  }
+  for (const name of toList(spec.locations)) {
+    const places = lookupPlaces(name, ['country', 'state', 'city']);
+    addPlaces(name, places.length > 0 ? places : [customCity(name)]);
+  }
+
+  // Alias propios: texto de LinkedIn -> lugar del gazetteer (o ciudad nueva)
+  for (const [alias, target] of Object.entries(spec.aliases || {})) {
+    const places = lookupPlaces(target, ['city', 'state', 'country']);
+    rules.aliasEntries.push([normalizePhrase(alias), places.length > 0 ? places : [customCity(target)]]);
+  }
+
+  if (!UNKNOWN_LOCATION_POLICIES.includes(rules.unknownLocation)) {
+    errors.push(`unknownLocation must be one of: ${UNKNOWN_LOCATION_POLICIES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid location rules (${source}): ${errors.join('; ')}`);
+  }
+
+  const targets = rules.targets.length > 0 ? rules.targets.join(', ') : 'any location';
+  rules.label = `${targets} | unknown: ${rules.unknownLocation} (${source})`;
+  return rules;
+};
+
+// Reglas compiladas por contenido (las empresas suelen repetir las mismas)
+const rulesCache = new Map();
+
+const getCompiledRules = (value, source) => {
+  const cacheKey = `${source}:${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  if (!rulesCache.has(cacheKey)) {
+    let spec;
+    try {
+      spec = parseLocationSpec(value);
+    } catch (error) {
+      throw new Error(`Invalid location rules (${source}): ${error.message}`);
+    }
+    rulesCache.set(cacheKey, spec ? compileLocationRules(spec, source) : null);
+  }
+  return rulesCache.get(cacheKey);
+};
+
+/**
+ * Obtiene las reglas de ubicación de una búsqueda: run > empresa de HubSpot > por defecto
+ * @param {Object} sources - { run, company } reglas sin compilar
+ * @returns {Object} Reglas compiladas
+ */
+const getLocationRules = ({ run = null, company = null } = {}) => {
+  const runRules = run ? getCompiledRules(run, 'run') : null;
+  if (runRules) {
+    return runRules;
+  }
+
+  if (company) {
+    try {
+      const companyRules = getCompiledRules(company, 'company');
+      if (companyRules) {
+        return companyRules;
+      }
+    } catch (error) {
+      // Una propiedad mal escrita en HubSpot no debe detener el run
+      console.warn(`⚠️  Ignoring company location rules: ${error.message}`);
+    }
+  }
+
+  return getCompiledRules(DEFAULT_RULES_SPEC, 'default');
+};
+
+const placeMatchesRules = (place, rules) => {
+  if (place.country && rules.countries.has(place.country)) return true;
+  if (place.state && rules.states.has(stateKey(place))) return true;
+  if (place.city) {
+    return rules.cities.has(cityKey(place)) ||
+      rules.cities.has(cityKey({ country: null, city: place.city }));
+  }
+  return false;
+};
+
+/**
+ * Verifica la ubicación de un perfil contra las reglas compiladas
+ * @returns {Object} { passed, method, matchedKeywords, place, score, reason? }
+ */
+const matchLocation = (location, rules) => {
+  const unknown = (method) => rules.unknownLocation === 'accept'
+    ? { passed: true, method, matchedKeywords: [], place: null, score: 0.5 }
+    : { passed: false, method, matchedKeywords: [], place: null, score: 0, reason: 'location_unknown' };
+
+  const isUnrestricted = rules.countries.size === 0 && rules.states.size === 0 && rules.cities.size === 0;
+
+  if (!location || location.trim().length === 0) {
+    return isUnrestricted
+      ? { passed: true, method: 'unrestricted', matchedKeywords: [], place: null, score: 1 }
+      : unknown('missing');
+  }
+
+  const resolved = resolveLocation(location, rules.aliasEntries);
+
+  if (isUnrestricted) {
+    return {
+      passed: true,
+      method: 'unrestricted',
+      matchedKeywords: resolved ? resolved.matchedAliases : [],
+      place: resolved ? toPlaceData(resolved.place) : null,
+      score: 1
+    };
+  }
+
+  if (!resolved) {
+    return unknown('unresolved');
+  }
+
+  const matching = resolved.candidates.find(place => placeMatchesRules(place, rules));
+  if (!matching) {
+    return {
+      passed: false,
+      method: 'mismatch',
+      matchedKeywords: resolved.matchedAliases,
+      place: toPlaceData(resolved.place),
+      score: 0
+    };
+  }
+
+  return {
+    passed: true,
+    method: resolved.ambiguous ? 'ambiguous' : matching.type,
+    matchedKeywords: resolved.matchedAliases,
+    place: toPlaceData(matching),
+    score: resolved.ambiguous ? 0.75 : 1
+  };
+};
+
+/**
+ * Separa una ubicación de LinkedIn en ciudad, estado y país (p. ej. para las propiedades de un contacto)
+ * @param {string} location - "Monterrey, Nuevo León, México"
+ * @returns {Object|null} { city, state, country, countryCode } o null si no se reconoce
+ *   o si coincide con lugares de varios países
+ */
+const describeLocation = (location) => {
+  const resolved = location ? resolveLocation(location) : null;
+  if (!resolved || resolved.ambiguous) {
+    return null;
+  }
+
+  const { place } = resolved;
+  const country = gazetteer.countries.find(entry => entry.code === place.country);
+  return {
+    city: place.city || null,
+    state: place.state || null,
+    country: country ? country.name : null,
+    countryCode: place.country || null
+  };
+};
+
+/**
+ * Geo URNs de LinkedIn (a nivel de país) que cubren todos los lugares objetivo
+ * @param {Object} rules - Reglas compiladas (getLocationRules)
+ * @returns {Array|null} IDs de geoUrn; [] si no hay destinos; null si algún destino no tiene geoUrn conocido
+ */
+const getGeoUrns = (rules) => {
+  // Estados y ciudades usan el geoUrn de su país; el filtro de ubicación afina después
+  const countryCodes = new Set(rules.countries);
+  [...rules.states, ...rules.cities].forEach(key => countryCodes.add(key.split('|')[0]));
+
+  const geoUrns = [];
+  for (const code of countryCodes) {
+    const country = gazetteer.countries.find(entry => entry.code === code);
+    if (!country || !country.geoUrn) return null;
+    geoUrns.push(country.geoUrn);
+  }
+  return geoUrns;
+};
+
+module.exports = {
+  UNKNOWN_LOCATION_POLICIES,
+  resolveLocation,
+  findLocationMention,
+  getLocationRules,
+  matchLocation,
+  describeLocation,
+  getGeoUrns
+};
@@ -261,6 +261,7 @@ const scheduleDailyReport = () => {
   
   const msUntilMidnight = tomorrow.getTime() - now.getTime();
   
+  // Los temporizadores no mantienen vivo el proceso (scripts y tests que ya terminaron)
   setTimeout(() => {
     generateDailyReport();
     archiveOldLogs();
@@ -269,8 +270,8 @@ const scheduleDailyReport = () => {
     setInterval(() => {
       generateDailyReport();
       archiveOldLogs();
-    }, 24 * 60 * 60 * 1000);
-  }, msUntilMidnight);
+    }, 24 * 60 * 60 * 1000).unref();
+  }, msUntilMidnight).unref();
 };
 
 // Initialize
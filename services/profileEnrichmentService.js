@@ -0,0 +1,101 @@
+/**
+ * PROFILE ENRICHMENT LAYER
+ * Segunda pasada opcional sobre los resultados aceptados: visita cada perfil dentro del límite
+ * diario de vistas y obtiene la posición actual, antigüedad, experiencia, educación y About
+ */
+
+require('dotenv').config();
+
+const linkedinService = require('./linkedinService');
+const rateLimitService = require('./rateLimitService');
+
+// Desactivado por defecto: cada perfil cuenta como una vista del límite diario
+const ENRICH_PROFILES = process.env.ENRICH_PROFILES === 'true';
+// Perfiles a visitar como máximo por búsqueda
+const MAX_PROFILES_PER_SEARCH = parseInt(process.env.ENRICH_MAX_PROFILES_PER_SEARCH || '5');
+// Vistas que se reservan para las búsquedas: el enriquecimiento nunca consume las últimas
+const RESERVED_VIEWS = parseInt(process.env.ENRICH_RESERVED_VIEWS || '10');
+
+// Errores tras los que no se debe cargar ninguna otra página de LinkedIn
+const isBlockingError = (error) => {
+  return /403|forbidden|429|rate limit|limit reached|backoff|cloudflare|captcha|verification/i.test(error.message || '');
+};
+
+/**
+ * Indica si un run de scraping enriquece perfiles (la opción del run tiene prioridad sobre ENRICH_PROFILES)
+ * @param {boolean|string|null} option - Opción `enrich` del run
+ */
+const isEnabled = (option) => {
+  if (option === true || option === 'true') return true;
+  if (option === false || option === 'false') return false;
+  return ENRICH_PROFILES;
+};
+
+// Solo los campos que se adjuntan al deal (sin el nombre ni el título de la búsqueda)
+const toEnrichment = (profile) => ({
+  currentPosition: profile.currentPosition || null,
+  currentCompany: profile.currentCompany || null,
+  tenure: profile.tenure || null,
+  tenureMonths: profile.tenureMonths ?? null,
+  experience: profile.experience || [],
+  education: profile.education || [],
+  about: profile.about || null,
+  source: profile.source,
+  enrichedAt: new Date().toISOString()
+});
+
+/**
+ * Visita los perfiles aceptados y añade `person.enrichment`
+ * Se detiene al llegar a MAX_PROFILES_PER_SEARCH, a las vistas reservadas o ante un bloqueo
+ * de LinkedIn; los perfiles restantes se guardan igual, sin enriquecer
+ * @param {Array} people - Perfiles aceptados que se van a guardar (sinkService.findNewPeople)
+ * @param {Object} options - { maxProfiles }
+ * @returns {Object} { enriched, skipped, failed }
+ */
+const enrichProfiles = async (people, options = {}) => {
+  const maxProfiles = options.maxProfiles ?? MAX_PROFILES_PER_SEARCH;
+  const summary = { enriched: 0, skipped: 0, failed: 0 };
+  let blocked = false;
+
+  for (const person of people) {
+    const { remaining } = await rateLimitService.getStatus();
+    if (blocked || summary.enriched + summary.failed >= maxProfiles || remaining <= RESERVED_VIEWS) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const profile = await linkedinService.getProfile(person.profileUrl);
+      if (!profile) {
+        summary.failed++;
+        console.warn(`    ⚠️  Could not read profile: ${person.name}`);
+        continue;
+      }
+
+      person.enrichment = toEnrichment(profile);
+      summary.enriched++;
+      console.log(`    🔎 Enriched: ${person.name} - ${person.enrichment.currentPosition || 'N/A'} at ${person.enrichment.currentCompany || 'N/A'}${person.enrichment.tenure ? ` (${person.enrichment.tenure})` : ''}`);
+    } catch (error) {
+      summary.failed++;
+      console.warn(`    ⚠️  Could not enrich ${person.name}: ${error.message}`);
+      // Bloqueo o límite de LinkedIn: no visitar más perfiles (la siguiente búsqueda lo detecta)
+      if (isBlockingError(error)) {
+        blocked = true;
+        continue;
+      }
+    }
+
+    // ⚠️ Delay aleatorio entre perfiles, igual que entre búsquedas
+    await new Promise(resolve => setTimeout(resolve, rateLimitService.getRandomDelay()));
+  }
+
+  if (summary.skipped > 0) {
+    console.log(`    ℹ️  ${summary.skipped} profiles saved without enrichment${blocked ? ' (LinkedIn blocked further views)' : ' (view budget)'}`);
+  }
+  return summary;
+};
+
+module.exports = {
+  isEnabled,
+  enrichProfiles
+};
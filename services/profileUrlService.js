@@ -0,0 +1,59 @@
+/**
+ * PROFILE URL LAYER
+ * URLs canónicas de perfiles de LinkedIn: la misma persona siempre tiene la misma URL,
+ * sea cual sea el subdominio, la query string o la subpágina del link extraído
+ */
+
+const PROFILE_BASE_URL = 'https://www.linkedin.com/in/';
+
+// Perfiles fuera de la red en resultados de búsqueda: "/in/ACoAAB1x2y3..."
+const MEMBER_ID_PATTERN = /^ACo[A-Za-z0-9_-]+$/;
+
+// "/in/<id>" en URLs absolutas (cualquier subdominio) o relativas; también la versión móvil "/mwlite/in/<id>"
+const PROFILE_PATH_PATTERN = /^(?:https?:\/\/)?(?:[a-z0-9-]+\.)*linkedin\.com(?:\/mwlite)?\/in\/([^/?#\s]+)|^(?:\/mwlite)?\/in\/([^/?#\s]+)/i;
+
+/**
+ * Obtiene el public id de un perfil de LinkedIn
+ * @param {string} url - "https://mx.linkedin.com/in/Ana-L%C3%B3pez/details/experience/?trk=x"
+ * @returns {string|null} "ana-lópez" o null si no es una URL de perfil
+ */
+const getPublicId = (url) => {
+  const match = String(url || '').trim().match(PROFILE_PATH_PATTERN);
+  const rawId = match && (match[1] || match[2]);
+  if (!rawId) return null;
+
+  let publicId = rawId;
+  try {
+    publicId = decodeURIComponent(rawId);
+  } catch (error) {
+    // Secuencia % inválida: se usa tal cual
+  }
+  // Los IDs de miembro ("ACoAAB...") distinguen mayúsculas; los public id no
+  return MEMBER_ID_PATTERN.test(publicId) ? publicId : publicId.toLowerCase();
+};
+
+/**
+ * Obtiene la URL canónica del perfil (solo el public id)
+ * @param {string} url - Cualquier variante de la URL del perfil
+ * @returns {string|null} "https://www.linkedin.com/in/ana-l%C3%B3pez/" o null si no es una URL de perfil
+ */
+const canonicalProfileUrl = (url) => {
+  const publicId = getPublicId(url);
+  return publicId ? `${PROFILE_BASE_URL}${encodeURIComponent(publicId)}/` : null;
+};
+
+/**
+ * Busca las URLs canónicas de los perfiles enlazados en un texto (p. ej. la descripción de un deal)
+ * @param {string} text - Texto libre
+ * @returns {Array<string>} URLs canónicas sin repetir
+ */
+const findProfileUrls = (text) => {
+  const links = String(text || '').match(/(?:[a-z0-9-]+\.)*linkedin\.com(?:\/mwlite)?\/in\/[^/?#\s]+/gi) || [];
+  return [...new Set(links.map(canonicalProfileUrl).filter(Boolean))];
+};
+
+module.exports = {
+  getPublicId,
+  canonicalProfileUrl,
+  findProfileUrls
+};
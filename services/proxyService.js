@@ -160,8 +160,8 @@ const getSessionStats = () => {
   };
 };
 
-// Clean up expired sessions every hour
-setInterval(clearExpiredSessions, 3600000);
+// Clean up expired sessions every hour (sin mantener vivo el proceso: scripts y tests terminan)
+setInterval(clearExpiredSessions, 3600000).unref();
 
 module.exports = {
   getProxyConfig,
@@ -7,7 +7,10 @@ const fs = require('fs').promises;
 const path = require('path');
 require('dotenv').config();
 
-const RATE_LIMIT_FILE = path.join(__dirname, '../data/rate-limit.json');
+const scrapeEventsService = require('./scrapeEventsService');
+
+// Otro fichero con RATE_LIMIT_FILE (p. ej. en los tests)
+const RATE_LIMIT_FILE = process.env.RATE_LIMIT_FILE || path.join(__dirname, '../data/rate-limit.json');
 
 // Configuration
 const DAILY_VIEW_LIMIT = parseInt(process.env.DAILY_VIEW_LIMIT || '40'); // Free account limit
@@ -188,6 +191,12 @@ const handleRateLimitError = async (errorType = '429') => {
   console.error(`❌ ${errorType} error detected. Backing off for ${backoffMinutes} minutes`);
   console.error(`   Resuming at: ${backoffUntil.toLocaleString()}`);
   
+  scrapeEventsService.emitEvent(scrapeEventsService.EVENT_TYPES.RATE_LIMIT_BACKOFF, {
+    errorType,
+    backoffMinutes,
+    backoffUntil: backoffUntil.toISOString(),
+  });
+  
   return {
     backoffMinutes,
     backoffUntil: backoffUntil.toISOString(),
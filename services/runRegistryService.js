@@ -0,0 +1,530 @@
+/**
+ * RUN REGISTRY LAYER
+ * Reporte de cada run (origen, búsquedas, veredictos del filtro, leads guardados por destino) a partir de los eventos del scraping
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const scrapeEventsService = require('./scrapeEventsService');
+const jobQueueService = require('./jobQueueService');
+
+// Otro directorio con RUNS_DIR (p. ej. en los tests)
+const RUNS_DIR = process.env.RUNS_DIR || path.join(__dirname, '../data/runs');
+
+// Los IDs de run vienen de la API: solo aceptar el formato generado por la cola
+const RUN_ID_PATTERN = /^run-\d+$/;
+
+const { EVENT_TYPES } = scrapeEventsService;
+
+// Estado final del reporte según el motivo de parada del run
+const STATUS_BY_STOP_REASON = {
+  completed: 'completed',
+  cancelled: 'cancelled',
+  error: 'failed'
+};
+
+// Contador de la búsqueda que incrementa cada resultado de un destino
+const SINK_COUNTERS = {
+  [EVENT_TYPES.SINK_SAVED]: 'created',
+  [EVENT_TYPES.SINK_DUPLICATE]: 'duplicates',
+  [EVENT_TYPES.SINK_FAILED]: 'failed'
+};
+
+// Reportes en memoria y cola de escritura (los eventos se procesan en orden)
+const reports = new Map();
+let processingChain = Promise.resolve();
+let currentRunId = null;
+
+// Los reportes cambiados se escriben en lote: como mucho uno por intervalo, y siempre al
+// terminar una búsqueda o el run (un veredicto del filtro no reescribe el reporte entero)
+const SAVE_INTERVAL = 5000;
+const FLUSH_EVENTS = new Set([
+  EVENT_TYPES.RUN_STARTED,
+  EVENT_TYPES.SEARCH_FINISHED,
+  EVENT_TYPES.RUN_FINISHED
+]);
+const dirtyRuns = new Set();
+let saveTimer = null;
+
+const getReportFile = (runId) => path.join(RUNS_DIR, `${runId}.json`);
+
+// Veredictos del filtro, uno por línea, para ajustar las reglas con datos reales
+const getVerdictsFile = (runId) => path.join(RUNS_DIR, `${runId}.verdicts.jsonl`);
+
+const createEmptyTotals = () => ({
+  searches: 0,
+  results: 0,
+  accepted: 0,
+  rejected: 0,
+  rejectionsByReason: {},
+  created: 0,
+  duplicates: 0,
+  failed: 0,
+  sinks: {}
+});
+
+const createEmptySinkCounts = () => ({ created: 0, duplicates: 0, failed: 0 });
+
+/**
+ * Obtiene un reporte de memoria o disco, o crea uno vacío
+ */
+const loadReport = async (runId) => {
+  if (reports.has(runId)) {
+    return reports.get(runId);
+  }
+
+  let report;
+  try {
+    const data = await fs.readFile(getReportFile(runId), 'utf8');
+    report = JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error loading run report ${runId}:`, error.message);
+    }
+    report = {
+      id: runId,
+      status: 'running',
+      startedAt: null,
+      endedAt: null,
+      stopReason: null,
+      filters: null,
+      sinks: [],
+      sessions: [],
+      companies: [],
+      jobTitles: [],
+      searches: [],
+      totals: createEmptyTotals(),
+      deals: [],
+      duplicates: [],
+      backoffs: [],
+      verifications: []
+    };
+  }
+
+  reports.set(runId, report);
+  return report;
+};
+
+// Fichero temporal + rename: un crash a mitad de escritura no deja el reporte a medias
+const saveReport = async (report) => {
+  const reportFile = getReportFile(report.id);
+  const tmpFile = `${reportFile}.tmp`;
+  await fs.mkdir(RUNS_DIR, { recursive: true });
+  await fs.writeFile(tmpFile, JSON.stringify(report, null, 2));
+  await fs.rename(tmpFile, reportFile);
+};
+
+/**
+ * Escribe los reportes que cambiaron desde la última escritura
+ */
+const flushReports = async () => {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  for (const runId of Array.from(dirtyRuns)) {
+    dirtyRuns.delete(runId);
+    await saveReport(reports.get(runId));
+  }
+};
+
+const scheduleFlush = () => {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    processingChain = processingChain
+      .then(flushReports)
+      .catch(error => {
+        console.error('Error saving run reports:', error.message);
+      });
+  }, SAVE_INTERVAL);
+  // El temporizador no mantiene vivo el proceso (p. ej. un script que ya terminó)
+  saveTimer.unref();
+};
+
+const appendVerdict = async (runId, verdict) => {
+  await fs.mkdir(RUNS_DIR, { recursive: true });
+  await fs.appendFile(getVerdictsFile(runId), JSON.stringify(verdict) + '\n');
+};
+
+/**
+ * Obtiene (o crea) la entrada de una búsqueda dentro de un reporte
+ */
+const getSearch = (report, event) => {
+  let search = report.searches.find(s => s.jobId === event.jobId);
+  if (!search) {
+    search = {
+      jobId: event.jobId,
+      companyId: event.companyId,
+      company: event.company,
+      jobTitleId: event.jobTitleId,
+      jobTitle: event.jobTitle,
+      attempts: 0,
+      state: 'running',
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      resultsCount: 0,
+      accepted: 0,
+      rejected: 0,
+      rejectionsByReason: {},
+      // Registros en todos los destinos y, en sinks, por destino
+      created: 0,
+      duplicates: 0,
+      failed: 0,
+      sinks: {}
+    };
+    report.searches.push(search);
+  }
+  return search;
+};
+
+const getCurrentSession = (report) => report.sessions[report.sessions.length - 1] || null;
+
+/**
+ * Aplica un evento del scraping al reporte de su run
+ */
+const applyEvent = async (report, event) => {
+  switch (event.type) {
+    case EVENT_TYPES.RUN_STARTED: {
+      const runJobs = await jobQueueService.getJobs(report.id);
+      const companies = new Map();
+      const jobTitles = new Map();
+      for (const job of runJobs) {
+        companies.set(job.companyId, { id: job.companyId, name: job.companyName });
+        jobTitles.set(job.jobTitleId, { id: job.jobTitleId, title: job.jobTitle });
+      }
+
+      report.status = 'running';
+      report.startedAt = report.startedAt || event.timestamp;
+      report.endedAt = null;
+      report.stopReason = null;
+      report.filters = event.filters;
+      report.sinks = event.sinks || [];
+      report.companies = Array.from(companies.values());
+      report.jobTitles = Array.from(jobTitles.values());
+      report.sessions.push({
+        trigger: event.trigger,
+        resumed: event.resumed,
+        startedAt: event.timestamp,
+        endedAt: null,
+        stopReason: null
+      });
+      break;
+    }
+
+    case EVENT_TYPES.SEARCH_STARTED: {
+      const search = getSearch(report, event);
+      search.attempts++;
+      search.state = 'running';
+      search.startedAt = event.timestamp;
+      // Un reintento (tras diferir la búsqueda) empieza sus contadores de cero
+      search.resultsCount = 0;
+      search.accepted = 0;
+      search.rejected = 0;
+      search.rejectionsByReason = {};
+      break;
+    }
+
+    case EVENT_TYPES.RESULTS_EXTRACTED: {
+      getSearch(report, event).resultsCount = event.resultsCount;
+      break;
+    }
+
+    case EVENT_TYPES.FILTER_VERDICT: {
+      const search = getSearch(report, event);
+      if (event.accepted) {
+        search.accepted++;
+      } else {
+        const reason = event.reason || 'unspecified';
+        search.rejected++;
+        search.rejectionsByReason[reason] = (search.rejectionsByReason[reason] || 0) + 1;
+      }
+      await appendVerdict(report.id, {
+        at: event.timestamp,
+        jobId: event.jobId,
+        attempt: search.attempts,
+        companyId: event.companyId,
+        company: event.company,
+        jobTitle: event.jobTitle,
+        name: event.name,
+        title: event.title,
+        location: event.location,
+        personCompany: event.personCompany,
+        profileUrl: event.profileUrl,
+        accepted: event.accepted,
+        rule: event.rule,
+        reason: event.reason,
+        matchedKeywords: event.matchedKeywords,
+        score: event.score,
+        checks: event.checks
+      });
+      break;
+    }
+
+    case EVENT_TYPES.SINK_SAVED:
+    case EVENT_TYPES.SINK_DUPLICATE:
+    case EVENT_TYPES.SINK_FAILED: {
+      const search = getSearch(report, event);
+      const counter = SINK_COUNTERS[event.type];
+      // Reportes anteriores a los destinos configurables no tienen el desglose
+      search.sinks = search.sinks || {};
+      search.sinks[event.sink] = search.sinks[event.sink] || createEmptySinkCounts();
+      search[counter]++;
+      search.sinks[event.sink][counter]++;
+      break;
+    }
+
+    case EVENT_TYPES.DEAL_CREATED: {
+      report.deals.push({
+        dealId: event.dealId,
+        name: event.name,
+        profileUrl: event.profileUrl,
+        companyId: event.companyId,
+        company: event.company,
+        jobTitle: event.jobTitle,
+        createdAt: event.timestamp
+      });
+      break;
+    }
+
+    case EVENT_TYPES.DEAL_DUPLICATE: {
+      report.duplicates.push({
+        name: event.name,
+        profileUrl: event.profileUrl,
+        company: event.company,
+        jobTitle: event.jobTitle
+      });
+      break;
+    }
+
+    case EVENT_TYPES.SEARCH_FINISHED: {
+      const search = getSearch(report, event);
+      search.state = event.state;
+      search.error = event.error || null;
+      search.finishedAt = event.timestamp;
+      break;
+    }
+
+    case EVENT_TYPES.RATE_LIMIT_BACKOFF: {
+      report.backoffs.push({
+        errorType: event.errorType,
+        backoffMinutes: event.backoffMinutes,
+        backoffUntil: event.backoffUntil,
+        at: event.timestamp
+      });
+      break;
+    }
+
+    case EVENT_TYPES.VERIFICATION_REQUIRED: {
+      report.verifications.push({
+        verificationType: event.verificationType,
+        company: event.company,
+        jobTitle: event.jobTitle,
+        at: event.timestamp
+      });
+      break;
+    }
+
+    case EVENT_TYPES.RUN_FINISHED: {
+      report.status = STATUS_BY_STOP_REASON[event.reason] || 'stopped';
+      report.endedAt = event.timestamp;
+      report.stopReason = event.reason;
+      const session = getCurrentSession(report);
+      if (session) {
+        session.endedAt = event.timestamp;
+        session.stopReason = event.reason;
+        session.error = event.error || null;
+      }
+      break;
+    }
+
+    default:
+      return false;
+  }
+
+  report.totals = computeTotals(report);
+  return true;
+};
+
+/**
+ * Recalcula los totales del run a partir de sus búsquedas
+ */
+const computeTotals = (report) => {
+  const totals = createEmptyTotals();
+  for (const search of report.searches) {
+    totals.searches++;
+    totals.results += search.resultsCount;
+    totals.accepted += search.accepted;
+    totals.rejected += search.rejected;
+    totals.created += search.created;
+    totals.duplicates += search.duplicates;
+    totals.failed += search.failed;
+    for (const [sink, counts] of Object.entries(search.sinks || {})) {
+      totals.sinks[sink] = totals.sinks[sink] || createEmptySinkCounts();
+      totals.sinks[sink].created += counts.created;
+      totals.sinks[sink].duplicates += counts.duplicates;
+      totals.sinks[sink].failed += counts.failed;
+    }
+    for (const [reason, count] of Object.entries(search.rejectionsByReason)) {
+      totals.rejectionsByReason[reason] = (totals.rejectionsByReason[reason] || 0) + count;
+    }
+  }
+  return totals;
+};
+
+/**
+ * Encola un evento para que los reportes se actualicen y escriban en orden
+ */
+const handleEvent = (event) => {
+  if (event.type === EVENT_TYPES.RUN_STARTED) {
+    currentRunId = event.runId;
+  }
+
+  // Eventos sin run (p. ej. backoff del rate limit) se asignan al run en curso
+  const runId = event.runId || currentRunId;
+  if (!runId || event.type === EVENT_TYPES.PROGRESS) {
+    return;
+  }
+
+  if (event.type === EVENT_TYPES.RUN_FINISHED && runId === currentRunId) {
+    currentRunId = null;
+  }
+
+  processingChain = processingChain
+    .then(async () => {
+      const report = await loadReport(runId);
+      const changed = await applyEvent(report, event);
+      if (!changed) return;
+
+      dirtyRuns.add(runId);
+      if (FLUSH_EVENTS.has(event.type)) {
+        await flushReports();
+      } else {
+        scheduleFlush();
+      }
+    })
+    .catch(error => {
+      console.error('Error updating run report:', error.message);
+    });
+};
+
+/**
+ * Resumen que se muestra en la lista de runs
+ */
+const toSummary = (report) => ({
+  id: report.id,
+  status: report.status,
+  triggers: report.sessions.map(session => session.trigger),
+  startedAt: report.startedAt,
+  endedAt: report.endedAt,
+  stopReason: report.stopReason,
+  companies: report.companies.length,
+  jobTitles: report.jobTitles.length,
+  totals: report.totals
+});
+
+/**
+ * Lista los runs registrados, del más reciente al más antiguo
+ * @param {number} limit - Máximo de runs a devolver
+ */
+const listRuns = async (limit = 50) => {
+  // Esperar a que se escriban los eventos pendientes
+  await processingChain;
+
+  let files = [];
+  try {
+    files = (await fs.readdir(RUNS_DIR))
+      .filter(file => RUN_ID_PATTERN.test(path.basename(file, '.json')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const summaries = [];
+  for (const file of files) {
+    const report = await loadReport(path.basename(file, '.json'));
+    summaries.push(toSummary(report));
+  }
+
+  return summaries
+    .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))
+    .slice(0, limit);
+};
+
+/**
+ * Obtiene el reporte completo de un run, o null si nunca se registró
+ */
+const getRunReport = async (runId) => {
+  if (!RUN_ID_PATTERN.test(runId)) {
+    return null;
+  }
+
+  await processingChain;
+
+  try {
+    await fs.access(getReportFile(runId));
+  } catch (error) {
+    if (!reports.has(runId)) {
+      return null;
+    }
+  }
+
+  const report = await loadReport(runId);
+  const queue = await jobQueueService.getRunSummary(runId);
+  return { ...report, queue };
+};
+
+/**
+ * Obtiene los veredictos del filtro guardados para un run, o null si el run no existe
+ * @param {string} runId - ID del run
+ * @param {Object} filters - { accepted, rule, reason, jobId }
+ */
+const getRunVerdicts = async (runId, filters = {}) => {
+  if (!RUN_ID_PATTERN.test(runId)) {
+    return null;
+  }
+
+  await processingChain;
+
+  let data = '';
+  try {
+    data = await fs.readFile(getVerdictsFile(runId), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    // Un run sin veredictos (p. ej. búsquedas sin resultados) sigue existiendo
+    if (!(await getRunReport(runId))) {
+      return null;
+    }
+  }
+
+  const verdicts = [];
+  for (const line of data.split('\n').filter(line => line.trim().length > 0)) {
+    try {
+      verdicts.push(JSON.parse(line));
+    } catch (parseError) {
+      // Línea incompleta (p. ej. crash a mitad de escritura), ignorarla
+      console.warn(`Skipping corrupt verdicts line of run ${runId}`);
+    }
+  }
+
+  return verdicts.filter(verdict => {
+    if (filters.accepted !== undefined && verdict.accepted !== filters.accepted) return false;
+    if (filters.rule && verdict.rule !== filters.rule) return false;
+    if (filters.reason && verdict.reason !== filters.reason) return false;
+    if (filters.jobId && verdict.jobId !== filters.jobId) return false;
+    return true;
+  });
+};
+
+scrapeEventsService.on('*', handleEvent);
+
+module.exports = {
+  listRuns,
+  getRunReport,
+  getRunVerdicts
+};
@@ -0,0 +1,92 @@
+/**
+ * SCRAPE EVENTS LAYER
+ * Eventos estructurados que emite el ciclo de scraping (progreso, búsquedas, deals, etc.)
+ */
+
+const { EventEmitter } = require('events');
+
+// Tipos de evento emitidos durante un run
+const EVENT_TYPES = {
+  PROGRESS: 'progress',
+  RUN_STARTED: 'run:started',
+  SEARCH_STARTED: 'search:started',
+  RESULTS_EXTRACTED: 'search:results',
+  SEARCH_FINISHED: 'search:finished',
+  FILTER_VERDICT: 'filter:verdict',
+  DEAL_CREATED: 'hubspot:deal-created',
+  DEAL_DUPLICATE: 'hubspot:duplicate',
+  DEAL_FAILED: 'hubspot:failed',
+  // Resultado de cada destino (sinkService) al guardar un perfil
+  SINK_SAVED: 'sink:saved',
+  SINK_DUPLICATE: 'sink:duplicate',
+  SINK_FAILED: 'sink:failed',
+  // Un perfil agotó los reintentos de un destino (leadStoreService): ya no se vuelve a intentar
+  SINK_ABANDONED: 'sink:abandoned',
+  RATE_LIMIT_BACKOFF: 'ratelimit:backoff',
+  VERIFICATION_REQUIRED: 'verification:required',
+  RUN_PAUSED: 'run:paused',
+  RUN_RESUMED: 'run:resumed',
+  RUN_FINISHED: 'run:finished'
+};
+
+// Eventos recientes para clientes SSE que se reconectan (Last-Event-ID)
+const HISTORY_SIZE = 200;
+
+const emitter = new EventEmitter();
+// Controladores y clientes SSE pueden escuchar a la vez
+emitter.setMaxListeners(50);
+
+const history = [];
+let lastEventId = 0;
+
+/**
+ * Emite un evento a los listeners de su tipo y a los de '*'
+ * @param {string} type - Tipo de evento (p. ej. 'progress')
+ * @param {Object} data - Datos del evento
+ */
+const emitEvent = (type, data = {}) => {
+  const event = {
+    id: ++lastEventId,
+    type,
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  try {
+    emitter.emit(type, event);
+    emitter.emit('*', event);
+  } catch (error) {
+    // Un listener roto no debe detener el scraping
+    console.error(`Error in scrape event listener (${type}):`, error.message);
+  }
+
+  return event;
+};
+
+/**
+ * Obtiene los eventos guardados emitidos después de un id de evento
+ */
+const getEventsSince = (eventId) => {
+  return history.filter(event => event.id > eventId);
+};
+
+const on = (type, listener) => {
+  emitter.on(type, listener);
+};
+
+const off = (type, listener) => {
+  emitter.off(type, listener);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  emitEvent,
+  getEventsSince,
+  on,
+  off
+};
@@ -1,6 +1,20 @@
 const hubspotService = require('./hubspotService');
 const clickupService = require('./clickupService');
 const linkedinService = require('./linkedinService');
+const jobQueueService = require('./jobQueueService');
+const filterService = require('./filterService');
+const locationService = require('./locationService');
+const companyIdentityService = require('./companyIdentityService');
+const sinkService = require('./sinkService');
+const leadStoreService = require('./leadStoreService');
+const clickupFeedbackService = require('./clickupFeedbackService');
+const searchFacetService = require('./searchFacetService');
+const profileEnrichmentService = require('./profileEnrichmentService');
+const scrapeEventsService = require('./scrapeEventsService');
+// El registro de runs se suscribe a los eventos del scraping al cargarse
+require('./runRegistryService');
+
+const { EVENT_TYPES } = scrapeEventsService;
 
 // ⚠️ Delays para evitar detección
 const DELAYS = linkedinService.DELAYS || {
@@ -8,308 +22,743 @@ const DELAYS = linkedinService.DELAYS || {
   maxDelay: 8000
 };
 
+// Duración estimada de una búsqueda mientras el run no tenga mediciones propias
+const DEFAULT_SEARCH_DURATION = 15000;
+
+// Cada cuánto revisar si un run pausado fue reanudado o cancelado
+const PAUSE_POLL_INTERVAL = 1000;
+
+// Reintentar al empezar cada run los guardados que fallaron (LEAD_SYNC_RETRY=false lo desactiva)
+const LEAD_SYNC_RETRY = process.env.LEAD_SYNC_RETRY !== 'false';
+
+// Control del run activo (pausa/cancelación solicitadas desde la API)
+// locked cubre todo startScraping (reintentos, login, prepareRun), no solo el run ya creado
+const runControl = {
+  locked: false,
+  activeRunId: null,
+  paused: false,
+  cancelRequested: false
+};
+
 // Función helper para delay aleatorio entre búsquedas
 const randomDelay = (min, max) => {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 };
 
-const filterResults = (results, companyName, jobTitle) => {
-  console.log(`\n  🔍 Filtering ${results.length} results for: "${jobTitle}" at "${companyName}"`);
-  console.log(`  🇲🇽 Location filter: Only profiles from Mexico will be accepted`);
+/**
+ * Emite el progreso del run (búsquedas, perfiles y ETA) calculado desde la cola
+ * @param {string} runId - ID del run
+ * @param {Object|null} job - Job en curso
+ * @param {Object|null} current - Contadores de perfiles del job en curso (aún no persistidos)
+ */
+const emitProgress = async (runId, job = null, current = null) => {
+  const summary = await jobQueueService.getRunSummary(runId);
+  if (!summary) {
+    return null;
+  }
   
-  const filtered = results.filter(person => {
-    // Si no tiene URL, descartar
-    if (!person.profileUrl) {
-      console.log(`    ❌ Skipped (no URL): ${person.name}`);
-      return false;
-    }
-    
-    // 🔒 FILTRO DE UBICACIÓN: Solo perfiles de México
-    // Simplificado: solo verificar keywords básicas (la extracción ya busca estas)
-    const isFromMexico = (location) => {
-      if (!location || location.trim().length === 0) {
-        // Si no hay ubicación, rechazar (ser estricto)
-        return false;
-      }
-      
-      const locationLower = location.toLowerCase();
-      
-      // Keywords básicas de México (las mismas que busca la extracción)
-      const mexicoKeywords = ['méxico', 'mexico', 'mex', 'cdmx', 'ciudad de méxico', 'ciudad de mexico'];
-      
-      // Verificar si contiene alguna keyword de México
-      return mexicoKeywords.some(keyword => locationLower.includes(keyword));
-    };
-    
-    if (!isFromMexico(person.location)) {
-      console.log(`    ❌ Not from Mexico: ${person.name} - Location: "${person.location || 'N/A'}"`);
-      return false;
+  const searchesDone = summary.jobs.done + summary.jobs.failed;
+  const searchesRemaining = summary.jobs.pending + summary.jobs.running + summary.jobs.deferred;
+  
+  const profiles = { ...summary.profiles };
+  if (current) {
+    for (const key of Object.keys(profiles)) {
+      profiles[key] += current[key] || 0;
     }
+  }
+  
+  // ETA: duración media de búsqueda + delays configurados entre búsquedas y entre empresas
+  const avgSearchDelay = (DELAYS.minDelay + DELAYS.maxDelay) / 2;
+  const avgCompanyDelay = DELAYS.minDelay + DELAYS.maxDelay;
+  const avgSearchDuration = summary.avgSearchDurationMs || DEFAULT_SEARCH_DURATION;
+  const etaMs = Math.round(
+    searchesRemaining * (avgSearchDuration + avgSearchDelay) +
+    summary.pendingCompanies * (avgCompanyDelay - avgSearchDelay)
+  );
+  
+  return scrapeEventsService.emitEvent(EVENT_TYPES.PROGRESS, {
+    runId,
+    status: summary.status,
+    currentCompany: job ? job.companyName : null,
+    currentJobTitle: job ? job.jobTitle : null,
+    searches: {
+      total: summary.totalJobs,
+      done: searchesDone,
+      remaining: searchesRemaining,
+      failed: summary.jobs.failed,
+      deferred: summary.jobs.deferred
+    },
+    profiles,
+    etaMs,
+    eta: summary.status === jobQueueService.RUN_STATES.ACTIVE && searchesRemaining > 0
+      ? new Date(Date.now() + etaMs).toISOString()
+      : null
+  });
+};
+
+// Convierte un filtro de la API (array o string separado por comas) en lista
+const toList = (value) => {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(item => item.length > 0);
+};
+
+const normalizeName = (name) => (name || '').toLowerCase().trim();
+
+/**
+ * Resuelve las empresas de un run bajo demanda (por ID de HubSpot o por nombre)
+ */
+const resolveCompanies = async (companyIds, companyNames) => {
+  const companies = [];
+  
+  // Por ID: se consultan directamente en lote (pueden no estar en el segmento)
+  if (companyIds.length > 0) {
+    companies.push(...await hubspotService.getCompaniesByIds(companyIds));
+  }
+  
+  // Por nombre: se buscan en el segmento (coincidencia exacta y luego por identidad:
+  // nombre sin sufijos societarios o alias de la empresa)
+  if (companyNames.length > 0) {
+    const segment = await hubspotService.getCompaniesFromSegment();
     
-    // Verificar empresa primero (más importante)
-    const normalizeCompany = (name) => {
-      return name
-        .toLowerCase()
-        .replace(/[^\w\sáéíóúñü]/g, ' ') // Remover caracteres especiales
-        .replace(/\s+/g, ' ')
-        .trim();
-    };
-    
-    const normalizedSearchCompany = normalizeCompany(companyName);
-    const normalizedPersonCompany = person.company ? normalizeCompany(person.company) : '';
-    
-    // Verificar si la empresa coincide
-    let companyMatch = false;
-    if (normalizedPersonCompany) {
-      // Coincidencia exacta o parcial (la empresa de la persona contiene la buscada o viceversa)
-      companyMatch = normalizedPersonCompany.includes(normalizedSearchCompany) || 
-                     normalizedSearchCompany.includes(normalizedPersonCompany);
+    for (const companyName of companyNames) {
+      const wanted = normalizeName(companyName);
+      const best = segment
+        .map(company => ({ company, score: companyIdentityService.scoreCompanyName(companyName, company) }))
+        .filter(({ score }) => score >= companyIdentityService.MIN_CONFIDENCE)
+        .sort((a, b) => b.score - a.score)[0];
+      const match = segment.find(company => normalizeName(company.company) === wanted) ||
+        (best && best.company);
       
-      if (!companyMatch) {
-        // Intentar match por palabras clave de la empresa
-        const companyWords = normalizedSearchCompany.split(/\s+/).filter(w => w.length > 2);
-        const matchingCompanyWords = companyWords.filter(word => normalizedPersonCompany.includes(word));
-        // Si coinciden al menos 50% de las palabras de la empresa
-        companyMatch = matchingCompanyWords.length >= Math.ceil(companyWords.length * 0.5);
+      if (!match) {
+        throw new Error(`Company not found in segment: ${companyName}`);
       }
-    } else {
-      // Si no tenemos empresa extraída, confiar en que LinkedIn filtró correctamente
-      // Pero ser más estricto con el título
-      companyMatch = true; // Asumir que LinkedIn ya filtró por empresa
-    }
-    
-    if (!companyMatch) {
-      console.log(`    ❌ Company mismatch: ${person.name} - works at "${person.company}" (searching for "${companyName}")`);
-      return false;
+      companies.push(match);
     }
+  }
+  
+  // Quitar duplicados (misma empresa pedida por ID y por nombre)
+  return companies.filter((company, index) => 
+    companies.findIndex(c => c.id === company.id) === index
+  );
+};
+
+/**
+ * Resuelve los cargos de un run bajo demanda; los que no existen en ClickUp se buscan igual
+ */
+const resolveJobTitles = async (requestedTitles) => {
+  const clickupTitles = await clickupService.getJobTitles();
+  
+  return requestedTitles.map(requested => {
+    const wanted = normalizeName(requested);
+    const match = clickupTitles.find(jobTitle => 
+      jobTitle.id === requested || normalizeName(jobTitle.title) === wanted
+    );
     
-    // Si no tiene título, pero pasó el filtro de empresa y ubicación, aceptar
-    if (!person.title) {
-      console.log(`    ⚠️  No title but company matches: ${person.name} - ${person.company} [${person.location || 'N/A'}]`);
-      return true;
-    }
-    
-    const personTitle = person.title.toLowerCase();
-    const searchJobTitle = jobTitle.toLowerCase();
-    
-    // Normalizar títulos: remover caracteres especiales y normalizar espacios
-    const normalizeTitle = (title) => {
-      return title
-        .toLowerCase()
-        .replace(/\|/g, ' ') // Reemplazar | con espacio
-        .replace(/[^\w\sáéíóúñü]/g, ' ') // Remover caracteres especiales pero mantener acentos
-        .replace(/\s+/g, ' ') // Normalizar espacios
-        .trim();
+    return match || {
+      id: `adhoc-${wanted.replace(/[^a-z0-9áéíóúñü]+/g, '-')}`,
+      title: requested
     };
-    
-    const normalizedPersonTitle = normalizeTitle(personTitle);
-    const normalizedSearchTitle = normalizeTitle(searchJobTitle);
-    
-    // Extraer palabras clave del cargo (ignorar artículos y palabras muy cortas)
-    const stopWords = ['de', 'del', 'la', 'el', 'en', 'y', 'o', 'a', 'al', 'los', 'las', 'un', 'una', 'con', 'por', 'para'];
-    const jobTitleWords = normalizedSearchTitle
-      .split(/\s+/)
-      .filter(w => w.length > 2 && !stopWords.includes(w));
-    
-    // Verificar coincidencia con el cargo
-    let titleMatch = false;
-    let matchReason = '';
-    
-    if (jobTitleWords.length > 0) {
-      // Contar cuántas palabras clave coinciden
-      const matchingWords = jobTitleWords.filter(word => {
-        // Buscar palabra completa o como parte de otra palabra relevante
-        return normalizedPersonTitle.includes(word) || 
-               normalizedPersonTitle.split(' ').some(t => 
-                 t.startsWith(word) || 
-                 word.startsWith(t) ||
-                 (t.length > 3 && word.length > 3 && (t.includes(word) || word.includes(t)))
-               );
-      });
-      
-      // Si coincide al menos el 50% de las palabras clave importantes (mínimo 1)
-      const matchRatio = matchingWords.length / jobTitleWords.length;
-      const minMatches = Math.max(1, Math.ceil(jobTitleWords.length * 0.5));
-      
-      if (matchingWords.length >= minMatches) {
-        titleMatch = true;
-        matchReason = `${matchingWords.length}/${jobTitleWords.length} keywords match`;
-      } else if (normalizedPersonTitle.includes(normalizedSearchTitle)) {
-        titleMatch = true;
-        matchReason = 'exact phrase match';
-      } else if (normalizedSearchTitle.includes(normalizedPersonTitle.split('|')[0].trim())) {
-        titleMatch = true;
-        matchReason = 'reverse match';
-      }
-      
-      // Logging detallado
-      if (titleMatch) {
-        console.log(`    ✅ Match (${matchReason}): ${person.name} - "${person.title}" at ${person.company || 'N/A'} [${person.location || 'N/A'}]`);
-      } else {
-        console.log(`    ❌ No title match: ${person.name} - "${person.title}" (keywords: ${matchingWords.join(', ')} vs ${jobTitleWords.join(', ')})`);
-      }
-    } else {
-      // Si el título de búsqueda es muy corto, hacer match exacto o parcial
-      titleMatch = normalizedPersonTitle.includes(normalizedSearchTitle) || 
-                  normalizedSearchTitle.includes(normalizedPersonTitle);
-      
-      if (titleMatch) {
-        console.log(`    ✅ Match (partial): ${person.name} - "${person.title}" at ${person.company || 'N/A'} [${person.location || 'N/A'}]`);
-      } else {
-        console.log(`    ❌ No title match: ${person.name} - "${person.title}"`);
+  });
+};
+
+/**
+ * Prepara el run a ejecutar: reanuda el pendiente o crea uno nuevo
+ * @param {Object} options - Filtros opcionales
+ * @param {Array<string>} options.companyIds - IDs de empresas de HubSpot
+ * @param {Array<string>} options.companyNames - Nombres de empresas del segmento
+ * @param {Array<string>} options.jobTitles - Cargos (nombre o ID de ClickUp)
+ * @param {boolean} options.force - Ignorar shouldScrapeCompany
+ * @param {Object|string} options.locations - Reglas de ubicación del run (p. ej. "MX, CO" o { countries, states, cities, aliases, unknownLocation })
+ * @param {boolean} options.enrich - Visitar cada perfil aceptado antes de guardarlo (por defecto ENRICH_PROFILES)
+ * @param {Array<string>|string} options.sinks - Destinos de los perfiles (por defecto SCRAPE_SINKS)
+ * @returns {Promise<Object|null>} {run, cursor, resumed} o null si no hay nada que scrapear
+ */
+const prepareRun = async (options = {}) => {
+  const companyIds = toList(options.companyIds);
+  const companyNames = toList(options.companyNames);
+  const requestedTitles = toList(options.jobTitles);
+  const force = options.force === true || options.force === 'true';
+  const locations = options.locations || null;
+  const enrich = options.enrich === undefined || options.enrich === null ? null : profileEnrichmentService.isEnabled(options.enrich);
+  const hasFilters = companyIds.length > 0 || companyNames.length > 0 || requestedTitles.length > 0 || !!locations;
+  // Validar los destinos antes de crear el run (un run reanudado conserva los suyos)
+  const sinks = options.sinks ? sinkService.resolveSinkNames(options.sinks) : null;
+  
+  // Validar las reglas de ubicación antes de crear el run
+  if (locations) {
+    locationService.getLocationRules({ run: locations });
+  }
+  
+  // Sin filtros: reanudar el run pendiente sin filtros (p. ej. tras un crash o reinicio) antes de crear uno nuevo
+  if (!hasFilters && !force) {
+    const pendingRun = await jobQueueService.getResumableRun(null);
+    // Con otros destinos pedidos (p. ej. desde scripts/scheduler.js) el run pendiente queda para un run con los suyos
+    const pendingSinks = pendingRun ? pendingRun.sinks || sinkService.resolveSinkNames() : null;
+    if (pendingRun && (!sinks || pendingSinks.join(',') === sinks.join(','))) {
+      await sinkService.checkSinks(pendingSinks);
+      // Las búsquedas diferidas (límite diario, verificación, CAPTCHA) vuelven a la cola
+      const cursor = await jobQueueService.resumeDeferredJobs(pendingRun.id);
+      const summary = await jobQueueService.getRunSummary(pendingRun.id);
+      console.log(`♻️  Resuming run ${pendingRun.id}: ${summary.jobs.pending} of ${summary.totalJobs} searches pending`);
+      if (cursor) {
+        console.log(`   Continuing from cursor (company ${cursor.companyId}, job title ${cursor.jobTitleId}) - stopped by ${cursor.reason}`);
       }
+      return { run: pendingRun, cursor, resumed: true };
     }
-    
-    return titleMatch;
+  }
+  
+  // Campos de ClickUp, token de HubSpot... antes de consultar empresas y cargos
+  const runSinks = sinks || sinkService.resolveSinkNames();
+  await sinkService.checkSinks(runSinks);
+  
+  const hasCompanyFilter = companyIds.length > 0 || companyNames.length > 0;
+  const companies = hasCompanyFilter
+    ? await resolveCompanies(companyIds, companyNames)
+    : await hubspotService.getCompaniesFromSegment();
+  const jobTitles = requestedTitles.length > 0
+    ? await resolveJobTitles(requestedTitles)
+    : await clickupService.getJobTitles();
+  
+  console.log(`Found ${companies.length} companies and ${jobTitles.length} job titles`);
+  
+  const companiesToScrape = force
+    ? companies
+    : companies.filter(company => hubspotService.shouldScrapeCompany(company.lastLinkedinScrape));
+  
+  console.log(`Companies to scrape: ${companiesToScrape.length}${force ? ' (forced)' : ''}`);
+  
+  if (companiesToScrape.length === 0 || jobTitles.length === 0) {
+    return null;
+  }
+  
+  const run = await jobQueueService.createRun(companiesToScrape, jobTitles, {
+    filters: hasFilters ? { companyIds, companyNames, jobTitles: requestedTitles, locations } : null,
+    force,
+    locations,
+    enrich,
+    sinks: runSinks,
+    updatesLastScrape: requestedTitles.length === 0
   });
+  console.log(`📋 Created run ${run.id} with ${run.totalJobs} search jobs`);
+  return { run, cursor: null, resumed: false };
+};
+
+const getActiveRunId = () => runControl.activeRunId;
+
+/**
+ * Reserva el scraping de forma síncrona (antes de cualquier await)
+ * Solo hay una página de Playwright compartida: un segundo run o una navegación a la vez la rompen
+ * @returns {boolean} false si otro run (o una tarea que usa la página) ya la tiene reservada
+ */
+const claimRunLock = () => {
+  if (runControl.locked) {
+    return false;
+  }
+  runControl.locked = true;
+  return true;
+};
+
+const releaseRunLock = () => {
+  runControl.locked = false;
+};
+
+const isRunLocked = () => runControl.locked;
+
+/**
+ * Pausa el run activo; el loop se detiene antes de la siguiente búsqueda
+ */
+const pauseScraping = () => {
+  if (!runControl.activeRunId) {
+    return { success: false, error: 'No active scraping run' };
+  }
+  
+  runControl.paused = true;
+  scrapeEventsService.emitEvent(EVENT_TYPES.RUN_PAUSED, { runId: runControl.activeRunId });
+  console.log('⏸️  Pause requested - scraping will pause before the next search');
+  return { success: true, runId: runControl.activeRunId };
+};
+
+/**
+ * Reanuda un run pausado
+ */
+const resumeScraping = () => {
+  if (!runControl.activeRunId) {
+    return { success: false, error: 'No active scraping run' };
+  }
+  if (!runControl.paused) {
+    return { success: false, error: 'Scraping is not paused' };
+  }
   
-  console.log(`  📊 Filtered: ${filtered.length}/${results.length} results match\n`);
-  return filtered;
+  runControl.paused = false;
+  scrapeEventsService.emitEvent(EVENT_TYPES.RUN_RESUMED, { runId: runControl.activeRunId });
+  console.log('▶️  Scraping resumed');
+  return { success: true, runId: runControl.activeRunId };
 };
 
-const startScraping = async () => {
+/**
+ * Cancela el run activo; el loop se detiene antes de la siguiente búsqueda
+ */
+const cancelScraping = () => {
+  if (!runControl.activeRunId) {
+    return { success: false, error: 'No active scraping run' };
+  }
+  
+  runControl.cancelRequested = true;
+  console.log('🛑 Cancel requested - scraping will stop before the next search');
+  return { success: true, runId: runControl.activeRunId };
+};
+
+/**
+ * Espera mientras el run esté pausado
+ * @returns {Promise<boolean>} true si se solicitó cancelar el run
+ */
+const waitWhilePaused = async () => {
+  while (runControl.paused && !runControl.cancelRequested) {
+    await new Promise(resolve => setTimeout(resolve, PAUSE_POLL_INTERVAL));
+  }
+  return runControl.cancelRequested;
+};
+
+// Empresa de HubSpot tal como quedó guardada en el job (identidad y página de LinkedIn)
+const jobCompany = (job) => ({
+  id: job.companyId,
+  name: job.companyName,
+  domain: job.companyDomain,
+  aliases: job.companyAliases,
+  linkedinCompanyPage: job.companyLinkedinPage,
+  linkedinCompanyId: job.companyLinkedinId,
+  tier: job.companyTier,
+  ownerId: job.companyOwnerId
+});
+
+// Datos comunes de los eventos emitidos durante una búsqueda
+const jobEventData = (job) => ({
+  runId: job.runId,
+  jobId: job.id,
+  companyId: job.companyId,
+  company: job.companyName,
+  jobTitleId: job.jobTitleId,
+  jobTitle: job.jobTitle
+});
+
+/**
+ * Ejecuta un run de scraping
+ * @param {Object} options - Filtros de prepareRun o {preparedRun} ya preparado
+ * @param {string} options.trigger - Origen del run (server, api, cron, script)
+ * @param {boolean} options.lockClaimed - El llamador ya reservó el run con claimRunLock (se libera al terminar)
+ */
+const startScraping = async (options = {}) => {
+  // Reservar antes del primer await: el arranque del servidor, la API y el cron no pueden procesar el mismo run a la vez
+  if (!options.lockClaimed && !claimRunLock()) {
+    console.log('Scraping already running, skipping...');
+    return { success: false, alreadyRunning: true, message: 'Scraping is already running' };
+  }
+  
   try {
     console.log('Starting scraping process...');
     
+    // Perfiles que no se pudieron guardar en runs anteriores (almacén de leads)
+    if (LEAD_SYNC_RETRY) {
+      try {
+        await sinkService.retryFailedLeads();
+      } catch (error) {
+        console.warn(`⚠️  Could not retry failed leads: ${error.message}`);
+      }
+    }
+    
     const loginStatus = await linkedinService.ensureLoggedIn();
     
     if (typeof loginStatus === 'object' && !loginStatus.loggedIn) {
       throw new Error(loginStatus.error || 'Login failed');
     }
 
-    const companies = await hubspotService.getCompaniesFromSegment();
-    const jobTitles = await clickupService.getJobTitles();
+    // Un run ya preparado (p. ej. por el controlador para devolver su ID) o uno nuevo
+    const prepared = options.preparedRun || await prepareRun(options);
     
-    console.log(`Found ${companies.length} companies and ${jobTitles.length} job titles`);
+    if (!prepared) {
+      console.log('Nothing to scrape');
+      return { success: true };
+    }
     
-    const companiesToScrape = companies.filter(company => 
-      hubspotService.shouldScrapeCompany(company.lastLinkedinScrape)
-    );
+    const { run, cursor } = prepared;
+    
+    // Destinos del run, ya comprobados por prepareRun (un run sin destinos guardados usa SCRAPE_SINKS)
+    const sinkNames = run.sinks || sinkService.resolveSinkNames();
+    const sinks = sinkService.getSinks(sinkNames);
+    console.log(`📤 Saving profiles to: ${sinks.map(sink => sink.label).join(', ')}`);
+    
+    scrapeEventsService.emitEvent(EVENT_TYPES.RUN_STARTED, {
+      runId: run.id,
+      trigger: options.trigger || 'manual',
+      resumed: prepared.resumed,
+      filters: run.filters || null,
+      sinks: sinkNames
+    });
     
-    console.log(`Companies to scrape: ${companiesToScrape.length}`);
+    runControl.activeRunId = run.id;
+    runControl.paused = false;
+    runControl.cancelRequested = false;
     
-    for (const company of companiesToScrape) {
-      console.log(`Scraping company: ${company.company}`);
+    // Perfiles rechazados por los SDR en la lista de resultados de ClickUp
+    await clickupFeedbackService.syncBeforeRun();
+    const suppressedProfiles = await clickupFeedbackService.getSuppressedProfiles();
+    
+    let job = await jobQueueService.getJobAtCursor(run.id, cursor);
+    while (job) {
+      // Pausa/cancelación solo entre búsquedas, nunca a mitad de una
+      const cancelled = await waitWhilePaused();
+      if (cancelled) {
+        await jobQueueService.cancelRun(run.id, job);
+        console.log(`🛑 Run ${run.id} cancelled before: ${job.jobTitle} at ${job.companyName}`);
+        
+        await linkedinService.closeSharedBrowser();
+        await emitProgress(run.id);
+        scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, {
+          runId: run.id,
+          success: false,
+          reason: 'cancelled'
+        });
+        
+        return {
+          success: false,
+          cancelled: true,
+          runId: run.id,
+          message: 'Scraping cancelled.'
+        };
+      }
+      
+      job = await jobQueueService.startJob(job.id);
+      await emitProgress(run.id, job);
       
-      for (const jobTitle of jobTitles) {
+      // Contadores de perfiles de esta búsqueda
+      const current = { found: 0, filteredOut: 0, created: 0, duplicates: 0, failed: 0, enriched: 0 };
+      
+      try {
+        console.log(`  Searching for: ${job.jobTitle} at ${job.companyName}`);
+        scrapeEventsService.emitEvent(EVENT_TYPES.SEARCH_STARTED, {
+          ...jobEventData(job),
+          attempt: job.attempts
+        });
+        
+        const locationRules = locationService.getLocationRules({
+          run: run.locations,
+          company: job.targetLocations
+        });
+        
+        let results;
+        let dailyLimitReached = false;
         try {
-          console.log(`  Searching for: ${jobTitle.title} at ${company.company}`);
-          
-          let results;
-          let dailyLimitReached = false;
-          try {
-            results = await linkedinService.searchPeople(company.company, jobTitle.title);
-          } catch (searchError) {
-            // Check for daily limit reached
-            if (searchError.message && (searchError.message.includes('Daily limit reached') || 
-                searchError.message.includes('Daily view limit reached'))) {
-              console.error('\n⚠️  Daily limit reached!');
-              console.error(`   ${searchError.message}`);
-              console.error('🛑 Stopping scraping process...');
-              console.error('💡 The scraping will resume tomorrow or increase DAILY_VIEW_LIMIT in .env\n');
-              
-              dailyLimitReached = true;
-              results = []; // Empty results to continue gracefully
-            }
+          // Empresa actual y ubicación como filtros de LinkedIn (palabras clave si no se resuelve la empresa)
+          const facets = await searchFacetService.getSearchFacets(jobCompany(job), locationRules);
+          results = await linkedinService.searchPeople(job.companyName, job.jobTitle, { facets });
+        } catch (searchError) {
+          // Check for daily limit reached
+          if (searchError.message && (searchError.message.includes('Daily limit reached') || 
+              searchError.message.includes('Daily view limit reached'))) {
+            console.error('\n⚠️  Daily limit reached!');
+            console.error(`   ${searchError.message}`);
+            console.error('🛑 Stopping scraping process...');
+            console.error('💡 The scraping will resume tomorrow or increase DAILY_VIEW_LIMIT in .env\n');
             
-            if (searchError.message === 'VERIFICATION_REQUIRED') {
-              console.error('⚠️  Verification required!');
-              console.error('📝 Please use the frontend to enter the verification code');
-              console.error('⚠️  Scraping paused until verification is complete');
-              
-              return {
-                success: false,
-                requiresVerification: true,
-                message: 'LinkedIn requires verification code. Please use the frontend to enter it.'
-              };
-            }
-            if (searchError.message && (searchError.message.includes('CAPTCHA') || searchError.message.includes('CAPTCHA_REQUIRED'))) {
-              console.error('⚠️  CAPTCHA detected!');
-              console.error('📝 Options:');
-              console.error('   1. Add CAPTCHA_API_KEY to .env (get it from https://2captcha.com)');
-              console.error('   2. Or run in non-headless mode to solve manually');
-              console.error('⚠️  Scraping paused');
-              
-              return {
-                success: false,
-                requiresCaptcha: true,
-                message: 'CAPTCHA detected. Please configure CAPTCHA_API_KEY or solve manually.'
-              };
-            }
-            if (!dailyLimitReached) {
-            throw searchError;
-            }
+            dailyLimitReached = true;
+            results = []; // Empty results to continue gracefully
           }
           
-          // Stop if daily limit reached
-          if (dailyLimitReached) {
-            await linkedinService.closeSharedBrowser();
+          if (searchError.message === 'VERIFICATION_REQUIRED') {
+            console.error('⚠️  Verification required!');
+            console.error('📝 Please use the frontend to enter the verification code');
+            console.error('⚠️  Scraping paused until verification is complete');
+            
+            // Guardar el cursor para continuar desde esta búsqueda en el siguiente run
+            await jobQueueService.deferJob(job.id, 'verification_required');
+            scrapeEventsService.emitEvent(EVENT_TYPES.VERIFICATION_REQUIRED, {
+              ...jobEventData(job),
+              verificationType: 'code',
+              message: 'LinkedIn requires verification code. Please use the frontend to enter it.'
+            });
+            scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, {
+              runId: run.id,
+              success: false,
+              reason: 'verification_required'
+            });
+            
             return {
               success: false,
-              dailyLimitReached: true,
-              message: 'Daily view limit reached. Scraping stopped.'
+              requiresVerification: true,
+              message: 'LinkedIn requires verification code. Please use the frontend to enter it.'
             };
           }
+          if (searchError.message && (searchError.message.includes('CAPTCHA') || searchError.message.includes('CAPTCHA_REQUIRED'))) {
+            console.error('⚠️  CAPTCHA detected!');
+            console.error('📝 Options:');
+            console.error('   1. Add CAPTCHA_API_KEY to .env (get it from https://2captcha.com)');
+            console.error('   2. Or run in non-headless mode to solve manually');
+            console.error('⚠️  Scraping paused');
+            
+            await jobQueueService.deferJob(job.id, 'captcha_required');
+            scrapeEventsService.emitEvent(EVENT_TYPES.VERIFICATION_REQUIRED, {
+              ...jobEventData(job),
+              verificationType: 'captcha',
+              message: 'CAPTCHA detected. Please configure CAPTCHA_API_KEY or solve manually.'
+            });
+            scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, {
+              runId: run.id,
+              success: false,
+              reason: 'captcha_required'
+            });
+            
+            return {
+              success: false,
+              requiresCaptcha: true,
+              message: 'CAPTCHA detected. Please configure CAPTCHA_API_KEY or solve manually.'
+            };
+          }
+          if (!dailyLimitReached) {
+            throw searchError;
+          }
+        }
+        
+        // Stop if daily limit reached
+        if (dailyLimitReached) {
+          await jobQueueService.deferJob(job.id, 'daily_limit');
+          await linkedinService.closeSharedBrowser();
+          scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, {
+            runId: run.id,
+            success: false,
+            reason: 'daily_limit'
+          });
+          return {
+            success: false,
+            dailyLimitReached: true,
+            message: 'Daily view limit reached. Scraping stopped.'
+          };
+        }
+        
+        console.log(`  Found ${results.length} results`);
+        scrapeEventsService.emitEvent(EVENT_TYPES.RESULTS_EXTRACTED, {
+          ...jobEventData(job),
+          resultsCount: results.length
+        });
+        
+        const companyIdentity = companyIdentityService.buildIdentity(jobCompany(job));
+        const evaluations = filterService.evaluateResults(results, job.companyName, job.jobTitle, {
+          locationRules,
+          companyIdentity,
+          suppressedProfiles
+        });
+        const filteredResults = evaluations
+          .filter(({ verdict }) => verdict.accepted)
+          .map(({ person }) => person);
+        const verdicts = new Map(evaluations.map(({ person, verdict }) => [person, verdict]));
+        console.log(`  Filtered to ${filteredResults.length} matching results`);
+        
+        // Todos los perfiles encontrados (aceptados o no) quedan en el almacén de leads
+        await leadStoreService.recordObservations(evaluations, job);
+        
+        for (const { person, verdict } of evaluations) {
+          scrapeEventsService.emitEvent(EVENT_TYPES.FILTER_VERDICT, {
+            ...jobEventData(job),
+            name: person.name,
+            title: person.title || null,
+            profileUrl: person.profileUrl || null,
+            location: person.location || null,
+            personCompany: person.company || null,
+            ...verdict
+          });
+        }
+        
+        current.found = results.length;
+        current.filteredOut = results.length - filteredResults.length;
+        await emitProgress(run.id, job, current);
+        
+        // Duplicados en lote de los destinos antes de visitar perfiles
+        const company = jobCompany(job);
+        const sinkPrepared = await sinkService.prepareSinks(sinks, filteredResults, { job, company });
+        
+        // Visita opcional de los perfiles que se van a guardar (posición actual, experiencia, educación, About)
+        if (filteredResults.length > 0 && profileEnrichmentService.isEnabled(run.enrich)) {
+          const newPeople = await sinkService.findNewPeople(sinks, filteredResults, { job, company, prepared: sinkPrepared });
+          if (newPeople.length < filteredResults.length) {
+            console.log(`    ℹ️  ${filteredResults.length - newPeople.length} profiles already saved, not visited`);
+          }
+          const enrichment = await profileEnrichmentService.enrichProfiles(newPeople);
+          current.enriched = enrichment.enriched;
+          await emitProgress(run.id, job, current);
+        }
+        
+        // Deals nuevos de HubSpot en lote y guardado en cada destino
+        const sinkBatched = await sinkService.createInBatch(sinks, filteredResults, { job, company, verdicts, prepared: sinkPrepared });
+        
+        let sinkUnavailable = null;
+        for (const person of filteredResults) {
+          const sinkResults = await sinkService.saveToSinks(sinks, person, {
+            job,
+            company,
+            verdict: verdicts.get(person),
+            prepared: sinkPrepared,
+            batched: sinkBatched
+          });
+          const personEventData = {
+            ...jobEventData(job),
+            name: person.name,
+            profileUrl: person.profileUrl,
+            enriched: !!person.enrichment
+          };
+          const personLabel = `${person.name}${person.title ? ` - ${person.title}` : ''}`;
           
-          console.log(`  Found ${results.length} results`);
-          
-          const filteredResults = filterResults(results, company.company, jobTitle.title);
-          console.log(`  Filtered to ${filteredResults.length} matching results`);
-          
-          for (const person of filteredResults) {
-            try {
-              // Guardar en HubSpot como deal
-              const hubspotResult = await hubspotService.createDealForPerson(person, company.company, jobTitle.title);
-              if (hubspotResult && hubspotResult.duplicate) {
-                console.log(`    ⊙ Already exists in HubSpot: ${person.name}${person.title ? ` - ${person.title}` : ''}`);
-              } else if (hubspotResult) {
-                console.log(`    ✓ Saved to HubSpot: ${person.name}${person.title ? ` - ${person.title}` : ''}`);
-              } else {
-                console.warn(`    ⚠️  Failed to save to HubSpot: ${person.name}`);
+          for (const result of sinkResults) {
+            const sinkEventData = { ...personEventData, sink: result.sink, recordId: result.id || null };
+            
+            if (result.status === sinkService.STATUSES.RETRY_LATER) {
+              // Sin saber si ya existe no se guarda: la búsqueda se repite en el siguiente run
+              sinkUnavailable = { ...result };
+              scrapeEventsService.emitEvent(EVENT_TYPES.SINK_FAILED, { ...sinkEventData, error: result.error, retryLater: true });
+              if (result.sink === 'hubspot_deal') {
+                scrapeEventsService.emitEvent(EVENT_TYPES.DEAL_FAILED, { ...personEventData, error: result.error, retryLater: true });
+              }
+            } else if (result.status === sinkService.STATUSES.DUPLICATE) {
+              current.duplicates++;
+              scrapeEventsService.emitEvent(EVENT_TYPES.SINK_DUPLICATE, sinkEventData);
+              if (result.sink === 'hubspot_deal') {
+                scrapeEventsService.emitEvent(EVENT_TYPES.DEAL_DUPLICATE, personEventData);
               }
-            } catch (saveError) {
-              console.error(`    ✗ Error saving ${person.name} to HubSpot:`, saveError.message);
+              console.log(`    ⊙ Already exists in ${result.label}: ${personLabel}`);
+            } else if (result.status === sinkService.STATUSES.CREATED) {
+              current.created++;
+              scrapeEventsService.emitEvent(EVENT_TYPES.SINK_SAVED, { ...sinkEventData, details: result.details || null });
+              if (result.sink === 'hubspot_deal') {
+                scrapeEventsService.emitEvent(EVENT_TYPES.DEAL_CREATED, {
+                  ...personEventData,
+                  dealId: result.id,
+                  contactId: result.details.contactId,
+                  route: result.details.route
+                });
+              }
+              console.log(`    ✓ Saved to ${result.label}: ${personLabel}`);
+            } else if (result.status === sinkService.STATUSES.SKIPPED) {
+              console.log(`    ⊘ Not saved to ${result.label}: ${result.error}`);
+            } else {
+              current.failed++;
+              scrapeEventsService.emitEvent(EVENT_TYPES.SINK_FAILED, { ...sinkEventData, error: result.error || null });
+              if (result.sink === 'hubspot_deal') {
+                scrapeEventsService.emitEvent(EVENT_TYPES.DEAL_FAILED, { ...personEventData, error: result.error || null });
+              }
+              console.error(`    ✗ Error saving ${person.name} to ${result.label}${result.error ? `: ${result.error}` : ''}`);
             }
-            
-            // Delay entre guardar cada persona (1 segundo)
-            await new Promise(resolve => setTimeout(resolve, 1000));
           }
           
-          // ⚠️ Delay aleatorio entre búsquedas (minDelay - maxDelay)
-          const delayBetweenSearches = randomDelay(DELAYS.minDelay, DELAYS.maxDelay);
-          console.log(`  ⏳ Waiting ${delayBetweenSearches}ms before next search...`);
-          await new Promise(resolve => setTimeout(resolve, delayBetweenSearches));
-        } catch (error) {
-          console.error(`  Error searching for ${jobTitle.title}:`, error.message);
-          // Delay incluso si hay error
-          const delayOnError = randomDelay(DELAYS.minDelay, DELAYS.maxDelay);
-          await new Promise(resolve => setTimeout(resolve, delayOnError));
+          if (sinkUnavailable) {
+            break;
+          }
+          
+          // Delay entre guardar cada persona (1 segundo)
+          await new Promise(resolve => setTimeout(resolve, 1000));
         }
+        
+        // Un destino no responde (p. ej. HubSpot): detener el run y reanudar desde esta búsqueda
+        // (los perfiles ya guardados saldrán como duplicados)
+        if (sinkUnavailable) {
+          const reason = sinkUnavailable.unavailableReason || `${sinkUnavailable.sink}_unavailable`;
+          console.error(`\n⚠️  ${sinkUnavailable.label} unavailable: ${sinkUnavailable.error}`);
+          console.error('🛑 Stopping scraping process, this search will be retried on the next run\n');
+          await jobQueueService.deferJob(job.id, reason);
+          await linkedinService.closeSharedBrowser();
+          scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, {
+            runId: run.id,
+            success: false,
+            reason
+          });
+          return {
+            success: false,
+            sinkUnavailable: true,
+            hubspotUnavailable: reason === 'hubspot_unavailable',
+            message: `${sinkUnavailable.label} unavailable. Scraping stopped, it will resume from this search.`
+          };
+        }
+        
+        await jobQueueService.completeJob(job.id, {
+          resultsCount: results.length,
+          matchedCount: filteredResults.length,
+          createdCount: current.created,
+          duplicateCount: current.duplicates,
+          failedCount: current.failed,
+          enrichedCount: current.enriched
+        });
+        scrapeEventsService.emitEvent(EVENT_TYPES.SEARCH_FINISHED, {
+          ...jobEventData(job),
+          state: jobQueueService.JOB_STATES.DONE
+        });
+      } catch (error) {
+        console.error(`  Error searching for ${job.jobTitle}:`, error.message);
+        await jobQueueService.failJob(job.id, error.message);
+        scrapeEventsService.emitEvent(EVENT_TYPES.SEARCH_FINISHED, {
+          ...jobEventData(job),
+          state: jobQueueService.JOB_STATES.FAILED,
+          error: error.message
+        });
       }
       
-      try {
-        const now = new Date().toISOString();
-        await hubspotService.updateLastScrape(company.id, now);
-        console.log(`Updated last scrape date for ${company.company}`);
-      } catch (updateError) {
-        console.warn(`Could not update last scrape date for ${company.company}: ${updateError.message}`);
+      await emitProgress(run.id, job);
+      
+      // Solo marcar la empresa como scrapeada cuando todos sus cargos terminaron
+      const companyFinished = await jobQueueService.isCompanyFinished(run.id, job.companyId);
+      
+      if (!companyFinished) {
+        // ⚠️ Delay aleatorio entre búsquedas (minDelay - maxDelay)
+        const delayBetweenSearches = randomDelay(DELAYS.minDelay, DELAYS.maxDelay);
+        console.log(`  ⏳ Waiting ${delayBetweenSearches}ms before next search...`);
+        await new Promise(resolve => setTimeout(resolve, delayBetweenSearches));
+      } else {
+        // Un run con solo algunos cargos no cuenta como scrape completo de la empresa
+        if (run.updatesLastScrape !== false) {
+          // Con alguna búsqueda fallida no se marca: la empresa se vuelve a scrapear en el siguiente run
+          if (!await jobQueueService.isCompanyDone(run.id, job.companyId)) {
+            console.warn(`Not updating last scrape date for ${job.companyName}: some searches failed`);
+          } else {
+            try {
+              const now = new Date().toISOString();
+              await hubspotService.updateLastScrape(job.companyId, now);
+              console.log(`Updated last scrape date for ${job.companyName}`);
+            } catch (updateError) {
+              console.warn(`Could not update last scrape date for ${job.companyName}: ${updateError.message}`);
+            }
+          }
+        }
+        
+        // ⚠️ Delay aleatorio entre empresas (más largo)
+        const delayBetweenCompanies = randomDelay(DELAYS.minDelay * 2, DELAYS.maxDelay * 2);
+        console.log(`⏳ Waiting ${delayBetweenCompanies}ms before next company...`);
+        await new Promise(resolve => setTimeout(resolve, delayBetweenCompanies));
       }
       
-      // ⚠️ Delay aleatorio entre empresas (más largo)
-      const delayBetweenCompanies = randomDelay(DELAYS.minDelay * 2, DELAYS.maxDelay * 2);
-      console.log(`⏳ Waiting ${delayBetweenCompanies}ms before next company...`);
-      await new Promise(resolve => setTimeout(resolve, delayBetweenCompanies));
+      job = await jobQueueService.getNextJob(run.id);
     }
     
+    await jobQueueService.finishRun(run.id);
+    await emitProgress(run.id);
+    scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, {
+      runId: run.id,
+      success: true,
+      reason: 'completed'
+    });
     console.log('Scraping process completed');
     
     // Cerrar el navegador compartido al finalizar
     console.log('🔒 Closing browser session...');
     await linkedinService.closeSharedBrowser();
     
-    return { success: true };
+    return { success: true, runId: run.id };
   } catch (error) {
     console.error('Scraping error:', error);
+    scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, {
+      runId: runControl.activeRunId,
+      success: false,
+      reason: 'error',
+      error: error.message
+    });
     
     // Cerrar el navegador en caso de error
     try {
@@ -319,11 +768,23 @@ const startScraping = async () => {
     }
     
     throw error;
+  } finally {
+    runControl.activeRunId = null;
+    runControl.paused = false;
+    runControl.cancelRequested = false;
+    releaseRunLock();
   }
 };
 
 module.exports = {
+  prepareRun,
   startScraping,
-  filterResults
+  pauseScraping,
+  resumeScraping,
+  cancelScraping,
+  getActiveRunId,
+  claimRunLock,
+  releaseRunLock,
+  isRunLocked
 };
 
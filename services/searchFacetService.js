@@ -0,0 +1,126 @@
+/**
+ * SEARCH FACET LAYER
+ * Resuelve los filtros de la búsqueda de personas de LinkedIn (ID de la empresa actual, geo URNs)
+ * una vez por empresa de HubSpot y los guarda en caché: las búsquedas ya no dependen de keywords entre comillas
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+const companyResolverService = require('./companyResolverService');
+const locationService = require('./locationService');
+const companyIdentityService = require('./companyIdentityService');
+
+const FACET_CACHE_FILE = path.join(__dirname, '../data/facet-cache.json');
+
+// Búsqueda facetada activada por defecto (LINKEDIN_FACETED_SEARCH=false vuelve a palabras clave)
+const FACETED_SEARCH_ENABLED = process.env.LINKEDIN_FACETED_SEARCH !== 'false';
+// Días antes de volver a intentar una empresa cuyo ID no se pudo resolver
+const FACET_RETRY_DAYS = parseInt(process.env.FACET_RETRY_DAYS || '7');
+
+// Caché por ID de empresa de HubSpot: { companyId, slug, linkedinName, source, confidence, resolvedAt }
+let facetCache = null;
+
+const loadFacetCache = async () => {
+  if (facetCache) return facetCache;
+
+  try {
+    facetCache = JSON.parse(await fs.readFile(FACET_CACHE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading facet cache:', error.message);
+    }
+    facetCache = {};
+  }
+  return facetCache;
+};
+
+const saveFacetCache = async () => {
+  try {
+    await fs.mkdir(path.dirname(FACET_CACHE_FILE), { recursive: true });
+    await fs.writeFile(FACET_CACHE_FILE, JSON.stringify(facetCache, null, 2));
+  } catch (error) {
+    console.error('Error saving facet cache:', error.message);
+  }
+};
+
+const isRetryDue = (entry) => {
+  const elapsedDays = (Date.now() - new Date(entry.resolvedAt).getTime()) / (1000 * 60 * 60 * 24);
+  return elapsedDays >= FACET_RETRY_DAYS;
+};
+
+/**
+ * Resuelve el ID de empresa de LinkedIn de una empresa de HubSpot (con caché)
+ * @param {Object} company - { id, name, domain, aliases, linkedinCompanyPage, linkedinCompanyId }
+ * @returns {Object} { companyId, source }
+ */
+const resolveCompanyFacet = async (company) => {
+  const identity = companyIdentityService.buildIdentity(company);
+
+  // ID guardado en HubSpot: no hace falta consultar LinkedIn
+  if (identity.companyId) {
+    return { companyId: identity.companyId, source: 'hubspot' };
+  }
+
+  const cache = await loadFacetCache();
+  const cached = cache[company.id];
+  if (cached && (cached.companyId || !isRetryDue(cached))) {
+    return { companyId: cached.companyId, source: cached.companyId ? cached.source : 'unresolved' };
+  }
+
+  // Página de empresa de HubSpot o búsqueda por nombre y dominio (el resolver guarda el resultado en HubSpot)
+  let resolved;
+  try {
+    const resolution = await companyResolverService.resolveCompany(company);
+    resolved = resolution.match;
+  } catch (error) {
+    // Límite diario, bloqueo o error de red: no se guarda para reintentar en la siguiente búsqueda
+    console.warn(`⚠️  Could not resolve LinkedIn company for "${identity.name}": ${error.message}`);
+    return { companyId: null, source: 'error' };
+  }
+
+  cache[company.id] = {
+    companyName: identity.name,
+    companyId: resolved ? resolved.companyId : null,
+    slug: resolved ? resolved.slug : null,
+    linkedinName: resolved ? resolved.name : null,
+    source: resolved ? resolved.source : 'unresolved',
+    confidence: resolved ? resolved.confidence : 0,
+    resolvedAt: new Date().toISOString()
+  };
+  await saveFacetCache();
+
+  if (resolved) {
+    console.log(`  🏢 LinkedIn company for "${identity.name}": ${resolved.name || resolved.slug} (${resolved.companyId}, ${resolved.source})`);
+  } else {
+    console.log(`  ⚠️  No LinkedIn company found for "${identity.name}", using keyword search`);
+  }
+  return { companyId: cache[company.id].companyId, source: cache[company.id].source };
+};
+
+/**
+ * Obtiene los filtros de búsqueda de una empresa y sus reglas de ubicación
+ * @param {Object} company - Empresa de HubSpot { id, name, domain, aliases, linkedinCompanyPage, linkedinCompanyId }
+ * @param {Object} locationRules - Reglas de ubicación compiladas (getLocationRules)
+ * @returns {Object} { companyId, geoUrns, source } - companyId null = búsqueda por palabras clave
+ */
+const getSearchFacets = async (company, locationRules) => {
+  if (!FACETED_SEARCH_ENABLED) {
+    return { companyId: null, geoUrns: null, source: 'disabled' };
+  }
+
+  // Los geoUrn salen del gazetteer; si algún destino no tiene geoUrn no se filtra por ubicación
+  const geoUrns = locationRules ? locationService.getGeoUrns(locationRules) : null;
+  const companyFacet = await resolveCompanyFacet(company);
+
+  return {
+    companyId: companyFacet.companyId,
+    geoUrns: geoUrns && geoUrns.length > 0 ? geoUrns : null,
+    source: companyFacet.source
+  };
+};
+
+module.exports = {
+  getSearchFacets
+};
@@ -0,0 +1,471 @@
+/**
+ * LEAD SINKS LAYER
+ * Destinos de los perfiles aceptados de un run (deal de HubSpot, contacto de HubSpot, tarea de ClickUp,
+ * resultado de ClickUp, exportación de leads). Cada despliegue activa los que necesite con SCRAPE_SINKS
+ *
+ * Un destino es { name, label, unavailableReason?, check(), prepare?(people, context),
+ *   isDuplicate?(person, context), createBatch?(people, context), save(person, context) }:
+ *   check        Comprueba la configuración antes del run (lanza un error si falta algo)
+ *   prepare      Trabajo en lote de la búsqueda (p. ej. duplicados); su resultado llega en context.prepared
+ *   isDuplicate  Indica, antes de visitar el perfil, si el destino ya lo tiene (sin el método se visita)
+ *   createBatch  Alta en lote de los perfiles nuevos tras prepare; su resultado llega en context.batched
+ *   save         Guarda un perfil: { status: created|duplicate|skipped|failed|retry_later, id?, error? }
+ * Cada destino deduplica por su cuenta: un perfil ya guardado sale como duplicado al repetir la búsqueda
+ * El resultado de cada destino queda en el almacén de leads (leadStoreService), desde donde se reintentan los fallos
+ */
+
+require('dotenv').config();
+
+const hubspotService = require('./hubspotService');
+const profileUrlService = require('./profileUrlService');
+const hubspotClientService = require('./hubspotClientService');
+const clickupService = require('./clickupService');
+const dealRoutingService = require('./dealRoutingService');
+const leadExportService = require('./leadExportService');
+const leadStoreService = require('./leadStoreService');
+
+// Destinos por defecto: los deals de HubSpot (comportamiento original del scraping)
+const DEFAULT_SINKS = process.env.SCRAPE_SINKS || 'hubspot_deal';
+
+// Destino que registra los IDs de los demás: siempre se guarda el último
+const LAST_SINK = 'export';
+
+const STATUSES = {
+  CREATED: 'created',
+  DUPLICATE: 'duplicate',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+  RETRY_LATER: 'retry_later'
+};
+
+const checkHubspot = async () => {
+  if (!hubspotClientService.isConfigured()) {
+    throw new Error('HUBSPOT_TOKEN not configured in .env');
+  }
+};
+
+// Pipeline, etapa, propietario y prioridad según la calidad de la coincidencia
+const routeDeal = (person, verdict, company) => {
+  return dealRoutingService.routeDeal(dealRoutingService.buildFacts(person, verdict, company));
+};
+
+// Los cargos añadidos a mano en un run (resolveJobTitles) no son tareas de ClickUp
+const isClickupJobTitle = (jobTitleId) => !!jobTitleId && !String(jobTitleId).startsWith('adhoc-');
+
+const hubspotDealSink = {
+  name: 'hubspot_deal',
+  label: 'HubSpot deal',
+  unavailableReason: 'hubspot_unavailable',
+  check: checkHubspot,
+
+  // Duplicados de toda la búsqueda en lote; si falla, cada perfil se comprueba al guardarlo
+  prepare: async (people) => {
+    try {
+      return await hubspotService.findDealsByProfileUrls(people.map(person => person.profileUrl));
+    } catch (error) {
+      console.warn(`  ⚠️  Batch duplicate check failed, checking each profile: ${error.message}`);
+      return null;
+    }
+  },
+
+  // Solo con los duplicados comprobados en lote; sin ellos se visita el perfil
+  isDuplicate: async (person, context) => {
+    return !!context.prepared && context.prepared.has(profileUrlService.canonicalProfileUrl(person.profileUrl));
+  },
+
+  // Deals nuevos de la búsqueda en peticiones batch (solo si los duplicados se comprobaron en lote)
+  createBatch: async (people, context) => {
+    if (!context.prepared) return null;
+    try {
+      const entries = people.map(person => ({ person, route: routeDeal(person, context.verdicts.get(person), context.company) }));
+      return await hubspotService.createDealsForPeople(entries, context.job.companyName, context.job.jobTitle, {
+        companyId: context.job.companyId,
+        existingDeals: context.prepared
+      });
+    } catch (error) {
+      console.warn(`  ⚠️  Batch deal creation failed, saving each profile: ${error.message}`);
+      return null;
+    }
+  },
+
+  save: async (person, context) => {
+    // Deal ya creado en el lote de la búsqueda (una sola vez: un perfil repetido sale como duplicado)
+    const canonicalUrl = profileUrlService.canonicalProfileUrl(person.profileUrl);
+    const batchedDeal = context.batched ? context.batched.get(canonicalUrl) : null;
+    if (batchedDeal) context.batched.delete(canonicalUrl);
+
+    const result = batchedDeal || await hubspotService.createDealForPerson(person, context.job.companyName, context.job.jobTitle, {
+      companyId: context.job.companyId,
+      route: routeDeal(person, context.verdict, context.company),
+      existingDeals: context.prepared
+    });
+
+    if (!result) return { status: STATUSES.FAILED };
+    // Sin saber si ya existe no se crea: la búsqueda se repite en el siguiente run
+    if (result.retryLater) return { status: STATUSES.RETRY_LATER, error: result.error };
+    if (result.duplicate) return { status: STATUSES.DUPLICATE, id: result.dealId || null };
+    return {
+      status: STATUSES.CREATED,
+      id: result.id,
+      details: { contactId: result.contactId || null, route: result.route || null }
+    };
+  }
+};
+
+const hubspotContactSink = {
+  name: 'hubspot_contact',
+  label: 'HubSpot contact',
+  unavailableReason: 'hubspot_unavailable',
+  check: checkHubspot,
+
+  // Upsert por URL del perfil: un contacto que ya existía se actualiza y cuenta como duplicado
+  save: async (person, context) => {
+    const contact = await hubspotService.createContactForPerson(person, context.job.companyName, context.job.jobTitle, {
+      companyId: context.job.companyId
+    });
+    return { status: contact.created ? STATUSES.CREATED : STATUSES.DUPLICATE, id: contact.id };
+  }
+};
+
+// ID del deal creado antes en el mismo guardado (campo HubSpot Deal ID de ClickUp)
+const savedDealId = (context) => {
+  const deal = context.saved.hubspot_deal;
+  return deal && deal.id ? deal.id : null;
+};
+
+const clickupTaskSink = {
+  name: 'clickup_task',
+  label: 'ClickUp task',
+  unavailableReason: 'clickup_unavailable',
+  check: async () => {
+    await clickupService.setupCustomFields();
+  },
+
+  // Un cargo añadido a mano no se guarda en ClickUp (cuenta como ya guardado)
+  isDuplicate: async (person, context) => {
+    return isClickupJobTitle(context.job.jobTitleId)
+      ? clickupService.checkPersonExists(person.profileUrl, context.job.jobTitleId)
+      : true;
+  },
+
+  // Subtarea del cargo buscado en la lista de cargos
+  save: async (person, context) => {
+    const { job } = context;
+    if (!isClickupJobTitle(job.jobTitleId)) {
+      return { status: STATUSES.SKIPPED, error: `job title "${job.jobTitle}" is not a ClickUp task` };
+    }
+
+    let exists;
+    try {
+      exists = await clickupService.checkPersonExists(person.profileUrl, job.jobTitleId);
+    } catch (error) {
+      // Sin saber si ya existe no se crea: la búsqueda se repite en el siguiente run
+      return { status: STATUSES.RETRY_LATER, error: error.message };
+    }
+    if (exists) return { status: STATUSES.DUPLICATE };
+
+    const task = await clickupService.createPersonTask(person, job.jobTitleId, job.companyName, job.jobTitle, {
+      matchScore: context.verdict ? context.verdict.score : null,
+      hubspotDealId: savedDealId(context)
+    });
+    return { status: STATUSES.CREATED, id: task.id };
+  }
+};
+
+const clickupResultSink = {
+  name: 'clickup_result',
+  label: 'ClickUp result',
+  unavailableReason: 'clickup_unavailable',
+  check: async () => {
+    if (!process.env.CLICKUP_RESULTS_ID) {
+      throw new Error('CLICKUP_RESULTS_ID not configured in .env');
+    }
+    await clickupService.setupCustomFields();
+  },
+
+  isDuplicate: async (person) => clickupService.checkPersonExistsInResults(person.profileUrl),
+
+  // Tarea suelta en la lista de resultados (la que revisan los SDR)
+  save: async (person, context) => {
+    const { job } = context;
+    let exists;
+    try {
+      exists = await clickupService.checkPersonExistsInResults(person.profileUrl);
+    } catch (error) {
+      return { status: STATUSES.RETRY_LATER, error: error.message };
+    }
+    if (exists) return { status: STATUSES.DUPLICATE };
+
+    const task = await clickupService.createPersonResult(person, job.companyName, job.jobTitle, {
+      matchScore: context.verdict ? context.verdict.score : null,
+      hubspotDealId: savedDealId(context)
+    });
+    return { status: STATUSES.CREATED, id: task.id };
+  }
+};
+
+const exportSink = {
+  name: 'export',
+  label: 'lead export',
+  check: async () => {},
+
+  isDuplicate: async (person) => leadExportService.hasLead(person.profileUrl),
+
+  // Registro local (data/leads.jsonl) con la búsqueda y los IDs de los demás destinos
+  save: async (person, context) => {
+    const { job } = context;
+    if (await leadExportService.hasLead(person.profileUrl)) return { status: STATUSES.DUPLICATE };
+
+    const ids = {};
+    for (const [sinkName, result] of Object.entries(context.saved)) {
+      if (result.id) ids[sinkName] = result.id;
+    }
+    const deal = context.saved.hubspot_deal;
+
+    const lead = await leadExportService.recordLead(person, {
+      runId: job.runId,
+      companyId: job.companyId,
+      companyName: job.companyName,
+      jobTitleId: job.jobTitleId,
+      jobTitle: job.jobTitle
+    }, {
+      matchScore: context.verdict ? context.verdict.score : null,
+      ids,
+      contactId: deal && deal.details ? deal.details.contactId : null
+    });
+    return { status: STATUSES.CREATED, id: lead.profileUrl };
+  }
+};
+
+const SINKS = {
+  [hubspotDealSink.name]: hubspotDealSink,
+  [hubspotContactSink.name]: hubspotContactSink,
+  [clickupTaskSink.name]: clickupTaskSink,
+  [clickupResultSink.name]: clickupResultSink,
+  [exportSink.name]: exportSink
+};
+
+/**
+ * Obtiene los nombres de los destinos de un run, en el orden en que guardan
+ * @param {Array<string>|string} value - Lista o texto separado por comas (por defecto SCRAPE_SINKS)
+ * @returns {Array<string>}
+ * @throws Si algún destino no existe
+ */
+const resolveSinkNames = (value) => {
+  const list = Array.isArray(value) ? value : String(value || DEFAULT_SINKS).split(',');
+  const names = [...new Set(list.map(name => String(name).trim().toLowerCase()).filter(Boolean))];
+
+  const unknown = names.filter(name => !SINKS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sink: ${unknown.join(', ')} (available: ${Object.keys(SINKS).join(', ')})`);
+  }
+  if (names.length === 0) {
+    throw new Error(`Unknown sink: none configured (available: ${Object.keys(SINKS).join(', ')})`);
+  }
+  return names.includes(LAST_SINK)
+    ? [...names.filter(name => name !== LAST_SINK), LAST_SINK]
+    : names;
+};
+
+const getSinks = (names) => resolveSinkNames(names).map(name => SINKS[name]);
+
+/**
+ * Verifica la configuración de todos los destinos de un run
+ * @throws Con los errores de todos los destinos
+ */
+const checkSinks = async (names) => {
+  const errors = [];
+  for (const sink of getSinks(names)) {
+    try {
+      await sink.check();
+    } catch (error) {
+      errors.push(`${sink.name}: ${error.message}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Sinks not ready: ${errors.join('; ')}`);
+  }
+};
+
+/**
+ * Trabajo en lote de cada destino para los perfiles aceptados de una búsqueda
+ * @returns {Promise<Object>} { [sinkName]: resultado de prepare }
+ */
+const prepareSinks = async (sinks, people, context) => {
+  const prepared = {};
+  if (people.length === 0) return prepared;
+
+  for (const sink of sinks) {
+    if (sink.prepare) {
+      prepared[sink.name] = await sink.prepare(people, context);
+    }
+  }
+  return prepared;
+};
+
+/**
+ * Obtiene los perfiles aceptados de una búsqueda que algún destino guardará, tras prepareSinks
+ * Un perfil que todos los destinos ya tienen (o repetido en la búsqueda) no se visita;
+ * si un destino no sabe responder, se visita
+ * @param {Object} context - { job, company, prepared }
+ * @returns {Promise<Array>} Perfiles a enriquecer
+ */
+const findNewPeople = async (sinks, people, context) => {
+  const seen = new Set();
+  const newPeople = [];
+
+  for (const person of people) {
+    const canonicalUrl = profileUrlService.canonicalProfileUrl(person.profileUrl) || person.profileUrl;
+    if (seen.has(canonicalUrl)) continue;
+    seen.add(canonicalUrl);
+
+    for (const sink of sinks) {
+      let duplicate = false;
+      if (sink.isDuplicate) {
+        try {
+          duplicate = await sink.isDuplicate(person, {
+            ...context,
+            prepared: context.prepared ? context.prepared[sink.name] || null : null
+          });
+        } catch (error) {
+          // Sin respuesta del destino se visita igual (save vuelve a comprobarlo)
+          duplicate = false;
+        }
+      }
+      if (!duplicate) {
+        newPeople.push(person);
+        break;
+      }
+    }
+  }
+  return newPeople;
+};
+
+/**
+ * Crea en lote los perfiles nuevos de una búsqueda, tras prepareSinks
+ * @param {Object} context - { job, company, verdicts (Map perfil -> veredicto), prepared }
+ * @returns {Promise<Object>} { [sinkName]: resultado de createBatch }
+ */
+const createInBatch = async (sinks, people, context) => {
+  const batched = {};
+  if (people.length === 0) return batched;
+
+  for (const sink of sinks) {
+    if (sink.createBatch) {
+      batched[sink.name] = await sink.createBatch(people, {
+        ...context,
+        prepared: context.prepared ? context.prepared[sink.name] || null : null
+      });
+    }
+  }
+  return batched;
+};
+
+/**
+ * Guarda un perfil en cada destino, en orden, y registra los resultados en el almacén de leads
+ * Si un destino pide reintentar más tarde se detiene: el resto queda pendiente en el almacén
+ * @param {Object} context - { job, company, verdict, prepared, batched?, saved? (resultados de un guardado anterior) }
+ * @returns {Promise<Array>} [{ sink, status, id, error, details }]
+ */
+const saveToSinks = async (sinks, person, context) => {
+  const saved = { ...(context.saved || {}) };
+  const results = [];
+
+  for (const sink of sinks) {
+    let result;
+    try {
+      result = await sink.save(person, {
+        ...context,
+        prepared: context.prepared ? context.prepared[sink.name] || null : null,
+        batched: context.batched ? context.batched[sink.name] || null : null,
+        saved
+      });
+    } catch (error) {
+      result = { status: STATUSES.FAILED, error: error.message };
+    }
+
+    saved[sink.name] = result;
+    results.push({ sink: sink.name, label: sink.label, unavailableReason: sink.unavailableReason || null, ...result });
+    if (result.status === STATUSES.RETRY_LATER) break;
+  }
+
+  await leadStoreService.recordSyncResults(person, context, results, sinks.map(sink => sink.name));
+  return results;
+};
+
+/**
+ * Reintenta los destinos fallidos y pendientes del almacén de leads
+ * Los destinos sin configuración se saltan; si uno pide reintentar más tarde se detiene
+ * @returns {Promise<Object>} { leads, created, duplicates, failed, stopped }
+ */
+const retryFailedLeads = async () => {
+  const summary = { leads: 0, created: 0, duplicates: 0, failed: 0, stopped: false };
+  const toRetry = await leadStoreService.getLeadsToRetry();
+  if (toRetry.length === 0) return summary;
+
+  console.log(`🔁 Retrying ${toRetry.length} lead(s) with failed sink pushes`);
+  const ready = new Map();
+
+  for (const { lead, sinkNames } of toRetry) {
+    const names = [];
+    for (const sinkName of sinkNames.filter(name => SINKS[name])) {
+      if (!ready.has(sinkName)) {
+        try {
+          await SINKS[sinkName].check();
+          ready.set(sinkName, true);
+        } catch (error) {
+          console.warn(`  ⚠️  ${sinkName} not ready, not retried: ${error.message}`);
+          ready.set(sinkName, false);
+        }
+      }
+      if (ready.get(sinkName)) names.push(sinkName);
+    }
+    if (names.length === 0) continue;
+
+    const { person, job, verdict } = lead.accepted;
+    // IDs de los destinos que ya lo guardaron (p. ej. el deal para el campo de ClickUp)
+    const saved = {};
+    for (const [sinkName, state] of Object.entries(lead.sinks)) {
+      if (state.id && !names.includes(sinkName)) saved[sinkName] = { status: state.status, id: state.id };
+    }
+
+    summary.leads++;
+    const results = await saveToSinks(getSinks(names), person, {
+      job,
+      company: { id: job.companyId, name: job.companyName, tier: job.companyTier, ownerId: job.companyOwnerId },
+      verdict,
+      prepared: null,
+      saved
+    });
+
+    for (const result of results) {
+      if (result.status === STATUSES.CREATED) summary.created++;
+      else if (result.status === STATUSES.DUPLICATE) summary.duplicates++;
+      else if (result.status !== STATUSES.SKIPPED) summary.failed++;
+      const detail = result.error ? `: ${result.error}` : '';
+      console.log(`    ${result.status === STATUSES.CREATED ? '✓' : result.status === STATUSES.DUPLICATE ? '⊙' : '✗'} Retry ${result.label} for ${person.name}: ${result.status}${detail}`);
+    }
+
+    if (results.some(result => result.status === STATUSES.RETRY_LATER)) {
+      console.warn('  ⚠️  Sink unavailable, remaining retries left for later');
+      summary.stopped = true;
+      break;
+    }
+  }
+
+  console.log(`🔁 Retry finished: ${summary.created} created, ${summary.duplicates} duplicates, ${summary.failed} failed`);
+  return summary;
+};
+
+module.exports = {
+  STATUSES,
+  SINK_NAMES: Object.keys(SINKS),
+  resolveSinkNames,
+  checkSinks,
+  getSinks,
+  prepareSinks,
+  findNewPeople,
+  createInBatch,
+  saveToSinks,
+  retryFailedLeads
+};
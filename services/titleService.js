@@ -0,0 +1,237 @@
+/**
+ * TITLE LAYER
+ * Normaliza cargos y titulares de LinkedIn con la taxonomía bilingüe de cargos
+ * (nivel, área de negocio, sinónimos de puesto y exclusiones)
+ */
+
+const taxonomy = require('../config/titleTaxonomy');
+
+// Artículos y preposiciones que no cuentan como palabras clave del cargo
+const STOP_WORDS = ['de', 'del', 'la', 'el', 'en', 'y', 'o', 'a', 'al', 'los', 'las', 'un', 'una', 'con', 'por', 'para',
+  'of', 'the', 'and', 'to', 'for', 'at', 'in'];
+
+// Porcentaje mínimo de palabras clave que deben coincidir cuando el cargo no está en la taxonomía
+const MIN_WORD_MATCH_RATIO = 0.5;
+
+// Separadores de un titular con varios puestos ("CFO | Board Member · Speaker")
+const SEGMENT_SEPARATORS = /\s*(?:\||•|·|;|\s-\s|\s–\s)\s*/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// "Director de Administración & Finanzas" -> "director de administracion finanzas"
+const normalizePhrase = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Aplana la taxonomía en términos, los más largos primero ("vice president" antes que "president")
+ */
+const buildTerms = () => {
+  const terms = [];
+  const add = (phrase, term) => terms.push({ phrase: normalizePhrase(phrase), ...term });
+
+  for (const seniority of taxonomy.seniorities) {
+    seniority.terms.forEach(phrase => add(phrase, { kind: 'seniority', seniority: seniority.id, functions: [] }));
+  }
+  for (const area of taxonomy.functions) {
+    area.terms.forEach(phrase => add(phrase, { kind: 'function', seniority: null, functions: [area.id] }));
+  }
+  for (const [phrase, meaning] of Object.entries(taxonomy.abbreviations)) {
+    add(phrase, { kind: 'abbreviation', seniority: meaning.seniority || null, functions: meaning.functions || [] });
+  }
+  taxonomy.qualifiers.forEach(phrase => add(phrase, { kind: 'qualifier', seniority: null, functions: [] }));
+  taxonomy.exclusions.forEach(phrase => add(phrase, { kind: 'exclusion', seniority: null, functions: [] }));
+
+  return terms.sort((a, b) => b.phrase.length - a.phrase.length);
+};
+
+const TERMS = buildTerms();
+const SENIORITY_RANKS = new Map(taxonomy.seniorities.map(seniority => [seniority.id, seniority.rank]));
+const ROLES = taxonomy.roles.map(role => ({
+  id: role.id,
+  titles: role.titles.map(normalizePhrase).sort((a, b) => b.length - a.length)
+}));
+
+/**
+ * Analiza un cargo o una parte de un titular
+ * @param {string} text - Cargo de ClickUp o parte de un titular de LinkedIn
+ * @returns {Object} { normalized, seniority, functions, roles, exclusions, terms, keywords }
+ */
+const parseTitle = (text) => {
+  const normalized = normalizePhrase(text);
+  const padded = ` ${normalized} `;
+
+  // Sinónimos de puesto: se buscan sobre el texto completo
+  const roles = [];
+  const rolePhrases = [];
+  for (const role of ROLES) {
+    const phrase = role.titles.find(title => padded.includes(` ${title} `));
+    if (phrase) {
+      roles.push(role.id);
+      rolePhrases.push(phrase);
+    }
+  }
+
+  // Términos de la taxonomía: cada uno consume su parte del texto
+  let remaining = padded;
+  const seniorities = [];
+  const functions = [];
+  const exclusions = [];
+  const terms = [];
+  for (const term of TERMS) {
+    const needle = ` ${term.phrase} `;
+    if (!remaining.includes(needle)) continue;
+
+    remaining = remaining.split(needle).join(' '.repeat(needle.length));
+    terms.push(term.phrase);
+    if (term.kind === 'exclusion') exclusions.push(term.phrase);
+    if (term.seniority && !seniorities.includes(term.seniority)) seniorities.push(term.seniority);
+    term.functions.forEach(area => {
+      if (!functions.includes(area)) functions.push(area);
+    });
+  }
+
+  // Si hay varios niveles ("Director General Manager") cuenta el más alto
+  const seniority = seniorities
+    .sort((a, b) => SENIORITY_RANKS.get(b) - SENIORITY_RANKS.get(a))[0] || null;
+
+  const keywords = remaining
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.includes(word));
+
+  return { normalized, seniority, functions, roles, rolePhrases, exclusions, terms, keywords };
+};
+
+// Palabra completa o como parte de otra palabra relevante ("financ" ~ "financiero")
+const wordMatches = (word, text) => {
+  return text.includes(word) ||
+    text.split(' ').some(t =>
+      t.startsWith(word) ||
+      word.startsWith(t) ||
+      (t.length > 3 && word.length > 3 && (t.includes(word) || word.includes(t)))
+    );
+};
+
+/**
+ * Coincidencia por palabras clave para cargos que la taxonomía no reconoce
+ */
+const matchKeywords = (search, segment) => {
+  if (search.keywords.length === 0) {
+    // Si el título de búsqueda es muy corto, hacer match exacto o parcial
+    const passed = segment.normalized.includes(search.normalized) || search.normalized.includes(segment.normalized);
+    return { passed, method: 'partial', matchedKeywords: passed ? [search.normalized] : [], score: passed ? 1 : 0 };
+  }
+
+  const matchedKeywords = search.keywords.filter(word => wordMatches(word, segment.normalized));
+  const minMatches = Math.max(1, Math.ceil(search.keywords.length * MIN_WORD_MATCH_RATIO));
+  const result = {
+    passed: matchedKeywords.length >= minMatches,
+    method: 'keywords',
+    matchedKeywords,
+    expectedKeywords: search.keywords,
+    score: round(matchedKeywords.length / search.keywords.length)
+  };
+
+  if (!result.passed && segment.normalized.includes(search.normalized)) {
+    Object.assign(result, { passed: true, method: 'exact_phrase', score: 1 });
+  } else if (!result.passed && search.normalized.includes(segment.normalized)) {
+    Object.assign(result, { passed: true, method: 'reverse' });
+  }
+  return result;
+};
+
+/**
+ * Compara una parte del titular con el cargo buscado ya analizado
+ */
+const matchSegment = (search, segmentText) => {
+  const segment = parseTitle(segmentText);
+  const normalizedSegment = {
+    text: segmentText,
+    seniority: segment.seniority,
+    functions: segment.functions,
+    roles: segment.roles
+  };
+
+  // Exclusiones que no forman parte del cargo buscado ("Asistente de Dirección" sí puede buscarse)
+  const excludedTerms = segment.exclusions.filter(term => !search.exclusions.includes(term));
+  if (excludedTerms.length > 0) {
+    return { passed: false, method: 'excluded', matchedKeywords: [], excludedTerms, score: 0, segment: normalizedSegment };
+  }
+
+  const sharedRole = segment.roles.find(role => search.roles.includes(role));
+  if (sharedRole) {
+    return {
+      passed: true,
+      method: 'synonym',
+      role: sharedRole,
+      matchedKeywords: [segment.rolePhrases[segment.roles.indexOf(sharedRole)]],
+      score: 1,
+      segment: normalizedSegment
+    };
+  }
+
+  // Cargo fuera de la taxonomía: coincidencia por palabras clave
+  if (!search.seniority && search.functions.length === 0) {
+    return { ...matchKeywords(search, segment), segment: normalizedSegment };
+  }
+
+  const seniorityMatches = !search.seniority || segment.seniority === search.seniority;
+  const sharedFunctions = segment.functions.filter(area => search.functions.includes(area));
+
+  // Sin área reconocida en el cargo buscado, las palabras restantes deben coincidir
+  const areaResult = search.functions.length > 0
+    ? { passed: sharedFunctions.length > 0, matchedKeywords: sharedFunctions, score: sharedFunctions.length > 0 ? 1 : 0 }
+    : matchKeywords({ ...search, normalized: search.keywords.join(' ') }, segment);
+
+  return {
+    passed: seniorityMatches && areaResult.passed,
+    method: 'taxonomy',
+    matchedKeywords: [
+      ...(search.seniority && seniorityMatches ? [search.seniority] : []),
+      ...areaResult.matchedKeywords
+    ],
+    expectedKeywords: [
+      ...(search.seniority ? [search.seniority] : []),
+      ...(search.functions.length > 0 ? search.functions : search.keywords)
+    ],
+    score: round(((seniorityMatches ? 1 : 0) + areaResult.score) / 2),
+    segment: normalizedSegment
+  };
+};
+
+/**
+ * Compara un cargo buscado con el titular de un perfil de LinkedIn
+ * @param {string} jobTitle - Cargo buscado (ClickUp)
+ * @param {string} headline - Titular extraído del perfil
+ * @returns {Object} { passed, method, matchedKeywords, expectedKeywords, score, search, segment }
+ */
+const matchTitle = (jobTitle, headline) => {
+  const search = parseTitle(jobTitle);
+  const segments = String(headline).split(SEGMENT_SEPARATORS).filter(part => part.trim().length > 0);
+
+  // Basta con que una parte del titular coincida; si ninguna, se reporta la más cercana
+  const results = segments.map(segment => matchSegment(search, segment));
+  const best = results
+    .sort((a, b) => Number(b.passed) - Number(a.passed) || b.score - a.score)[0] ||
+    { passed: false, method: 'keywords', matchedKeywords: [], score: 0, segment: null };
+
+  return {
+    ...best,
+    search: {
+      seniority: search.seniority,
+      functions: search.functions,
+      roles: search.roles,
+      keywords: search.keywords
+    }
+  };
+};
+
+module.exports = {
+  parseTitle,
+  matchTitle
+};
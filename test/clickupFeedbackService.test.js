@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Feedback en un fichero temporal
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clickup-feedback-'));
+process.env.CLICKUP_FEEDBACK_FILE = path.join(tmpDir, 'clickup-feedback.json');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const clickupService = require('../services/clickupService');
+const clickupFeedbackService = require('../services/clickupFeedbackService');
+
+// Sin el log de cada sincronización: el runner de node 20 a veces no puede leer sus mensajes si
+// en la salida aparece el emoji 🔄 y falla el fichero entero
+console.log = () => {};
+
+// Tareas de la lista de resultados simuladas
+let resultTasks = [];
+clickupService.getResultTasks = async () => resultTasks;
+
+const feedbackField = (value) => ({
+  name: 'Feedback',
+  type: 'drop_down',
+  value,
+  type_config: { options: [{ id: 'opt-1', name: 'Good fit', orderindex: 0 }, { id: 'opt-2', name: 'Wrong person', orderindex: 1 }] }
+});
+
+const task = (id, profile, { status = 'to do', jobTitle = 'CFO', fields = [] } = {}) => ({
+  id,
+  status: { status },
+  description: `Cargo buscado: ${jobTitle}\nEmpresa buscada: Bimbo`,
+  date_updated: '1760000000000',
+  custom_fields: [{ name: 'LinkedIn URL', type: 'url', value: `https://mx.linkedin.com/in/${profile}?trk=x` }, ...fields]
+});
+
+test('suppresses profiles rejected by status or by the feedback field', async () => {
+  resultTasks = [
+    task('1', 'Ana', { status: 'Not Relevant' }),
+    task('2', 'juan', { fields: [feedbackField(1)] }),
+    task('3', 'luis', { fields: [feedbackField('opt-1')] }),
+    // Tarea anterior a los campos: el perfil sale de la descripción
+    { id: '4', status: { status: 'contacted' }, description: 'Perfil: https://www.linkedin.com/in/maria/\nCargo buscado: CFO', custom_fields: [] },
+    // Sin perfil enlazado no cuenta
+    { id: '5', status: { status: 'wrong person' }, description: 'Sin enlace', custom_fields: [] }
+  ];
+
+  const summary = await clickupFeedbackService.syncFeedback();
+  assert.deepStrictEqual({ tasks: summary.tasks, profiles: summary.profiles, rejected: summary.rejected }, { tasks: 5, profiles: 4, rejected: 2 });
+
+  const suppressed = await clickupFeedbackService.getSuppressedProfiles();
+  assert.deepStrictEqual([...suppressed].sort(), ['https://www.linkedin.com/in/ana/', 'https://www.linkedin.com/in/juan/']);
+
+  const saved = JSON.parse(fs.readFileSync(process.env.CLICKUP_FEEDBACK_FILE, 'utf8'));
+  assert.strictEqual(saved.profiles['https://www.linkedin.com/in/juan/'].feedback, 'wrong person');
+  assert.strictEqual(saved.profiles['https://www.linkedin.com/in/luis/'].rejected, false);
+});
+
+test('a rejected profile stays suppressed when its task is deleted or another task accepts it', async () => {
+  resultTasks = [
+    task('6', 'juan', { status: 'contacted' }),
+    task('7', 'juan', { status: 'wrong person' }),
+    task('8', 'juan', { status: 'to do' })
+  ];
+
+  const summary = await clickupFeedbackService.syncFeedback();
+  assert.strictEqual(summary.rejected, 2);
+
+  const suppressed = await clickupFeedbackService.getSuppressedProfiles();
+  assert.ok(suppressed.has('https://www.linkedin.com/in/ana/'));
+  assert.ok(suppressed.has('https://www.linkedin.com/in/juan/'));
+});
+
+test('counts feedback per searched job title, highest rejection rate first', async () => {
+  resultTasks = [
+    task('1', 'ana', { status: 'not relevant', jobTitle: 'Director de Compras' }),
+    task('2', 'juan', { status: 'contacted', jobTitle: 'CFO' }),
+    task('3', 'luis', { status: 'to do', jobTitle: 'cfo' }),
+    task('4', 'maria', { status: 'wrong person', jobTitle: 'CFO' })
+  ];
+  await clickupFeedbackService.syncFeedback();
+
+  const report = await clickupFeedbackService.getFeedbackByJobTitle();
+  assert.deepStrictEqual(report.totals, { total: 4, rejected: 2 });
+  assert.deepStrictEqual(report.jobTitles, [
+    { jobTitle: 'Director de Compras', total: 1, rejected: 1, rejectionRate: 1, byStatus: { 'not relevant': 1 } },
+    { jobTitle: 'CFO', total: 3, rejected: 1, rejectionRate: 0.33, byStatus: { contacted: 1, 'to do': 1, 'wrong person': 1 } }
+  ]);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CLICKUP_API_TOKEN = 'test-token';
+process.env.CLICKUP_LIST_ID = 'titles-list';
+process.env.CLICKUP_RESULTS_ID = 'results-list';
+
+const axios = require('axios');
+const clickupService = require('../services/clickupService');
+
+const field = (id, name, type) => ({ id, name, type });
+const personFields = [
+  field('f-url', 'LinkedIn URL', 'url'),
+  field('f-company', ' company ', 'short_text'),
+  field('f-location', 'Location', 'text'),
+  field('f-score', 'Match Score', 'number')
+];
+
+// Listas de ClickUp simuladas: campos personalizados y tareas
+const lists = {
+  'titles-list': { fields: personFields, tasks: [] },
+  'results-list': { fields: [], tasks: [] }
+};
+const created = [];
+
+axios.get = async (url, config) => {
+  const [, listId, resource] = url.match(/\/list\/([^/]+)\/(field|task)$/);
+  const list = lists[listId];
+  if (resource === 'field') return { data: { fields: list.fields } };
+
+  // Filtro por el campo LinkedIn URL (custom_fields=[{ field_id, operator, value }])
+  const filters = config.params.custom_fields ? JSON.parse(config.params.custom_fields) : [];
+  const tasks = list.tasks.filter(task => filters.every(filter =>
+    (task.custom_fields || []).some(candidate => candidate.id === filter.field_id && candidate.value === filter.value)
+  ));
+  return { data: { tasks, last_page: true } };
+};
+axios.post = async (url, body) => {
+  created.push({ url, body });
+  return { data: { id: `task-${created.length}` } };
+};
+
+const urlField = (value) => ({ id: 'f-url', name: 'LinkedIn URL', type: 'url', value });
+
+test('reads the person fields of a task by name', () => {
+  const values = clickupService.readPersonFields({
+    custom_fields: [
+      urlField('https://www.linkedin.com/in/ana/'),
+      { name: 'COMPANY', type: 'short_text', value: 'Bimbo' },
+      { name: 'Match Score', type: 'number', value: 0.92 },
+      { name: 'Location', type: 'text', value: '' }
+    ]
+  });
+
+  assert.deepStrictEqual(values, {
+    linkedinUrl: 'https://www.linkedin.com/in/ana/',
+    company: 'Bimbo',
+    location: null,
+    matchScore: '0.92',
+    hubspotDealId: null,
+    jobTitle: null
+  });
+  assert.strictEqual(clickupService.readPersonFields({}).linkedinUrl, null);
+});
+
+test('setup fails while a required field is missing or has the wrong type, and retries the list afterwards', async () => {
+  lists['results-list'].fields = [field('f-url', 'LinkedIn URL', 'drop_down'), field('f-company', 'Company', 'text')];
+  await assert.rejects(
+    clickupService.setupCustomFields(),
+    { message: 'ClickUp list results-list is not set up: field "LinkedIn URL" is drop_down (expected url or short_text or text); missing field "Location"' }
+  );
+
+  lists['results-list'].fields = [...personFields, field('f-deal', 'HubSpot Deal ID', 'short_text')];
+  const setup = await clickupService.setupCustomFields();
+  assert.deepStrictEqual(setup['titles-list'], {
+    fields: ['linkedinUrl', 'company', 'location', 'matchScore'],
+    missingOptional: ['HubSpot Deal ID', 'Job Title']
+  });
+  assert.deepStrictEqual(setup['results-list'].missingOptional, ['Job Title']);
+});
+
+test('writes the person data to the discovered custom fields', async () => {
+  const person = { name: 'Ana López', title: 'CFO', location: 'Monterrey, México', profileUrl: 'https://mx.linkedin.com/in/Ana?trk=x' };
+  await clickupService.createPersonResult(person, 'Bimbo', 'CFO', { matchScore: '0.9', hubspotDealId: '101' });
+
+  const { url, body } = created.at(-1);
+  assert.strictEqual(url, 'https://api.clickup.com/api/v2/list/results-list/task');
+  assert.strictEqual(body.name, 'Ana López - CFO');
+  assert.strictEqual(body.description, 'Cargo buscado: CFO\nEmpresa buscada: Bimbo');
+  assert.deepStrictEqual(body.custom_fields, [
+    { id: 'f-url', value: 'https://www.linkedin.com/in/ana/' },
+    { id: 'f-company', value: 'Bimbo' },
+    { id: 'f-location', value: 'Monterrey, México' },
+    { id: 'f-score', value: 0.9 },
+    { id: 'f-deal', value: '101' }
+  ]);
+});
+
+test('finds existing results by the LinkedIn URL field or, for older tasks, the description', async () => {
+  lists['results-list'].tasks = [
+    { id: 'r1', custom_fields: [urlField('https://www.linkedin.com/in/ana/')] },
+    { id: 'r2', description: 'URL del perfil: https://mx.linkedin.com/in/Juan/ (antes de los campos)', custom_fields: [] }
+  ];
+
+  assert.strictEqual(await clickupService.checkPersonExistsInResults('https://www.linkedin.com/in/Ana?trk=x'), true);
+  assert.strictEqual(await clickupService.checkPersonExistsInResults('https://www.linkedin.com/in/juan'), true);
+  assert.strictEqual(await clickupService.checkPersonExistsInResults('https://www.linkedin.com/in/luis/'), false);
+});
+
+test('a person counts as saved under its own job title only', async () => {
+  lists['titles-list'].tasks = [
+    { id: 't1', parent: 'cfo-title', custom_fields: [urlField('https://www.linkedin.com/in/maria/')] }
+  ];
+
+  assert.strictEqual(await clickupService.checkPersonExists('https://www.linkedin.com/in/maria', 'cfo-title'), true);
+  assert.strictEqual(await clickupService.checkPersonExists('https://www.linkedin.com/in/maria', 'cto-title'), false);
+});
+
+test('a failed lookup asks to retry later instead of reporting a new person', async () => {
+  const get = axios.get;
+  axios.get = async () => { throw new Error('socket hang up'); };
+  try {
+    await assert.rejects(
+      clickupService.checkPersonExistsInResults('https://www.linkedin.com/in/ana/'),
+      { message: 'ClickUp duplicate check failed, retry later: socket hang up' }
+    );
+  } finally {
+    axios.get = get;
+  }
+});
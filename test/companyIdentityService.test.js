@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const companyIdentityService = require('../services/companyIdentityService');
+
+const bimbo = companyIdentityService.buildIdentity({
+  name: 'Grupo Bimbo',
+  aliases: 'Bimbo; Barcel',
+  linkedinCompanyPage: 'https://www.linkedin.com/company/grupo-bimbo/',
+  linkedinCompanyId: 'urn:li:fsd_company:12345'
+});
+
+const match = (person) => companyIdentityService.matchCompany(person, bimbo);
+
+test('legal suffixes are removed from company names', () => {
+  assert.strictEqual(companyIdentityService.normalizeCompanyName('Grupo Bimbo, S.A.B. de C.V.'), 'grupo bimbo');
+  assert.strictEqual(companyIdentityService.normalizeCompanyName('Cemex S.A. de C.V.'), 'cemex');
+});
+
+test('the identity keeps the aliases, the page slug and the company id', () => {
+  assert.deepStrictEqual(bimbo.names.map(name => name.normalized), ['grupo bimbo', 'bimbo', 'barcel']);
+  assert.strictEqual(bimbo.slug, 'grupo-bimbo');
+  assert.strictEqual(bimbo.companyId, '12345');
+});
+
+test('the company page of the profile decides before the name', () => {
+  assert.strictEqual(match({ company: 'Bimbo', companyUrn: 'urn:li:fsd_company:12345' }).method, 'urn');
+  assert.strictEqual(match({ company: 'Grupo Bimbo', companyUrn: 'urn:li:fsd_company:999' }).passed, false);
+  assert.strictEqual(match({ company: 'Otra', companySlug: 'grupo-bimbo' }).method, 'slug');
+});
+
+for (const [company, method] of [['Grupo Bimbo S.A.B. de C.V.', 'exact'], ['Barcel', 'alias'], ['Bimbo Bakeries USA', 'contains']]) {
+  test(`"${company}" matches Grupo Bimbo (${method})`, () => {
+    const result = match({ company });
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(result.method, method);
+    assert.ok(result.score >= companyIdentityService.MIN_CONFIDENCE);
+  });
+}
+
+for (const company of ['Bimba Corp', 'Cemex']) {
+  test(`"${company}" does not match Grupo Bimbo`, () => {
+    assert.strictEqual(match({ company }).passed, false);
+  });
+}
+
+test('another company page lowers the confidence of a matching name below the threshold', () => {
+  const withoutId = companyIdentityService.buildIdentity({ name: 'Grupo Bimbo', linkedinCompanyPage: 'https://www.linkedin.com/company/grupo-bimbo/' });
+  const result = companyIdentityService.matchCompany({ company: 'Grupo Bimbo', companySlug: 'bimbo-bakeries' }, withoutId);
+
+  assert.strictEqual(result.method, 'exact_slug_mismatch');
+  assert.strictEqual(result.passed, false);
+});
+
+test('a requested name is scored against a HubSpot company', () => {
+  assert.ok(companyIdentityService.scoreCompanyName('Bimbo', { name: 'Grupo Bimbo, S.A.B. de C.V.' }) > 0.9);
+  assert.strictEqual(companyIdentityService.scoreCompanyName('Cemex', { name: 'Grupo Bimbo' }), 0);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// El resolver carga el servicio de LinkedIn: su límite diario va a un fichero temporal
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'company-resolver-'));
+process.env.RATE_LIMIT_FILE = path.join(tmpDir, 'rate-limit.json');
+
+const linkedinService = require('../services/linkedinService');
+const companyResolverService = require('../services/companyResolverService');
+
+// Búsqueda de empresas y páginas "About" de LinkedIn simuladas
+const searchResults = [];
+const companyPages = new Map();
+const loadedPages = [];
+linkedinService.searchCompanies = async () => searchResults;
+linkedinService.getCompanyPage = async (slug) => {
+  loadedPages.push(slug);
+  return companyPages.get(slug) || null;
+};
+
+const resolve = (company) => companyResolverService.resolveCompany(company, { writeBack: false });
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  searchResults.length = 0;
+  companyPages.clear();
+  loadedPages.length = 0;
+});
+
+test('domains are compared without protocol, www or path', () => {
+  assert.strictEqual(companyResolverService.normalizeDomain('https://www.GrupoBimbo.com/es/'), 'grupobimbo.com');
+  assert.strictEqual(companyResolverService.normalizeDomain(''), null);
+});
+
+test('the website domain confirms a search result and stops loading pages', async () => {
+  searchResults.push({ slug: 'grupo-bimbo', name: 'Grupo Bimbo' }, { slug: 'bimbo-bakeries-usa', name: 'Bimbo Bakeries USA' });
+  companyPages.set('grupo-bimbo', { companyId: '12345', slug: 'grupo-bimbo', name: 'Grupo Bimbo', website: 'https://mx.grupobimbo.com' });
+
+  const resolution = await resolve({ id: '101', name: 'Grupo Bimbo, S.A.B. de C.V.', domain: 'grupobimbo.com' });
+
+  assert.strictEqual(resolution.status, companyResolverService.MATCH_STATUS.MATCHED);
+  assert.strictEqual(resolution.match.companyId, '12345');
+  assert.strictEqual(resolution.confidence, 1);
+  assert.deepStrictEqual(loadedPages, ['grupo-bimbo']);
+});
+
+test('the right name with another website is left for manual review', async () => {
+  searchResults.push({ slug: 'bimbo-ve', name: 'Grupo Bimbo' });
+  companyPages.set('bimbo-ve', { companyId: '999', slug: 'bimbo-ve', name: 'Grupo Bimbo', website: 'bimbo.com.ve' });
+
+  const resolution = await resolve({ id: '101', name: 'Grupo Bimbo', domain: 'grupobimbo.com' });
+
+  assert.strictEqual(resolution.status, companyResolverService.MATCH_STATUS.AMBIGUOUS);
+  assert.strictEqual(resolution.match, null);
+});
+
+test('two pages with close names and no domain are ambiguous', async () => {
+  searchResults.push({ slug: 'cemex', name: 'Cemex' }, { slug: 'cemex-mexico', name: 'Cemex' });
+  companyPages.set('cemex', { companyId: '1', slug: 'cemex', name: 'Cemex' });
+  companyPages.set('cemex-mexico', { companyId: '2', slug: 'cemex-mexico', name: 'Cemex' });
+
+  const resolution = await resolve({ id: '102', name: 'Cemex' });
+
+  assert.strictEqual(resolution.status, companyResolverService.MATCH_STATUS.AMBIGUOUS);
+  assert.strictEqual(resolution.candidates.length, 2);
+});
+
+test('the page saved in HubSpot is loaded without searching', async () => {
+  searchResults.push({ slug: 'otra', name: 'Grupo Bimbo' });
+  companyPages.set('grupo-bimbo', { companyId: '12345', slug: 'grupo-bimbo', name: 'Grupo Bimbo' });
+
+  const resolution = await resolve({ id: '101', name: 'Grupo Bimbo', linkedinCompanyPage: 'https://www.linkedin.com/company/grupo-bimbo/' });
+
+  assert.strictEqual(resolution.status, companyResolverService.MATCH_STATUS.MATCHED);
+  assert.strictEqual(resolution.match.source, 'hubspot_page');
+  assert.deepStrictEqual(loadedPages, ['grupo-bimbo']);
+});
+
+test('no candidate page means not found', async () => {
+  const resolution = await resolve({ id: '103', name: 'Empresa Inexistente' });
+
+  assert.strictEqual(resolution.status, companyResolverService.MATCH_STATUS.NOT_FOUND);
+  assert.strictEqual(resolution.confidence, 0);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dealRoutingService = require('../services/dealRoutingService');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deal-routing-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Carga el servicio con otro archivo de reglas (DEAL_ROUTING_RULES_FILE)
+const loadWithRules = (name, customRules) => {
+  const file = path.join(tmpDir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(customRules));
+  process.env.DEAL_ROUTING_RULES_FILE = file;
+  delete require.cache[require.resolve('../services/dealRoutingService')];
+  try {
+    return require('../services/dealRoutingService');
+  } finally {
+    delete process.env.DEAL_ROUTING_RULES_FILE;
+    delete require.cache[require.resolve('../services/dealRoutingService')];
+  }
+};
+
+const verdict = (method) => ({ accepted: true, checks: { company: { passed: true, method } } });
+
+test('builds the match facts from the title, the company check and the company', () => {
+  const facts = dealRoutingService.buildFacts(
+    { title: 'CFO at Acme' },
+    verdict('alias'),
+    { tier: 'tier_1', ownerId: '42' }
+  );
+  assert.deepStrictEqual(facts, {
+    seniority: 'c_level',
+    companyMatch: 'exact',
+    companyMatchMethod: 'alias',
+    tier1: true,
+    ownerId: '42'
+  });
+
+  // La posición actual de la visita al perfil manda sobre el titular
+  const enriched = dealRoutingService.buildFacts(
+    { title: 'Analista', enrichment: { currentPosition: 'Director de Finanzas' } },
+    verdict('fuzzy'),
+    { tier: 'tier_2' }
+  );
+  assert.strictEqual(enriched.seniority, 'director');
+  assert.strictEqual(enriched.companyMatch, 'fuzzy');
+  assert.strictEqual(enriched.tier1, false);
+  assert.strictEqual(enriched.ownerId, null);
+
+  assert.strictEqual(dealRoutingService.buildFacts({ title: 'CFO' }, null).companyMatch, 'fuzzy');
+});
+
+test('routes with the first matching default rule', () => {
+  const hot = dealRoutingService.routeDeal({ seniority: 'c_level', companyMatch: 'exact', tier1: false, ownerId: '42' });
+  assert.deepStrictEqual(hot, { rule: 'hot_c_level', pipeline: null, stage: 'Hot', ownerId: '42', priority: 'high' });
+
+  // Un VP de una cuenta de tier 1 cumple el nivel mínimo (director)
+  const tier1 = dealRoutingService.routeDeal({ seniority: 'vp', companyMatch: 'fuzzy', tier1: true, ownerId: null });
+  assert.deepStrictEqual(tier1, { rule: 'tier1_senior', pipeline: null, stage: null, ownerId: null, priority: 'medium' });
+
+  const none = dealRoutingService.routeDeal({ seniority: 'manager', companyMatch: 'exact', tier1: true, ownerId: '42' });
+  assert.deepStrictEqual(none, { rule: null, pipeline: null, stage: null, ownerId: null, priority: null });
+
+  // Sin nivel reconocido no se cumple ningún mínimo
+  assert.strictEqual(dealRoutingService.routeDeal({ seniority: null, companyMatch: 'fuzzy', tier1: true }).rule, null);
+});
+
+test('routes to fixed pipelines and owners from a custom rules file', () => {
+  const service = loadWithRules('custom', {
+    rules: [
+      { name: 'colombia', when: { companyMatch: 'exact' }, route: { pipeline: 811215668, stage: 'Nuevo', owner: 7 } },
+      { name: 'fallback', route: { priority: 'low' } }
+    ]
+  });
+
+  assert.deepStrictEqual(service.routeDeal({ seniority: 'manager', companyMatch: 'exact', ownerId: '42' }), {
+    rule: 'colombia', pipeline: '811215668', stage: 'Nuevo', ownerId: '7', priority: null
+  });
+  assert.strictEqual(service.routeDeal({ seniority: 'manager', companyMatch: 'fuzzy' }).rule, 'fallback');
+  assert.deepStrictEqual(service.listRoutes(), [{ rule: 'colombia', pipeline: '811215668', stage: 'Nuevo' }]);
+});
+
+test('the default rules pass the check', () => {
+  assert.deepStrictEqual(dealRoutingService.checkRules(), []);
+});
+
+test('reports invalid conditions and routes', () => {
+  const service = loadWithRules('invalid', {
+    rules: [
+      {
+        when: { seniority: 'c_level', companyMatch: 'partial', tier1: 'yes', country: 'MX' },
+        route: { priority: 'urgent', owner: 'ana@acme.com', queue: 'sdr' }
+      },
+      { name: 'unknown_level', when: { seniority: ['ceo'], minSeniority: 'boss' } }
+    ]
+  });
+
+  assert.deepStrictEqual(service.checkRules(), [
+    'rules[0]: missing name',
+    'rules[0]: unknown condition "country" (allowed: seniority, minSeniority, companyMatch, tier1)',
+    'rules[0]: unknown route field "queue" (allowed: pipeline, stage, owner, priority)',
+    'rules[0]: seniority must be a list of seniority levels',
+    'rules[0]: companyMatch must be "exact" or "fuzzy"',
+    'rules[0]: tier1 must be true or false',
+    'rules[0]: priority must be one of low, medium, high',
+    'rules[0]: owner must be "company_owner" or a HubSpot owner ID',
+    'rules[1] (unknown_level): unknown seniority "ceo"',
+    'rules[1] (unknown_level): unknown seniority "boss"'
+  ]);
+
+  assert.deepStrictEqual(loadWithRules('empty', {}).checkRules(), ['Deal routing rules must export a "rules" array']);
+});
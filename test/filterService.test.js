@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const filterService = require('../services/filterService');
+const locationService = require('../services/locationService');
+
+const locationRules = locationService.getLocationRules({ run: { countries: 'MX', unknownLocation: 'reject' } });
+
+// Resultado de búsqueda de LinkedIn tal como lo entrega dataExtractionService
+const person = (overrides = {}) => ({
+  name: 'Ana Pérez',
+  profileUrl: 'https://www.linkedin.com/in/ana-perez',
+  title: 'CFO at Grupo Bimbo',
+  location: 'Ciudad de México, México',
+  company: 'Grupo Bimbo',
+  ...overrides
+});
+
+const evaluate = (overrides, options = {}) => filterService.evaluateCandidate(person(overrides), 'Bimbo', 'CFO', { locationRules, ...options });
+
+test('an accepted verdict explains which title rule matched', () => {
+  const verdict = evaluate({});
+
+  assert.strictEqual(verdict.accepted, true);
+  assert.strictEqual(verdict.rule, filterService.RULES.TITLE);
+  assert.strictEqual(verdict.reason, 'title_synonym');
+  assert.deepStrictEqual(verdict.matchedKeywords, ['cfo']);
+  assert.ok(verdict.score > 0.9 && verdict.score <= 1);
+  assert.deepStrictEqual(Object.keys(verdict.checks), ['location', 'company', 'title']);
+});
+
+test('a result without profile URL is rejected before any other rule', () => {
+  const verdict = evaluate({ profileUrl: null });
+
+  assert.strictEqual(verdict.accepted, false);
+  assert.strictEqual(verdict.rule, filterService.RULES.PROFILE_URL);
+  assert.strictEqual(verdict.reason, 'no_url');
+  assert.strictEqual(verdict.score, 0);
+});
+
+test('the first failing rule decides the verdict, but every rule is checked', () => {
+  const verdict = evaluate({ location: 'Bogotá, Colombia', title: 'Software Engineer at Bimbo' });
+
+  assert.strictEqual(verdict.accepted, false);
+  assert.strictEqual(verdict.rule, filterService.RULES.LOCATION);
+  assert.strictEqual(verdict.reason, 'location_mismatch');
+  assert.strictEqual(verdict.checks.title.passed, false);
+  assert.strictEqual(verdict.checks.company.passed, true);
+});
+
+test('a result without headline is accepted when company and location match', () => {
+  const verdict = evaluate({ title: null });
+
+  assert.strictEqual(verdict.accepted, true);
+  assert.strictEqual(verdict.reason, 'title_missing');
+});
+
+test('evaluateResults keeps the order of the results and filterResults only the accepted', () => {
+  const results = [person({ name: 'A', title: 'Software Engineer at Bimbo' }), person({ name: 'B' })];
+
+  const evaluations = filterService.evaluateResults(results, 'Bimbo', 'CFO', { locationRules });
+  assert.deepStrictEqual(evaluations.map(({ person, verdict }) => [person.name, verdict.accepted]), [['A', false], ['B', true]]);
+  assert.deepStrictEqual(filterService.filterResults(results, 'Bimbo', 'CFO', { locationRules }).map(({ name }) => name), ['B']);
+});
+
+test('a profile rejected in ClickUp is suppressed whatever its URL variant', () => {
+  const suppressedProfiles = new Set(['https://www.linkedin.com/in/ana-perez/']);
+  const verdict = evaluate({ profileUrl: 'https://mx.linkedin.com/in/Ana-Perez?trk=search' }, { suppressedProfiles });
+
+  assert.strictEqual(verdict.accepted, false);
+  assert.strictEqual(verdict.rule, filterService.RULES.SUPPRESSED);
+  assert.strictEqual(verdict.reason, 'rejected_in_clickup');
+  assert.deepStrictEqual(verdict.checks, {});
+
+  assert.strictEqual(evaluate({ profileUrl: 'https://www.linkedin.com/in/otra-persona' }, { suppressedProfiles }).accepted, true);
+});
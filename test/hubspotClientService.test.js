@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Token de prueba y reintentos sin esperas
+process.env.HUBSPOT_TOKEN = 'test-token';
+process.env.HUBSPOT_MAX_RETRIES = '2';
+process.env.HUBSPOT_RETRY_BASE_DELAY = '1';
+
+const axios = require('axios');
+const hubspotClientService = require('../services/hubspotClientService');
+
+// Peticiones enviadas y respuestas simuladas (una función por petición, en orden)
+let requests = [];
+let responses = [];
+const fakeRequest = (method) => async (url, ...args) => {
+  const config = method === 'get' ? args[0] : args[1];
+  requests.push({ method, url, data: method === 'get' ? undefined : args[0], config });
+  const respond = responses.shift();
+  if (!respond) throw new Error(`Unexpected request ${method.toUpperCase()} ${url}`);
+  return { data: await respond({ url, data: args[0] }) };
+};
+axios.get = fakeRequest('get');
+axios.post = fakeRequest('post');
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+};
+const fail = (error) => () => { throw error; };
+
+test.beforeEach(() => {
+  requests = [];
+  responses = [];
+});
+
+test('sends the token and returns the response body', async () => {
+  responses.push(() => ({ id: '1' }));
+  const body = await hubspotClientService.get('/crm/v3/objects/deals/1', { properties: 'dealname' });
+
+  assert.deepStrictEqual(body, { id: '1' });
+  assert.strictEqual(requests[0].url, 'https://api.hubapi.com/crm/v3/objects/deals/1');
+  assert.strictEqual(requests[0].config.headers.Authorization, 'Bearer test-token');
+  assert.deepStrictEqual(requests[0].config.params, { properties: 'dealname' });
+});
+
+test('retries rate limits, server and network errors', async () => {
+  const reset = new Error('socket hang up');
+  reset.code = 'ECONNRESET';
+  responses.push(fail(httpError(429, { 'retry-after': '0' })), fail(reset), () => ({ ok: true }));
+  assert.deepStrictEqual(await hubspotClientService.post('/crm/v3/objects/deals', {}), { ok: true });
+  assert.strictEqual(requests.length, 3);
+
+  requests = [];
+  responses.push(fail(httpError(502)), () => ({ ok: true }));
+  assert.deepStrictEqual(await hubspotClientService.get('/crm/v3/pipelines/deals'), { ok: true });
+  assert.strictEqual(requests.length, 2);
+});
+
+test('does not retry client errors and gives up after the last retry', async () => {
+  responses.push(fail(httpError(400)));
+  await assert.rejects(hubspotClientService.post('/crm/v3/objects/deals', {}), error => error.response.status === 400);
+  assert.strictEqual(requests.length, 1);
+
+  requests = [];
+  responses.push(fail(httpError(503)), fail(httpError(503)), fail(httpError(503)));
+  await assert.rejects(hubspotClientService.get('/crm/v3/pipelines/deals'), error => error.response.status === 503);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('reads records in batches of 100 without repeated IDs', async () => {
+  const ids = [...Array.from({ length: 250 }, (_, i) => `id-${i}`), 'id-0', 'id-1'];
+  for (let i = 0; i < 3; i++) {
+    responses.push(({ data }) => ({ results: data.inputs.map(input => ({ id: input.id })) }));
+  }
+
+  const results = await hubspotClientService.batchRead('deals', ids, {
+    properties: ['linkedin_profile_url'],
+    idProperty: 'linkedin_profile_url'
+  });
+
+  assert.strictEqual(results.length, 250);
+  assert.deepStrictEqual(requests.map(request => request.data.inputs.length), [100, 100, 50]);
+  assert.strictEqual(requests[0].url, 'https://api.hubapi.com/crm/v3/objects/deals/batch/read');
+  assert.strictEqual(requests[0].data.idProperty, 'linkedin_profile_url');
+  assert.deepStrictEqual(requests[0].data.properties, ['linkedin_profile_url']);
+});
+
+test('creates, updates and upserts in batches of 100', async () => {
+  const inputs = Array.from({ length: 150 }, (_, i) => ({ properties: { dealname: `Deal ${i}` } }));
+  for (let i = 0; i < 6; i++) {
+    responses.push(({ data }) => ({ results: data.inputs.map((input, index) => ({ id: String(index) })) }));
+  }
+
+  assert.strictEqual((await hubspotClientService.batchCreate('deals', inputs)).length, 150);
+  assert.strictEqual((await hubspotClientService.batchUpdate('deals', inputs)).length, 150);
+  assert.strictEqual((await hubspotClientService.batchUpsert('contacts', inputs)).length, 150);
+  assert.deepStrictEqual(requests.map(request => request.url.replace('https://api.hubapi.com/crm/v3/objects/', '')), [
+    'deals/batch/create', 'deals/batch/create',
+    'deals/batch/update', 'deals/batch/update',
+    'contacts/batch/upsert', 'contacts/batch/upsert'
+  ]);
+});
+
+test('follows search pages until the last one or the result limit', async () => {
+  responses.push(
+    () => ({ results: [{ id: '1' }, { id: '2' }], paging: { next: { after: '2' } } }),
+    () => ({ results: [{ id: '3' }] })
+  );
+  const all = await hubspotClientService.searchAll('companies', { filterGroups: [] });
+  assert.deepStrictEqual(all.map(record => record.id), ['1', '2', '3']);
+  assert.strictEqual(requests[1].data.after, '2');
+  assert.strictEqual(requests[1].data.limit, 100);
+
+  requests = [];
+  responses.push(() => ({ results: [{ id: '1' }, { id: '2' }], paging: { next: { after: '2' } } }));
+  const limited = await hubspotClientService.searchAll('companies', { filterGroups: [] }, { maxResults: 1 });
+  assert.deepStrictEqual(limited.map(record => record.id), ['1']);
+  assert.strictEqual(requests.length, 1);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const hubspotMappingService = require('../services/hubspotMappingService');
+const locationService = require('../services/locationService');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hubspot-mapping-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Carga el servicio con otro archivo de mapeo (HUBSPOT_FIELD_MAPPING_FILE)
+const loadWithMapping = (name, customMapping) => {
+  const file = path.join(tmpDir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(customMapping));
+  process.env.HUBSPOT_FIELD_MAPPING_FILE = file;
+  delete require.cache[require.resolve('../services/hubspotMappingService')];
+  try {
+    return require('../services/hubspotMappingService');
+  } finally {
+    delete process.env.HUBSPOT_FIELD_MAPPING_FILE;
+    delete require.cache[require.resolve('../services/hubspotMappingService')];
+  }
+};
+
+const ana = {
+  name: 'Ana López García, CFA 📊',
+  title: 'CFO',
+  company: 'Acme',
+  location: 'Monterrey, Nuevo León, México',
+  profileUrl: 'https://www.linkedin.com/in/ana/'
+};
+
+test('splits the person name into first and last name, dropping suffixes and emoji', () => {
+  const { person } = hubspotMappingService.buildPersonContext(ana);
+  assert.strictEqual(person.firstName, 'Ana');
+  assert.strictEqual(person.lastName, 'López García');
+
+  const nickname = hubspotMappingService.buildPersonContext({ name: 'Juan (Johnny) Pérez' }).person;
+  assert.strictEqual(nickname.firstName, 'Juan');
+  assert.strictEqual(nickname.lastName, 'Pérez');
+
+  const single = hubspotMappingService.buildPersonContext({ name: 'Madonna' }).person;
+  assert.strictEqual(single.firstName, 'Madonna');
+  assert.strictEqual(single.lastName, null);
+});
+
+test('leaves first and last name empty for out-of-network members', () => {
+  for (const name of ['LinkedIn Member', 'Miembro de LinkedIn', '', null]) {
+    const { person } = hubspotMappingService.buildPersonContext({ name });
+    assert.strictEqual(person.firstName, null);
+    assert.strictEqual(person.lastName, null);
+  }
+});
+
+test('describes a LinkedIn location as city, state and country', () => {
+  assert.deepStrictEqual(locationService.describeLocation('Monterrey, Nuevo León, México'), {
+    city: 'Monterrey', state: 'Nuevo León', country: 'México', countryCode: 'MX'
+  });
+  assert.strictEqual(locationService.describeLocation(''), null);
+});
+
+test('renders contact properties from the person, falling back to the searched company', () => {
+  const context = hubspotMappingService.buildPersonContext(ana, { company: 'Acme SA', jobTitle: 'CFO' });
+  assert.deepStrictEqual(hubspotMappingService.renderProperties('contact', context), {
+    firstname: 'Ana',
+    lastname: 'López García',
+    jobtitle: 'CFO',
+    company: 'Acme',
+    city: 'Monterrey',
+    state: 'Nuevo León',
+    country: 'México',
+    linkedin_location: 'Monterrey, Nuevo León, México'
+  });
+
+  // Sin empresa en el perfil se usa la empresa buscada; los valores vacíos no se escriben
+  const minimal = hubspotMappingService.buildPersonContext({ name: 'LinkedIn Member' }, { company: 'Acme SA' });
+  assert.deepStrictEqual(hubspotMappingService.renderProperties('contact', minimal), { company: 'Acme SA' });
+});
+
+test('prefers the enriched current position and company for the contact', () => {
+  const enrichment = {
+    currentPosition: 'Chief Financial Officer',
+    currentCompany: 'Acme Holding',
+    tenure: '3 años',
+    about: null,
+    experience: [],
+    education: []
+  };
+  const context = hubspotMappingService.buildPersonContext({ ...ana, enrichment });
+  const properties = hubspotMappingService.renderProperties('contact', context);
+  assert.strictEqual(properties.jobtitle, 'Chief Financial Officer');
+  assert.strictEqual(properties.company, 'Acme Holding');
+});
+
+test('renders templates with fallbacks and quoted literals', () => {
+  const context = { person: { name: '', title: 'CFO' }, search: { company: 'Acme' } };
+  const { renderTemplate } = hubspotMappingService;
+
+  assert.strictEqual(renderTemplate('{{person.title}} en {{search.company}}', context), 'CFO en Acme');
+  assert.strictEqual(renderTemplate('{{ person.name || "LinkedIn Member" }}', context), 'LinkedIn Member');
+  assert.strictEqual(renderTemplate("{{person.name || person.title || 'N/A'}}", context), 'CFO');
+  assert.strictEqual(renderTemplate('[{{person.location}}]', context), '[]');
+
+  // Los valores que no son texto se devuelven tal cual
+  assert.strictEqual(renderTemplate(0, context), 0);
+  assert.strictEqual(renderTemplate(true, context), true);
+});
+
+test('the default mapping passes the check', () => {
+  assert.deepStrictEqual(hubspotMappingService.checkMapping(), []);
+});
+
+test('reports unknown sections, variables and values in a custom mapping', () => {
+  const service = loadWithMapping('invalid', {
+    deal: { dealname: '{{person.fullName}} - {{search.company}}', amount: 0, tags: ['a'] },
+    contact: { firstname: '{{person.firstName.value || "N/A"}}' },
+    leads: {},
+    pipelines: { 123: { ticket: {}, deal: { description: '{{post.url}} {{today}} {{now.date}}' } } }
+  });
+
+  assert.deepStrictEqual(service.checkMapping(), [
+    'Unknown mapping section "leads" (allowed: deal, postDeal, contact, company, pipelines)',
+    'Unknown section "ticket" in pipeline 123',
+    'deal.dealname: unknown variable "person.fullName"',
+    'deal.tags: value must be a text template, a number or a boolean',
+    'contact.firstname: unknown variable "person.firstName.value"',
+    'pipelines.123.deal.description: unknown variable "now.date"'
+  ]);
+});
+
+test('applies per-pipeline overrides when rendering properties', () => {
+  const service = loadWithMapping('pipelines', {
+    deal: { dealname: '{{person.name}}', deal_currency_code: 'MXN' },
+    pipelines: { 811215668: { deal: { deal_currency_code: 'COP' } } }
+  });
+
+  const mexico = service.buildPersonContext({ name: 'Ana' }, {}, '700');
+  assert.deepStrictEqual(service.renderProperties('deal', mexico), { dealname: 'Ana', deal_currency_code: 'MXN' });
+
+  const colombia = service.buildPersonContext({ name: 'Ana' }, {}, '811215668');
+  assert.deepStrictEqual(service.renderProperties('deal', colombia), { dealname: 'Ana', deal_currency_code: 'COP' });
+
+  assert.deepStrictEqual(
+    service.listMappedProperties().map(entry => [entry.pipelineId, entry.objectType, entry.property]),
+    [[null, 'deals', 'dealname'], [null, 'deals', 'deal_currency_code'], ['811215668', 'deals', 'deal_currency_code']]
+  );
+});
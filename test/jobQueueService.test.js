@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Journal en un directorio temporal: nunca se toca data/scrape-jobs.jsonl
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+process.env.SCRAPE_JOBS_FILE = path.join(tmpDir, 'scrape-jobs.jsonl');
+
+const SERVICE = require.resolve('../services/jobQueueService');
+
+// Carga el servicio como un proceso nuevo que solo conoce el journal
+const loadQueue = () => {
+  delete require.cache[SERVICE];
+  return require(SERVICE);
+};
+
+const companies = [{ id: 'c1', company: 'Bimbo' }, { id: 'c2', company: 'Cemex' }];
+const jobTitles = [{ id: 't1', title: 'CFO' }, { id: 't2', title: 'Director de Finanzas' }];
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test.beforeEach(() => fs.rmSync(process.env.SCRAPE_JOBS_FILE, { force: true }));
+
+test('a new process rebuilds runs and jobs from the journal', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies, jobTitles);
+  const [first, second] = await queue.getJobs(run.id);
+  await queue.startJob(first.id);
+  await queue.completeJob(first.id, { resultsCount: 3 });
+  await queue.startJob(second.id);
+  await queue.failJob(second.id, 'boom');
+
+  const reloaded = loadQueue();
+  assert.strictEqual((await reloaded.getLatestRun()).id, run.id);
+  const jobs = await reloaded.getJobs(run.id);
+  assert.deepStrictEqual(jobs.map(job => job.state), ['done', 'failed', 'pending', 'pending']);
+  assert.strictEqual(jobs[0].resultsCount, 3);
+  assert.strictEqual(jobs[1].error, 'boom');
+  assert.strictEqual((await reloaded.getNextJob(run.id)).id, jobs[2].id);
+});
+
+test('a job left running by a crashed process is pending again', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies, jobTitles);
+  const [first] = await queue.getJobs(run.id);
+  await queue.startJob(first.id);
+
+  const reloaded = loadQueue();
+  const [recovered] = await reloaded.getJobs(run.id);
+  assert.strictEqual(recovered.state, 'pending');
+  assert.strictEqual(recovered.attempts, 1);
+});
+
+test('a corrupt journal line is skipped and the rest is replayed', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies, jobTitles);
+  fs.appendFileSync(process.env.SCRAPE_JOBS_FILE, '{"type":"job","rec\n');
+  const [first] = await queue.getJobs(run.id);
+  await queue.completeJob(first.id);
+
+  const reloaded = loadQueue();
+  const jobs = await reloaded.getJobs(run.id);
+  assert.strictEqual(jobs.length, 4);
+  assert.strictEqual(jobs[0].state, 'done');
+});
+
+test('two processes see each other\'s changes', async () => {
+  const server = loadQueue();
+  const run = await server.createRun(companies, jobTitles);
+  const scheduler = loadQueue();
+  const [first, second] = await scheduler.getJobs(run.id);
+
+  await scheduler.completeJob(first.id);
+  await server.completeJob(second.id);
+
+  const jobs = await scheduler.getJobs(run.id);
+  assert.deepStrictEqual(jobs.map(job => job.state), ['done', 'done', 'pending', 'pending']);
+});
+
+test('a deferred search is saved as the run cursor and resumed from there', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies, jobTitles);
+  const jobs = await queue.getJobs(run.id);
+  await queue.completeJob(jobs[0].id);
+  await queue.deferJob(jobs[1].id, 'daily_limit');
+
+  const reloaded = loadQueue();
+  assert.strictEqual((await reloaded.getResumableRun()).id, run.id);
+  assert.strictEqual((await reloaded.getJobs(run.id))[1].state, 'deferred');
+
+  const cursor = await reloaded.resumeDeferredJobs(run.id);
+  assert.strictEqual(cursor.jobId, jobs[1].id);
+  assert.strictEqual(cursor.reason, 'daily_limit');
+  assert.strictEqual((await reloaded.getRun(run.id)).cursor, null);
+  assert.strictEqual((await reloaded.getJobAtCursor(run.id, cursor)).id, jobs[1].id);
+});
+
+test('the cursor skips searches already done after it', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies, jobTitles);
+  const jobs = await queue.getJobs(run.id);
+  await queue.deferJob(jobs[2].id, 'captcha_required');
+  await queue.completeJob(jobs[3].id);
+
+  const cursor = await queue.resumeDeferredJobs(run.id);
+  assert.strictEqual((await queue.getJobAtCursor(run.id, cursor)).id, jobs[2].id);
+  await queue.completeJob(jobs[2].id);
+  // Lo que quedó antes del cursor se procesa al final
+  assert.strictEqual((await queue.getJobAtCursor(run.id, cursor)).id, jobs[0].id);
+});
+
+test('the run summary counts searches and profiles from the finished jobs', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies, jobTitles);
+  const jobs = await queue.getJobs(run.id);
+  await queue.startJob(jobs[0].id);
+  await queue.completeJob(jobs[0].id, { resultsCount: 10, matchedCount: 4, createdCount: 3, duplicateCount: 1 });
+  await queue.startJob(jobs[1].id);
+  await queue.failJob(jobs[1].id, 'boom');
+  await queue.deferJob(jobs[2].id, 'daily_limit');
+
+  const summary = await queue.getRunSummary(run.id);
+  assert.deepStrictEqual(summary.jobs, { pending: 1, running: 0, done: 1, failed: 1, deferred: 1 });
+  assert.deepStrictEqual(summary.profiles, { found: 10, filteredOut: 6, created: 3, duplicates: 1, failed: 0, enriched: 0 });
+  assert.strictEqual(typeof summary.avgSearchDurationMs, 'number');
+  // Solo Cemex tiene búsquedas pendientes
+  assert.strictEqual(summary.pendingCompanies, 1);
+  assert.strictEqual(summary.cursor.jobId, jobs[2].id);
+});
+
+test('the summary of an unknown run is null', async () => {
+  assert.strictEqual(await loadQueue().getRunSummary('run-0'), null);
+});
+
+test('a cancelled run records the next search it did not process', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies, jobTitles);
+  const jobs = await queue.getJobs(run.id);
+  await queue.completeJob(jobs[0].id);
+  await queue.failJob(jobs[1].id, 'boom');
+
+  const cancelled = await queue.cancelRun(run.id, jobs[2]);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.deepStrictEqual(cancelled.cancelledAt, { companyId: 'c2', jobTitleId: 't1', searchesProcessed: 2, searchesTotal: 4 });
+  // Un run cancelado no se reanuda
+  assert.strictEqual(await loadQueue().getResumableRun(), null);
+});
+
+test('an on-demand run is only resumed by a run with the same filters', async () => {
+  const queue = loadQueue();
+  const run = await queue.createRun(companies.slice(0, 1), jobTitles, { filters: { companyIds: ['c1'] } });
+
+  assert.strictEqual(await queue.getResumableRun(), null);
+  assert.strictEqual(await queue.getResumableRun({ companyIds: ['c2'] }), null);
+  assert.strictEqual((await queue.getResumableRun({ companyIds: ['c1'] })).id, run.id);
+});
+
+test('an on-demand run keeps its filters and the force flag', async () => {
+  const queue = loadQueue();
+  const filters = { companyIds: ['c2'], jobTitles: ['CFO'] };
+  const run = await queue.createRun(companies.slice(1), jobTitles.slice(0, 1), { filters, force: true, updatesLastScrape: false });
+
+  const reloaded = await loadQueue().getRun(run.id);
+  assert.deepStrictEqual(reloaded.filters, filters);
+  assert.strictEqual(reloaded.force, true);
+  assert.strictEqual(reloaded.updatesLastScrape, false);
+  assert.strictEqual(reloaded.totalJobs, 1);
+});
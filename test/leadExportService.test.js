@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Leads del destino "export" en un fichero temporal
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-export-'));
+process.env.LEADS_FILE = path.join(tmpDir, 'leads.jsonl');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const leadStoreService = require('../services/leadStoreService');
+const leadExportService = require('../services/leadExportService');
+
+// Almacén de leads simulado
+let storedLeads = [];
+leadStoreService.listLeads = async () => storedLeads;
+
+const verdict = (at, overrides = {}) => ({
+  at,
+  runId: 'run-1',
+  searchCompanyId: '101',
+  searchCompany: 'Bimbo',
+  searchJobTitle: 'CFO',
+  accepted: true,
+  rule: 'title',
+  score: 0.95,
+  ...overrides
+});
+
+const lead = (id, verdicts, overrides = {}) => ({
+  profileUrl: `https://www.linkedin.com/in/${id}/`,
+  name: `Persona ${id}`,
+  current: { title: 'CFO', company: 'Grupo Bimbo', location: 'Ciudad de México, México' },
+  observations: [],
+  verdicts,
+  sinks: {},
+  accepted: null,
+  ...overrides
+});
+
+test('records export leads once per canonical profile URL', async () => {
+  const person = { name: 'Ana', title: 'CFO', profileUrl: 'https://mx.linkedin.com/in/Ana?trk=x' };
+  assert.strictEqual(await leadExportService.hasLead(person.profileUrl), false);
+
+  const recorded = await leadExportService.recordLead(person, { runId: 'run-1', companyName: 'Bimbo', jobTitle: 'CFO' }, {
+    matchScore: 0.9,
+    ids: { hubspot_deal: '901', clickup_result: 'task-1' }
+  });
+
+  assert.strictEqual(recorded.profileUrl, 'https://www.linkedin.com/in/ana/');
+  assert.strictEqual(recorded.hubspotDealId, '901');
+  assert.strictEqual(recorded.clickupResultId, 'task-1');
+  assert.strictEqual(await leadExportService.hasLead('https://www.linkedin.com/in/ana'), true);
+
+  const lines = fs.readFileSync(process.env.LEADS_FILE, 'utf8').trim().split('\n');
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(JSON.parse(lines[0]).searchCompany, 'Bimbo');
+});
+
+test('CSV cells that Excel would run as formulas are written as text', async () => {
+  storedLeads = [
+    lead('ana', [verdict('2026-03-01T10:00:00.000Z')], {
+      name: '=HYPERLINK("http://evil.example","click")',
+      current: { title: '+CFO, Finance "Lead"', company: '@Bimbo', location: '-Monterrey' }
+    })
+  ];
+
+  const { content, contentType, extension, count } = await leadExportService.exportLeads('CSV');
+  assert.strictEqual(contentType, 'text/csv; charset=utf-8');
+  assert.strictEqual(extension, 'csv');
+  assert.strictEqual(count, 1);
+  assert.ok(content.startsWith('\uFEFFScraped At,Search Company,'));
+
+  const row = content.split('\r\n')[1];
+  assert.ok(row.includes(`"'=HYPERLINK(""http://evil.example"",""click"")"`), row);
+  assert.ok(row.includes(`"'+CFO, Finance ""Lead"""`), row);
+  assert.ok(row.includes(",'@Bimbo,'-Monterrey,"), row);
+});
+
+test('filters by company name or ID, searched title, dates and verdict', async () => {
+  storedLeads = [
+    lead('ana', [verdict('2026-03-01T10:00:00.000Z'), verdict('2026-03-05T10:00:00.000Z', { runId: 'run-2' })]),
+    lead('juan', [verdict('2026-03-02T23:30:00.000Z', { searchJobTitle: 'Director de Finanzas' })]),
+    lead('luis', [verdict('2026-03-03T09:00:00.000Z', { searchCompanyId: '202', searchCompany: 'Femsa', accepted: false, rule: 'company' })])
+  ];
+
+  // Una fila por perfil y búsqueda: la última vez que esa búsqueda lo encontró
+  const all = await leadExportService.getLeads();
+  assert.deepStrictEqual(all.map(row => [row.name, row.runId]), [
+    ['Persona juan', 'run-1'], ['Persona luis', 'run-1'], ['Persona ana', 'run-2']
+  ]);
+
+  assert.deepStrictEqual((await leadExportService.getLeads({ company: ' bimbo ' })).map(row => row.name), ['Persona juan', 'Persona ana']);
+  assert.deepStrictEqual((await leadExportService.getLeads({ company: '202' })).map(row => row.name), ['Persona luis']);
+  assert.deepStrictEqual((await leadExportService.getLeads({ jobTitle: 'director de finanzas' })).map(row => row.name), ['Persona juan']);
+  assert.deepStrictEqual((await leadExportService.getLeads({ accepted: false })).map(row => row.filterRule), ['company']);
+
+  // Un día sin hora en "to" incluye el día completo
+  const range = await leadExportService.getLeads({ from: '2026-03-02', to: '2026-03-02' });
+  assert.deepStrictEqual(range.map(row => row.name), ['Persona juan']);
+  const early = await leadExportService.getLeads({ to: '2026-03-01' });
+  assert.deepStrictEqual(early.map(row => [row.name, row.runId]), [['Persona ana', 'run-1']]);
+});
+
+test('exports JSONL and XLSX, and rejects unknown formats and dates', async () => {
+  storedLeads = [lead('ana', [verdict('2026-03-01T10:00:00.000Z')])];
+
+  const jsonl = await leadExportService.exportLeads('jsonl');
+  assert.strictEqual(JSON.parse(jsonl.content.trim()).profileUrl, 'https://www.linkedin.com/in/ana/');
+
+  const xlsx = await leadExportService.exportLeads('xlsx');
+  assert.ok(Buffer.isBuffer(xlsx.content));
+  assert.strictEqual(xlsx.content.subarray(0, 2).toString(), 'PK');
+
+  await assert.rejects(leadExportService.exportLeads('pdf'), { message: 'Invalid export format: pdf (allowed: csv, jsonl, xlsx)' });
+  await assert.rejects(leadExportService.exportLeads('csv', { from: 'yesterday' }), { message: 'Invalid date for from: yesterday' });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Journal en un directorio temporal: nunca se toca data/lead-store.jsonl
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-store-'));
+process.env.LEAD_STORE_FILE = path.join(tmpDir, 'lead-store.jsonl');
+process.env.LEAD_SYNC_MAX_ATTEMPTS = '2';
+
+const scrapeEventsService = require('../services/scrapeEventsService');
+
+const SERVICE = require.resolve('../services/leadStoreService');
+
+// Carga el servicio como un proceso nuevo que solo conoce el journal
+const loadStore = () => {
+  delete require.cache[SERVICE];
+  return require(SERVICE);
+};
+
+const job = { runId: 'run-1', id: 'job-1', companyId: '101', companyName: 'Bimbo', jobTitleId: 't1', jobTitle: 'CFO' };
+const accepted = { accepted: true, rule: 'title', reason: 'title_synonym', score: 0.95, checks: {} };
+const rejected = { accepted: false, rule: 'location', reason: 'location_mismatch', score: 0.4, checks: {} };
+
+const person = (overrides = {}) => ({
+  name: 'Ana López',
+  title: 'CFO',
+  company: 'Grupo Bimbo',
+  location: 'Monterrey, México',
+  profileUrl: 'https://mx.linkedin.com/in/Ana?trk=x',
+  ...overrides
+});
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test.beforeEach(() => fs.rmSync(process.env.LEAD_STORE_FILE, { force: true }));
+
+test('records every search result with its verdict and only the observations that change', async () => {
+  const store = loadStore();
+  await store.recordObservations([{ person: person(), verdict: accepted }], job);
+  await store.recordObservations([{ person: person({ profileUrl: 'https://www.linkedin.com/in/ana/' }), verdict: accepted }], job);
+  await store.recordObservations([{ person: person({ title: 'CEO' }), verdict: rejected }, { person: person({ profileUrl: null }), verdict: rejected }], job);
+
+  const lead = await loadStore().getLead('https://www.linkedin.com/in/ANA');
+  assert.strictEqual(lead.profileUrl, 'https://www.linkedin.com/in/ana/');
+  assert.strictEqual(lead.timesSeen, 3);
+  assert.deepStrictEqual(lead.observations.map(observation => observation.title), ['CFO', 'CEO']);
+  assert.deepStrictEqual(lead.current, { title: 'CEO', company: 'Grupo Bimbo', location: 'Monterrey, México' });
+  assert.deepStrictEqual(lead.verdicts.map(verdict => verdict.accepted), [true, true, false]);
+  // La última búsqueda que lo aceptó se conserva para reintentar
+  assert.strictEqual(lead.accepted.person.title, 'CFO');
+  assert.strictEqual(lead.accepted.job.companyName, 'Bimbo');
+});
+
+test('records sink results and leaves the sinks after a retry-later as pending', async () => {
+  const store = loadStore();
+  await store.recordObservations([{ person: person(), verdict: accepted }], job);
+  await store.recordSyncResults(person(), { job, verdict: accepted }, [
+    { sink: 'hubspot_deal', status: 'created', id: '901', details: { contactId: '55' } },
+    { sink: 'clickup_result', status: 'retry_later', error: 'ClickUp duplicate check failed' }
+  ], ['hubspot_deal', 'clickup_result', 'export']);
+
+  const { sinks } = await loadStore().getLead(person().profileUrl);
+  assert.strictEqual(sinks.hubspot_deal.status, 'synced');
+  assert.strictEqual(sinks.hubspot_deal.id, '901');
+  assert.deepStrictEqual(sinks.hubspot_deal.details, { contactId: '55' });
+  assert.strictEqual(sinks.clickup_result.status, 'failed');
+  assert.strictEqual(sinks.clickup_result.error, 'ClickUp duplicate check failed');
+  assert.deepStrictEqual({ status: sinks.export.status, attempts: sinks.export.attempts }, { status: 'pending', attempts: 0 });
+
+  const toRetry = await store.getLeadsToRetry();
+  assert.deepStrictEqual(toRetry.map(entry => entry.sinkNames), [['clickup_result', 'export']]);
+});
+
+test('stops retrying a sink after the last attempt and reports it', async () => {
+  const abandoned = [];
+  const listener = (event) => abandoned.push(event);
+  scrapeEventsService.on(scrapeEventsService.EVENT_TYPES.SINK_ABANDONED, listener);
+
+  try {
+    const store = loadStore();
+    await store.recordObservations([{ person: person(), verdict: accepted }], job);
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await store.recordSyncResults(person(), { job, verdict: accepted }, [{ sink: 'export', status: 'failed', error: 'disk full' }], ['export']);
+    }
+
+    assert.deepStrictEqual(await store.getLeadsToRetry(), []);
+    assert.strictEqual(abandoned.length, 1);
+    assert.strictEqual(abandoned[0].sink, 'export');
+    assert.strictEqual(abandoned[0].attempts, 2);
+  } finally {
+    scrapeEventsService.off(scrapeEventsService.EVENT_TYPES.SINK_ABANDONED, listener);
+  }
+});
+
+test('reads what another process appended and skips corrupt or half-written lines', async () => {
+  const store = loadStore();
+  await store.recordObservations([{ person: person(), verdict: accepted }], job);
+
+  // Otro proceso (scripts/scheduler.js) añade un lead, una línea corrupta y otra a medio escribir
+  const other = { ...(await store.getLead(person().profileUrl)), profileUrl: 'https://www.linkedin.com/in/juan/', name: 'Juan' };
+  fs.appendFileSync(process.env.LEAD_STORE_FILE, [
+    JSON.stringify({ ts: new Date().toISOString(), type: 'lead', record: other }),
+    '{"ts":"2026-03-01","type":"le',
+    '{"ts":"2026-03-01","type":"lead","record":{"profileUrl":"https://www.linkedin.com/in/luis/"'
+  ].join('\n'));
+
+  const leads = await store.listLeads();
+  assert.deepStrictEqual(leads.map(lead => lead.name).sort(), ['Ana López', 'Juan']);
+  assert.deepStrictEqual((await loadStore().listLeads()).map(lead => lead.name).sort(), ['Ana López', 'Juan']);
+});
+
+test('lists leads by acceptance and sync status', async () => {
+  const store = loadStore();
+  await store.recordObservations([
+    { person: person(), verdict: accepted },
+    { person: person({ name: 'Luis', profileUrl: 'https://www.linkedin.com/in/luis/' }), verdict: rejected }
+  ], job);
+  await store.recordSyncResults(person(), { job, verdict: accepted }, [{ sink: 'export', status: 'failed', error: 'disk full' }], ['export']);
+
+  assert.deepStrictEqual((await store.listLeads({ accepted: false })).map(lead => lead.name), ['Luis']);
+  assert.deepStrictEqual((await store.listLeads({ syncStatus: 'failed' })).map(lead => lead.name), ['Ana López']);
+  assert.deepStrictEqual(await store.listLeads({ sink: 'hubspot_deal' }), []);
+});
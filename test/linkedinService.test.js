@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Límite diario en un fichero temporal y una cookie de prueba: nunca se toca data/ ni LinkedIn
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-'));
+process.env.RATE_LIMIT_FILE = path.join(tmpDir, 'rate-limit.json');
+process.env.LINKEDIN_LI_AT = 'test-cookie-0123456789';
+process.env.SEARCH_MAX_PAGES = '3';
+process.env.DAILY_VIEW_LIMIT = '1000';
+
+// Navegador falso: cada URL de búsqueda devuelve el HTML de su página de resultados
+const searchPages = new Map();
+const visited = [];
+let currentUrl = 'about:blank';
+
+const resultItem = ([name, profileUrl]) => `<li>
+<a href="${profileUrl}">${name}</a>
+<div>CFO at Bimbo</div>
+<div>Ciudad de México</div>
+<div>Current: CFO at Bimbo</div>
+</li>`;
+
+const fakePage = {
+  goto: async (url) => {
+    currentUrl = url;
+    visited.push(url);
+    return { status: () => 200 };
+  },
+  url: () => currentUrl,
+  content: async () => {
+    const pageNumber = parseInt((currentUrl.match(/&page=(\d+)/) || [])[1] || '1', 10);
+    const people = searchPages.get(pageNumber) || [];
+    return `<html><body><ul>${people.map(resultItem).join('\n')}</ul></body></html>`;
+  },
+  evaluate: async () => [],
+  waitForTimeout: async () => {},
+  waitForLoadState: async () => {},
+  waitForSelector: async () => {}
+};
+const fakeContext = {
+  newPage: async () => fakePage,
+  addInitScript: async () => {},
+  addCookies: async () => {},
+  close: async () => {}
+};
+const playwright = require.resolve('playwright');
+require.cache[playwright] = {
+  id: playwright,
+  filename: playwright,
+  loaded: true,
+  exports: { chromium: { launchPersistentContext: async () => fakeContext } }
+};
+
+const linkedinService = require('../services/linkedinService');
+
+const profile = (id) => [`Persona ${id}`, `https://mx.linkedin.com/in/persona-${id}/?miniProfileUrn=urn%3Ali%3A${id}`];
+
+test.after(async () => {
+  await linkedinService.closeSharedBrowser();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  searchPages.clear();
+  visited.length = 0;
+});
+
+test('results of every page are collected and repeated profiles are dropped', async () => {
+  searchPages.set(1, [profile(1), profile(2)]);
+  searchPages.set(2, [profile(2), profile(3)]);
+  searchPages.set(3, [profile(4)]);
+
+  const results = await linkedinService.searchPeople('Bimbo', 'CFO');
+
+  assert.deepStrictEqual(results.map(person => person.name), ['Persona 1', 'Persona 2', 'Persona 3', 'Persona 4']);
+  assert.strictEqual(visited.filter(url => url.includes('/search/results/people/')).length, 3);
+});
+
+test('pagination stops at the first page without new profiles', async () => {
+  searchPages.set(1, [profile(1), profile(2)]);
+  searchPages.set(2, [profile(1)]);
+  searchPages.set(3, [profile(5)]);
+
+  const results = await linkedinService.searchPeople('Bimbo', 'CFO');
+
+  assert.deepStrictEqual(results.map(person => person.name), ['Persona 1', 'Persona 2']);
+  assert.ok(!visited.some(url => url.includes('&page=3')));
+});
+
+test('a search with the company ID uses the current company, title and geo facets', () => {
+  const url = new URL(linkedinService.buildSearchUrl('Bimbo', 'CFO', { companyId: 12345, geoUrns: ['103323778'] }));
+
+  assert.strictEqual(url.searchParams.get('currentCompany'), '["12345"]');
+  assert.strictEqual(url.searchParams.get('titleFreeText'), 'CFO');
+  assert.strictEqual(url.searchParams.get('geoUrn'), '["103323778"]');
+  assert.strictEqual(url.searchParams.get('origin'), 'FACETED_SEARCH');
+  assert.strictEqual(url.searchParams.get('keywords'), null);
+});
+
+test('a search without the company ID falls back to quoted keywords', () => {
+  const url = new URL(linkedinService.buildSearchUrl('Grupo Bimbo', 'Director de Finanzas'));
+
+  assert.strictEqual(url.searchParams.get('keywords'), '"Grupo Bimbo" "Director de Finanzas"');
+  assert.strictEqual(url.searchParams.get('currentCompany'), null);
+});
+
+test('every results page keeps the facets of the search', async () => {
+  searchPages.set(1, [profile(1)]);
+  searchPages.set(2, [profile(2)]);
+
+  await linkedinService.searchPeople('Bimbo', 'CFO', { facets: { companyId: 12345, geoUrns: ['103323778'] } });
+
+  const searches = visited.filter(url => url.includes('/search/results/people/'));
+  assert.strictEqual(searches.length, 3);
+  assert.ok(searches.every(url => url.includes('currentCompany=') && url.includes('geoUrn=')));
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const locationService = require('../services/locationService');
+
+const rules = locationService.getLocationRules({ run: { countries: 'MX', unknownLocation: 'reject' } });
+
+// Ubicación de un resultado de búsqueda: una línea por dato, como llega de LinkedIn
+const resultText = (location) => ['Ana Pérez', 'CFO at Bimbo', location, 'Current: CFO at Bimbo'].join('\n');
+
+for (const location of ['Ciudad de México', 'CDMX', 'Monterrey', 'Guadalajara']) {
+  test(`a location line that is only "${location}" is extracted and matches MX`, () => {
+    const mention = locationService.findLocationMention(resultText(location));
+    assert.ok(mention, 'location not found');
+    assert.strictEqual(mention.keyword, location);
+    assert.strictEqual(locationService.matchLocation(mention.keyword, rules).passed, true);
+  });
+
+  test(`"${location}" alone as the whole text is extracted`, () => {
+    const mention = locationService.findLocationMention(location);
+    assert.ok(mention, 'location not found');
+    assert.strictEqual(mention.keyword, location);
+  });
+}
+
+test('a full location phrase is still extracted', () => {
+  const mention = locationService.findLocationMention(resultText('Monterrey, Nuevo León, México'));
+  assert.strictEqual(mention.keyword, 'Monterrey, Nuevo León, México');
+});
+
+test('a state inside a name or headline is not a location', () => {
+  assert.strictEqual(locationService.findLocationMention('Juan Hidalgo\nCFO at Meta'), null);
+  assert.strictEqual(locationService.findLocationMention('Director Comercial Monterrey Zona Norte'), null);
+});
+
+for (const location of ['Guadalajara, España', 'León, Castilla y León, España', 'Toluca, Spain', 'Durango, Colorado']) {
+  test(`a Mexican city or state name outside Mexico ("${location}") does not match MX`, () => {
+    const match = locationService.matchLocation(location, rules);
+    assert.strictEqual(match.passed, false);
+    assert.notStrictEqual(match.place && match.place.country, 'MX');
+  });
+}
+
+for (const location of ['Monterrey, Nuevo León, México', 'Guadalajara, Jal.', 'Tijuana, Baja California', 'Durango, México']) {
+  test(`"${location}" still matches MX`, () => {
+    const match = locationService.matchLocation(location, rules);
+    assert.strictEqual(match.passed, true);
+    assert.strictEqual(match.place.country, 'MX');
+  });
+}
+
+test('run rules win over company rules, and company rules over the defaults', () => {
+  const company = { countries: 'CO' };
+
+  assert.strictEqual(locationService.getLocationRules({ run: { countries: 'MX' }, company }).source, 'run');
+  assert.strictEqual(locationService.getLocationRules({ company }).source, 'company');
+  assert.strictEqual(locationService.getLocationRules().source, 'default');
+});
+
+test('malformed company rules fall back to the defaults instead of stopping the run', () => {
+  assert.strictEqual(locationService.getLocationRules({ company: '{not json' }).source, 'default');
+});
+
+test('invalid run rules are rejected', () => {
+  assert.throws(() => locationService.getLocationRules({ run: { countries: 'Atlantis' } }), /unknown country "Atlantis"/);
+  assert.throws(() => locationService.getLocationRules({ run: { countries: 'MX', unknownLocation: 'maybe' } }), /unknownLocation must be one of/);
+});
+
+test('state and city targets only accept places inside them', () => {
+  const states = locationService.getLocationRules({ run: { states: 'Nuevo León' } });
+  assert.strictEqual(locationService.matchLocation('Monterrey, Nuevo León, México', states).passed, true);
+  assert.strictEqual(locationService.matchLocation('Ciudad de México, México', states).passed, false);
+
+  const cities = locationService.getLocationRules({ run: { cities: 'Monterrey' } });
+  assert.strictEqual(locationService.matchLocation('Monterrey, Nuevo León, México', cities).passed, true);
+  assert.strictEqual(locationService.matchLocation('San Pedro Garza García, Nuevo León, México', cities).passed, false);
+});
+
+test('custom aliases map LinkedIn regions to a targeted place', () => {
+  const withAlias = locationService.getLocationRules({ run: { states: 'Querétaro', aliases: { 'Bajío': 'Querétaro' } } });
+  const withoutAlias = locationService.getLocationRules({ run: { states: 'Querétaro' } });
+
+  assert.strictEqual(locationService.matchLocation('Región del Bajío', withAlias).passed, true);
+  assert.strictEqual(locationService.matchLocation('Región del Bajío', withoutAlias).reason, 'location_unknown');
+});
+
+test('the unknown location policy decides profiles without a location', () => {
+  const accept = locationService.getLocationRules({ run: { countries: 'MX', unknownLocation: 'accept' } });
+
+  assert.strictEqual(locationService.matchLocation('', accept).passed, true);
+  assert.strictEqual(locationService.matchLocation('', rules).reason, 'location_unknown');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Límite diario en un fichero temporal y sin esperas entre perfiles
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-enrichment-'));
+process.env.RATE_LIMIT_FILE = path.join(tmpDir, 'rate-limit.json');
+process.env.DAILY_VIEW_LIMIT = '1000';
+process.env.MIN_DELAY = '1';
+process.env.MAX_DELAY = '2';
+
+const linkedinService = require('../services/linkedinService');
+const dataExtractionService = require('../services/dataExtractionService');
+const profileEnrichmentService = require('../services/profileEnrichmentService');
+
+// Perfiles de LinkedIn simulados por URL (un Error se lanza al visitarlo)
+const profiles = new Map();
+const visited = [];
+linkedinService.getProfile = async (profileUrl) => {
+  visited.push(profileUrl);
+  const profile = profiles.get(profileUrl);
+  if (profile instanceof Error) throw profile;
+  return profile || null;
+};
+
+const person = (id) => ({ name: `Persona ${id}`, profileUrl: `https://www.linkedin.com/in/persona-${id}/` });
+
+const ana = {
+  currentPosition: 'Directora de Finanzas',
+  currentCompany: 'Grupo Bimbo',
+  tenure: '2 yrs 10 mos',
+  tenureMonths: 34,
+  experience: [{ title: 'Directora de Finanzas', company: 'Grupo Bimbo', current: true }],
+  education: [{ school: 'ITAM', degree: 'MBA, Finanzas', dates: '2010 - 2012' }],
+  about: 'Directora financiera',
+  source: 'css-selectors',
+  name: 'Ana López'
+};
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  profiles.clear();
+  visited.length = 0;
+});
+
+test('the run option wins over ENRICH_PROFILES', () => {
+  assert.strictEqual(profileEnrichmentService.isEnabled(true), true);
+  assert.strictEqual(profileEnrichmentService.isEnabled('false'), false);
+});
+
+test('a visited profile gets only the enrichment fields', async () => {
+  const people = [person(1)];
+  profiles.set(people[0].profileUrl, ana);
+
+  const summary = await profileEnrichmentService.enrichProfiles(people);
+
+  assert.deepStrictEqual(summary, { enriched: 1, skipped: 0, failed: 0 });
+  assert.strictEqual(people[0].enrichment.currentCompany, 'Grupo Bimbo');
+  assert.strictEqual(people[0].enrichment.tenureMonths, 34);
+  assert.strictEqual(people[0].enrichment.name, undefined);
+  assert.ok(people[0].enrichment.enrichedAt);
+});
+
+test('no more profiles are visited than the per-search maximum', async () => {
+  const people = [person(1), person(2), person(3)];
+  people.forEach(({ profileUrl }) => profiles.set(profileUrl, ana));
+
+  const summary = await profileEnrichmentService.enrichProfiles(people, { maxProfiles: 2 });
+
+  assert.deepStrictEqual(summary, { enriched: 2, skipped: 1, failed: 0 });
+  assert.strictEqual(people[2].enrichment, undefined);
+});
+
+test('a LinkedIn block stops the visits, other errors only skip the profile', async () => {
+  const people = [person(1), person(2), person(3), person(4)];
+  profiles.set(people[0].profileUrl, new Error('Profile page timeout'));
+  profiles.set(people[1].profileUrl, ana);
+  profiles.set(people[2].profileUrl, new Error('429 Rate Limit - Backing off for 30 minutes'));
+  profiles.set(people[3].profileUrl, ana);
+
+  const summary = await profileEnrichmentService.enrichProfiles(people);
+
+  assert.deepStrictEqual(summary, { enriched: 1, skipped: 1, failed: 2 });
+  assert.deepStrictEqual(visited, people.slice(0, 3).map(({ profileUrl }) => profileUrl));
+});
+
+test('experience groups and education are read from the profile page', () => {
+  const text = (value) => `<span aria-hidden="true">${value}</span>`;
+  const html = `<html><body>
+<section><div id="experience"></div><h2>${text('Experience')}</h2><ul>
+  <li class="artdeco-list__item">${text('Grupo Bimbo')}${text('Full-time · 6 yrs 2 mos')}
+    <ul><li>${text('Directora de Finanzas')}${text('Jan 2022 - Present · 2 yrs 10 mos')}${text('Ciudad de México')}</li>
+        <li>${text('Gerente de Tesorería')}${text('Sep 2018 - Dec 2021 · 3 yrs 4 mos')}</li></ul></li>
+  <li class="artdeco-list__item">${text('Analista Senior')}${text('BBVA México · Full-time')}${text('2012 - 2018 · 6 años')}</li>
+</ul></section>
+<section><div id="education"></div><h2>${text('Education')}</h2><ul>
+  <li class="artdeco-list__item">${text('ITAM')}${text('MBA, Finanzas')}${text('2010 - 2012')}</li>
+</ul></section></body></html>`;
+
+  const sections = dataExtractionService.extractProfileSections(html);
+
+  assert.deepStrictEqual(sections.experience.map(({ title, company, current }) => [title, company, current]), [
+    ['Directora de Finanzas', 'Grupo Bimbo', true],
+    ['Gerente de Tesorería', 'Grupo Bimbo', false],
+    ['Analista Senior', 'BBVA México', false]
+  ]);
+  assert.strictEqual(sections.experience[0].duration, '2 yrs 10 mos');
+  assert.deepStrictEqual(sections.education, [{ school: 'ITAM', degree: 'MBA, Finanzas', dates: '2010 - 2012' }]);
+});
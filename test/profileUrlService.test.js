@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Índice de deals en un fichero temporal
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deal-index-'));
+process.env.DEAL_INDEX_FILE = path.join(tmpDir, 'deal-index.json');
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const profileUrlService = require('../services/profileUrlService');
+const dealIndexService = require('../services/dealIndexService');
+
+test('canonicalizes subdomains, query strings, subpages and the mobile site', () => {
+  const variants = [
+    'https://mx.linkedin.com/in/Juan-Perez/details/experience/?trk=x',
+    'https://www.linkedin.com/in/juan-perez',
+    'linkedin.com/in/JUAN-PEREZ#about',
+    'https://www.linkedin.com/mwlite/in/Juan-Perez?x=1',
+    '/mwlite/in/juan-perez/',
+    '/in/juan-perez/'
+  ];
+  for (const url of variants) {
+    assert.strictEqual(profileUrlService.canonicalProfileUrl(url), 'https://www.linkedin.com/in/juan-perez/', url);
+  }
+});
+
+test('decodes percent-encoded ids and re-encodes them in the canonical URL', () => {
+  const encoded = 'https://mx.linkedin.com/in/Ana-L%C3%B3pez/?trk=x';
+  assert.strictEqual(profileUrlService.getPublicId(encoded), 'ana-lópez');
+  assert.strictEqual(profileUrlService.canonicalProfileUrl(encoded), 'https://www.linkedin.com/in/ana-l%C3%B3pez/');
+  assert.strictEqual(profileUrlService.canonicalProfileUrl('linkedin.com/in/ana-lópez'), 'https://www.linkedin.com/in/ana-l%C3%B3pez/');
+
+  // Secuencia % inválida: se usa tal cual
+  assert.strictEqual(profileUrlService.getPublicId('https://www.linkedin.com/in/bad%E0%A4%A'), 'bad%e0%a4%a');
+});
+
+test('keeps the case of out-of-network member ids', () => {
+  assert.strictEqual(profileUrlService.getPublicId('/in/ACoAAB1x2y3Z'), 'ACoAAB1x2y3Z');
+  assert.strictEqual(
+    profileUrlService.canonicalProfileUrl('https://www.linkedin.com/in/ACoAAB1x2y3Z?miniProfileUrn=x'),
+    'https://www.linkedin.com/in/ACoAAB1x2y3Z/'
+  );
+});
+
+test('returns null for anything that is not a profile URL', () => {
+  for (const url of ['', null, undefined, 'https://www.linkedin.com/company/acme/', 'https://example.com/in/juan-perez']) {
+    assert.strictEqual(profileUrlService.canonicalProfileUrl(url), null, String(url));
+  }
+});
+
+test('finds the distinct profile URLs linked in free text', () => {
+  const text = 'Ver https://mx.linkedin.com/in/Ana/ y www.linkedin.com/in/ana?trk=1, ' +
+    'también linkedin.com/company/acme y https://www.linkedin.com/in/juan-perez/details/';
+  assert.deepStrictEqual(profileUrlService.findProfileUrls(text), [
+    'https://www.linkedin.com/in/ana/',
+    'https://www.linkedin.com/in/juan-perez/'
+  ]);
+  assert.deepStrictEqual(profileUrlService.findProfileUrls(null), []);
+});
+
+test('records deals by canonical profile URL and persists the index', async () => {
+  const canonicalUrl = profileUrlService.canonicalProfileUrl('https://mx.linkedin.com/in/Ana/');
+  assert.strictEqual(await dealIndexService.findDeal(canonicalUrl), null);
+  assert.strictEqual(await dealIndexService.findDeal(null), null);
+
+  await dealIndexService.recordDeal(canonicalUrl, { dealId: '101', source: 'created' });
+
+  const entry = await dealIndexService.findDeal(canonicalUrl);
+  assert.strictEqual(entry.dealId, '101');
+  assert.strictEqual(entry.contactId, null);
+  assert.strictEqual(entry.source, 'created');
+
+  const saved = JSON.parse(fs.readFileSync(process.env.DEAL_INDEX_FILE, 'utf8'));
+  assert.deepStrictEqual(Object.keys(saved), ['https://www.linkedin.com/in/ana/']);
+  assert.strictEqual(fs.existsSync(`${process.env.DEAL_INDEX_FILE}.tmp`), false);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Reportes y journal en un directorio temporal: nunca se toca data/
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-registry-'));
+process.env.RUNS_DIR = path.join(tmpDir, 'runs');
+process.env.SCRAPE_JOBS_FILE = path.join(tmpDir, 'scrape-jobs.jsonl');
+
+const jobQueueService = require('../services/jobQueueService');
+const scrapeEventsService = require('../services/scrapeEventsService');
+const runRegistryService = require('../services/runRegistryService');
+
+const { EVENT_TYPES } = scrapeEventsService;
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Eventos de un run con una búsqueda: un perfil aceptado y guardado, otro rechazado por ubicación
+const emitRun = async () => {
+  const run = await jobQueueService.createRun([{ id: 'c1', company: 'Bimbo' }], [{ id: 't1', title: 'CFO' }]);
+  const [job] = await jobQueueService.getJobs(run.id);
+  const search = { runId: run.id, jobId: job.id, companyId: 'c1', company: 'Bimbo', jobTitleId: 't1', jobTitle: 'CFO' };
+
+  scrapeEventsService.emitEvent(EVENT_TYPES.RUN_STARTED, { runId: run.id, trigger: 'api', resumed: false, filters: null, sinks: ['hubspot_deal'] });
+  scrapeEventsService.emitEvent(EVENT_TYPES.SEARCH_STARTED, search);
+  scrapeEventsService.emitEvent(EVENT_TYPES.RESULTS_EXTRACTED, { ...search, resultsCount: 2 });
+  scrapeEventsService.emitEvent(EVENT_TYPES.FILTER_VERDICT, { ...search, name: 'Ana', accepted: true, rule: null, reason: null });
+  scrapeEventsService.emitEvent(EVENT_TYPES.FILTER_VERDICT, { ...search, name: 'Bob', accepted: false, rule: 'location', reason: 'location_mismatch' });
+  scrapeEventsService.emitEvent(EVENT_TYPES.SINK_SAVED, { ...search, name: 'Ana', sink: 'hubspot_deal', recordId: 'd1' });
+  scrapeEventsService.emitEvent(EVENT_TYPES.SEARCH_FINISHED, { ...search, state: 'done' });
+  scrapeEventsService.emitEvent(EVENT_TYPES.RUN_FINISHED, { runId: run.id, success: true, reason: 'completed' });
+  return run;
+};
+
+test('a run report is built from the scrape events', async () => {
+  const run = await emitRun();
+  const report = await runRegistryService.getRunReport(run.id);
+
+  assert.strictEqual(report.status, 'completed');
+  assert.strictEqual(report.sessions[0].trigger, 'api');
+  assert.deepStrictEqual(report.companies, [{ id: 'c1', name: 'Bimbo' }]);
+  assert.strictEqual(report.totals.results, 2);
+  assert.strictEqual(report.totals.accepted, 1);
+  assert.deepStrictEqual(report.totals.rejectionsByReason, { location_mismatch: 1 });
+  assert.deepStrictEqual(report.totals.sinks, { hubspot_deal: { created: 1, duplicates: 0, failed: 0 } });
+  assert.ok(fs.existsSync(path.join(process.env.RUNS_DIR, `${run.id}.json`)));
+
+  const runs = await runRegistryService.listRuns();
+  assert.ok(runs.some(summary => summary.id === run.id && summary.status === 'completed'));
+});
+
+test('verdicts can be filtered and a corrupt line is skipped', async () => {
+  const run = await emitRun();
+  fs.appendFileSync(path.join(process.env.RUNS_DIR, `${run.id}.verdicts.jsonl`), '{"accepted":fal\n');
+
+  const all = await runRegistryService.getRunVerdicts(run.id);
+  assert.deepStrictEqual(all.map(verdict => verdict.name), ['Ana', 'Bob']);
+  const rejected = await runRegistryService.getRunVerdicts(run.id, { accepted: false });
+  assert.deepStrictEqual(rejected.map(verdict => verdict.reason), ['location_mismatch']);
+});
+
+test('an unknown or malformed run id has no report', async () => {
+  assert.strictEqual(await runRegistryService.getRunReport('run-1'), null);
+  assert.strictEqual(await runRegistryService.getRunReport('../etc/passwd'), null);
+  assert.strictEqual(await runRegistryService.getRunVerdicts('run-1'), null);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const scrapeEventsService = require('../services/scrapeEventsService');
+
+const { EVENT_TYPES } = scrapeEventsService;
+
+test('events get increasing ids and a timestamp', () => {
+  const first = scrapeEventsService.emitEvent(EVENT_TYPES.SEARCH_STARTED, { runId: 'run-1' });
+  const second = scrapeEventsService.emitEvent(EVENT_TYPES.SEARCH_FINISHED, { runId: 'run-1' });
+
+  assert.strictEqual(second.id, first.id + 1);
+  assert.strictEqual(first.type, EVENT_TYPES.SEARCH_STARTED);
+  assert.strictEqual(first.runId, 'run-1');
+  assert.ok(!Number.isNaN(Date.parse(first.timestamp)));
+});
+
+test('a reconnecting client gets only the events after its Last-Event-ID', () => {
+  const seen = scrapeEventsService.emitEvent(EVENT_TYPES.PROGRESS, { runId: 'run-2' });
+  const missed = [
+    scrapeEventsService.emitEvent(EVENT_TYPES.RESULTS_EXTRACTED, { runId: 'run-2' }),
+    scrapeEventsService.emitEvent(EVENT_TYPES.PROGRESS, { runId: 'run-2' })
+  ];
+
+  assert.deepStrictEqual(scrapeEventsService.getEventsSince(seen.id), missed);
+});
+
+test('the history keeps only the most recent events', () => {
+  let last;
+  for (let i = 0; i < 250; i++) {
+    last = scrapeEventsService.emitEvent(EVENT_TYPES.PROGRESS, { runId: 'run-3' });
+  }
+
+  const history = scrapeEventsService.getEventsSince(0);
+  assert.strictEqual(history.length, 200);
+  assert.strictEqual(history[history.length - 1].id, last.id);
+});
+
+test('listeners of a type and of "*" both receive the event', () => {
+  const received = [];
+  const onType = (event) => received.push(['type', event.id]);
+  const onAll = (event) => received.push(['*', event.id]);
+  scrapeEventsService.on(EVENT_TYPES.RUN_PAUSED, onType);
+  scrapeEventsService.on('*', onAll);
+
+  const event = scrapeEventsService.emitEvent(EVENT_TYPES.RUN_PAUSED, { runId: 'run-4' });
+  scrapeEventsService.off(EVENT_TYPES.RUN_PAUSED, onType);
+  scrapeEventsService.off('*', onAll);
+  scrapeEventsService.emitEvent(EVENT_TYPES.RUN_PAUSED, { runId: 'run-4' });
+
+  assert.deepStrictEqual(received, [['type', event.id], ['*', event.id]]);
+});
+
+test('a failing listener does not stop the scraping loop', () => {
+  const broken = () => {
+    throw new Error('listener bug');
+  };
+  scrapeEventsService.on(EVENT_TYPES.RUN_RESUMED, broken);
+
+  assert.doesNotThrow(() => scrapeEventsService.emitEvent(EVENT_TYPES.RUN_RESUMED, { runId: 'run-5' }));
+  scrapeEventsService.off(EVENT_TYPES.RUN_RESUMED, broken);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// El resolver carga el servicio de LinkedIn: su límite diario va a un fichero temporal
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-facets-'));
+process.env.RATE_LIMIT_FILE = path.join(tmpDir, 'rate-limit.json');
+
+const searchFacetService = require('../services/searchFacetService');
+const locationService = require('../services/locationService');
+
+// Con el ID de LinkedIn guardado en HubSpot no se consulta LinkedIn ni la caché
+const bimbo = { id: '101', name: 'Grupo Bimbo', linkedinCompanyId: 'urn:li:fsd_company:12345' };
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('the LinkedIn company ID saved in HubSpot is used as the company facet', async () => {
+  const facets = await searchFacetService.getSearchFacets(bimbo, locationService.getLocationRules({ run: { countries: 'MX' } }));
+
+  assert.deepStrictEqual(facets, { companyId: '12345', geoUrns: ['103323778'], source: 'hubspot' });
+});
+
+test('states and cities are searched with the geo facet of their country', () => {
+  const rules = locationService.getLocationRules({ run: { states: 'Nuevo León', countries: 'CO' } });
+
+  assert.deepStrictEqual(locationService.getGeoUrns(rules).sort(), ['100876405', '103323778']);
+});
+
+test('a target without a known geo URN searches without the geo facet', async () => {
+  const rules = locationService.getLocationRules({ run: { cities: 'Springfield' } });
+
+  assert.strictEqual(locationService.getGeoUrns(rules), null);
+  assert.strictEqual((await searchFacetService.getSearchFacets(bimbo, rules)).geoUrns, null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const sinkService = require('../services/sinkService');
+const leadStoreService = require('../services/leadStoreService');
+
+// Resultados de cada guardado en lugar del almacén de leads
+const syncResults = [];
+leadStoreService.recordSyncResults = async (person, context, results, sinkNames) => {
+  syncResults.push({ person, results, sinkNames });
+};
+
+const person = (id) => ({ name: `Persona ${id}`, profileUrl: `https://mx.linkedin.com/in/persona-${id}/?miniProfileUrn=x` });
+
+// Duplicados de HubSpot comprobados en lote (findDealsByProfileUrls): URL canónica -> deal
+const prepared = { hubspot_deal: new Map([['https://www.linkedin.com/in/persona-1/', { dealId: '901', source: 'index' }]]) };
+
+test('profiles that every sink already has are not visited', async () => {
+  const people = [person(1), person(2)];
+
+  const newPeople = await sinkService.findNewPeople(sinkService.getSinks('hubspot_deal'), people, { job: {}, prepared });
+
+  assert.deepStrictEqual(newPeople, [people[1]]);
+});
+
+test('a profile repeated in the search is visited once', async () => {
+  const people = [person(2), { ...person(2), profileUrl: 'https://www.linkedin.com/in/Persona-2' }];
+
+  const newPeople = await sinkService.findNewPeople(sinkService.getSinks('hubspot_deal'), people, { job: {}, prepared });
+
+  assert.deepStrictEqual(newPeople, [people[0]]);
+});
+
+test('profiles are visited when a sink cannot tell if it has them', async () => {
+  const people = [person(1)];
+
+  // Sin comprobación en lote (HubSpot no respondió)
+  const unchecked = await sinkService.findNewPeople(sinkService.getSinks('hubspot_deal'), people, { job: {}, prepared: { hubspot_deal: null } });
+  // El contacto de HubSpot se actualiza aunque ya exista
+  const withContact = await sinkService.findNewPeople(sinkService.getSinks('hubspot_deal,hubspot_contact'), people, { job: {}, prepared });
+
+  assert.deepStrictEqual(unchecked, people);
+  assert.deepStrictEqual(withContact, people);
+});
+
+test('sink names are deduplicated, lowercased and the export sink always saves last', () => {
+  assert.deepStrictEqual(sinkService.resolveSinkNames(' Export, hubspot_deal,CLICKUP_RESULT,hubspot_deal'), [
+    'hubspot_deal', 'clickup_result', 'export'
+  ]);
+  assert.deepStrictEqual(sinkService.resolveSinkNames(['clickup_task', 'hubspot_contact']), ['clickup_task', 'hubspot_contact']);
+});
+
+test('unknown or empty sink lists are rejected', () => {
+  assert.throws(() => sinkService.resolveSinkNames('hubspot_deal,salesforce'), /^Error: Unknown sink: salesforce \(available: /);
+  assert.throws(() => sinkService.resolveSinkNames(' , '), /^Error: Unknown sink: none configured/);
+});
+
+test('the configuration check reports every sink that is not ready', async () => {
+  const [dealSink, exportSink] = sinkService.getSinks('hubspot_deal,export');
+  const { check: dealCheck } = dealSink;
+  const { check: exportCheck } = exportSink;
+  dealSink.check = async () => { throw new Error('HUBSPOT_TOKEN not configured'); };
+  exportSink.check = async () => { throw new Error('data/ is read-only'); };
+
+  try {
+    await assert.rejects(
+      sinkService.checkSinks('export,hubspot_deal'),
+      { message: 'Sinks not ready: hubspot_deal: HUBSPOT_TOKEN not configured; export: data/ is read-only' }
+    );
+  } finally {
+    dealSink.check = dealCheck;
+    exportSink.check = exportCheck;
+  }
+});
+
+test('a profile is saved in every sink in order, passing on the IDs of the previous sinks', async () => {
+  const seen = [];
+  const sinks = [
+    { name: 'first', label: 'First', save: async () => ({ status: sinkService.STATUSES.CREATED, id: 'A1' }) },
+    { name: 'broken', label: 'Broken', save: async () => { throw new Error('boom'); } },
+    { name: 'last', label: 'Last', save: async (profile, context) => { seen.push(Object.keys(context.saved)); return { status: sinkService.STATUSES.DUPLICATE }; } }
+  ];
+
+  const results = await sinkService.saveToSinks(sinks, person(3), { job: {}, verdict: null, prepared: null });
+
+  assert.deepStrictEqual(results.map(result => [result.sink, result.status, result.id || result.error]), [
+    ['first', 'created', 'A1'],
+    ['broken', 'failed', 'boom'],
+    ['last', 'duplicate', undefined]
+  ]);
+  assert.deepStrictEqual(seen, [['first', 'broken']]);
+  assert.deepStrictEqual(syncResults.at(-1).sinkNames, ['first', 'broken', 'last']);
+});
+
+test('a sink that asks to retry later stops the remaining sinks', async () => {
+  let lastCalled = false;
+  const sinks = [
+    { name: 'first', label: 'First', save: async () => ({ status: sinkService.STATUSES.RETRY_LATER, error: 'rate limited' }) },
+    { name: 'last', label: 'Last', save: async () => { lastCalled = true; return { status: sinkService.STATUSES.CREATED }; } }
+  ];
+
+  const results = await sinkService.saveToSinks(sinks, person(4), { job: {}, verdict: null, prepared: null });
+
+  assert.deepStrictEqual(results.map(result => result.status), ['retry_later']);
+  assert.strictEqual(lastCalled, false);
+  // El almacén sabe qué destinos quedaron pendientes
+  assert.deepStrictEqual(syncResults.at(-1).sinkNames, ['first', 'last']);
+});
+
+test('failed sinks of the lead store are retried with the IDs already saved', async () => {
+  const [exportSink] = sinkService.getSinks('export');
+  const { save: exportSave } = exportSink;
+  const saves = [];
+  exportSink.save = async (profile, context) => {
+    saves.push({ profile, companyName: context.company.name, saved: { ...context.saved } });
+    return { status: sinkService.STATUSES.CREATED, id: profile.profileUrl };
+  };
+  const { getLeadsToRetry } = leadStoreService;
+  leadStoreService.getLeadsToRetry = async () => [{
+    lead: {
+      accepted: { person: person(5), job: { companyId: '101', companyName: 'Bimbo' }, verdict: { score: 0.9 } },
+      sinks: { hubspot_deal: { status: 'synced', id: '901' }, export: { status: 'failed', attempts: 1 } }
+    },
+    sinkNames: ['export', 'salesforce']
+  }];
+
+  try {
+    const summary = await sinkService.retryFailedLeads();
+
+    assert.deepStrictEqual(summary, { leads: 1, created: 1, duplicates: 0, failed: 0, stopped: false });
+    assert.strictEqual(saves[0].companyName, 'Bimbo');
+    assert.deepStrictEqual(saves[0].saved, { hubspot_deal: { status: 'synced', id: '901' } });
+  } finally {
+    exportSink.save = exportSave;
+    leadStoreService.getLeadsToRetry = getLeadsToRetry;
+  }
+});
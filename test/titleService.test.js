@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const titleService = require('../services/titleService');
+
+test('a title is parsed into seniority, function and role in English or Spanish', () => {
+  const english = titleService.parseTitle('Chief Financial Officer');
+  const spanish = titleService.parseTitle('Director de Finanzas');
+
+  assert.strictEqual(english.seniority, 'c_level');
+  assert.strictEqual(spanish.seniority, 'director');
+  for (const parsed of [english, spanish]) {
+    assert.deepStrictEqual(parsed.functions, ['finance']);
+    assert.deepStrictEqual(parsed.roles, ['finance_head']);
+  }
+});
+
+test('an assistant title is marked as an exclusion', () => {
+  const parsed = titleService.parseTitle('Asistente de Dirección Financiera');
+
+  assert.strictEqual(parsed.seniority, null);
+  assert.deepStrictEqual(parsed.exclusions, ['asistente']);
+});
+
+for (const [jobTitle, headline] of [
+  ['CFO', 'Chief Financial Officer at Bimbo'],
+  ['Director de Finanzas', 'Finance Director | Board Member']
+]) {
+  test(`"${jobTitle}" matches the synonym headline "${headline}"`, () => {
+    const match = titleService.matchTitle(jobTitle, headline);
+    assert.strictEqual(match.passed, true);
+    assert.strictEqual(match.method, 'synonym');
+    assert.strictEqual(match.score, 1);
+  });
+}
+
+for (const headline of ['Asistente del CFO', 'Ex-CFO at Cemex']) {
+  test(`"${headline}" does not match CFO`, () => {
+    const match = titleService.matchTitle('CFO', headline);
+    assert.strictEqual(match.passed, false);
+    assert.strictEqual(match.method, 'excluded');
+  });
+}
+
+test('the same seniority in another function, or another seniority in the same function, does not match', () => {
+  assert.strictEqual(titleService.matchTitle('Director de Finanzas', 'Director Comercial').passed, false);
+  assert.strictEqual(titleService.matchTitle('Director de Finanzas', 'Gerente de Finanzas').passed, false);
+});